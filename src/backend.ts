@@ -0,0 +1,84 @@
+import { Sylvester, InvalidOperationError } from './sylvester';
+import { Matrix } from './matrix';
+import { Vector } from './vector';
+
+/**
+ * Implementations of the expensive matrix operations, such as bindings to a
+ * native library. A backend can provide any of them; the ones it leaves out
+ * use the built-in JavaScript versions, as do calls where it returns
+ * undefined, such as for inputs it doesn't support.
+ */
+export interface IBackend {
+  /**
+   * Multiplies A by B. The sizes have already been checked to match.
+   */
+  multiply?(A: Matrix, B: Matrix): Matrix | undefined;
+
+  /**
+   * LU factorization, as returned by {@link Matrix.lu}, such that
+   * `P.x(L).x(U)` equals A.
+   */
+  lu?(A: Matrix): { L: Matrix; U: Matrix; P: Matrix } | undefined;
+
+  /**
+   * QR factorization, as returned by {@link Matrix.qr}.
+   */
+  qr?(A: Matrix): { Q: Matrix; R: Matrix } | undefined;
+
+  /**
+   * Singular value decomposition, as returned by {@link Matrix.svd}.
+   */
+  svd?(A: Matrix, economy: boolean): { U: Matrix; S: Matrix; V: Matrix } | undefined;
+
+  /**
+   * Solves the square system `Ax = b`.
+   */
+  solve?(A: Matrix, b: Vector): Vector | undefined;
+
+  /**
+   * Solves `Lx = b` for a lower-triangular L, as
+   * {@link Matrix.forwardSubstitute}.
+   */
+  forwardSubstitute?(L: Matrix, b: Vector): Vector | undefined;
+
+  /**
+   * Solves `Ux = b` for an upper-triangular U, as
+   * {@link Matrix.backSubstitute}.
+   */
+  backSubstitute?(U: Matrix, b: Vector): Vector | undefined;
+}
+
+/**
+ * Registered backends by name. The `'js'` backend provides nothing, so
+ * everything uses the built-in implementations.
+ * @private
+ */
+const backends = new Map<string, IBackend>([['js', {}]]);
+
+/**
+ * Registers a backend under the given name, replacing any backend already
+ * registered with it. Set `Sylvester.backend` to the name to use it.
+ */
+export const registerBackend = (name: string, backend: IBackend) => {
+  backends.set(name, backend);
+};
+
+/**
+ * Returns whether a backend is registered with the given name. The
+ * `'lapack'` backend is only registered if the `lapack` package is installed.
+ */
+export const hasBackend = (name: string) => backends.has(name);
+
+/**
+ * Returns the backend with the given name, by default the one selected by
+ * `Sylvester.backend`.
+ * @throws A {@link InvalidOperationError} if no backend has that name
+ */
+export const getBackend = (name = Sylvester.backend) => {
+  const backend = backends.get(name);
+  if (!backend) {
+    throw new InvalidOperationError(`No backend named "${name}" is registered`);
+  }
+
+  return backend;
+};
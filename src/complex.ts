@@ -0,0 +1,734 @@
+import { Sylvester, DimensionalityMismatchError, InvalidOperationError } from './sylvester';
+import { Matrix } from './matrix';
+import { Vector } from './vector';
+import { MatrixLike, VectorOrList, isMatrixLike } from './likeness';
+
+/**
+ * A complex number, or a real number to be converted to one.
+ */
+export type ComplexLike = Complex | number;
+
+/**
+ * A complex vector, or something which can be converted to one.
+ */
+export type ComplexVectorLike = ComplexVector | VectorOrList | ReadonlyArray<ComplexLike>;
+
+/**
+ * A complex matrix, or something which can be converted to one.
+ */
+export type ComplexMatrixLike =
+  | ComplexMatrix
+  | MatrixLike
+  | ReadonlyArray<ReadonlyArray<ComplexLike>>;
+
+/**
+ * An immutable complex number.
+ */
+export class Complex {
+  /**
+   * The imaginary unit.
+   */
+  public static readonly i = new Complex(0, 1);
+
+  /**
+   * Real part.
+   */
+  public readonly re: number;
+
+  /**
+   * Imaginary part.
+   */
+  public readonly im: number;
+
+  constructor(re: number, im = 0) {
+    this.re = re;
+    this.im = im;
+  }
+
+  /**
+   * Adds the number to this one.
+   */
+  public add(other: ComplexLike) {
+    const z = Complex.from(other);
+    return new Complex(this.re + z.re, this.im + z.im);
+  }
+
+  /**
+   * Subtracts the number from this one.
+   */
+  public subtract(other: ComplexLike) {
+    const z = Complex.from(other);
+    return new Complex(this.re - z.re, this.im - z.im);
+  }
+
+  /**
+   * Multiplies this number by the other.
+   */
+  public multiply(other: ComplexLike) {
+    const z = Complex.from(other);
+    return new Complex(this.re * z.re - this.im * z.im, this.re * z.im + this.im * z.re);
+  }
+
+  /**
+   * Divides this number by the other, using Smith's algorithm to avoid
+   * needless overflow. Like number division, dividing by zero does not throw.
+   */
+  public divide(other: ComplexLike) {
+    const z = Complex.from(other);
+    if (Math.abs(z.re) >= Math.abs(z.im)) {
+      const r = z.im / z.re;
+      const d = z.re + z.im * r;
+      return new Complex((this.re + this.im * r) / d, (this.im - this.re * r) / d);
+    }
+
+    const r = z.re / z.im;
+    const d = z.re * r + z.im;
+    return new Complex((this.re * r + this.im) / d, (this.im * r - this.re) / d);
+  }
+
+  /**
+   * Returns the complex conjugate.
+   */
+  public conjugate() {
+    return new Complex(this.re, -this.im);
+  }
+
+  /**
+   * Returns the negation of this number.
+   */
+  public negate() {
+    return new Complex(-this.re, -this.im);
+  }
+
+  /**
+   * Returns the absolute value (modulus) of the number.
+   */
+  public abs() {
+    return Math.hypot(this.re, this.im);
+  }
+
+  /**
+   * Returns the argument (phase angle) of the number, in (-π, π].
+   */
+  public arg() {
+    return Math.atan2(this.im, this.re);
+  }
+
+  /**
+   * Returns whether the number is approximately equal to the other.
+   * @param epsilon - The precision to compare each part.
+   */
+  public eql(other: ComplexLike, epsilon = Sylvester.precision) {
+    const z = Complex.from(other);
+    return Math.abs(this.re - z.re) <= epsilon && Math.abs(this.im - z.im) <= epsilon;
+  }
+
+  /**
+   * Returns a string representation of the number, such as `1 - 2i`.
+   */
+  public toString() {
+    if (this.im === 0) {
+      return `${this.re}`;
+    }
+
+    if (this.re === 0) {
+      return `${this.im}i`;
+    }
+
+    return `${this.re} ${this.im < 0 ? '-' : '+'} ${Math.abs(this.im)}i`;
+  }
+
+  /**
+   * Converts a real number to a complex one.
+   */
+  public static from(value: ComplexLike) {
+    return value instanceof Complex ? value : new Complex(value);
+  }
+
+  /**
+   * Creates a complex number from its polar form.
+   */
+  public static fromPolar(r: number, theta: number) {
+    return new Complex(r * Math.cos(theta), r * Math.sin(theta));
+  }
+}
+
+/**
+ * @private
+ */
+const zero = new Complex(0);
+
+/**
+ * @private
+ */
+const one = new Complex(1);
+
+/**
+ * Gets the complex elements of a vector-like value.
+ * @private
+ */
+const toComplexElements = (value: ComplexVectorLike): ReadonlyArray<Complex> =>
+  value instanceof ComplexVector
+    ? value.elements
+    : value instanceof Vector
+    ? value.elements.map(Complex.from)
+    : (value as ReadonlyArray<ComplexLike>).map(Complex.from);
+
+/**
+ * A vector of complex numbers. Like {@link Vector} it is immutable and
+ * indexing starts from 1.
+ */
+export class ComplexVector {
+  /**
+   * Vector elements.
+   */
+  public readonly elements: ReadonlyArray<Complex>;
+
+  /**
+   * Creates a complex vector.
+   * @param elements - Complex or real elements, or a real {@link Vector}
+   * @param imag - Imaginary parts to add to the elements
+   * @throws A {@link DimensionalityMismatchError} if the imaginary parts have
+   * a different length than the elements
+   */
+  constructor(elements: ComplexVectorLike, imag?: VectorOrList) {
+    let els = toComplexElements(elements);
+    if (imag) {
+      const im = Vector.toElements(imag);
+      if (im.length !== els.length) {
+        throw new DimensionalityMismatchError(
+          `Expected ${els.length} imaginary parts, got ${im.length}`,
+        );
+      }
+      els = els.map((z, i) => z.add(new Complex(0, im[i])));
+    }
+
+    this.elements = els;
+  }
+
+  /**
+   * Returns the `ith` element of the vector, or null if `i` is out of
+   * bounds. Indexing starts from 1.
+   */
+  public e(i: number) {
+    return i < 1 || i > this.elements.length ? null : this.elements[i - 1];
+  }
+
+  /**
+   * Returns the number of rows and columns the vector has.
+   */
+  public dimensions() {
+    return { rows: 1, cols: this.elements.length };
+  }
+
+  /**
+   * Returns a new vector created by calling the function on every element.
+   */
+  public map(fn: (value: Complex, index: number) => ComplexLike) {
+    return new ComplexVector(this.elements.map((z, i) => fn(z, i + 1)));
+  }
+
+  /**
+   * Adds the number or vector to this one.
+   * @throws A {@link DimensionalityMismatchError} if the vectors have
+   * different dimensions
+   */
+  public add(value: ComplexVectorLike | ComplexLike) {
+    return this.binaryOp(value, (a, b) => a.add(b));
+  }
+
+  /**
+   * Subtracts the number or vector from this one.
+   * @throws A {@link DimensionalityMismatchError} if the vectors have
+   * different dimensions
+   */
+  public subtract(value: ComplexVectorLike | ComplexLike) {
+    return this.binaryOp(value, (a, b) => a.subtract(b));
+  }
+
+  /**
+   * Multiplies the vector by a number, or element-wise by another vector.
+   * @throws A {@link DimensionalityMismatchError} if the vectors have
+   * different dimensions
+   */
+  public multiply(value: ComplexVectorLike | ComplexLike) {
+    return this.binaryOp(value, (a, b) => a.multiply(b));
+  }
+
+  /**
+   * Alias to {@link ComplexVector.multiply}
+   */
+  public x(value: ComplexVectorLike | ComplexLike) {
+    return this.multiply(value);
+  }
+
+  /**
+   * Returns the inner product `Σ conj(this[i]) * other[i]`. The elements of
+   * this vector are conjugated, so `v.dot(v)` is the squared magnitude.
+   * @throws A {@link DimensionalityMismatchError} if the vectors have
+   * different dimensions
+   */
+  public dot(vector: ComplexVectorLike) {
+    const V = toComplexElements(vector);
+    if (V.length !== this.elements.length) {
+      throw new DimensionalityMismatchError(
+        'Cannot compute the dot product of vectors with different dimensionality',
+      );
+    }
+
+    return this.elements.reduce((sum, z, i) => sum.add(z.conjugate().multiply(V[i])), zero);
+  }
+
+  /**
+   * Returns the vector of complex conjugates.
+   */
+  public conjugate() {
+    return this.map(z => z.conjugate());
+  }
+
+  /**
+   * Returns the euclidean norm of the vector.
+   */
+  public magnitude() {
+    return Math.sqrt(this.elements.reduce((sum, z) => sum + z.re * z.re + z.im * z.im, 0));
+  }
+
+  /**
+   * Returns the real parts of the elements.
+   */
+  public real() {
+    return new Vector(this.elements.map(z => z.re));
+  }
+
+  /**
+   * Returns the imaginary parts of the elements.
+   */
+  public imag() {
+    return new Vector(this.elements.map(z => z.im));
+  }
+
+  /**
+   * Returns whether the vector is approximately equal to the other.
+   * @param precision - The precision to compare each part.
+   */
+  public eql(other: unknown, precision = Sylvester.approxPrecision) {
+    if (
+      !(other instanceof ComplexVector || other instanceof Vector || other instanceof Array) ||
+      isMatrixLike(other)
+    ) {
+      return false;
+    }
+
+    const V = toComplexElements(other as ComplexVectorLike);
+    return (
+      V.length === this.elements.length && this.elements.every((z, i) => z.eql(V[i], precision))
+    );
+  }
+
+  /**
+   * Returns a string representation of the vector.
+   */
+  public toString() {
+    return `ComplexVector<[${this.elements.join(', ')}]>`;
+  }
+
+  private binaryOp(
+    value: ComplexVectorLike | ComplexLike,
+    fn: (a: Complex, b: Complex) => Complex,
+  ) {
+    if (typeof value === 'number' || value instanceof Complex) {
+      return this.map(z => fn(z, Complex.from(value)));
+    }
+
+    const V = toComplexElements(value);
+    if (V.length !== this.elements.length) {
+      throw new DimensionalityMismatchError(
+        `Cannot operate on a vector of length ${this.elements.length} with one of length ${V.length}`,
+      );
+    }
+
+    return this.map((z, i) => fn(z, V[i - 1]));
+  }
+}
+
+/**
+ * A matrix of complex numbers. Like {@link Matrix} it is immutable and
+ * `e(i, j)` indexing starts from 1.
+ */
+export class ComplexMatrix {
+  /**
+   * Matrix elements.
+   */
+  public readonly elements: ReadonlyArray<ReadonlyArray<Complex>>;
+
+  /**
+   * Gets the number of rows in the matrix.
+   */
+  public readonly rows: number;
+
+  /**
+   * Gets the number of columns in the matrix.
+   */
+  public readonly cols: number;
+
+  /**
+   * Creates a complex matrix.
+   * @param input - Complex or real elements, or a real {@link Matrix} or
+   * {@link SparseMatrix}
+   * @param imag - Imaginary parts to add to the elements
+   * @throws A {@link DimensionalityMismatchError} if the imaginary parts are
+   * a different size than the elements
+   */
+  constructor(input: ComplexMatrixLike, imag?: MatrixLike) {
+    let els: ReadonlyArray<ReadonlyArray<Complex>>;
+    if (input instanceof ComplexMatrix) {
+      els = input.elements;
+    } else if (input instanceof Array) {
+      els = (input as ReadonlyArray<ReadonlyArray<ComplexLike>>).map(row => row.map(Complex.from));
+    } else {
+      els = new Matrix(input as MatrixLike).elements.map(row => row.map(Complex.from));
+    }
+
+    if (imag) {
+      const im = new Matrix(imag);
+      if (im.rows !== els.length || (im.rows && im.cols !== els[0].length)) {
+        throw new DimensionalityMismatchError(
+          `Expected ${els.length}x${els.length && els[0].length} imaginary parts, got ${im.rows}x${
+            im.cols
+          }`,
+        );
+      }
+      els = els.map((row, i) => row.map((z, j) => z.add(new Complex(0, im.elements[i][j]))));
+    }
+
+    this.elements = els;
+    this.rows = els.length;
+    this.cols = this.rows && els[0].length;
+  }
+
+  /**
+   * Returns the element at (i, j) in the matrix, or null if out of bounds.
+   */
+  public e(i: number, j: number): Complex | null {
+    if (i < 1 || i > this.rows || j < 1 || j > this.cols) {
+      return null;
+    }
+
+    return this.elements[i - 1][j - 1];
+  }
+
+  /**
+   * Returns whether this is a square matrix.
+   */
+  public isSquare() {
+    return this.rows === this.cols;
+  }
+
+  /**
+   * Returns a new matrix created by calling the function on every element.
+   */
+  public map(fn: (value: Complex, row: number, column: number) => ComplexLike) {
+    return new ComplexMatrix(this.elements.map((row, i) => row.map((z, j) => fn(z, i + 1, j + 1))));
+  }
+
+  /**
+   * Adds the matrix to this one.
+   * @throws A {@link DimensionalityMismatchError} if the matrix is a different size than this one
+   */
+  public add(matrix: ComplexMatrixLike) {
+    const M = this.sameSize(matrix, 'add');
+    return this.map((z, i, j) => z.add(M.elements[i - 1][j - 1]));
+  }
+
+  /**
+   * Subtracts the matrix from this one.
+   * @throws A {@link DimensionalityMismatchError} if the matrix is a different size than this one
+   */
+  public subtract(matrix: ComplexMatrixLike) {
+    const M = this.sameSize(matrix, 'subtract');
+    return this.map((z, i, j) => z.subtract(M.elements[i - 1][j - 1]));
+  }
+
+  /**
+   * Returns the result of multiplying the matrix from the right by the
+   * argument, which may be a number, vector or matrix, complex or real.
+   * @throws A {@link DimensionalityMismatchError} if the multiplicand is an
+   * inappropriately sized matrix or vector
+   */
+  public multiply(multiplicand: ComplexLike): ComplexMatrix;
+  public multiply(multiplicand: ComplexVectorLike): ComplexVector;
+  public multiply(multiplicand: ComplexMatrixLike): ComplexMatrix;
+  public multiply(
+    multiplicand: ComplexMatrixLike | ComplexVectorLike | ComplexLike,
+  ): ComplexMatrix | ComplexVector {
+    if (typeof multiplicand === 'number' || multiplicand instanceof Complex) {
+      return this.map(z => z.multiply(multiplicand));
+    }
+
+    const isVector =
+      multiplicand instanceof ComplexVector ||
+      multiplicand instanceof Vector ||
+      (multiplicand instanceof Array && !(multiplicand[0] instanceof Array));
+    const M = isVector
+      ? new ComplexMatrix(
+          toComplexElements(multiplicand as ComplexVectorLike).map(z => [z]) as Complex[][],
+        )
+      : new ComplexMatrix(multiplicand as ComplexMatrixLike);
+
+    if (M.rows !== this.cols) {
+      throw new DimensionalityMismatchError(
+        `Cannot multiply a ${this.rows}x${this.cols} matrix by a ${M.rows}x${M.cols} matrix, expected an ${this.cols}xN matrix`,
+      );
+    }
+
+    const product = new ComplexMatrix(
+      this.elements.map(row =>
+        M.elements[0].map((_, j) =>
+          row.reduce((sum, z, k) => sum.add(z.multiply(M.elements[k][j])), zero),
+        ),
+      ),
+    );
+
+    return isVector ? new ComplexVector(product.elements.map(row => row[0])) : product;
+  }
+
+  /**
+   * Alias to {@link ComplexMatrix.multiply}
+   */
+  public x(multiplicand: ComplexLike): ComplexMatrix;
+  public x(multiplicand: ComplexVectorLike): ComplexVector;
+  public x(multiplicand: ComplexMatrixLike): ComplexMatrix;
+  public x(
+    multiplicand: ComplexMatrixLike | ComplexVectorLike | ComplexLike,
+  ): ComplexMatrix | ComplexVector {
+    // Cast is needed here since TS gets confused with nested overloads like this
+    return this.multiply(multiplicand as ComplexMatrix);
+  }
+
+  /**
+   * Returns the transposition of the matrix, without conjugating.
+   */
+  public transpose() {
+    return new ComplexMatrix(
+      this.cols === 0 ? [] : this.elements[0].map((_, j) => this.elements.map(row => row[j])),
+    );
+  }
+
+  /**
+   * Returns the matrix of complex conjugates.
+   */
+  public conjugate() {
+    return this.map(z => z.conjugate());
+  }
+
+  /**
+   * Returns the conjugate transpose (Hermitian adjoint) of the matrix.
+   * @see https://en.wikipedia.org/wiki/Conjugate_transpose
+   */
+  public conjugateTranspose() {
+    return this.transpose().conjugate();
+  }
+
+  /**
+   * Returns whether the matrix is equal to its conjugate transpose.
+   * @param epsilon - The precision to compare each part.
+   * @see https://en.wikipedia.org/wiki/Hermitian_matrix
+   */
+  public isHermitian(epsilon = Sylvester.precision) {
+    return (
+      this.isSquare() &&
+      this.elements.every((row, i) =>
+        row.every((z, j) => z.eql(this.elements[j][i].conjugate(), epsilon)),
+      )
+    );
+  }
+
+  /**
+   * Returns whether the matrix is approximately equal to the other.
+   * @param epsilon - The precision to compare each part.
+   */
+  public eql(matrix: unknown, epsilon = Sylvester.approxPrecision) {
+    if (!(matrix instanceof ComplexMatrix || isMatrixLike(matrix))) {
+      return false;
+    }
+
+    const M = new ComplexMatrix(matrix);
+    return (
+      M.rows === this.rows &&
+      M.cols === this.cols &&
+      this.elements.every((row, i) => row.every((z, j) => z.eql(M.elements[i][j], epsilon)))
+    );
+  }
+
+  /**
+   * LU decomposition with partial pivoting, such that `P.x(A)` equals
+   * `L.x(U)`, where `L` is unit lower triangular and `U` upper triangular.
+   * Also returns the number of row swaps, the parity of which gives the
+   * sign of the permutation.
+   * @throws A {@link DimensionalityMismatchError} if the matrix is not square
+   * @see https://en.wikipedia.org/wiki/LU_decomposition
+   */
+  public lu() {
+    if (!this.isSquare()) {
+      throw new DimensionalityMismatchError(
+        `Cannot decompose a ${this.rows}x${this.cols} matrix, matrix must be square`,
+      );
+    }
+
+    const n = this.rows;
+    const U = this.elements.map(row => row.slice());
+    const L = ComplexMatrix.I(n).elements.map(row => row.slice());
+    const permutation = U.map((_, i) => i);
+    let swaps = 0;
+
+    for (let k = 0; k < n; k++) {
+      let pivot = k;
+      for (let i = k + 1; i < n; i++) {
+        if (U[i][k].abs() > U[pivot][k].abs()) {
+          pivot = i;
+        }
+      }
+
+      if (pivot !== k) {
+        [U[k], U[pivot]] = [U[pivot], U[k]];
+        [permutation[k], permutation[pivot]] = [permutation[pivot], permutation[k]];
+        for (let j = 0; j < k; j++) {
+          [L[k][j], L[pivot][j]] = [L[pivot][j], L[k][j]];
+        }
+        swaps++;
+      }
+
+      if (U[k][k].abs() === 0) {
+        continue;
+      }
+
+      for (let i = k + 1; i < n; i++) {
+        const l = U[i][k].divide(U[k][k]);
+        L[i][k] = l;
+        U[i] = U[i].map((z, j) => (j <= k ? zero : z.subtract(l.multiply(U[k][j]))));
+      }
+    }
+
+    return {
+      L: new ComplexMatrix(L),
+      U: new ComplexMatrix(U),
+      P: new ComplexMatrix(permutation.map(p => permutation.map((_, j) => (j === p ? 1 : 0)))),
+      swaps,
+    };
+  }
+
+  /**
+   * Returns the determinant of a square matrix, computed from its LU
+   * decomposition.
+   * @throws A {@link DimensionalityMismatchError} if the matrix is not square
+   */
+  public determinant() {
+    const { U, swaps } = this.lu();
+    const det = U.elements.reduce((product, row, i) => product.multiply(row[i]), one);
+    return swaps % 2 ? det.negate() : det;
+  }
+
+  /**
+   * Alias for {@link ComplexMatrix.determinant}
+   */
+  public det() {
+    return this.determinant();
+  }
+
+  /**
+   * Returns true if the matrix is square and singular.
+   */
+  public isSingular() {
+    return this.isSquare() && this.determinant().abs() === 0;
+  }
+
+  /**
+   * Returns the inverse of the matrix, computed from its LU decomposition.
+   * @throws A {@link DimensionalityMismatchError} if the matrix is not square
+   * @throws A {@link InvalidOperationError} if the matrix is singular
+   */
+  public inverse() {
+    const { L, U, P } = this.lu();
+    const n = this.rows;
+    if (U.elements.some((row, i) => row[i].abs() === 0)) {
+      throw new InvalidOperationError('Cannot invert the current matrix (determinant=0)');
+    }
+
+    // Solve LUx = Pe for each column e of the identity.
+    const columns = P.transpose().elements.map(column => {
+      const y: Complex[] = [];
+      for (let i = 0; i < n; i++) {
+        y.push(
+          L.elements[i]
+            .slice(0, i)
+            .reduce((sum, l, j) => sum.subtract(l.multiply(y[j])), column[i]),
+        );
+      }
+
+      const x: Complex[] = new Array(n);
+      for (let i = n - 1; i >= 0; i--) {
+        let sum = y[i];
+        for (let j = i + 1; j < n; j++) {
+          sum = sum.subtract(U.elements[i][j].multiply(x[j]));
+        }
+        x[i] = sum.divide(U.elements[i][i]);
+      }
+
+      return x;
+    });
+
+    return new ComplexMatrix(columns).transpose();
+  }
+
+  /**
+   * Returns the real parts of the elements.
+   */
+  public real() {
+    return new Matrix(this.elements.map(row => row.map(z => z.re)));
+  }
+
+  /**
+   * Returns the imaginary parts of the elements.
+   */
+  public imag() {
+    return new Matrix(this.elements.map(row => row.map(z => z.im)));
+  }
+
+  /**
+   * Returns a string representation of the matrix.
+   */
+  public toString() {
+    const rows = ['ComplexMatrix<'];
+    for (const row of this.elements) {
+      rows.push(`  [${row.join(', ')}]`);
+    }
+    rows.push('>');
+    return rows.join('\n');
+  }
+
+  private sameSize(matrix: ComplexMatrixLike, operation: string) {
+    const M = new ComplexMatrix(matrix);
+    if (M.rows !== this.rows || M.cols !== this.cols) {
+      throw new DimensionalityMismatchError(
+        `Cannot ${operation} a ${M.rows}x${M.cols} matrix and this ${this.rows}x${this.cols} matrix`,
+      );
+    }
+
+    return M;
+  }
+
+  /**
+   * Creates an identity matrix.
+   * @param size - Number of rows and columns
+   */
+  static I(size: number) {
+    return new ComplexMatrix(Matrix.I(size));
+  }
+
+  /**
+   * Creates an `n` by `m` matrix of zeros.
+   */
+  static Zero(n: number, m: number) {
+    return new ComplexMatrix(Matrix.Zero(n, m));
+  }
+}
@@ -0,0 +1,190 @@
+/**
+ * Options for `Matrix.format()` and `Vector.format()`.
+ */
+export interface IFormatOptions {
+  /**
+   * Number of digits to show after the decimal point. By default numbers
+   * are printed in full.
+   */
+  precision?: number;
+
+  /**
+   * How to align numbers within each column. `'decimal'` lines up the
+   * decimal points. Defaults to `'right'`.
+   */
+  align?: 'left' | 'right' | 'decimal';
+
+  /**
+   * Largest number of rows to print before the middle ones are replaced
+   * with an ellipsis. Defaults to 20.
+   */
+  maxRows?: number;
+
+  /**
+   * Largest number of columns to print before the middle ones are replaced
+   * with an ellipsis. Defaults to 20.
+   */
+  maxCols?: number;
+}
+
+/**
+ * Options for `Matrix.toLatex()` and `Vector.toLatex()`.
+ */
+export interface ILatexOptions {
+  /**
+   * Matrix environment to use: `'bmatrix'` for square brackets or
+   * `'pmatrix'` for parentheses. Defaults to `'bmatrix'`.
+   */
+  environment?: 'bmatrix' | 'pmatrix';
+
+  /**
+   * Number of digits to show after the decimal point. By default numbers
+   * are printed in full.
+   */
+  precision?: number;
+
+  /**
+   * Largest number of rows to print before the middle ones are replaced
+   * with `\vdots`. Defaults to no limit.
+   */
+  maxRows?: number;
+
+  /**
+   * Largest number of columns to print before the middle ones are replaced
+   * with `\cdots`. Defaults to no limit.
+   */
+  maxCols?: number;
+}
+
+/**
+ * Picks the indices to show out of `count`, keeping the first and last
+ * ones, with `null` marking where the rest were elided.
+ * @private
+ */
+const truncate = (count: number, max: number) => {
+  const indices: (number | null)[] = [];
+  if (count <= max) {
+    for (let i = 0; i < count; i++) {
+      indices.push(i);
+    }
+    return indices;
+  }
+
+  const head = Math.ceil(max / 2);
+  for (let i = 0; i < head; i++) {
+    indices.push(i);
+  }
+  indices.push(null);
+  for (let i = count - (max - head); i < count; i++) {
+    indices.push(i);
+  }
+
+  return indices;
+};
+
+/**
+ * Formats a single number, with a fixed number of decimal places if a
+ * precision is given.
+ * @private
+ */
+const formatNumber = (value: number, precision?: number) =>
+  precision === undefined || !isFinite(value) ? String(value) : value.toFixed(precision);
+
+/**
+ * Pads text with spaces on the left (or right) to the given width.
+ * @private
+ */
+const pad = (text: string, width: number, right = false) => {
+  const padding = ' '.repeat(Math.max(0, width - text.length));
+  return right ? text + padding : padding + text;
+};
+
+/**
+ * Pads the cells of a column to the same width.
+ * @private
+ */
+const alignColumn = (cells: string[], align: 'left' | 'right' | 'decimal') => {
+  if (align === 'decimal') {
+    const split = cells.map(cell => {
+      const point = cell === '...' ? cell.length : cell.search(/[.e]|$/);
+      return [cell.slice(0, point), cell.slice(point)];
+    });
+    const whole = Math.max(...split.map(([w]) => w.length));
+    const fraction = Math.max(...split.map(([, f]) => f.length));
+    return split.map(([w, f]) => pad(w, whole) + pad(f, fraction, true));
+  }
+
+  const width = Math.max(...cells.map(cell => cell.length));
+  return cells.map(cell => pad(cell, width, align === 'left'));
+};
+
+/**
+ * Pretty-prints rows of numbers as an aligned grid, with `...` in place of
+ * elided rows and columns.
+ * @private
+ */
+export const formatRows = (
+  rows: ReadonlyArray<ReadonlyArray<number>>,
+  { precision, align = 'right', maxRows = 20, maxCols = 20 }: IFormatOptions = {},
+) => {
+  const rowIndices = truncate(rows.length, maxRows);
+  const colIndices = truncate(rows.length && rows[0].length, maxCols);
+  const columns = colIndices.map(j =>
+    alignColumn(
+      rowIndices.map(i => (i === null || j === null ? '...' : formatNumber(rows[i][j], precision))),
+      align,
+    ),
+  );
+
+  return rowIndices.map((_, i) => `[${columns.map(column => column[i]).join('  ')}]`).join('\n');
+};
+
+/**
+ * Writes a number for LaTeX, using scientific notation where JavaScript
+ * would.
+ * @private
+ */
+const latexNumber = (value: number, precision?: number) => {
+  if (isNaN(value)) {
+    return '\\text{NaN}';
+  } else if (!isFinite(value)) {
+    return value > 0 ? '\\infty' : '-\\infty';
+  }
+
+  const [mantissa, exponent] = formatNumber(value, precision).split('e');
+  return exponent ? `${mantissa} \\times 10^{${Number(exponent)}}` : mantissa;
+};
+
+/**
+ * Writes rows of numbers as a LaTeX matrix, with dots in place of elided
+ * rows and columns.
+ * @private
+ */
+export const latexRows = (
+  rows: ReadonlyArray<ReadonlyArray<number>>,
+  {
+    environment = 'bmatrix',
+    precision,
+    maxRows = Infinity,
+    maxCols = Infinity,
+  }: ILatexOptions = {},
+) => {
+  const colIndices = truncate(rows.length && rows[0].length, maxCols);
+  const body = truncate(rows.length, maxRows)
+    .map(i =>
+      colIndices
+        .map(j =>
+          i === null
+            ? j === null
+              ? '\\ddots'
+              : '\\vdots'
+            : j === null
+            ? '\\cdots'
+            : latexNumber(rows[i][j], precision),
+        )
+        .join(' & '),
+    )
+    .join(' \\\\\n');
+
+  return `\\begin{${environment}}\n${body}\n\\end{${environment}}`;
+};
@@ -0,0 +1,255 @@
+import { Sylvester } from './sylvester';
+import { FloatArray } from './likeness';
+
+/**
+ * Number of multiplications below which a plain triple loop is faster than
+ * the blocked kernel, about a 40x40 product.
+ * @private
+ */
+const SMALL_PRODUCT = 64000;
+
+/**
+ * Multiplies the m by k matrix A with the k by n matrix B, both stored
+ * row-major. B is transposed first so each element of C is a dot product
+ * of two contiguous rows. The loops work on blocks of `blockSize`
+ * so the rows stay in cache while they're reused, and compute a 2x2 tile of
+ * C at a time so every number loaded is used twice.
+ * @private
+ */
+export const blockedMultiply = (
+  A: FloatArray,
+  B: FloatArray,
+  m: number,
+  k: number,
+  n: number,
+  blockSize: number,
+) => {
+  const Bt = new Float64Array(k * n);
+  for (let p = 0; p < k; p++) {
+    for (let j = 0; j < n; j++) {
+      Bt[j * k + p] = B[p * n + j];
+    }
+  }
+
+  const C = new Float64Array(m * n);
+  for (let pp = 0; pp < k; pp += blockSize) {
+    const pEnd = Math.min(pp + blockSize, k);
+    for (let ii = 0; ii < m; ii += blockSize) {
+      const iEnd = Math.min(ii + blockSize, m);
+      for (let jj = 0; jj < n; jj += blockSize) {
+        const jEnd = Math.min(jj + blockSize, n);
+        for (let i = ii; i < iEnd; i += 2) {
+          const a0 = i * k;
+          // On an odd last row, repeat it rather than reading past the end.
+          const a1 = i + 1 < iEnd ? a0 + k : a0;
+          for (let j = jj; j < jEnd; j += 2) {
+            const b0 = j * k;
+            const b1 = j + 1 < jEnd ? b0 + k : b0;
+            let s00 = 0;
+            let s01 = 0;
+            let s10 = 0;
+            let s11 = 0;
+            for (let p = pp; p < pEnd; p++) {
+              const x0 = A[a0 + p];
+              const x1 = A[a1 + p];
+              const y0 = Bt[b0 + p];
+              const y1 = Bt[b1 + p];
+              s00 += x0 * y0;
+              s01 += x0 * y1;
+              s10 += x1 * y0;
+              s11 += x1 * y1;
+            }
+
+            C[i * n + j] += s00;
+            if (j + 1 < jEnd) {
+              C[i * n + j + 1] += s01;
+            }
+            if (i + 1 < iEnd) {
+              C[(i + 1) * n + j] += s10;
+              if (j + 1 < jEnd) {
+                C[(i + 1) * n + j + 1] += s11;
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+
+  return C;
+};
+
+/**
+ * Copies an h by w block starting at (r, c) out of a row-major matrix,
+ * padding with zeros where it runs past the edge.
+ * @private
+ */
+const quadrant = (
+  X: FloatArray,
+  rows: number,
+  cols: number,
+  r: number,
+  c: number,
+  h: number,
+  w: number,
+) => {
+  const out = new Float64Array(h * w);
+  const height = Math.min(h, rows - r);
+  const width = Math.min(w, cols - c);
+  for (let i = 0; i < height; i++) {
+    const start = (r + i) * cols + c;
+    out.set(X.subarray(start, start + width), i * w);
+  }
+  return out;
+};
+
+/**
+ * Copies a block into a row-major matrix at (r, c), cropping whatever runs
+ * past the edge.
+ * @private
+ */
+const place = (
+  X: Float64Array,
+  rows: number,
+  cols: number,
+  r: number,
+  c: number,
+  block: Float64Array,
+  w: number,
+) => {
+  const height = Math.min(block.length / w, rows - r);
+  const width = Math.min(w, cols - c);
+  for (let i = 0; i < height; i++) {
+    X.set(block.subarray(i * w, i * w + width), (r + i) * cols + c);
+  }
+};
+
+/**
+ * @private
+ */
+const add = (X: Float64Array, Y: Float64Array) => {
+  const out = new Float64Array(X.length);
+  for (let i = 0; i < X.length; i++) {
+    out[i] = X[i] + Y[i];
+  }
+  return out;
+};
+
+/**
+ * @private
+ */
+const subtract = (X: Float64Array, Y: Float64Array) => {
+  const out = new Float64Array(X.length);
+  for (let i = 0; i < X.length; i++) {
+    out[i] = X[i] - Y[i];
+  }
+  return out;
+};
+
+/**
+ * Splits a product into the seven half-size products of the Winograd
+ * variant of Strassen's algorithm, which needs 7 instead of 8. Odd sizes
+ * are padded with zeros. Returns the h by d and d by w operands of each
+ * product, and a function that combines their results into the m by n
+ * product.
+ * @see https://doi.org/10.1016/0024-3795(71)90009-7
+ * @private
+ */
+export const strassenSplit = (A: FloatArray, B: FloatArray, m: number, k: number, n: number) => {
+  const h = Math.ceil(m / 2);
+  const d = Math.ceil(k / 2);
+  const w = Math.ceil(n / 2);
+  const A11 = quadrant(A, m, k, 0, 0, h, d);
+  const A12 = quadrant(A, m, k, 0, d, h, d);
+  const A21 = quadrant(A, m, k, h, 0, h, d);
+  const A22 = quadrant(A, m, k, h, d, h, d);
+  const B11 = quadrant(B, k, n, 0, 0, d, w);
+  const B12 = quadrant(B, k, n, 0, w, d, w);
+  const B21 = quadrant(B, k, n, d, 0, d, w);
+  const B22 = quadrant(B, k, n, d, w, d, w);
+
+  const S1 = add(A21, A22);
+  const S2 = subtract(S1, A11);
+  const T1 = subtract(B12, B11);
+  const T2 = subtract(B22, T1);
+
+  const products: [Float64Array, Float64Array][] = [
+    [A11, B11],
+    [A12, B21],
+    [subtract(A12, S2), B22],
+    [A22, subtract(T2, B21)],
+    [S1, T1],
+    [S2, T2],
+    [subtract(A11, A21), subtract(B22, B12)],
+  ];
+
+  const combine = ([P1, P2, P3, P4, P5, P6, P7]: Float64Array[]) => {
+    const U2 = add(P1, P6);
+    const U3 = add(U2, P7);
+    const U4 = add(U2, P5);
+
+    const C = new Float64Array(m * n);
+    place(C, m, n, 0, 0, add(P1, P2), w);
+    place(C, m, n, 0, w, add(U4, P3), w);
+    place(C, m, n, h, 0, subtract(U3, P4), w);
+    place(C, m, n, h, w, add(U3, P5), w);
+    return C;
+  };
+
+  return { h, d, w, products, combine };
+};
+
+/**
+ * Multiplies with Strassen's algorithm, recursing until a dimension drops
+ * below the threshold.
+ * @private
+ */
+export const strassen = (
+  A: FloatArray,
+  B: FloatArray,
+  m: number,
+  k: number,
+  n: number,
+  threshold: number,
+  blockSize: number,
+): Float64Array => {
+  if (m < threshold || k < threshold || n < threshold) {
+    return blockedMultiply(A, B, m, k, n, blockSize);
+  }
+
+  const { h, d, w, products, combine } = strassenSplit(A, B, m, k, n);
+  return combine(products.map(([X, Y]) => strassen(X, Y, h, d, w, threshold, blockSize)));
+};
+
+/**
+ * Multiplies the m by k matrix A with the k by n matrix B, both stored
+ * row-major, returning their row-major product. Products where every
+ * dimension is at least `Sylvester.strassenThreshold` use Strassen–Winograd
+ * recursion, which is faster for large matrices but rounds slightly
+ * differently, and turns infinities into NaN more readily.
+ * @private
+ */
+export const multiplyData = (
+  A: FloatArray,
+  B: FloatArray,
+  m: number,
+  k: number,
+  n: number,
+): Float64Array => {
+  if (m * k * n < SMALL_PRODUCT) {
+    const C = new Float64Array(m * n);
+    for (let i = 0; i < m; i++) {
+      for (let j = 0; j < n; j++) {
+        let sum = 0;
+        for (let p = 0; p < k; p++) {
+          sum += A[i * k + p] * B[p * n + j];
+        }
+        C[i * n + j] = sum;
+      }
+    }
+    return C;
+  }
+
+  const { blockSize, strassenThreshold } = Sylvester;
+  return strassen(A, B, m, k, n, Math.max(strassenThreshold, 2), blockSize);
+};
@@ -1,5 +1,18 @@
+import './lapack';
+import './wasm';
+
+export { IBackend, registerBackend, hasBackend, getBackend } from './backend';
+export { Complex, ComplexVector, ComplexMatrix } from './complex';
+export { parseCSV, toCSV, parseMatrixMarket, toMatrixMarket, parseNpy, toNpy } from './io';
 export { Line, Segment } from './line';
-export { Matrix } from './matrix';
+export { Matrix, EulerOrder } from './matrix';
+export { ModularMatrix } from './modular';
+export { terminateWorkers } from './parallel';
+export { PCA } from './pca';
 export { Plane } from './plane';
+export { Quaternion, Rotation } from './quaternion';
+export { Rational, RationalMatrix } from './rational';
+export { SparseMatrix } from './sparse';
 export * from './sylvester';
+export { Transform } from './transform';
 export { Vector } from './vector';
@@ -0,0 +1,387 @@
+import { DimensionalityMismatchError, ParseError } from './sylvester';
+import { Matrix } from './matrix';
+import { SparseMatrix } from './sparse';
+import { MatrixLike, isSparseMatrixLike } from './likeness';
+
+/**
+ * Options for {@link parseCSV}.
+ */
+export interface ICSVParseOptions {
+  /**
+   * Character separating values in a row. Defaults to a comma; use `'\t'`
+   * for TSV.
+   */
+  delimiter?: string;
+
+  /**
+   * Whether the first row holds column names rather than values. Defaults
+   * to false.
+   */
+  header?: boolean;
+}
+
+/**
+ * Options for {@link toCSV}.
+ */
+export interface ICSVWriteOptions {
+  /**
+   * Character separating values in a row. Defaults to a comma; use `'\t'`
+   * for TSV.
+   */
+  delimiter?: string;
+
+  /**
+   * Column names to write as the first row.
+   */
+  header?: ReadonlyArray<string>;
+}
+
+/**
+ * Options for {@link toMatrixMarket}.
+ */
+export interface IMatrixMarketWriteOptions {
+  /**
+   * Whether to write every element in column-major order (`'array'`), or
+   * only the non-zero ones with their indices (`'coordinate'`). Defaults to
+   * `'coordinate'` for sparse matrices and `'array'` otherwise.
+   */
+  format?: 'array' | 'coordinate';
+
+  /**
+   * Comment lines to write after the header.
+   */
+  comments?: ReadonlyArray<string>;
+}
+
+/**
+ * Parses a number in a text file, throwing a {@link ParseError} that says
+ * where it was if it isn't one.
+ * @private
+ */
+const parseNumber = (text: string, where: string) => {
+  const value = Number(text);
+  if (text.trim() === '' || (isNaN(value) && text.trim() !== 'NaN')) {
+    throw new ParseError(`Expected a number ${where}, got "${text}"`);
+  }
+
+  return value;
+};
+
+/**
+ * Splits text into lines, dropping trailing blank lines.
+ * @private
+ */
+const toLines = (text: string) => {
+  const lines = text.split(/\r?\n/);
+  while (lines.length && lines[lines.length - 1].trim() === '') {
+    lines.pop();
+  }
+
+  return lines;
+};
+
+/**
+ * Splits a delimited line into cells, handling double-quoted cells which may
+ * contain the delimiter or escaped (doubled) quotes.
+ * @private
+ */
+const splitCells = (line: string, delimiter: string) => {
+  const cells: string[] = [];
+  let cell = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell.trim() === '') {
+      cell = '';
+      quoted = true;
+    } else if (line.startsWith(delimiter, i)) {
+      cells.push(cell);
+      cell = '';
+      i += delimiter.length - 1;
+    } else {
+      cell += char;
+    }
+  }
+
+  cells.push(cell);
+  return cells;
+};
+
+/**
+ * Parses comma- (or otherwise) delimited text into a matrix, with one row
+ * of the matrix for each line.
+ * @throws A {@link ParseError} if a cell is not a number
+ * @throws A {@link DimensionalityMismatchError} if the rows have different
+ * numbers of cells
+ */
+export function parseCSV(text: string, { delimiter = ',', header = false }: ICSVParseOptions = {}) {
+  const lines = toLines(text);
+  const names = header && lines.length ? splitCells(lines.shift()!, delimiter) : null;
+  const cols = names ? names.length : lines.length && splitCells(lines[0], delimiter).length;
+
+  const elements = lines.map((line, i) => {
+    const row = names ? i + 2 : i + 1;
+    const cells = splitCells(line, delimiter);
+    if (cells.length !== cols) {
+      throw new DimensionalityMismatchError(
+        `Expected ${cols} cells on line ${row}, got ${cells.length}`,
+      );
+    }
+
+    return cells.map((cell, j) => parseNumber(cell, `on line ${row}, column ${j + 1}`));
+  });
+
+  return { header: names && names.map(name => name.trim()), matrix: new Matrix(elements) };
+}
+
+/**
+ * Writes the matrix as comma- (or otherwise) delimited text, with one line
+ * for each row.
+ * @throws A {@link DimensionalityMismatchError} if the header does not have
+ * one name for each column
+ */
+export function toCSV(matrix: MatrixLike, { delimiter = ',', header }: ICSVWriteOptions = {}) {
+  const M = new Matrix(matrix);
+  const lines = M.elements.map(row => row.join(delimiter));
+  if (header) {
+    if (header.length !== M.cols) {
+      throw new DimensionalityMismatchError(
+        `Expected ${M.cols} column names, got ${header.length}`,
+      );
+    }
+
+    const quote = (name: string) =>
+      name.includes(delimiter) || /["\r\n]/.test(name) ? `"${name.replace(/"/g, '""')}"` : name;
+    lines.unshift(header.map(quote).join(delimiter));
+  }
+
+  return lines.map(line => `${line}\n`).join('');
+}
+
+/**
+ * Parses a matrix in the MatrixMarket exchange format. Files in coordinate
+ * form are returned as a {@link SparseMatrix}, and files in array form as a
+ * {@link Matrix}. Real, integer and pattern fields are supported, with
+ * general, symmetric and skew-symmetric storage.
+ * @throws A {@link ParseError} if the text is not a supported MatrixMarket
+ * matrix
+ * @see https://math.nist.gov/MatrixMarket/formats.html
+ */
+export function parseMatrixMarket(text: string): Matrix | SparseMatrix {
+  const lines = toLines(text);
+  const banner = (lines.shift() ?? '').trim().split(/\s+/);
+  if (banner[0] !== '%%MatrixMarket' || banner[1]?.toLowerCase() !== 'matrix') {
+    throw new ParseError('Expected a "%%MatrixMarket matrix" header');
+  }
+
+  const [format, field, symmetry] = banner.slice(2).map(word => word.toLowerCase());
+  if (format !== 'coordinate' && format !== 'array') {
+    throw new ParseError(`Unknown MatrixMarket format "${format}"`);
+  }
+  if (!['real', 'double', 'integer', 'pattern'].includes(field)) {
+    throw new ParseError(`Unsupported MatrixMarket field "${field}"`);
+  }
+  if (!['general', 'symmetric', 'skew-symmetric'].includes(symmetry)) {
+    throw new ParseError(`Unsupported MatrixMarket symmetry "${symmetry}"`);
+  }
+  if (field === 'pattern' && format === 'array') {
+    throw new ParseError('Pattern matrices must be in coordinate format');
+  }
+
+  const data = lines
+    .map((line, i) => ({ words: line.trim().split(/\s+/), line: i + 2 }))
+    .filter(({ words }) => words[0] !== '' && !words[0].startsWith('%'));
+  if (!data.length) {
+    throw new ParseError('Expected a MatrixMarket size line');
+  }
+
+  const numbers = (words: string[], line: number) =>
+    words.map((word, i) => parseNumber(word, `on line ${line}, field ${i + 1}`));
+  const [sizeLine, ...entries] = data;
+  const [rows, cols, nnz] = numbers(sizeLine.words, sizeLine.line);
+  const mirror = symmetry === 'symmetric' ? 1 : symmetry === 'skew-symmetric' ? -1 : 0;
+
+  if (format === 'array') {
+    const values = ([] as number[]).concat(...entries.map(e => numbers(e.words, e.line)));
+    const elements = Matrix.Zero(rows, cols).toArray();
+    let k = 0;
+    for (let j = 0; j < cols; j++) {
+      // Symmetric arrays only store the lower triangle, and skew-symmetric
+      // ones the part below the diagonal.
+      for (let i = mirror ? j + (mirror < 0 ? 1 : 0) : 0; i < rows; i++) {
+        if (k >= values.length) {
+          throw new ParseError(`Expected more values for a ${rows}x${cols} ${symmetry} matrix`);
+        }
+        elements[i][j] = values[k++];
+        if (mirror && i !== j) {
+          elements[j][i] = mirror * values[k - 1];
+        }
+      }
+    }
+
+    if (k !== values.length) {
+      throw new ParseError(`Expected ${k} values, got ${values.length}`);
+    }
+
+    return new Matrix(elements);
+  }
+
+  if (entries.length !== nnz) {
+    throw new ParseError(`Expected ${nnz} entries, got ${entries.length}`);
+  }
+
+  const rowIndices: number[] = [];
+  const columnIndices: number[] = [];
+  const values: number[] = [];
+  for (const { words, line } of entries) {
+    const [i, j, value = 1] = numbers(words, line);
+    if (!(i >= 1 && i <= rows && j >= 1 && j <= cols)) {
+      throw new ParseError(
+        `Entry (${i}, ${j}) on line ${line} is outside the ${rows}x${cols} matrix`,
+      );
+    }
+
+    rowIndices.push(i - 1);
+    columnIndices.push(j - 1);
+    values.push(value);
+    if (mirror && i !== j) {
+      rowIndices.push(j - 1);
+      columnIndices.push(i - 1);
+      values.push(mirror * value);
+    }
+  }
+
+  return SparseMatrix.fromCOO(rows, cols, rowIndices, columnIndices, values);
+}
+
+/**
+ * Writes the matrix in the MatrixMarket exchange format, as a real general
+ * matrix.
+ * @see https://math.nist.gov/MatrixMarket/formats.html
+ */
+export function toMatrixMarket(matrix: MatrixLike, options: IMatrixMarketWriteOptions = {}) {
+  const { format = isSparseMatrixLike(matrix) ? 'coordinate' : 'array', comments = [] } = options;
+  const lines = [`%%MatrixMarket matrix ${format} real general`];
+  lines.push(...comments.map(comment => `%${comment}`));
+
+  if (format === 'array') {
+    const M = new Matrix(matrix);
+    lines.push(`${M.rows} ${M.cols}`);
+    for (let j = 0; j < M.cols; j++) {
+      for (let i = 0; i < M.rows; i++) {
+        lines.push(String(M.elements[i][j]));
+      }
+    }
+  } else {
+    const S = isSparseMatrixLike(matrix) ? matrix : SparseMatrix.fromMatrix(matrix);
+    const { rowIndices, columnIndices, values } = S.toCOO();
+    lines.push(`${S.rows} ${S.cols} ${values.length}`);
+    values.forEach((value, k) =>
+      lines.push(`${rowIndices[k] + 1} ${columnIndices[k] + 1} ${value}`),
+    );
+  }
+
+  return lines.map(line => `${line}\n`).join('');
+}
+
+/**
+ * Magic string at the start of every .npy file.
+ * @private
+ */
+const NPY_MAGIC = '\x93NUMPY';
+
+/**
+ * Parses a NumPy .npy file holding a one- or two-dimensional array of
+ * float64 values, as written by `numpy.save`. One-dimensional arrays are
+ * returned as a column. Works on Node.js `Buffer`s, which are `Uint8Array`s.
+ * @throws A {@link ParseError} if the data is not a supported .npy file
+ * @see https://numpy.org/doc/stable/reference/generated/numpy.lib.format.html
+ */
+export function parseNpy(data: ArrayBuffer | Uint8Array) {
+  const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const ascii = (start: number, end: number) =>
+    String.fromCharCode(...Array.from(bytes.subarray(start, end)));
+
+  if (bytes.length < 10 || ascii(0, 6) !== NPY_MAGIC) {
+    throw new ParseError('Expected data to start with the .npy magic string');
+  }
+
+  // Version 1 files have a 2-byte header length, and later versions 4 bytes.
+  const major = bytes[6];
+  const headerStart = major === 1 ? 10 : 12;
+  const headerLength = major === 1 ? view.getUint16(8, true) : view.getUint32(8, true);
+  const header = ascii(headerStart, headerStart + headerLength);
+
+  const descr = /'descr':\s*'([<>|=]?)f8'/.exec(header);
+  if (!descr) {
+    throw new ParseError(`Only float64 .npy arrays are supported, got header ${header.trim()}`);
+  }
+
+  const fortranOrder = /'fortran_order':\s*True/.test(header);
+  const shapeMatch = /'shape':\s*\(([^)]*)\)/.exec(header);
+  const shape = shapeMatch
+    ? shapeMatch[1]
+        .split(',')
+        .filter(s => s.trim())
+        .map(Number)
+    : [];
+  if (shape.length < 1 || shape.length > 2) {
+    throw new ParseError(
+      `Only one- and two-dimensional .npy arrays are supported, got ${header.trim()}`,
+    );
+  }
+
+  const [rows, cols = 1] = shape;
+  const offset = headerStart + headerLength;
+  if (bytes.length < offset + rows * cols * 8) {
+    throw new ParseError(`Expected ${rows * cols} values, but the data is truncated`);
+  }
+
+  const littleEndian = descr[1] !== '>';
+  const elements: number[][] = [];
+  for (let i = 0; i < rows; i++) {
+    const row: number[] = [];
+    for (let j = 0; j < cols; j++) {
+      const index = fortranOrder ? j * rows + i : i * cols + j;
+      row.push(view.getFloat64(offset + index * 8, littleEndian));
+    }
+    elements.push(row);
+  }
+
+  return new Matrix(elements);
+}
+
+/**
+ * Writes the matrix as a two-dimensional, little-endian float64 NumPy .npy
+ * file, which can be read with `numpy.load`.
+ * @see https://numpy.org/doc/stable/reference/generated/numpy.lib.format.html
+ */
+export function toNpy(matrix: MatrixLike) {
+  const M = new Matrix(matrix);
+  let header = `{'descr': '<f8', 'fortran_order': False, 'shape': (${M.rows}, ${M.cols}), }`;
+  // Pad so that the data starts on a 64-byte boundary, ending in a newline.
+  header += ' '.repeat(63 - ((10 + header.length) % 64)) + '\n';
+
+  const offset = 10 + header.length;
+  const bytes = new Uint8Array(offset + M.rows * M.cols * 8);
+  const view = new DataView(bytes.buffer);
+  (NPY_MAGIC + '\x01\x00').split('').forEach((char, i) => (bytes[i] = char.charCodeAt(0)));
+  view.setUint16(8, header.length, true);
+  header.split('').forEach((char, i) => (bytes[10 + i] = char.charCodeAt(0)));
+
+  M.elements.forEach((row, i) =>
+    row.forEach((value, j) => view.setFloat64(offset + (i * M.cols + j) * 8, value, true)),
+  );
+
+  return bytes;
+}
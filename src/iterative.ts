@@ -0,0 +1,492 @@
+import { DimensionalityMismatchError, InvalidOperationError } from './sylvester';
+import { Vector } from './vector';
+import { VectorOrList } from './likeness';
+
+/**
+ * A square matrix in compressed sparse row form. Both {@link SparseMatrix}
+ * and dense matrices (via {@link compressRows}) are solved through this.
+ * @private
+ */
+export interface ICompressedRows {
+  readonly rows: number;
+  readonly cols: number;
+  readonly rowPointers: ReadonlyArray<number>;
+  readonly columnIndices: ReadonlyArray<number>;
+  readonly values: ReadonlyArray<number>;
+}
+
+/**
+ * Preconditioner applied by the iterative solvers:
+ *  - `none`: no preconditioning
+ *  - `jacobi`: scales by the inverse of the diagonal
+ *  - `ilu0`: incomplete LU factorization with the sparsity pattern of the
+ *    matrix. For dense matrices this is an LU factorization without pivoting.
+ */
+export type Preconditioner = 'none' | 'jacobi' | 'ilu0';
+
+/**
+ * Options for {@link Matrix.cg}, {@link Matrix.gmres} and
+ * {@link Matrix.bicgstab}, and their {@link SparseMatrix} counterparts.
+ */
+export interface IIterativeOptions {
+  /**
+   * Relative residual `‖b - Ax‖ / ‖b‖` at which the solver stops. Defaults to 1e-8.
+   */
+  tolerance?: number;
+
+  /**
+   * Maximum number of iterations. Defaults to ten times the size of the system.
+   */
+  maxIterations?: number;
+
+  /**
+   * Preconditioner to use. Defaults to `none`.
+   */
+  preconditioner?: Preconditioner;
+
+  /**
+   * Initial guess for the solution. Defaults to the zero vector.
+   */
+  x0?: VectorOrList;
+
+  /**
+   * Number of iterations after which GMRES restarts. Defaults to 30.
+   */
+  restart?: number;
+}
+
+/**
+ * Result of an iterative solver. The solvers do not throw when they fail to
+ * converge; check `converged` before using `x`.
+ */
+export interface IIterativeResult {
+  /**
+   * The last approximation of the solution.
+   */
+  x: Vector;
+
+  /**
+   * Number of iterations performed.
+   */
+  iterations: number;
+
+  /**
+   * Relative residual norm of the initial guess, followed by that of each
+   * iteration.
+   */
+  residuals: number[];
+
+  /**
+   * Whether the relative residual reached the tolerance.
+   */
+  converged: boolean;
+}
+
+const DEFAULT_TOLERANCE = 1e-8;
+const DEFAULT_RESTART = 30;
+
+/**
+ * Converts dense elements to compressed rows, skipping zeros.
+ * @private
+ */
+export const compressRows = (elements: ReadonlyArray<ReadonlyArray<number>>): ICompressedRows => {
+  const rowPointers = [0];
+  const columnIndices: number[] = [];
+  const values: number[] = [];
+  for (const row of elements) {
+    for (let j = 0; j < row.length; j++) {
+      if (row[j] !== 0) {
+        columnIndices.push(j);
+        values.push(row[j]);
+      }
+    }
+    rowPointers.push(values.length);
+  }
+
+  return {
+    rows: elements.length,
+    cols: elements.length ? elements[0].length : 0,
+    rowPointers,
+    columnIndices,
+    values,
+  };
+};
+
+/**
+ * Returns `Ax`.
+ * @private
+ */
+const multiply = (A: ICompressedRows, x: ReadonlyArray<number>) => {
+  const out = new Array<number>(A.rows);
+  for (let i = 0; i < A.rows; i++) {
+    let sum = 0;
+    for (let k = A.rowPointers[i]; k < A.rowPointers[i + 1]; k++) {
+      sum += A.values[k] * x[A.columnIndices[k]];
+    }
+    out[i] = sum;
+  }
+
+  return out;
+};
+
+/**
+ * @private
+ */
+const dot = (a: ReadonlyArray<number>, b: ReadonlyArray<number>) => {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) {
+    sum += a[i] * b[i];
+  }
+
+  return sum;
+};
+
+/**
+ * @private
+ */
+const norm = (a: ReadonlyArray<number>) => Math.sqrt(dot(a, a));
+
+/**
+ * Returns the index of each diagonal element in the values, or -1 if the
+ * diagonal element is not stored.
+ * @private
+ */
+const diagonalIndices = (A: ICompressedRows) => {
+  const indices = new Array<number>(A.rows).fill(-1);
+  for (let i = 0; i < A.rows; i++) {
+    for (let k = A.rowPointers[i]; k < A.rowPointers[i + 1]; k++) {
+      if (A.columnIndices[k] === i) {
+        indices[i] = k;
+      }
+    }
+  }
+
+  return indices;
+};
+
+/**
+ * Builds a function which applies the inverse of the preconditioner to a vector.
+ * @throws A {@link InvalidOperationError} if the preconditioner cannot be
+ * built because of a zero on the diagonal
+ * @private
+ */
+const precondition = (
+  A: ICompressedRows,
+  type: Preconditioner,
+): ((r: ReadonlyArray<number>) => number[]) => {
+  const n = A.rows;
+  const diagonal = diagonalIndices(A);
+  switch (type) {
+    case 'none':
+      return r => r.slice();
+    case 'jacobi':
+      const inverse = diagonal.map((k, i) => {
+        if (k === -1 || A.values[k] === 0) {
+          throw new InvalidOperationError(
+            `Cannot use a Jacobi preconditioner, the diagonal element at (${i + 1}, ${i +
+              1}) is zero`,
+          );
+        }
+        return 1 / A.values[k];
+      });
+      return r => r.map((v, i) => v * inverse[i]);
+    case 'ilu0':
+      // IKJ variant, updating only the entries already in the pattern.
+      const lu = A.values.slice();
+      const position = new Array<number>(n).fill(-1);
+      for (let i = 0; i < n; i++) {
+        const start = A.rowPointers[i];
+        const end = A.rowPointers[i + 1];
+        for (let k = start; k < end; k++) {
+          position[A.columnIndices[k]] = k;
+        }
+
+        for (let k = start; k < end && A.columnIndices[k] < i; k++) {
+          const pivotRow = A.columnIndices[k];
+          lu[k] /= lu[diagonal[pivotRow]];
+          for (let q = diagonal[pivotRow] + 1; q < A.rowPointers[pivotRow + 1]; q++) {
+            const target = position[A.columnIndices[q]];
+            if (target !== -1) {
+              lu[target] -= lu[k] * lu[q];
+            }
+          }
+        }
+
+        if (diagonal[i] === -1 || lu[diagonal[i]] === 0) {
+          throw new InvalidOperationError(
+            `Cannot use an ILU(0) preconditioner, a zero pivot was found in row ${i + 1}`,
+          );
+        }
+
+        for (let k = start; k < end; k++) {
+          position[A.columnIndices[k]] = -1;
+        }
+      }
+
+      return r => {
+        // Forward substitution with the unit lower factor...
+        const y = r.slice();
+        for (let i = 0; i < n; i++) {
+          for (let k = A.rowPointers[i]; k < diagonal[i]; k++) {
+            y[i] -= lu[k] * y[A.columnIndices[k]];
+          }
+        }
+
+        // ...then back substitution with the upper one.
+        for (let i = n - 1; i >= 0; i--) {
+          for (let k = diagonal[i] + 1; k < A.rowPointers[i + 1]; k++) {
+            y[i] -= lu[k] * y[A.columnIndices[k]];
+          }
+          y[i] /= lu[diagonal[i]];
+        }
+
+        return y;
+      };
+    default:
+      throw new InvalidOperationError(`Unknown preconditioner '${type}'`);
+  }
+};
+
+/**
+ * Validates the system and unpacks the options shared by all solvers.
+ * @private
+ */
+const setup = (A: ICompressedRows, b: VectorOrList, options: IIterativeOptions) => {
+  if (A.rows !== A.cols) {
+    throw new DimensionalityMismatchError(
+      `Cannot iteratively solve a ${A.rows}x${A.cols} system, the matrix must be square`,
+    );
+  }
+
+  const rhs = Vector.toElements(b).slice();
+  const x = options.x0 ? Vector.toElements(options.x0).slice() : new Array(A.rows).fill(0);
+  if (rhs.length !== A.rows || x.length !== A.rows) {
+    throw new DimensionalityMismatchError(
+      `Expected vectors with ${A.rows} elements, got ${rhs.length} and ${x.length}`,
+    );
+  }
+
+  const r = multiply(A, x).map((v, i) => rhs[i] - v);
+  return {
+    n: A.rows,
+    b: rhs,
+    x,
+    r,
+    // Measure absolute residuals when b is zero.
+    scale: norm(rhs) || 1,
+    tolerance: options.tolerance ?? DEFAULT_TOLERANCE,
+    maxIterations: options.maxIterations ?? 10 * A.rows,
+    apply: precondition(A, options.preconditioner ?? 'none'),
+  };
+};
+
+/**
+ * Preconditioned conjugate gradient, for symmetric positive-definite systems.
+ * @private
+ */
+export const conjugateGradient = (
+  A: ICompressedRows,
+  b: VectorOrList,
+  options: IIterativeOptions = {},
+): IIterativeResult => {
+  const { x, r, scale, tolerance, maxIterations, apply } = setup(A, b, options);
+  const residuals = [norm(r) / scale];
+  let z = apply(r);
+  const p = z.slice();
+  let rz = dot(r, z);
+
+  let iterations = 0;
+  while (residuals[iterations] > tolerance && iterations < maxIterations) {
+    const Ap = multiply(A, p);
+    const curvature = dot(p, Ap);
+    if (curvature <= 0) {
+      break; // not positive-definite
+    }
+
+    const alpha = rz / curvature;
+    for (let i = 0; i < x.length; i++) {
+      x[i] += alpha * p[i];
+      r[i] -= alpha * Ap[i];
+    }
+
+    iterations++;
+    residuals.push(norm(r) / scale);
+
+    z = apply(r);
+    const rzNext = dot(r, z);
+    const beta = rzNext / rz;
+    for (let i = 0; i < p.length; i++) {
+      p[i] = z[i] + beta * p[i];
+    }
+    rz = rzNext;
+  }
+
+  return {
+    x: new Vector(x),
+    iterations,
+    residuals,
+    converged: residuals[iterations] <= tolerance,
+  };
+};
+
+/**
+ * Right-preconditioned BiCGSTAB, for general systems.
+ * @private
+ */
+export const biconjugateGradientStabilized = (
+  A: ICompressedRows,
+  b: VectorOrList,
+  options: IIterativeOptions = {},
+): IIterativeResult => {
+  const { n, x, r, scale, tolerance, maxIterations, apply } = setup(A, b, options);
+  const residuals = [norm(r) / scale];
+  const shadow = r.slice();
+  const p = new Array<number>(n).fill(0);
+  let v = new Array<number>(n).fill(0);
+  let rho = 1;
+  let alpha = 1;
+  let omega = 1;
+
+  let iterations = 0;
+  while (residuals[iterations] > tolerance && iterations < maxIterations) {
+    const rhoNext = dot(shadow, r);
+    if (rhoNext === 0 || omega === 0) {
+      break; // breakdown
+    }
+
+    const beta = (rhoNext / rho) * (alpha / omega);
+    for (let i = 0; i < n; i++) {
+      p[i] = r[i] + beta * (p[i] - omega * v[i]);
+    }
+
+    const pHat = apply(p);
+    v = multiply(A, pHat);
+    alpha = rhoNext / dot(shadow, v);
+    const s = r.map((ri, i) => ri - alpha * v[i]);
+
+    const sHat = apply(s);
+    const t = multiply(A, sHat);
+    const tt = dot(t, t);
+    omega = tt === 0 ? 0 : dot(t, s) / tt;
+    for (let i = 0; i < n; i++) {
+      x[i] += alpha * pHat[i] + omega * sHat[i];
+      r[i] = s[i] - omega * t[i];
+    }
+
+    rho = rhoNext;
+    iterations++;
+    residuals.push(norm(r) / scale);
+  }
+
+  return {
+    x: new Vector(x),
+    iterations,
+    residuals,
+    converged: residuals[iterations] <= tolerance,
+  };
+};
+
+/**
+ * Right-preconditioned restarted GMRES, for general systems.
+ * @private
+ */
+export const generalizedMinimalResidual = (
+  A: ICompressedRows,
+  b: VectorOrList,
+  options: IIterativeOptions = {},
+): IIterativeResult => {
+  const { n, b: rhs, x, r, scale, tolerance, maxIterations, apply } = setup(A, b, options);
+  const restart = Math.max(1, Math.min(options.restart ?? DEFAULT_RESTART, n));
+  const residuals = [norm(r) / scale];
+
+  let iterations = 0;
+  let residual = residuals[0];
+  let breakdown = false;
+  while (residual > tolerance && iterations < maxIterations && !breakdown) {
+    const current = multiply(A, x).map((v, i) => rhs[i] - v);
+    const beta = norm(current);
+    if (beta === 0) {
+      residual = 0;
+      break;
+    }
+
+    // Arnoldi process, with Givens rotations applied to H as it's built so
+    // that the residual of the least-squares problem is known at each step.
+    const V = [current.map(v => v / beta)];
+    const Z: number[][] = [];
+    const H: number[][] = [];
+    const cs: number[] = [];
+    const sn: number[] = [];
+    const g = [beta];
+
+    let k = 0;
+    while (k < restart && iterations < maxIterations) {
+      Z.push(apply(V[k]));
+      const w = multiply(A, Z[k]);
+      const h = new Array<number>(k + 2).fill(0);
+      for (let i = 0; i <= k; i++) {
+        h[i] = dot(w, V[i]);
+        for (let j = 0; j < n; j++) {
+          w[j] -= h[i] * V[i][j];
+        }
+      }
+      h[k + 1] = norm(w);
+      const subdiagonal = h[k + 1];
+
+      for (let i = 0; i < k; i++) {
+        const temp = cs[i] * h[i] + sn[i] * h[i + 1];
+        h[i + 1] = -sn[i] * h[i] + cs[i] * h[i + 1];
+        h[i] = temp;
+      }
+
+      const hypot = Math.hypot(h[k], h[k + 1]);
+      if (hypot === 0) {
+        // The matrix is singular on the Krylov subspace, so restarting would
+        // only build the same one again; keep the best iterate so far.
+        breakdown = true;
+        break;
+      }
+
+      cs.push(h[k] / hypot);
+      sn.push(h[k + 1] / hypot);
+      h[k] = hypot;
+      h[k + 1] = 0;
+      g.push(-sn[k] * g[k]);
+      g[k] *= cs[k];
+      H.push(h);
+
+      k++;
+      iterations++;
+      residual = Math.abs(g[k]) / scale;
+      residuals.push(residual);
+      if (residual <= tolerance || subdiagonal === 0) {
+        break;
+      }
+
+      V.push(w.map(v => v / subdiagonal));
+    }
+
+    // Back substitute the triangular system H y = g, where H[j] is column j.
+    const y = new Array<number>(k).fill(0);
+    for (let i = k - 1; i >= 0; i--) {
+      let sum = g[i];
+      for (let j = i + 1; j < k; j++) {
+        sum -= H[j][i] * y[j];
+      }
+      y[i] = sum / H[i][i];
+    }
+
+    for (let j = 0; j < k; j++) {
+      for (let i = 0; i < n; i++) {
+        x[i] += y[j] * Z[j][i];
+      }
+    }
+  }
+
+  return {
+    x: new Vector(x),
+    iterations,
+    residuals,
+    converged: residual <= tolerance,
+  };
+};
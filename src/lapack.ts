@@ -0,0 +1,75 @@
+import { registerBackend, IBackend } from './backend';
+import { Matrix } from './matrix';
+import { Vector } from './vector';
+
+/**
+ * The functions of the `lapack` package the adapter uses. Matrices are
+ * passed as arrays of rows. `sgesvd` returns an m by n matrix A's singular
+ * values in the first column of an n by n `S`, and always returns U as m by
+ * m and VT as n by n, even when only the leading vectors are asked for.
+ * @see https://github.com/NaturalNode/node-lapack
+ */
+export interface ILapack {
+  lu(A: number[][]): { L: number[][]; U: number[][]; P: number[][] };
+  qr(A: number[][]): { Q: number[][]; R: number[][] };
+  sgesvd(
+    jobu: string,
+    jobvt: string,
+    A: number[][],
+  ): { U: number[][]; S: number[][]; VT: number[][] };
+  sgesv(A: number[][], B: number[][]): { X: number[][] };
+}
+
+/**
+ * Creates a backend that runs decompositions and solves through the given
+ * LAPACK bindings. These use single-precision routines, so results are
+ * accurate to about seven significant digits. The bindings have no matrix
+ * product, so multiplication stays in JavaScript.
+ */
+export const createLapackBackend = (lapack: ILapack): IBackend => ({
+  lu(A) {
+    const { L, U, P } = lapack.lu(A.toArray());
+    return { L: new Matrix(L), U: new Matrix(U), P: new Matrix(P) };
+  },
+
+  qr(A) {
+    const { Q, R } = lapack.qr(A.toArray());
+    return { Q: new Matrix(Q), R: new Matrix(R) };
+  },
+
+  svd(A, economy) {
+    const job = economy ? 'S' : 'A';
+    const { U, S, VT } = lapack.sgesvd(job, job, A.toArray());
+    const k = Math.min(A.rows, A.cols);
+    const s = S.slice(0, k).map(row => row[0]);
+    return economy
+      ? {
+          U: new Matrix(U.map(row => row.slice(0, k))),
+          S: Matrix.Diagonal(s),
+          V: new Matrix(VT.slice(0, k)).transpose(),
+        }
+      : {
+          U: new Matrix(U),
+          S: Matrix.Zero(A.rows, A.cols).map((_, i, j) => (i === j ? s[i - 1] : 0)),
+          V: new Matrix(VT).transpose(),
+        };
+  },
+
+  solve(A, b) {
+    const { X } = lapack.sgesv(
+      A.toArray(),
+      b.elements.map(x => [x]),
+    );
+    return new Vector(X.map(row => row[0]));
+  },
+});
+
+try {
+  // Browser bundles get an empty module, since package.json maps it to false.
+  const lapack = require('lapack');
+  if (typeof lapack.lu === 'function') {
+    registerBackend('lapack', createLapackBackend(lapack));
+  }
+} catch {
+  // the lapack package is optional
+}
@@ -2,6 +2,7 @@ import { Vector } from './vector';
 import { Plane } from './plane';
 import { Line, Segment } from './line';
 import { Matrix } from './matrix';
+import { SparseMatrix } from './sparse';
 
 // Helpers to check whether objects are something else, to avoid cyclic dependencies.
 
@@ -46,6 +47,11 @@ export const isSegmentLike = (obj: unknown): obj is Segment =>
  */
 export type VectorOrList = Vector | ReadonlyArray<number>;
 
+/**
+ * Typed array that matrices and vectors store their elements in.
+ */
+export type FloatArray = Float64Array | Float32Array;
+
 /**
  * Gets whether the object looks like a vector.
  * @private
@@ -60,7 +66,14 @@ export const isVectorLike = (obj: unknown): obj is Vector =>
 export const isVectorOrListLike = (obj: unknown): obj is VectorOrList =>
   Array.isArray(obj) || isVectorLike(obj);
 
-export type MatrixLike = Matrix | ReadonlyArray<ReadonlyArray<number>>;
+export type MatrixLike = Matrix | SparseMatrix | ReadonlyArray<ReadonlyArray<number>>;
+
+/**
+ * Gets whether the object looks like a sparse matrix.
+ * @private
+ */
+export const isSparseMatrixLike = (obj: unknown): obj is SparseMatrix =>
+  typeof obj === 'object' && !!obj && 'rowPointers' in obj;
 
 /**
  * Gets whether the object is {@link MatrixLike}.
@@ -69,4 +82,6 @@ export type MatrixLike = Matrix | ReadonlyArray<ReadonlyArray<number>>;
 export const isMatrixLike = (obj: unknown): obj is MatrixLike =>
   typeof obj === 'object' &&
   !!obj &&
-  ((obj instanceof Array && obj[0] instanceof Array) || 'toRightTriangular' in obj);
+  ((obj instanceof Array && obj[0] instanceof Array) ||
+    'toRightTriangular' in obj ||
+    isSparseMatrixLike(obj));
@@ -1,7 +1,7 @@
 // Copyright (c) 2011, Chris Umbel, James Coglan
 import { Vector } from './vector';
-import { Matrix } from './matrix';
 import { Plane } from './plane';
+import { Rotation, toRotationElements } from './quaternion';
 import { Sylvester, DimensionalityMismatchError, InvalidOperationError } from './sylvester';
 import {
   isSegmentLike,
@@ -353,16 +353,16 @@ export class Line {
    * (call this C) and rotating the anchor about C. Also rotates the line's
    * direction about the argument's. Be careful with this - the rotation
    * axis' direction affects the outcome!
-   * @param t - degrees in radians
+   * @param t - degrees in radians, or a rotation matrix or quaternion
    * @param pivot - axis to rotate around or point (for 2D rotation)
    * @diagram Line.rotate
    */
-  rotate(theta: number, pivot: Line | VectorOrList) {
+  rotate(theta: Rotation, pivot: Line | VectorOrList) {
     // If we're working in 2D
     if (!isLineLike(pivot)) {
       pivot = new Line(pivot, Vector.k);
     }
-    const R = Matrix.Rotation(theta, pivot.direction).elements;
+    const R = toRotationElements(theta, pivot.direction);
     const C = pivot.pointClosestTo(this.anchor).elements;
     const A = this.anchor.elements;
     const D = this.direction.elements;
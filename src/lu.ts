@@ -0,0 +1,104 @@
+/**
+ * Factors columns `start` to `end` of the row-major m by n matrix in place
+ * with partial pivoting, leaving U on and above the diagonal and the
+ * multipliers of L below it. Whole rows are swapped, and `perm` is updated
+ * so that row i holds row `perm[i]` of the original matrix. Only the
+ * columns before `end` are eliminated; {@link luUpdate} applies the same
+ * eliminations to the rest. Columns with no nonzero pivot are skipped.
+ * @private
+ */
+export const luPanel = (
+  A: Float64Array,
+  m: number,
+  n: number,
+  start: number,
+  end: number,
+  perm: Int32Array,
+) => {
+  for (let k = start; k < Math.min(end, m); k++) {
+    let pivot = k;
+    for (let i = k + 1; i < m; i++) {
+      if (Math.abs(A[i * n + k]) > Math.abs(A[pivot * n + k])) {
+        pivot = i;
+      }
+    }
+
+    if (pivot !== k) {
+      for (let j = 0; j < n; j++) {
+        const t = A[k * n + j];
+        A[k * n + j] = A[pivot * n + j];
+        A[pivot * n + j] = t;
+      }
+      const t = perm[k];
+      perm[k] = perm[pivot];
+      perm[pivot] = t;
+    }
+
+    const diagonal = A[k * n + k];
+    if (diagonal === 0) {
+      continue;
+    }
+
+    for (let i = k + 1; i < m; i++) {
+      const l = (A[i * n + k] /= diagonal);
+      for (let j = k + 1; j < end; j++) {
+        A[i * n + j] -= A[k * n + j] * l;
+      }
+    }
+  }
+};
+
+/**
+ * Applies the eliminations from columns `start` to `end`, already factored
+ * by {@link luPanel}, to columns `from` to `to`. Each element is updated in
+ * the same order as if the panel had covered those columns, so splitting the
+ * columns between calls gives identical results.
+ * @private
+ */
+export const luUpdate = (
+  A: Float64Array,
+  m: number,
+  n: number,
+  start: number,
+  end: number,
+  from: number,
+  to: number,
+) => {
+  for (let k = start; k < Math.min(end, m); k++) {
+    if (A[k * n + k] === 0) {
+      continue;
+    }
+
+    for (let i = k + 1; i < m; i++) {
+      const l = A[i * n + k];
+      for (let j = from; j < to; j++) {
+        A[i * n + j] -= A[k * n + j] * l;
+      }
+    }
+  }
+};
+
+/**
+ * Splits the factors computed in place by {@link luPanel} into unit lower
+ * triangular L (m by m), upper triangular U (m by n), and the permutation
+ * matrix P, such that A = PLU.
+ * @private
+ */
+export const luSplit = (LU: Float64Array, perm: Int32Array, m: number, n: number) => {
+  const L = new Float64Array(m * m);
+  const U = new Float64Array(m * n);
+  const P = new Float64Array(m * m);
+  for (let i = 0; i < m; i++) {
+    L[i * m + i] = 1;
+    P[perm[i] * m + i] = 1;
+    for (let j = 0; j < n; j++) {
+      if (j < i) {
+        L[i * m + j] = LU[i * n + j];
+      } else {
+        U[i * n + j] = LU[i * n + j];
+      }
+    }
+  }
+
+  return { L, U, P };
+};
@@ -1,6 +1,34 @@
-import { Sylvester, OutOfRangeError, DimensionalityMismatchError } from './sylvester';
+import {
+  Sylvester,
+  OutOfRangeError,
+  DimensionalityMismatchError,
+  ConvergenceError,
+  InvalidOperationError,
+  NotSymmetricError,
+  NotPositiveDefiniteError,
+} from './sylvester';
 import { Vector } from './vector';
-import { VectorOrList, isVectorLike, MatrixLike, isMatrixLike } from './likeness';
+import {
+  VectorOrList,
+  isVectorLike,
+  MatrixLike,
+  isMatrixLike,
+  isSparseMatrixLike,
+  FloatArray,
+} from './likeness';
+import {
+  IIterativeOptions,
+  compressRows,
+  conjugateGradient,
+  generalizedMinimalResidual,
+  biconjugateGradientStabilized,
+} from './iterative';
+import { IFormatOptions, ILatexOptions, formatRows, latexRows } from './format';
+import { Quaternion } from './quaternion';
+import { multiplyData } from './gemm';
+import { getBackend } from './backend';
+import { luPanel, luSplit } from './lu';
+import { multiplyParallel, luParallel, svdParallel } from './parallel';
 
 /**
  * @private
@@ -55,6 +83,8 @@ function pca(X: Matrix) {
 const sizeStr = (matrix: MatrixLike) =>
   matrix instanceof Matrix
     ? `${matrix.rows}x${matrix.cols} matrix`
+    : isSparseMatrixLike(matrix)
+    ? `${matrix.rows}x${matrix.cols} sparse matrix`
     : `${matrix.length}x${matrix[0].length}`;
 
 /**
@@ -63,26 +93,1439 @@ const sizeStr = (matrix: MatrixLike) =>
 const extractElements = (
   matrixOrRows: MatrixLike | VectorOrList,
 ): ReadonlyArray<ReadonlyArray<number>> => {
+  if (isSparseMatrixLike(matrixOrRows)) {
+    return matrixOrRows.toMatrix().elements;
+  }
+
   const rows = (matrixOrRows as any).elements || matrixOrRows;
   if (typeof rows[0][0] === 'undefined') {
     return new Matrix(rows).elements;
   }
 
-  return rows;
+  return rows;
+};
+
+/**
+ * Allocates zeroed storage with the same precision as the given array.
+ * @private
+ */
+const allocateLike = (data: FloatArray, length: number): FloatArray =>
+  data instanceof Float32Array ? new Float32Array(length) : new Float64Array(length);
+
+/**
+ * Wraps the factors computed by {@link luPanel} in matrices.
+ * @private
+ */
+const luMatrices = (LU: Float64Array, perm: Int32Array, rows: number, cols: number) => {
+  const { L, U, P } = luSplit(LU, perm, rows, cols);
+  return {
+    L: new Matrix(L, rows, rows),
+    U: new Matrix(U, rows, cols),
+    P: new Matrix(P, rows, rows),
+  };
+};
+
+/**
+ * Converts the right-hand side of a product to a matrix, checking that it
+ * has as many rows as the left-hand side has columns.
+ * @private
+ */
+const toMultiplicand = (left: Matrix, multiplicand: MatrixLike | VectorOrList) => {
+  const M = new Matrix(multiplicand);
+  if (left.cols !== M.rows) {
+    throw new DimensionalityMismatchError(
+      `Cannot multiply a ${sizeStr(left)} by a ${sizeStr(M)}, expected an ${left.cols}xN matrix`,
+    );
+  }
+
+  return M;
+};
+
+/**
+ * Converts the right-hand side of a linear system to a vector, checking that
+ * it is one, with the required number of rows.
+ * @private
+ */
+const toRhs = (b: VectorOrList, rows: number) => {
+  if (!isVectorLike(b) && !(Array.isArray(b) && b.every(x => typeof x === 'number'))) {
+    throw new DimensionalityMismatchError(
+      'Can only solve for a single right-hand side vector, solve for each column of a matrix separately',
+    );
+  }
+
+  const rhs = new Vector(b);
+  if (rhs.elements.length !== rows) {
+    throw new DimensionalityMismatchError(
+      `Cannot solve a system of ${rows} equations with a ${rhs.elements.length}-element vector`,
+    );
+  }
+
+  return rhs;
+};
+
+/**
+ * Default cutoff below which singular values are treated as zero when
+ * computing ranks and pseudoinverses, as used by LAPACK and NumPy.
+ * @private
+ */
+const defaultTolerance = (matrix: Matrix, singularValues: Vector) =>
+  Math.max(matrix.rows, matrix.cols) * EPSILON * (singularValues.e(1) ?? 0);
+
+/**
+ * Machine epsilon for doubles, used as the convergence threshold in the
+ * iterative decompositions.
+ * @private
+ */
+const EPSILON = Math.pow(2, -52);
+
+/**
+ * Maximum number of QR/QL sweeps spent on a single eigenvalue or singular
+ * value before giving up.
+ * @private
+ */
+const MAX_ITERATIONS = 100;
+
+/**
+ * Reduces the symmetric matrix in `V` to tridiagonal form by Householder
+ * similarity transforms. On return `d` and `e` hold the diagonal and
+ * sub-diagonal, and `V` holds the accumulated orthogonal transformation.
+ * Derived from the EISPACK routine tred2, by way of JAMA.
+ * @private
+ */
+function tridiagonalize(V: number[][], d: number[], e: number[]) {
+  const n = V.length;
+  for (let j = 0; j < n; j++) {
+    d[j] = V[n - 1][j];
+  }
+
+  for (let i = n - 1; i > 0; i--) {
+    // Scale to avoid under/overflow.
+    let scale = 0;
+    let h = 0;
+    for (let k = 0; k < i; k++) {
+      scale += Math.abs(d[k]);
+    }
+
+    if (scale === 0) {
+      e[i] = d[i - 1];
+      for (let j = 0; j < i; j++) {
+        d[j] = V[i - 1][j];
+        V[i][j] = 0;
+        V[j][i] = 0;
+      }
+    } else {
+      // Generate the Householder vector.
+      for (let k = 0; k < i; k++) {
+        d[k] /= scale;
+        h += d[k] * d[k];
+      }
+
+      let f = d[i - 1];
+      let g = f > 0 ? -Math.sqrt(h) : Math.sqrt(h);
+      e[i] = scale * g;
+      h -= f * g;
+      d[i - 1] = f - g;
+      for (let j = 0; j < i; j++) {
+        e[j] = 0;
+      }
+
+      // Apply the similarity transformation to the remaining columns.
+      for (let j = 0; j < i; j++) {
+        f = d[j];
+        V[j][i] = f;
+        g = e[j] + V[j][j] * f;
+        for (let k = j + 1; k <= i - 1; k++) {
+          g += V[k][j] * d[k];
+          e[k] += V[k][j] * f;
+        }
+        e[j] = g;
+      }
+
+      f = 0;
+      for (let j = 0; j < i; j++) {
+        e[j] /= h;
+        f += e[j] * d[j];
+      }
+
+      const hh = f / (h + h);
+      for (let j = 0; j < i; j++) {
+        e[j] -= hh * d[j];
+      }
+
+      for (let j = 0; j < i; j++) {
+        f = d[j];
+        g = e[j];
+        for (let k = j; k <= i - 1; k++) {
+          V[k][j] -= f * e[k] + g * d[k];
+        }
+        d[j] = V[i - 1][j];
+        V[i][j] = 0;
+      }
+    }
+
+    d[i] = h;
+  }
+
+  // Accumulate the transformations.
+  for (let i = 0; i < n - 1; i++) {
+    V[n - 1][i] = V[i][i];
+    V[i][i] = 1;
+    const h = d[i + 1];
+    if (h !== 0) {
+      for (let k = 0; k <= i; k++) {
+        d[k] = V[k][i + 1] / h;
+      }
+
+      for (let j = 0; j <= i; j++) {
+        let g = 0;
+        for (let k = 0; k <= i; k++) {
+          g += V[k][i + 1] * V[k][j];
+        }
+        for (let k = 0; k <= i; k++) {
+          V[k][j] -= g * d[k];
+        }
+      }
+    }
+
+    for (let k = 0; k <= i; k++) {
+      V[k][i + 1] = 0;
+    }
+  }
+
+  for (let j = 0; j < n; j++) {
+    d[j] = V[n - 1][j];
+    V[n - 1][j] = 0;
+  }
+
+  V[n - 1][n - 1] = 1;
+  e[0] = 0;
+}
+
+/**
+ * Diagonalizes the symmetric tridiagonal matrix described by `d` and `e`
+ * using the implicit QL algorithm, accumulating the rotations into `V`. On
+ * return `d` holds the eigenvalues in ascending order and `V` the
+ * corresponding eigenvectors. Derived from the EISPACK routine tql2.
+ * @throws A {@link ConvergenceError} if an eigenvalue fails to converge
+ * @private
+ */
+function tridiagonalQL(V: number[][], d: number[], e: number[]) {
+  const n = V.length;
+  for (let i = 1; i < n; i++) {
+    e[i - 1] = e[i];
+  }
+  e[n - 1] = 0;
+
+  let f = 0;
+  let tst1 = 0;
+  for (let l = 0; l < n; l++) {
+    // Find a small sub-diagonal element.
+    tst1 = Math.max(tst1, Math.abs(d[l]) + Math.abs(e[l]));
+    let m = l;
+    while (m < n - 1 && Math.abs(e[m]) > EPSILON * tst1) {
+      m++;
+    }
+
+    // If m === l, d[l] is already an eigenvalue; otherwise iterate.
+    let iterations = 0;
+    while (m > l && Math.abs(e[l]) > EPSILON * tst1) {
+      if (++iterations > MAX_ITERATIONS) {
+        throw new ConvergenceError(`Eigenvalue ${l + 1} did not converge`);
+      }
+
+      // Compute the implicit shift.
+      let g = d[l];
+      let p = (d[l + 1] - g) / (2 * e[l]);
+      let r = Math.hypot(p, 1);
+      if (p < 0) {
+        r = -r;
+      }
+      d[l] = e[l] / (p + r);
+      d[l + 1] = e[l] * (p + r);
+      const dl1 = d[l + 1];
+      let h = g - d[l];
+      for (let i = l + 2; i < n; i++) {
+        d[i] -= h;
+      }
+      f += h;
+
+      // Implicit QL transformation.
+      p = d[m];
+      let c = 1;
+      let c2 = c;
+      let c3 = c;
+      const el1 = e[l + 1];
+      let s = 0;
+      let s2 = 0;
+      for (let i = m - 1; i >= l; i--) {
+        c3 = c2;
+        c2 = c;
+        s2 = s;
+        g = c * e[i];
+        h = c * p;
+        r = Math.hypot(p, e[i]);
+        e[i + 1] = s * r;
+        s = e[i] / r;
+        c = p / r;
+        p = c * d[i] - s * g;
+        d[i + 1] = h + s * (c * g + s * d[i]);
+
+        for (let k = 0; k < n; k++) {
+          h = V[k][i + 1];
+          V[k][i + 1] = s * V[k][i] + c * h;
+          V[k][i] = c * V[k][i] - s * h;
+        }
+      }
+
+      p = (-s * s2 * c3 * el1 * e[l]) / dl1;
+      e[l] = s * p;
+      d[l] = c * p;
+    }
+
+    d[l] += f;
+    e[l] = 0;
+  }
+
+  // Selection-sort the eigenvalues and their vectors.
+  for (let i = 0; i < n - 1; i++) {
+    let k = i;
+    let p = d[i];
+    for (let j = i + 1; j < n; j++) {
+      if (d[j] < p) {
+        k = j;
+        p = d[j];
+      }
+    }
+
+    if (k !== i) {
+      d[k] = d[i];
+      d[i] = p;
+      for (let j = 0; j < n; j++) {
+        p = V[j][i];
+        V[j][i] = V[j][k];
+        V[j][k] = p;
+      }
+    }
+  }
+}
+
+/**
+ * Reduces the general matrix `H` to upper Hessenberg form by orthogonal
+ * similarity transforms, writing the accumulated transformation to `V`.
+ * Derived from the EISPACK routines orthes and ortran.
+ * @private
+ */
+function hessenberg(H: number[][], V: number[][]) {
+  const n = H.length;
+  const high = n - 1;
+  const ort = new Array<number>(n).fill(0);
+
+  for (let m = 1; m <= high - 1; m++) {
+    let scale = 0;
+    for (let i = m; i <= high; i++) {
+      scale += Math.abs(H[i][m - 1]);
+    }
+
+    if (scale === 0) {
+      continue;
+    }
+
+    // Compute the Householder transformation.
+    let h = 0;
+    for (let i = high; i >= m; i--) {
+      ort[i] = H[i][m - 1] / scale;
+      h += ort[i] * ort[i];
+    }
+
+    const g = ort[m] > 0 ? -Math.sqrt(h) : Math.sqrt(h);
+    h -= ort[m] * g;
+    ort[m] -= g;
+
+    // Apply the transformation H = (I - u u' / h) H (I - u u' / h).
+    for (let j = m; j < n; j++) {
+      let f = 0;
+      for (let i = high; i >= m; i--) {
+        f += ort[i] * H[i][j];
+      }
+      f /= h;
+      for (let i = m; i <= high; i++) {
+        H[i][j] -= f * ort[i];
+      }
+    }
+
+    for (let i = 0; i <= high; i++) {
+      let f = 0;
+      for (let j = high; j >= m; j--) {
+        f += ort[j] * H[i][j];
+      }
+      f /= h;
+      for (let j = m; j <= high; j++) {
+        H[i][j] -= f * ort[j];
+      }
+    }
+
+    ort[m] *= scale;
+    H[m][m - 1] = scale * g;
+  }
+
+  // Accumulate the transformations.
+  for (let i = 0; i < n; i++) {
+    for (let j = 0; j < n; j++) {
+      V[i][j] = i === j ? 1 : 0;
+    }
+  }
+
+  for (let m = high - 1; m >= 1; m--) {
+    if (H[m][m - 1] === 0) {
+      continue;
+    }
+
+    for (let i = m + 1; i <= high; i++) {
+      ort[i] = H[i][m - 1];
+    }
+
+    for (let j = m; j <= high; j++) {
+      let g = 0;
+      for (let i = m; i <= high; i++) {
+        g += ort[i] * V[i][j];
+      }
+      // Double division avoids possible underflow.
+      g = g / ort[m] / H[m][m - 1];
+      for (let i = m; i <= high; i++) {
+        V[i][j] += g * ort[i];
+      }
+    }
+  }
+}
+
+/**
+ * Complex scalar division, (xr + xi i) / (yr + yi i).
+ * @private
+ */
+function cdiv(xr: number, xi: number, yr: number, yi: number): [number, number] {
+  if (Math.abs(yr) > Math.abs(yi)) {
+    const r = yi / yr;
+    const d = yr + r * yi;
+    return [(xr + r * xi) / d, (xi - r * xr) / d];
+  }
+
+  const r = yr / yi;
+  const d = yi + r * yr;
+  return [(r * xr + xi) / d, (r * xi - xr) / d];
+}
+
+/**
+ * Reduces the Hessenberg matrix `H` to real Schur form by the shifted
+ * double-step QR algorithm, then back-substitutes to find the eigenvectors,
+ * transforming them by `V`. On return `d` and `e` hold the real and imaginary
+ * parts of the eigenvalues. Derived from the EISPACK routine hqr2.
+ * @throws A {@link ConvergenceError} if an eigenvalue fails to converge
+ * @private
+ */
+function schur(H: number[][], V: number[][], d: number[], e: number[]) {
+  const nn = H.length;
+  let n = nn - 1;
+  let exshift = 0;
+  let p = 0;
+  let q = 0;
+  let r = 0;
+  let s = 0;
+  let z = 0;
+  let t: number;
+  let w: number;
+  let x: number;
+  let y: number;
+
+  let norm = 0;
+  for (let i = 0; i < nn; i++) {
+    for (let j = Math.max(i - 1, 0); j < nn; j++) {
+      norm += Math.abs(H[i][j]);
+    }
+  }
+
+  // Outer loop over the eigenvalue index.
+  let iter = 0;
+  while (n >= 0) {
+    // Look for a single small sub-diagonal element.
+    let l = n;
+    while (l > 0) {
+      s = Math.abs(H[l - 1][l - 1]) + Math.abs(H[l][l]);
+      if (s === 0) {
+        s = norm;
+      }
+      if (Math.abs(H[l][l - 1]) < EPSILON * s) {
+        break;
+      }
+      l--;
+    }
+
+    if (l === n) {
+      // One root found.
+      H[n][n] += exshift;
+      d[n] = H[n][n];
+      e[n] = 0;
+      n--;
+      iter = 0;
+    } else if (l === n - 1) {
+      // Two roots found.
+      w = H[n][n - 1] * H[n - 1][n];
+      p = (H[n - 1][n - 1] - H[n][n]) / 2;
+      q = p * p + w;
+      z = Math.sqrt(Math.abs(q));
+      H[n][n] += exshift;
+      H[n - 1][n - 1] += exshift;
+      x = H[n][n];
+
+      if (q >= 0) {
+        // Real pair.
+        z = p >= 0 ? p + z : p - z;
+        d[n - 1] = x + z;
+        d[n] = z !== 0 ? x - w / z : d[n - 1];
+        e[n - 1] = 0;
+        e[n] = 0;
+        x = H[n][n - 1];
+        s = Math.abs(x) + Math.abs(z);
+        p = x / s;
+        q = z / s;
+        r = Math.sqrt(p * p + q * q);
+        p /= r;
+        q /= r;
+
+        for (let j = n - 1; j < nn; j++) {
+          z = H[n - 1][j];
+          H[n - 1][j] = q * z + p * H[n][j];
+          H[n][j] = q * H[n][j] - p * z;
+        }
+
+        for (let i = 0; i <= n; i++) {
+          z = H[i][n - 1];
+          H[i][n - 1] = q * z + p * H[i][n];
+          H[i][n] = q * H[i][n] - p * z;
+        }
+
+        for (let i = 0; i < nn; i++) {
+          z = V[i][n - 1];
+          V[i][n - 1] = q * z + p * V[i][n];
+          V[i][n] = q * V[i][n] - p * z;
+        }
+      } else {
+        // Complex pair.
+        d[n - 1] = x + p;
+        d[n] = x + p;
+        e[n - 1] = z;
+        e[n] = -z;
+      }
+
+      n -= 2;
+      iter = 0;
+    } else {
+      // No convergence yet, form the shift.
+      x = H[n][n];
+      y = 0;
+      w = 0;
+      if (l < n) {
+        y = H[n - 1][n - 1];
+        w = H[n][n - 1] * H[n - 1][n];
+      }
+
+      // Wilkinson's original ad hoc shift.
+      if (iter === 10) {
+        exshift += x;
+        for (let i = 0; i <= n; i++) {
+          H[i][i] -= x;
+        }
+        s = Math.abs(H[n][n - 1]) + Math.abs(H[n - 1][n - 2]);
+        x = y = 0.75 * s;
+        w = -0.4375 * s * s;
+      }
+
+      // MATLAB's ad hoc shift.
+      if (iter === 30) {
+        s = (y - x) / 2;
+        s = s * s + w;
+        if (s > 0) {
+          s = Math.sqrt(s);
+          if (y < x) {
+            s = -s;
+          }
+          s = x - w / ((y - x) / 2 + s);
+          for (let i = 0; i <= n; i++) {
+            H[i][i] -= s;
+          }
+          exshift += s;
+          x = y = w = 0.964;
+        }
+      }
+
+      if (++iter > MAX_ITERATIONS) {
+        throw new ConvergenceError(`Eigenvalue ${n + 1} did not converge`);
+      }
+
+      // Look for two consecutive small sub-diagonal elements.
+      let m = n - 2;
+      while (m >= l) {
+        z = H[m][m];
+        r = x - z;
+        s = y - z;
+        p = (r * s - w) / H[m + 1][m] + H[m][m + 1];
+        q = H[m + 1][m + 1] - z - r - s;
+        r = H[m + 2][m + 1];
+        s = Math.abs(p) + Math.abs(q) + Math.abs(r);
+        p /= s;
+        q /= s;
+        r /= s;
+        if (m === l) {
+          break;
+        }
+        if (
+          Math.abs(H[m][m - 1]) * (Math.abs(q) + Math.abs(r)) <
+          EPSILON *
+            (Math.abs(p) * (Math.abs(H[m - 1][m - 1]) + Math.abs(z) + Math.abs(H[m + 1][m + 1])))
+        ) {
+          break;
+        }
+        m--;
+      }
+
+      for (let i = m + 2; i <= n; i++) {
+        H[i][i - 2] = 0;
+        if (i > m + 2) {
+          H[i][i - 3] = 0;
+        }
+      }
+
+      // Double QR step involving rows l:n and columns m:n.
+      for (let k = m; k <= n - 1; k++) {
+        const notLast = k !== n - 1;
+        if (k !== m) {
+          p = H[k][k - 1];
+          q = H[k + 1][k - 1];
+          r = notLast ? H[k + 2][k - 1] : 0;
+          x = Math.abs(p) + Math.abs(q) + Math.abs(r);
+          if (x === 0) {
+            continue;
+          }
+          p /= x;
+          q /= x;
+          r /= x;
+        }
+
+        s = Math.sqrt(p * p + q * q + r * r);
+        if (p < 0) {
+          s = -s;
+        }
+
+        if (s === 0) {
+          continue;
+        }
+
+        if (k !== m) {
+          H[k][k - 1] = -s * x;
+        } else if (l !== m) {
+          H[k][k - 1] = -H[k][k - 1];
+        }
+
+        p += s;
+        x = p / s;
+        y = q / s;
+        z = r / s;
+        q /= p;
+        r /= p;
+
+        for (let j = k; j < nn; j++) {
+          p = H[k][j] + q * H[k + 1][j];
+          if (notLast) {
+            p += r * H[k + 2][j];
+            H[k + 2][j] -= p * z;
+          }
+          H[k][j] -= p * x;
+          H[k + 1][j] -= p * y;
+        }
+
+        for (let i = 0; i <= Math.min(n, k + 3); i++) {
+          p = x * H[i][k] + y * H[i][k + 1];
+          if (notLast) {
+            p += z * H[i][k + 2];
+            H[i][k + 2] -= p * r;
+          }
+          H[i][k] -= p;
+          H[i][k + 1] -= p * q;
+        }
+
+        for (let i = 0; i < nn; i++) {
+          p = x * V[i][k] + y * V[i][k + 1];
+          if (notLast) {
+            p += z * V[i][k + 2];
+            V[i][k + 2] -= p * r;
+          }
+          V[i][k] -= p;
+          V[i][k + 1] -= p * q;
+        }
+      }
+    }
+  }
+
+  if (norm === 0) {
+    return;
+  }
+
+  // Back-substitute to find the vectors of the upper triangular form.
+  for (n = nn - 1; n >= 0; n--) {
+    p = d[n];
+    q = e[n];
+
+    if (q === 0) {
+      // Real vector.
+      let l = n;
+      H[n][n] = 1;
+      for (let i = n - 1; i >= 0; i--) {
+        w = H[i][i] - p;
+        r = 0;
+        for (let j = l; j <= n; j++) {
+          r += H[i][j] * H[j][n];
+        }
+
+        if (e[i] < 0) {
+          z = w;
+          s = r;
+          continue;
+        }
+
+        l = i;
+        if (e[i] === 0) {
+          H[i][n] = w !== 0 ? -r / w : -r / (EPSILON * norm);
+        } else {
+          // Solve the real equations.
+          x = H[i][i + 1];
+          y = H[i + 1][i];
+          q = (d[i] - p) * (d[i] - p) + e[i] * e[i];
+          t = (x * s - z * r) / q;
+          H[i][n] = t;
+          H[i + 1][n] = Math.abs(x) > Math.abs(z) ? (-r - w * t) / x : (-s - y * t) / z;
+        }
+
+        // Overflow control.
+        t = Math.abs(H[i][n]);
+        if (EPSILON * t * t > 1) {
+          for (let j = i; j <= n; j++) {
+            H[j][n] /= t;
+          }
+        }
+      }
+    } else if (q < 0) {
+      // Complex vector, the last component is chosen to be imaginary so the
+      // matrix is triangular.
+      let l = n - 1;
+      if (Math.abs(H[n][n - 1]) > Math.abs(H[n - 1][n])) {
+        H[n - 1][n - 1] = q / H[n][n - 1];
+        H[n - 1][n] = -(H[n][n] - p) / H[n][n - 1];
+      } else {
+        [H[n - 1][n - 1], H[n - 1][n]] = cdiv(0, -H[n - 1][n], H[n - 1][n - 1] - p, q);
+      }
+
+      H[n][n - 1] = 0;
+      H[n][n] = 1;
+      for (let i = n - 2; i >= 0; i--) {
+        let ra = 0;
+        let sa = 0;
+        for (let j = l; j <= n; j++) {
+          ra += H[i][j] * H[j][n - 1];
+          sa += H[i][j] * H[j][n];
+        }
+        w = H[i][i] - p;
+
+        if (e[i] < 0) {
+          z = w;
+          r = ra;
+          s = sa;
+          continue;
+        }
+
+        l = i;
+        if (e[i] === 0) {
+          [H[i][n - 1], H[i][n]] = cdiv(-ra, -sa, w, q);
+        } else {
+          // Solve the complex equations.
+          x = H[i][i + 1];
+          y = H[i + 1][i];
+          let vr = (d[i] - p) * (d[i] - p) + e[i] * e[i] - q * q;
+          const vi = (d[i] - p) * 2 * q;
+          if (vr === 0 && vi === 0) {
+            vr =
+              EPSILON *
+              norm *
+              (Math.abs(w) + Math.abs(q) + Math.abs(x) + Math.abs(y) + Math.abs(z));
+          }
+          [H[i][n - 1], H[i][n]] = cdiv(x * r - z * ra + q * sa, x * s - z * sa - q * ra, vr, vi);
+          if (Math.abs(x) > Math.abs(z) + Math.abs(q)) {
+            H[i + 1][n - 1] = (-ra - w * H[i][n - 1] + q * H[i][n]) / x;
+            H[i + 1][n] = (-sa - w * H[i][n] - q * H[i][n - 1]) / x;
+          } else {
+            [H[i + 1][n - 1], H[i + 1][n]] = cdiv(-r - y * H[i][n - 1], -s - y * H[i][n], z, q);
+          }
+        }
+
+        // Overflow control.
+        t = Math.max(Math.abs(H[i][n - 1]), Math.abs(H[i][n]));
+        if (EPSILON * t * t > 1) {
+          for (let j = i; j <= n; j++) {
+            H[j][n - 1] /= t;
+            H[j][n] /= t;
+          }
+        }
+      }
+    }
+  }
+
+  // Back-transform to get the eigenvectors of the original matrix.
+  for (let j = nn - 1; j >= 0; j--) {
+    for (let i = 0; i < nn; i++) {
+      z = 0;
+      for (let k = 0; k <= j; k++) {
+        z += V[i][k] * H[k][j];
+      }
+      V[i][j] = z;
+    }
+  }
+}
+
+/**
+ * Computes the singular value decomposition of the m by n matrix `A`, where
+ * m >= n, by Householder bidiagonalization followed by implicitly-shifted QR
+ * on the bidiagonal (Golub–Kahan). `A` is overwritten. Singular values are
+ * returned in descending order. `U` is m by n, or m by m if `fullU` is set,
+ * and is only computed if `wantU` is set; likewise for the n by n `V`.
+ * Derived from the LINPACK routine dsvdc, by way of JAMA.
+ * @throws A {@link ConvergenceError} if a singular value fails to converge
+ * @private
+ */
+function golubKahan(
+  A: number[][],
+  { wantU, fullU, wantV }: { wantU: boolean; fullU: boolean; wantV: boolean },
+) {
+  const m = A.length;
+  const n = m && A[0].length;
+  const nu = fullU ? m : n;
+  const s = new Array<number>(n).fill(0);
+  const e = new Array<number>(n).fill(0);
+  const work = new Array<number>(m).fill(0);
+  const U = wantU ? Matrix.Zero(m, nu).toArray() : [];
+  const V = wantV ? Matrix.Zero(n, n).toArray() : [];
+
+  // Reduce A to bidiagonal form, storing the diagonal in s and the
+  // super-diagonal in e.
+  const nct = Math.min(m - 1, n);
+  const nrt = Math.max(0, Math.min(n - 2, m));
+  for (let k = 0; k < Math.max(nct, nrt); k++) {
+    if (k < nct) {
+      // Compute the transformation for the k-th column, placing the k-th
+      // diagonal in s[k].
+      s[k] = 0;
+      for (let i = k; i < m; i++) {
+        s[k] = Math.hypot(s[k], A[i][k]);
+      }
+
+      if (s[k] !== 0) {
+        if (A[k][k] < 0) {
+          s[k] = -s[k];
+        }
+        for (let i = k; i < m; i++) {
+          A[i][k] /= s[k];
+        }
+        A[k][k] += 1;
+      }
+
+      s[k] = -s[k];
+    }
+
+    for (let j = k + 1; j < n; j++) {
+      if (k < nct && s[k] !== 0) {
+        let t = 0;
+        for (let i = k; i < m; i++) {
+          t += A[i][k] * A[i][j];
+        }
+        t = -t / A[k][k];
+        for (let i = k; i < m; i++) {
+          A[i][j] += t * A[i][k];
+        }
+      }
+
+      // Place the k-th row of A into e for the row transformation.
+      e[j] = A[k][j];
+    }
+
+    if (wantU && k < nct) {
+      for (let i = k; i < m; i++) {
+        U[i][k] = A[i][k];
+      }
+    }
+
+    if (k < nrt) {
+      // Compute the k-th row transformation, placing the k-th super-diagonal
+      // in e[k].
+      e[k] = 0;
+      for (let i = k + 1; i < n; i++) {
+        e[k] = Math.hypot(e[k], e[i]);
+      }
+
+      if (e[k] !== 0) {
+        if (e[k + 1] < 0) {
+          e[k] = -e[k];
+        }
+        for (let i = k + 1; i < n; i++) {
+          e[i] /= e[k];
+        }
+        e[k + 1] += 1;
+      }
+
+      e[k] = -e[k];
+      if (k + 1 < m && e[k] !== 0) {
+        for (let i = k + 1; i < m; i++) {
+          work[i] = 0;
+        }
+        for (let j = k + 1; j < n; j++) {
+          for (let i = k + 1; i < m; i++) {
+            work[i] += e[j] * A[i][j];
+          }
+        }
+        for (let j = k + 1; j < n; j++) {
+          const t = -e[j] / e[k + 1];
+          for (let i = k + 1; i < m; i++) {
+            A[i][j] += t * work[i];
+          }
+        }
+      }
+
+      if (wantV) {
+        for (let i = k + 1; i < n; i++) {
+          V[i][k] = e[i];
+        }
+      }
+    }
+  }
+
+  // Set up the final bidiagonal matrix of order p.
+  let p = n;
+  if (nct < n) {
+    s[nct] = A[nct][nct];
+  }
+  if (nrt + 1 < p) {
+    e[nrt] = A[nrt][p - 1];
+  }
+  e[p - 1] = 0;
+
+  if (wantU) {
+    for (let j = nct; j < nu; j++) {
+      for (let i = 0; i < m; i++) {
+        U[i][j] = 0;
+      }
+      U[j][j] = 1;
+    }
+
+    for (let k = nct - 1; k >= 0; k--) {
+      if (s[k] === 0) {
+        for (let i = 0; i < m; i++) {
+          U[i][k] = 0;
+        }
+        U[k][k] = 1;
+        continue;
+      }
+
+      for (let j = k + 1; j < nu; j++) {
+        let t = 0;
+        for (let i = k; i < m; i++) {
+          t += U[i][k] * U[i][j];
+        }
+        t = -t / U[k][k];
+        for (let i = k; i < m; i++) {
+          U[i][j] += t * U[i][k];
+        }
+      }
+
+      for (let i = k; i < m; i++) {
+        U[i][k] = -U[i][k];
+      }
+      U[k][k] += 1;
+      for (let i = 0; i < k; i++) {
+        U[i][k] = 0;
+      }
+    }
+  }
+
+  if (wantV) {
+    for (let k = n - 1; k >= 0; k--) {
+      if (k < nrt && e[k] !== 0) {
+        for (let j = k + 1; j < n; j++) {
+          let t = 0;
+          for (let i = k + 1; i < n; i++) {
+            t += V[i][k] * V[i][j];
+          }
+          t = -t / V[k + 1][k];
+          for (let i = k + 1; i < n; i++) {
+            V[i][j] += t * V[i][k];
+          }
+        }
+      }
+
+      for (let i = 0; i < n; i++) {
+        V[i][k] = 0;
+      }
+      V[k][k] = 1;
+    }
+  }
+
+  // Rotates columns a and b of the matrix by the given cosine and sine.
+  const rotate = (M: number[][], a: number, b: number, cs: number, sn: number) => {
+    for (let i = 0; i < M.length; i++) {
+      const t = cs * M[i][a] + sn * M[i][b];
+      M[i][b] = -sn * M[i][a] + cs * M[i][b];
+      M[i][a] = t;
+    }
+  };
+
+  // Swaps columns a and b of the matrix.
+  const swap = (M: number[][], a: number, b: number) => {
+    for (let i = 0; i < M.length; i++) {
+      const t = M[i][a];
+      M[i][a] = M[i][b];
+      M[i][b] = t;
+    }
+  };
+
+  // Main iteration loop for the singular values.
+  const pp = p - 1;
+  const tiny = Math.pow(2, -966);
+  let iter = 0;
+  while (p > 0) {
+    // Inspect for negligible elements in the s and e arrays. Afterwards,
+    // `kase` is:
+    //  1. if s[p] and e[k - 1] are negligible and k < p
+    //  2. if s[k] is negligible and k < p
+    //  3. if e[k - 1] is negligible, k < p, and s[k..p] are not (QR step)
+    //  4. if e[p - 1] is negligible (convergence)
+    let k: number;
+    let kase: number;
+    for (k = p - 2; k >= 0; k--) {
+      if (Math.abs(e[k]) <= tiny + EPSILON * (Math.abs(s[k]) + Math.abs(s[k + 1]))) {
+        e[k] = 0;
+        break;
+      }
+    }
+
+    if (k === p - 2) {
+      kase = 4;
+    } else {
+      let ks: number;
+      for (ks = p - 1; ks > k; ks--) {
+        const t = (ks !== p ? Math.abs(e[ks]) : 0) + (ks !== k + 1 ? Math.abs(e[ks - 1]) : 0);
+        if (Math.abs(s[ks]) <= tiny + EPSILON * t) {
+          s[ks] = 0;
+          break;
+        }
+      }
+
+      if (ks === k) {
+        kase = 3;
+      } else if (ks === p - 1) {
+        kase = 1;
+      } else {
+        kase = 2;
+        k = ks;
+      }
+    }
+    k++;
+
+    if (kase === 1) {
+      // Deflate negligible s[p].
+      let f = e[p - 2];
+      e[p - 2] = 0;
+      for (let j = p - 2; j >= k; j--) {
+        const t = Math.hypot(s[j], f);
+        const cs = s[j] / t;
+        const sn = f / t;
+        s[j] = t;
+        if (j !== k) {
+          f = -sn * e[j - 1];
+          e[j - 1] = cs * e[j - 1];
+        }
+        if (wantV) {
+          rotate(V, j, p - 1, cs, sn);
+        }
+      }
+    } else if (kase === 2) {
+      // Split at negligible s[k].
+      let f = e[k - 1];
+      e[k - 1] = 0;
+      for (let j = k; j < p; j++) {
+        const t = Math.hypot(s[j], f);
+        const cs = s[j] / t;
+        const sn = f / t;
+        s[j] = t;
+        f = -sn * e[j];
+        e[j] = cs * e[j];
+        if (wantU) {
+          rotate(U, j, k - 1, cs, sn);
+        }
+      }
+    } else if (kase === 3) {
+      if (++iter > MAX_ITERATIONS) {
+        throw new ConvergenceError(`Singular value ${p} did not converge`);
+      }
+
+      // Calculate the shift.
+      const scale = Math.max(
+        Math.abs(s[p - 1]),
+        Math.abs(s[p - 2]),
+        Math.abs(e[p - 2]),
+        Math.abs(s[k]),
+        Math.abs(e[k]),
+      );
+      const sp = s[p - 1] / scale;
+      const spm1 = s[p - 2] / scale;
+      const epm1 = e[p - 2] / scale;
+      const sk = s[k] / scale;
+      const ek = e[k] / scale;
+      const b = ((spm1 + sp) * (spm1 - sp) + epm1 * epm1) / 2;
+      const c = sp * epm1 * (sp * epm1);
+      let shift = 0;
+      if (b !== 0 || c !== 0) {
+        shift = Math.sqrt(b * b + c);
+        if (b < 0) {
+          shift = -shift;
+        }
+        shift = c / (b + shift);
+      }
+
+      let f = (sk + sp) * (sk - sp) + shift;
+      let g = sk * ek;
+
+      // Chase zeros.
+      for (let j = k; j < p - 1; j++) {
+        let t = Math.hypot(f, g);
+        let cs = f / t;
+        let sn = g / t;
+        if (j !== k) {
+          e[j - 1] = t;
+        }
+        f = cs * s[j] + sn * e[j];
+        e[j] = cs * e[j] - sn * s[j];
+        g = sn * s[j + 1];
+        s[j + 1] = cs * s[j + 1];
+        if (wantV) {
+          rotate(V, j, j + 1, cs, sn);
+        }
+
+        t = Math.hypot(f, g);
+        cs = f / t;
+        sn = g / t;
+        s[j] = t;
+        f = cs * e[j] + sn * s[j + 1];
+        s[j + 1] = -sn * e[j] + cs * s[j + 1];
+        g = sn * e[j + 1];
+        e[j + 1] = cs * e[j + 1];
+        if (wantU && j < m - 1) {
+          rotate(U, j, j + 1, cs, sn);
+        }
+      }
+
+      e[p - 2] = f;
+    } else {
+      // Convergence. Make the singular value positive...
+      if (s[k] <= 0) {
+        s[k] = s[k] < 0 ? -s[k] : 0;
+        if (wantV) {
+          for (let i = 0; i <= pp; i++) {
+            V[i][k] = -V[i][k];
+          }
+        }
+      }
+
+      // ...and move it into order.
+      for (; k < pp && s[k] < s[k + 1]; k++) {
+        const t = s[k];
+        s[k] = s[k + 1];
+        s[k + 1] = t;
+        if (wantV && k < n - 1) {
+          swap(V, k, k + 1);
+        }
+        if (wantU && k < m - 1) {
+          swap(U, k, k + 1);
+        }
+      }
+
+      iter = 0;
+      p--;
+    }
+  }
+
+  return { s, U, V };
+}
+
+/**
+ * Solves `TX = B` for a triangular T, lower or upper, by substitution on
+ * every column of B at once.
+ * @private
+ */
+function substitute(T: Matrix, B: Matrix, lower: boolean) {
+  const n = T.rows;
+  const t = T.elements;
+  const X = B.toArray();
+  for (let step = 0; step < n; step++) {
+    const k = lower ? step : n - 1 - step;
+    const row = X[k];
+    for (let i = lower ? 0 : k + 1; i < (lower ? k : n); i++) {
+      if (t[k][i] !== 0) {
+        for (let j = 0; j < row.length; j++) {
+          row[j] -= t[k][i] * X[i][j];
+        }
+      }
+    }
+    for (let j = 0; j < row.length; j++) {
+      row[j] /= t[k][k];
+    }
+  }
+
+  return new Matrix(X);
+}
+
+/**
+ * Factors a square matrix with {@link Matrix.lu} for {@link luSolve}. It's
+ * singular if U has a zero on its diagonal.
+ * @private
+ */
+function luFactor(A: Matrix) {
+  const { L, U, P } = A.lu();
+  return { L, U, P, singular: U.diagonal().elements.some(x => x === 0) };
+}
+
+/**
+ * Solves `AX = B`, or `AᵀX = B` if `transpose` is set, for every column of B
+ * from the factors returned by {@link luFactor}.
+ * @private
+ */
+function luSolve({ L, U, P }: { L: Matrix; U: Matrix; P: Matrix }, B: Matrix, transpose = false) {
+  // A = PLU, so Ax = b is LUx = Pᵀb, and Aᵀx = b is UᵀLᵀ(Pᵀx) = b.
+  return transpose
+    ? P.x(substitute(L.transpose(), substitute(U.transpose(), B, true), false))
+    : substitute(U, substitute(L, P.transpose().x(B), true), false);
+}
+
+/**
+ * Solves `AX = B` for a square, non-singular A by LU factorization with
+ * partial pivoting.
+ * @throws A {@link InvalidOperationError} if A is singular
+ * @private
+ */
+function solveSquare(A: Matrix, B: Matrix) {
+  const factors = luFactor(A);
+  if (factors.singular) {
+    throw new InvalidOperationError(`Cannot solve with a singular ${sizeStr(A)}`);
+  }
+
+  return luSolve(factors, B);
+}
+
+/**
+ * Returns the maximum absolute column sum of the matrix.
+ * @private
+ */
+const oneNorm = (A: Matrix) => {
+  let max = 0;
+  for (let j = 0; j < A.cols; j++) {
+    let sum = 0;
+    for (let i = 0; i < A.rows; i++) {
+      sum += Math.abs(A.elements[i][j]);
+    }
+    max = Math.max(max, sum);
+  }
+
+  return max;
+};
+
+/**
+ * Reduces the rows of the matrix to reduced row echelon form by Gauss-Jordan
+ * elimination with partial pivoting, returning the reduced rows along with
+ * the (0-based) indices of the pivot columns. Entries at or below the
+ * tolerance are treated as zero, defaulting to `max(m, n) * eps * ‖A‖∞`.
+ * @private
+ */
+function reduceRows(A: Matrix, tolerance?: number) {
+  const R = A.toArray();
+  const tol = tolerance ?? Math.max(A.rows, A.cols) * EPSILON * (A.rows && oneNorm(A.transpose()));
+  const pivots: number[] = [];
+
+  for (let j = 0, r = 0; j < A.cols && r < A.rows; j++) {
+    let p = r;
+    for (let i = r + 1; i < A.rows; i++) {
+      if (Math.abs(R[i][j]) > Math.abs(R[p][j])) {
+        p = i;
+      }
+    }
+
+    if (Math.abs(R[p][j]) <= tol) {
+      for (let i = r; i < A.rows; i++) {
+        R[i][j] = 0;
+      }
+      continue;
+    }
+
+    [R[r], R[p]] = [R[p], R[r]];
+    const pivot = R[r][j];
+    R[r] = R[r].map(x => x / pivot);
+    for (let i = 0; i < A.rows; i++) {
+      const factor = R[i][j];
+      if (i !== r && factor !== 0) {
+        R[i] = R[i].map((x, k) => x - factor * R[r][k]);
+        R[i][j] = 0;
+      }
+    }
+
+    pivots.push(j);
+    r++;
+  }
+
+  return { R, pivots };
+}
+
+/**
+ * Throws if the matrix is not square.
+ * @private
+ */
+const assertSquare = (A: Matrix, operation: string) => {
+  if (!A.isSquare()) {
+    throw new DimensionalityMismatchError(
+      `Cannot take the ${operation} of a ${sizeStr(A)}, matrix must be square`,
+    );
+  }
+};
+
+/**
+ * Axis orders for Euler angles. The six Tait–Bryan orders rotate around
+ * three different axes, and the six proper Euler orders repeat the first
+ * axis last.
+ */
+export type EulerOrder =
+  | 'XYZ'
+  | 'XZY'
+  | 'YXZ'
+  | 'YZX'
+  | 'ZXY'
+  | 'ZYX'
+  | 'XYX'
+  | 'XZX'
+  | 'YXY'
+  | 'YZY'
+  | 'ZXZ'
+  | 'ZYZ';
+
+/**
+ * Gets the zero-based axis indices for an Euler order.
+ * @private
+ */
+const eulerAxes = (order: EulerOrder) => {
+  if (!/^(X(Y[XZ]|Z[XY])|Y(X[YZ]|Z[XY])|Z(X[YZ]|Y[XZ]))$/.test(order)) {
+    throw new InvalidOperationError(`Unknown Euler angle order '${order}'`);
+  }
+
+  return order.split('').map(axis => 'XYZ'.indexOf(axis));
+};
+
+/**
+ * Creates the rotation matrix around the axis with the given index.
+ * @private
+ */
+const eulerRotation = (axis: number, t: number) =>
+  [Matrix.RotationX, Matrix.RotationY, Matrix.RotationZ][axis](t);
+
+/**
+ * Gets the 3x3 rotation elements of a 3x3 rotation matrix, or of the
+ * rotation part of a 4x4 homogeneous matrix.
+ * @private
+ */
+const rotationElements = (A: Matrix) => {
+  if (!A.isSquare() || (A.rows !== 3 && A.rows !== 4)) {
+    throw new DimensionalityMismatchError(
+      `Expected a 3x3 or 4x4 rotation matrix, got a ${sizeStr(A)}`,
+    );
+  }
+
+  const R = A.rows === 3 ? A : A.slice(1, 3, 1, 3);
+  if (!R.isRotation(Sylvester.approxPrecision)) {
+    throw new InvalidOperationError(
+      'The matrix is not a rotation, call orthonormalize() first if it has drifted',
+    );
+  }
+
+  return R.elements;
 };
 
 /**
- * Returns a mutable copy of the matrix elements. Used internally only to avoid
- * unnecessary duplication. Dangerous to expose.
+ * Padé approximants used by {@link Matrix.expm}: each degree with the
+ * largest 1-norm it is accurate for, and its coefficients.
+ * @see Higham, "The Scaling and Squaring Method for the Matrix Exponential
+ * Revisited" (2005)
+ * @private
+ */
+const expmPade: [number, number[]][] = [
+  [1.495585217958292e-2, [120, 60, 12, 1]],
+  [2.53939833006323e-1, [30240, 15120, 3360, 420, 30, 1]],
+  [9.504178996162932e-1, [17297280, 8648640, 1995840, 277200, 25200, 1512, 56, 1]],
+  [
+    2.097847961257068,
+    [17643225600, 8821612800, 2075673600, 302702400, 30270240, 2162160, 110880, 3960, 90, 1],
+  ],
+  [
+    5.371920351148152,
+    [
+      64764752532480000,
+      32382376266240000,
+      7771770303897600,
+      1187353796428800,
+      129060195264000,
+      10559470521600,
+      670442572800,
+      33522128640,
+      1323241920,
+      40840800,
+      960960,
+      16380,
+      182,
+      1,
+    ],
+  ],
+];
+
+/**
+ * Gauss–Legendre nodes and weights on [0, 1], used by {@link Matrix.logm}
+ * to evaluate the partial fraction form of the Padé approximant to log(I + X).
  * @private
  */
-const takeOwnership = (matrix: Matrix): number[][] => (matrix as any).elements;
+const logmQuadrature: [number, number][] = [
+  [0.1834346424956498, 0.362683783378362],
+  [0.525532409916329, 0.3137066458778873],
+  [0.7966664774136267, 0.2223810344533745],
+  [0.9602898564975363, 0.1012285362903763],
+].reduce(
+  (acc, [x, w]) => [...acc, [(1 - x) / 2, w / 2], [(1 + x) / 2, w / 2]],
+  [] as [number, number][],
+);
 
 export class Matrix {
   /**
-   * Matrix elements.
+   * Typed array the elements are read from, starting at `offset` and
+   * stepping `rowStride` between rows and `colStride` between columns.
+   * Slices, transpositions and other views share their parent's storage.
+   */
+  private storage: FloatArray;
+  private offset: number;
+  private rowStride: number;
+  private colStride: number;
+
+  /**
+   * Nested arrays of elements, built from the data the first time
+   * `elements` is read.
    */
-  public readonly elements: ReadonlyArray<ReadonlyArray<number>>;
+  private cachedElements?: ReadonlyArray<ReadonlyArray<number>>;
 
   /**
    * Gets the number of rows in the matrix.
@@ -94,28 +1537,168 @@ export class Matrix {
    */
   public readonly cols: number;
 
-  constructor(input: MatrixLike | VectorOrList) {
-    if (input instanceof Matrix) {
-      this.elements = input.elements;
+  /**
+   * Creates a matrix from another matrix, a sparse matrix, an array of rows,
+   * or a vector or list of numbers (as a column).
+   *
+   * A `Float64Array` or `Float32Array` is used as the matrix storage
+   * directly, without copying, for interop with WebGL and native code. It
+   * holds the elements in row-major order, and is taken as a column unless
+   * the number of rows and columns is given. With a `Float32Array`,
+   * element-wise operations and products keep single precision, while other
+   * operations return double-precision matrices. Giving strides and an
+   * offset reads the elements from elsewhere in the array, such as a
+   * column-major array with `rowStride` 1 and `colStride` equal to the
+   * number of rows.
+   * @throws A {@link DimensionalityMismatchError} if a typed array is the
+   * wrong length for the given size, or too short for the given strides
+   */
+  constructor(
+    input: MatrixLike | VectorOrList | FloatArray,
+    rows?: number,
+    cols?: number,
+    rowStride?: number,
+    colStride?: number,
+    offset = 0,
+  ) {
+    this.cachedElements = undefined;
+    if (input instanceof Float64Array || input instanceof Float32Array) {
+      this.storage = input;
+      this.rows = rows === undefined ? input.length : rows;
+      this.cols = cols === undefined ? this.rows && 1 : cols;
+      this.rowStride = rowStride === undefined ? this.cols : rowStride;
+      this.colStride = colStride === undefined ? 1 : colStride;
+      this.offset = offset;
+      if (rowStride === undefined && colStride === undefined && offset === 0) {
+        if (this.rows * this.cols !== input.length) {
+          throw new DimensionalityMismatchError(
+            `Cannot create a ${this.rows}x${this.cols} matrix from ${input.length} elements`,
+          );
+        }
+      } else if (this.rows > 0 && this.cols > 0) {
+        const rowSpan = (this.rows - 1) * this.rowStride;
+        const colSpan = (this.cols - 1) * this.colStride;
+        const first = offset + Math.min(rowSpan, 0) + Math.min(colSpan, 0);
+        const last = offset + Math.max(rowSpan, 0) + Math.max(colSpan, 0);
+        if (first < 0 || last >= input.length) {
+          throw new DimensionalityMismatchError(
+            `Cannot read a ${this.rows}x${this.cols} matrix with strides ${this.rowStride} and ` +
+              `${this.colStride} from offset ${offset} of ${input.length} elements`,
+          );
+        }
+      }
+    } else if (input instanceof Matrix || isSparseMatrixLike(input)) {
+      const M = input instanceof Matrix ? input : input.toMatrix();
+      this.storage = M.storage;
+      this.offset = M.offset;
+      this.rowStride = M.rowStride;
+      this.colStride = M.colStride;
+      this.rows = M.rows;
+      this.cols = M.cols;
     } else if (input instanceof Vector) {
-      this.elements = input.elements.map(e => [e]);
+      this.storage = input.data;
+      this.rows = this.storage.length;
+      this.cols = this.rows && 1;
+      this.rowStride = 1;
+      this.colStride = 1;
+      this.offset = 0;
     } else if (input[0] instanceof Array) {
-      this.elements = input as number[][];
+      const nested = input as ReadonlyArray<ReadonlyArray<number>>;
+      this.rows = nested.length;
+      this.cols = nested[0].length;
+      this.storage = new Float64Array(this.rows * this.cols);
+      for (let i = 0; i < this.rows; i++) {
+        if (nested[i].length !== this.cols) {
+          throw new DimensionalityMismatchError(
+            `Cannot create a matrix from rows of different lengths, row ${i + 1} has ` +
+              `${nested[i].length} elements but row 1 has ${this.cols}`,
+          );
+        }
+        this.storage.set(nested[i], i * this.cols);
+      }
+      this.rowStride = this.cols;
+      this.colStride = 1;
+      this.offset = 0;
+    } else {
+      this.storage = new Float64Array(input as ReadonlyArray<number>);
+      this.rows = this.storage.length;
+      this.cols = this.rows && 1;
+      this.rowStride = 1;
+      this.colStride = 1;
+      this.offset = 0;
+    }
+  }
+
+  /**
+   * Matrix elements in a contiguous row-major typed array. This may be
+   * shared with other matrices and vectors, or with the typed array the
+   * matrix was created from, so it must not be modified. Views such as
+   * slices and transpositions are copied into new storage the first time
+   * this is read.
+   */
+  public get data(): FloatArray {
+    const { storage, offset, rows, cols, rowStride, colStride } = this;
+    const length = rows * cols;
+    const rowMajor = colStride === 1 && (rowStride === cols || rows <= 1);
+    if (rowMajor && offset === 0 && length === storage.length) {
+      return storage;
+    }
+
+    let data: FloatArray;
+    if (rowMajor || length === 0) {
+      data = storage.subarray(offset, offset + length);
     } else {
-      this.elements = (input as number[]).map(e => [e]);
+      data = allocateLike(storage, length);
+      for (let i = 0; i < rows; i++) {
+        for (let j = 0; j < cols; j++) {
+          data[i * cols + j] = storage[offset + i * rowStride + j * colStride];
+        }
+      }
+    }
+
+    this.storage = data;
+    this.offset = 0;
+    this.rowStride = cols;
+    this.colStride = 1;
+    return data;
+  }
+
+  /**
+   * Matrix elements as an array of rows. For compatibility these are plain
+   * arrays, which are copied out of the storage the first time they're
+   * read.
+   */
+  public get elements(): ReadonlyArray<ReadonlyArray<number>> {
+    let elements = this.cachedElements;
+    if (!elements) {
+      const { storage, offset, rows, cols, rowStride, colStride } = this;
+      const nested: number[][] = [];
+      for (let i = 0; i < rows; i++) {
+        const start = offset + i * rowStride;
+        const row: number[] = new Array(cols);
+        for (let j = 0; j < cols; j++) {
+          row[j] = storage[start + j * colStride];
+        }
+        nested.push(row);
+      }
+      elements = nested;
+      this.cachedElements = elements;
     }
 
-    this.rows = this.elements.length;
-    this.cols = this.rows && this.elements[0].length;
+    return elements;
   }
 
   // solve a system of linear equations (work in progress)
   solve(b: Vector) {
+    const result = getBackend().solve?.(this, b);
+    if (result) {
+      return result;
+    }
+
+    // A = PLU, so Ax = b is LUx = P'b
     const lu = this.lu();
-    const y = lu.L.forwardSubstitute(lu.P.x(b));
-    const x = lu.U.backSubstitute(y);
-    return lu.P.x(x);
-    // return this.inv().x(b);
+    const y = lu.L.forwardSubstitute(lu.P.transpose().x(b));
+    return lu.U.backSubstitute(y);
   }
 
   // project a matrix onto a lower dim
@@ -164,7 +1747,8 @@ export class Matrix {
   }
 
   /**
-   * Returns a sub-block of the matrix.
+   * Returns a sub-block of the matrix. This is a view sharing the matrix's
+   * storage, unless the block reaches past its edge.
    * @param startRow - Top-most starting row.
    * @param endRow - Bottom-most ending row. If 0, takes the whole matrix.
    * @param startCol - Left-most starting column.
@@ -173,8 +1757,6 @@ export class Matrix {
    * @diagram Matrix.slice
    */
   public slice(startRow: number, endRow: number, startCol: number, endCol: number): Matrix {
-    const x: number[][] = [];
-
     if (endRow === 0) {
       endRow = this.rows;
     }
@@ -183,17 +1765,33 @@ export class Matrix {
       endCol = this.cols;
     }
 
-    for (let i = Math.max(1, startRow); i <= endRow; i++) {
-      const row: number[] = [];
-
-      for (let j = Math.max(1, startCol); j <= endCol; j++) {
-        row.push(this.e(i, j)!);
+    startRow = Math.max(1, startRow);
+    startCol = Math.max(1, startCol);
+    if (endRow > this.rows || endCol > this.cols) {
+      const x: number[][] = [];
+      for (let i = startRow; i <= endRow; i++) {
+        const row: number[] = [];
+        for (let j = startCol; j <= endCol; j++) {
+          row.push(this.e(i, j)!);
+        }
+        x.push(row);
       }
-
-      x.push(row);
+      return new Matrix(x);
     }
 
-    return new Matrix(x);
+    const rows = Math.max(0, endRow - startRow + 1);
+    return this.view(startRow, startCol, rows, rows && Math.max(0, endCol - startCol + 1));
+  }
+
+  /**
+   * Returns a view of the nrows by ncols block starting at (i, j), which
+   * must be inside the matrix, sharing this matrix's storage.
+   * @private
+   */
+  private view(i: number, j: number, nrows: number, ncols: number) {
+    const { storage, rowStride, colStride } = this;
+    const offset = this.offset + (i - 1) * rowStride + (j - 1) * colStride;
+    return new Matrix(storage, nrows, ncols, rowStride, colStride, offset);
   }
 
   /**
@@ -203,41 +1801,41 @@ export class Matrix {
    * @diagram Matrix.e
    */
   public e(i: number, j: number): number | null {
-    if (i < 1 || i > this.elements.length || j < 1 || j > this.elements[0].length) {
+    if (i < 1 || i > this.rows || j < 1 || j > this.cols) {
       return null;
     }
 
-    return this.elements[i - 1][j - 1];
+    return this.storage[this.offset + (i - 1) * this.rowStride + (j - 1) * this.colStride];
   }
 
   /**
-   * Returns a vector containing the values in row o.
+   * Returns a vector containing the values in row o, sharing the
+   * matrix's storage.
    * @throws A {@link OutOfRangeError} if o is out of range
    * @diagram Matrix.row
    */
   public row(i: number): Vector {
-    if (i < 1 || i > this.elements.length) {
+    if (i < 1 || i > this.rows) {
       throw new OutOfRangeError(`Row ${i} is outside the bounds of this ${sizeStr(this)}`);
     }
 
-    return new Vector(this.elements[i - 1]);
+    const { storage, offset, rowStride, colStride, cols } = this;
+    return new Vector(storage, colStride, offset + (i - 1) * rowStride, cols);
   }
 
   /**
-   * Returns a vector containing the values in column j.
+   * Returns a vector containing the values in column j, sharing the
+   * matrix's storage.
    * @throws A {@link OutOfRangeError} if j is out of range
    * @diagram Matrix.col
    */
   public col(j: number): Vector {
-    if (j < 1 || j > this.elements[0].length) {
+    if (j < 1 || j > this.cols) {
       throw new OutOfRangeError(`Column ${j} is outside the bounds of this ${sizeStr(this)}`);
     }
-    const col = [];
-    const n = this.elements.length;
-    for (let i = 0; i < n; i++) {
-      col.push(this.elements[i][j - 1]);
-    }
-    return new Vector(col);
+
+    const { storage, offset, rowStride, colStride, rows } = this;
+    return new Vector(storage, rowStride, offset + (j - 1) * colStride, rows);
   }
 
   /**
@@ -252,17 +1850,13 @@ export class Matrix {
       return false;
     }
 
-    const M = extractElements(matrix);
-    if (this.elements.length !== M.length || this.elements[0].length !== M[0].length) {
+    const M = new Matrix(matrix);
+    if (this.rows !== M.rows || this.cols !== M.cols) {
       return false;
     }
-    let i = this.elements.length;
-    const nj = this.elements[0].length;
-    let j;
-    while (i--) {
-      j = nj;
-      while (j--) {
-        if (Math.abs(this.elements[i][j] - M[i][j]) > epsilon) {
+    for (let i = 1; i <= this.rows; i++) {
+      for (let j = 1; j <= this.cols; j++) {
+        if (Math.abs(this.e(i, j)! - M.e(i, j)!) > epsilon) {
           return false;
         }
       }
@@ -275,17 +1869,14 @@ export class Matrix {
    * on all values in this one.
    */
   public map(fn: (value: number, row: number, column: number) => number) {
-    const els: number[][] = [];
-    let i = this.elements.length;
-    const nj = this.elements[0].length;
-    while (i--) {
-      let j = nj;
-      els[i] = [];
-      while (j--) {
-        els[i][j] = fn(this.elements[i][j], i + 1, j + 1);
+    const { storage, offset, rows, cols, rowStride, colStride } = this;
+    const out = allocateLike(storage, rows * cols);
+    for (let i = 0; i < rows; i++) {
+      for (let j = 0; j < cols; j++) {
+        out[i * cols + j] = fn(storage[offset + i * rowStride + j * colStride], i + 1, j + 1);
       }
     }
-    return new Matrix(els);
+    return new Matrix(out, rows, cols);
   }
 
   /**
@@ -293,8 +1884,8 @@ export class Matrix {
    * @diagram Matrix.isSameSizeAs
    */
   public isSameSizeAs(matrix: MatrixLike) {
-    const M = extractElements(matrix);
-    return this.elements.length === M.length && this.elements[0].length === M[0].length;
+    const M = new Matrix(matrix);
+    return this.rows === M.rows && this.cols === M.cols;
   }
 
   /**
@@ -307,14 +1898,14 @@ export class Matrix {
       return this.map(x => x + matrix);
     }
 
-    const M = extractElements(matrix);
+    const M = new Matrix(matrix);
 
     if (!this.isSameSizeAs(M)) {
       throw new DimensionalityMismatchError(
         `Cannot add a ${sizeStr(matrix)} to this (sizeStr(matrix))`,
       );
     }
-    return this.map((x, i, j) => x + M[i - 1][j - 1]);
+    return this.map((x, i, j) => x + M.data[(i - 1) * M.cols + j - 1]);
   }
 
   /**
@@ -327,13 +1918,13 @@ export class Matrix {
       return this.map(x => x - matrix);
     }
 
-    const M = extractElements(matrix);
+    const M = new Matrix(matrix);
     if (!this.isSameSizeAs(M)) {
       throw new DimensionalityMismatchError(
         `Cannot add a ${sizeStr(matrix)} to this (sizeStr(matrix))`,
       );
     }
-    return this.map((x, i, j) => x - M[i - 1][j - 1]);
+    return this.map((x, i, j) => x - M.data[(i - 1) * M.cols + j - 1]);
   }
 
   /**
@@ -435,6 +2026,13 @@ export class Matrix {
    * the argument is a vector, a vector is returned, which saves you having
    * to remember calling col(1) on the result.
    *
+   * Large products are computed a block at a time to make good use of the
+   * cache. When every dimension is at least `Sylvester.strassenThreshold`,
+   * this switches to Strassen's algorithm, which is faster for large
+   * matrices but rounds slightly differently; set the threshold to
+   * `Infinity` to turn it off. Matrix products use the selected backend
+   * instead if it implements `multiply`, see {@link registerBackend}.
+   *
    * @throws A {@link DimensionalityMismatchError} If the multiplicand is an
    * inappropriately sized matrix
    * @diagram Matrix.multiply
@@ -442,8 +2040,44 @@ export class Matrix {
   public multiply(multiplicand: VectorOrList): Vector;
   public multiply(multiplicand: MatrixLike | number): Matrix;
   public multiply(multiplicand: MatrixLike | VectorOrList | number): Vector | Matrix {
-    // Cast is needed here since TS gets confused with nested overloads like this
-    return this.mulOp(multiplicand as MatrixLike, (x, y) => x * y);
+    if (typeof multiplicand === 'number') {
+      return this.map(x => x * multiplicand);
+    }
+
+    const M = toMultiplicand(this, multiplicand);
+    const P = getBackend().multiply?.(this, M);
+    if (P) {
+      return isVectorLike(multiplicand) ? new Vector(P.data) : P;
+    }
+
+    const product = multiplyData(this.data, M.data, this.rows, this.cols, M.cols);
+    const data = this.data instanceof Float32Array ? new Float32Array(product) : product;
+    return isVectorLike(multiplicand) ? new Vector(data) : new Matrix(data, this.rows, M.cols);
+  }
+
+  /**
+   * Like {@link Matrix.multiply}, but splits large products between worker
+   * threads so the main thread stays free, see `Sylvester.workers`. The
+   * result is identical to `multiply()`. Small products, and products where
+   * worker threads are unavailable, such as in browsers, are computed
+   * synchronously, as are products on a backend that implements `multiply`.
+   *
+   * @throws A {@link DimensionalityMismatchError} If the multiplicand is an
+   * inappropriately sized matrix, by rejecting
+   */
+  public multiplyAsync(multiplicand: VectorOrList): Promise<Vector>;
+  public multiplyAsync(multiplicand: MatrixLike | number): Promise<Matrix>;
+  public async multiplyAsync(
+    multiplicand: MatrixLike | VectorOrList | number,
+  ): Promise<Vector | Matrix> {
+    if (typeof multiplicand === 'number' || getBackend().multiply) {
+      return this.multiply(multiplicand as MatrixLike);
+    }
+
+    const M = toMultiplicand(this, multiplicand);
+    const product = await multiplyParallel(this.data, M.data, this.rows, this.cols, M.cols);
+    const data = this.data instanceof Float32Array ? new Float32Array(product) : product;
+    return isVectorLike(multiplicand) ? new Vector(data) : new Matrix(data, this.rows, M.cols);
   }
 
   /**
@@ -453,7 +2087,7 @@ export class Matrix {
   public x(multiplicand: MatrixLike | number): Matrix;
   public x(multiplicand: MatrixLike | VectorOrList | number): Vector | Matrix {
     // Cast is needed here since TS gets confused with nested overloads like this
-    return this.mulOp(multiplicand as MatrixLike, (x, y) => x * y);
+    return this.multiply(multiplicand as MatrixLike);
   }
 
   /**
@@ -515,7 +2149,8 @@ export class Matrix {
   }
 
   /**
-   * Runs an element-wise logarithm on the matrix.
+   * Runs an element-wise logarithm on the matrix. For the matrix logarithm,
+   * see {@link Matrix.logm}.
    * @diagram Matrix.log
    */
   public log(base = Math.E): Matrix {
@@ -523,15 +2158,207 @@ export class Matrix {
     return this.map(x => Math.log(x) / logBase);
   }
 
+  /**
+   * Returns the matrix exponential e^A (not the element-wise exponential),
+   * using scaling and squaring with a Padé approximant.
+   * @throws A {@link DimensionalityMismatchError} if the matrix is not square
+   * @see https://en.wikipedia.org/wiki/Matrix_exponential
+   * @diagram Matrix.expm
+   */
+  public expm() {
+    assertSquare(this, 'exponential');
+
+    // Pick the cheapest approximant accurate for the norm, scaling the matrix
+    // down by 2^s if even the largest one isn't enough.
+    const norm = oneNorm(this);
+    let index = expmPade.findIndex(([theta]) => norm <= theta);
+    let s = 0;
+    if (index === -1) {
+      index = expmPade.length - 1;
+      s = Math.ceil(Math.log2(norm / expmPade[index][0]));
+    }
+
+    const A = this.x(Math.pow(2, -s));
+    const A2 = A.x(A);
+    const b = expmPade[index][1];
+    let power = Matrix.I(this.rows);
+    let U = Matrix.Zero(this.rows, this.cols);
+    let V = Matrix.Zero(this.rows, this.cols);
+    for (let k = 0; k < b.length; k += 2) {
+      V = V.add(power.x(b[k]));
+      U = U.add(power.x(b[k + 1]));
+      if (k + 2 < b.length) {
+        power = power.x(A2);
+      }
+    }
+
+    U = A.x(U);
+    let R = solveSquare(V.subtract(U), V.add(U));
+    for (let i = 0; i < s; i++) {
+      R = R.x(R);
+    }
+
+    return R;
+  }
+
+  /**
+   * Returns the principal square root of the matrix, the X such that
+   * `X.x(X)` is this matrix, using the Denman–Beavers iteration. The matrix
+   * must not be singular or have eigenvalues on the negative real axis.
+   * @throws A {@link DimensionalityMismatchError} if the matrix is not square
+   * @throws A {@link InvalidOperationError} if the matrix is singular
+   * @throws A {@link ConvergenceError} if the iteration does not converge,
+   * which happens if the matrix has no real principal square root
+   * @see https://en.wikipedia.org/wiki/Square_root_of_a_matrix
+   * @diagram Matrix.sqrtm
+   */
+  public sqrtm() {
+    assertSquare(this, 'square root');
+
+    // Product form of the iteration: M → I as Y → sqrt(A).
+    const I = Matrix.I(this.rows);
+    const invert = (X: Matrix, first: boolean) => {
+      try {
+        return solveSquare(X, I);
+      } catch (e) {
+        if (!(e instanceof InvalidOperationError)) {
+          throw e;
+        }
+        // A later iterate is only singular when eigenvalues on the negative
+        // real axis cancel out, leaving no real principal square root.
+        throw first
+          ? new InvalidOperationError(`Cannot take the square root of a singular ${sizeStr(this)}`)
+          : new ConvergenceError(
+              `The ${sizeStr(
+                this,
+              )} has no real principal square root, since it has negative real eigenvalues`,
+            );
+      }
+    };
+
+    let M: Matrix = this;
+    let Y: Matrix = this;
+    for (let k = 0; k < MAX_ITERATIONS; k++) {
+      const Minv = invert(M, k === 0);
+      Y = Y.x(I.add(Minv)).x(0.5);
+      M = I.x(2)
+        .add(M)
+        .add(Minv)
+        .x(0.25);
+
+      // Convergence is quadratic, so one more step after M is within
+      // sqrt(eps) of I is as accurate as we'll get.
+      if (oneNorm(M.subtract(I)) <= Math.sqrt(EPSILON)) {
+        return Y.x(I.add(invert(M, false))).x(0.5);
+      }
+    }
+
+    throw new ConvergenceError(`The square root of the ${sizeStr(this)} did not converge`);
+  }
+
+  /**
+   * Returns the principal matrix logarithm, the X such that `X.expm()` is
+   * this matrix (not the element-wise logarithm, see {@link Matrix.log}).
+   * Uses inverse scaling and squaring: square roots are taken until the
+   * matrix is close to the identity, and the logarithm of that is evaluated
+   * with a Padé approximant. The matrix must not be singular or have
+   * eigenvalues on the negative real axis.
+   * @throws A {@link DimensionalityMismatchError} if the matrix is not square
+   * @throws A {@link InvalidOperationError} if the matrix is singular
+   * @throws A {@link ConvergenceError} if the matrix has no real logarithm
+   * @see https://en.wikipedia.org/wiki/Logarithm_of_a_matrix
+   * @diagram Matrix.logm
+   */
+  public logm() {
+    assertSquare(this, 'logarithm');
+
+    const { real, imag } = this.eig();
+    for (let i = 1; i <= this.rows; i++) {
+      if (imag.e(i) === 0 && real.e(i)! < 0) {
+        throw new ConvergenceError(
+          `The ${sizeStr(this)} has no real logarithm, since it has negative real eigenvalues`,
+        );
+      }
+    }
+
+    const I = Matrix.I(this.rows);
+    let X: Matrix = this;
+    let roots = 0;
+    while (oneNorm(X.subtract(I)) > 0.25) {
+      if (++roots > MAX_ITERATIONS) {
+        throw new ConvergenceError(`The logarithm of the ${sizeStr(this)} did not converge`);
+      }
+      try {
+        X = X.sqrtm();
+      } catch (e) {
+        throw roots === 1 && e instanceof InvalidOperationError
+          ? new InvalidOperationError(`Cannot take the logarithm of a singular ${sizeStr(this)}`)
+          : e;
+      }
+    }
+
+    // log(I + R) = sum of w R (I + t R)^-1 over the quadrature nodes.
+    const R = X.subtract(I);
+    let L = Matrix.Zero(this.rows, this.cols);
+    for (const [t, w] of logmQuadrature) {
+      L = L.add(solveSquare(I.add(R.x(t)), R).x(w));
+    }
+
+    return L.x(Math.pow(2, roots));
+  }
+
+  /**
+   * Raises the matrix to the power p (as a matrix product, not element-wise).
+   * Integer powers use exponentiation by squaring, and negative ones invert
+   * the matrix first. Other real powers are computed as `expm(p * logm(A))`.
+   * @throws A {@link DimensionalityMismatchError} if the matrix is not square
+   * @throws A {@link InvalidOperationError} if p is negative and the matrix is singular
+   * @throws A {@link ConvergenceError} if p is not an integer and the matrix
+   * has no real logarithm
+   * @diagram Matrix.pow
+   */
+  public pow(p: number): Matrix {
+    assertSquare(this, 'power');
+    if (p % 1 !== 0) {
+      return this.logm()
+        .x(p)
+        .expm();
+    }
+
+    const I = Matrix.I(this.rows);
+    let base: Matrix = p < 0 ? solveSquare(this, I) : this;
+    let result = I;
+    for (let n = Math.abs(p); n > 0; n = Math.floor(n / 2)) {
+      if (n % 2 === 1) {
+        result = result.x(base);
+      }
+      if (n > 1) {
+        base = base.x(base);
+      }
+    }
+
+    return result;
+  }
+
   /**
    * Returns a submatrix taken from the matrix. Element selection wraps if the
    * required index is outside the matrix's bounds, so you could use this to
-   * perform row/column cycling or copy-augmenting.
+   * perform row/column cycling or copy-augmenting. Submatrices that don't
+   * wrap are views sharing the matrix's storage.
    * @param nrows - Rows to copy
    * @param ncols - Columns to copy
    * @diagram Matrix.minor
    */
   minor(startRow: number, startCol: number, nrows: number, ncols: number) {
+    if (
+      startRow >= 1 &&
+      startCol >= 1 &&
+      startRow + nrows - 1 <= this.rows &&
+      startCol + ncols - 1 <= this.cols
+    ) {
+      return this.view(startRow, startCol, nrows, nrows && ncols);
+    }
+
     const elements: number[][] = [];
     let ni = nrows;
     let i: number;
@@ -552,23 +2379,12 @@ export class Matrix {
   }
 
   /**
-   * Returns the transposition of the matrix.
+   * Returns the transposition of the matrix, as a view sharing its storage.
    * @diagram Matrix.transpose
    */
   public transpose() {
-    const rows = this.elements.length;
-    const cols = this.elements[0].length;
-    const elements: number[][] = [];
-    let i = cols;
-    let j: number;
-    while (i--) {
-      j = rows;
-      elements[i] = [];
-      while (j--) {
-        elements[i][j] = this.elements[j][i];
-      }
-    }
-    return new Matrix(elements);
+    const { storage, offset, rows, cols, rowStride, colStride } = this;
+    return new Matrix(storage, cols, rows, colStride, rowStride, offset);
   }
 
   /**
@@ -579,6 +2395,119 @@ export class Matrix {
     return this.elements.length === this.elements[0].length;
   }
 
+  /**
+   * Returns whether this is a square matrix equal to its transpose.
+   * @param epsilon - The precision to compare each number.
+   * @diagram Matrix.isSymmetric
+   */
+  public isSymmetric(epsilon = Sylvester.precision) {
+    if (!this.isSquare()) {
+      return false;
+    }
+
+    const n = this.elements.length;
+    for (let i = 0; i < n; i++) {
+      for (let j = i + 1; j < n; j++) {
+        if (Math.abs(this.elements[i][j] - this.elements[j][i]) > epsilon) {
+          return false;
+        }
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Returns whether this is a rotation matrix: orthogonal, with a
+   * determinant of +1 rather than -1 (which would be a reflection).
+   * @param epsilon - The precision to compare each number.
+   * @diagram Matrix.isRotation
+   */
+  public isRotation(epsilon = Sylvester.precision) {
+    return (
+      this.isSquare() &&
+      this.x(this.transpose()).eql(Matrix.I(this.rows), epsilon) &&
+      Math.abs(this.determinant() - 1) <= epsilon
+    );
+  }
+
+  /**
+   * Returns the orthogonal matrix nearest to this one, U·Vᵀ from its
+   * singular value decomposition. Use this to re-project a rotation matrix
+   * that has drifted after many multiplications.
+   * @throws A {@link DimensionalityMismatchError} if the matrix is not square
+   * @see https://en.wikipedia.org/wiki/Polar_decomposition
+   * @diagram Matrix.orthonormalize
+   */
+  public orthonormalize() {
+    assertSquare(this, 'orthonormal projection');
+    const { U, V } = this.svd();
+    return U.x(V.transpose());
+  }
+
+  /**
+   * Decomposes a 3x3 rotation matrix, or the rotation part of a 4x4
+   * homogeneous matrix, into Euler angles `[a, b, c]` for the given axis
+   * order, so that the matrix equals `Matrix.EulerRotation([a, b, c], order)`.
+   * For the order `'XYZ'` this is `RotationX(a) · RotationY(b) · RotationZ(c)`.
+   *
+   * The first and last angles are in (-π, π]. The middle angle is in
+   * [-π/2, π/2] for Tait–Bryan orders and [0, π] for proper Euler orders. In
+   * gimbal lock, where the first and last axes line up, only their combined
+   * rotation is defined; the last angle is then 0.
+   * @throws A {@link DimensionalityMismatchError} if the matrix is not 3x3
+   * or 4x4
+   * @throws A {@link InvalidOperationError} if the matrix is not a rotation
+   * or the order is unknown
+   * @see https://en.wikipedia.org/wiki/Euler_angles
+   * @diagram Matrix.toEulerAngles
+   */
+  public toEulerAngles(order: EulerOrder = 'XYZ'): [number, number, number] {
+    const [i, j, k] = eulerAxes(order);
+    const R = rotationElements(this);
+    const proper = i === k;
+    const m = proper ? 3 - i - j : k;
+    const parity = j === (i + 1) % 3 ? 1 : -1;
+    const lock = Math.sqrt(EPSILON);
+
+    let b: number;
+    if (proper) {
+      const sin = Math.hypot(R[i][j], R[i][m]);
+      b = Math.atan2(sin, R[i][i]);
+      if (sin > lock) {
+        return [Math.atan2(R[j][i], -parity * R[m][i]), b, Math.atan2(R[i][j], parity * R[i][m])];
+      }
+    } else {
+      const cos = Math.hypot(R[i][i], R[i][j]);
+      b = Math.atan2(parity * R[i][k], cos);
+      if (cos > lock) {
+        return [Math.atan2(-parity * R[j][k], R[k][k]), b, Math.atan2(-parity * R[i][j], R[i][i])];
+      }
+    }
+
+    // Gimbal lock: take the last angle as 0, so the matrix times the
+    // inverse of the middle rotation is a rotation around the first axis.
+    const A = new Matrix(R).x(eulerRotation(j, b).transpose()).elements;
+    const i1 = (i + 1) % 3;
+    const i2 = (i + 2) % 3;
+    return [Math.atan2(A[i2][i1], A[i1][i1]), b, 0];
+  }
+
+  /**
+   * Decomposes a 3x3 rotation matrix, or the rotation part of a 4x4
+   * homogeneous matrix, into a unit axis and an angle from 0 to π such that
+   * it equals `Matrix.Rotation(angle, axis)`. The identity gives an angle of
+   * 0 around the x axis.
+   * @throws A {@link DimensionalityMismatchError} if the matrix is not 3x3
+   * or 4x4
+   * @throws A {@link InvalidOperationError} if the matrix is not a rotation
+   * @diagram Matrix.toAxisAngle
+   */
+  public toAxisAngle() {
+    const { axis, angle } = Quaternion.fromRotationMatrix(rotationElements(this)).toAxisAngle();
+    return angle > Math.PI ? { axis: axis.x(-1), angle: 2 * Math.PI - angle } : { axis, angle };
+  }
+
   /**
    * Returns the absolute largest element of the matrix
    * @diagram Matrix.max
@@ -772,6 +2701,69 @@ export class Matrix {
     return rank;
   }
 
+  /**
+   * Returns the reduced row echelon form of the matrix, computed by
+   * Gauss-Jordan elimination with partial pivoting.
+   * @param tolerance - Entries at or below this are treated as zero.
+   * Defaults to `max(m, n) * eps * ‖A‖∞`.
+   * @see https://en.wikipedia.org/wiki/Row_echelon_form
+   * @diagram Matrix.rref
+   */
+  public rref(tolerance?: number) {
+    return new Matrix(reduceRows(this, tolerance).R);
+  }
+
+  /**
+   * Returns a basis for the null space of the matrix: the vectors x for which
+   * `Ax = 0`. The matrix has full column rank, and its columns are linearly
+   * independent, if and only if this is empty.
+   * @param tolerance - Entries at or below this are treated as zero in the
+   * reduced row echelon form; see {@link Matrix.rref}
+   * @see https://en.wikipedia.org/wiki/Kernel_(linear_algebra)
+   * @diagram Matrix.nullSpace
+   */
+  public nullSpace(tolerance?: number): Vector[] {
+    const { R, pivots } = reduceRows(this, tolerance);
+    const basis: Vector[] = [];
+    for (let free = 0; free < this.cols; free++) {
+      if (pivots.includes(free)) {
+        continue;
+      }
+
+      const x = new Array<number>(this.cols).fill(0);
+      x[free] = 1;
+      pivots.forEach((j, i) => (x[j] = -R[i][free]));
+      basis.push(new Vector(x));
+    }
+
+    return basis;
+  }
+
+  /**
+   * Returns a basis for the column space (range) of the matrix, made up of
+   * its linearly independent columns.
+   * @param tolerance - Entries at or below this are treated as zero in the
+   * reduced row echelon form; see {@link Matrix.rref}
+   * @see https://en.wikipedia.org/wiki/Row_and_column_spaces
+   * @diagram Matrix.columnSpace
+   */
+  public columnSpace(tolerance?: number): Vector[] {
+    return reduceRows(this, tolerance).pivots.map(j => this.col(j + 1));
+  }
+
+  /**
+   * Returns a basis for the row space of the matrix, made up of the non-zero
+   * rows of its reduced row echelon form.
+   * @param tolerance - Entries at or below this are treated as zero in the
+   * reduced row echelon form; see {@link Matrix.rref}
+   * @see https://en.wikipedia.org/wiki/Row_and_column_spaces
+   * @diagram Matrix.rowSpace
+   */
+  public rowSpace(tolerance?: number): Vector[] {
+    const { R, pivots } = reduceRows(this, tolerance);
+    return R.slice(0, pivots.length).map(row => new Vector(row));
+  }
+
   /**
    * Returns the result of attaching the given argument to the
    * right-hand side of the matrix.
@@ -801,7 +2793,7 @@ export class Matrix {
    * @throws A {@link DimensionalityMismatchError} if the matrix is not invertible
    * @diagram Matrix.inverse
    */
-  public inverse(mod : number) {
+  public inverse() {
     if (!this.isSquare()) {
       throw new DimensionalityMismatchError(
         `A matrix must be square to be inverted, provided a ${sizeStr(this)}`,
@@ -810,14 +2802,13 @@ export class Matrix {
     if (this.isSingular()) {
       throw new DimensionalityMismatchError(`Cannot invert the current matrix (determinant=0)`);
     }
-    
-    const is_mod = mod == (mod | 0);
-    mod |= 0;
 
     const n = this.elements.length;
     let i = n;
     let j;
-    const M = takeOwnership(this.augment(Matrix.I(n)).toRightTriangular());
+    const M = this.augment(Matrix.I(n))
+      .toRightTriangular()
+      .toArray();
     const np = M[0].length;
     let p;
     let els;
@@ -834,7 +2825,7 @@ export class Matrix {
       inverseElements[i] = [];
       divisor = M[i][i];
       for (p = 0; p < np; p++) {
-        newElement = is_mod ? M[i][p] * modInvert(divisor, mod) % mod : M[i][p] / divisor;
+        newElement = M[i][p] / divisor;
         els.push(newElement);
         // Shuffle off the current row of the right hand side into the results
         // array as it will not be modified by later runs through this loop
@@ -855,36 +2846,6 @@ export class Matrix {
       }
     }
     return new Matrix(inverseElements);
-    
-    // https://stackoverflow.com/questions/26985808/calculating-the-modular-inverse-in-javascript
-    function modInvert(a : number, m : number) {
-      // validate inputs
-      [a, m] = [Number(a), Number(m)]
-      if (Number.isNaN(a) || Number.isNaN(m)) {
-        return NaN // invalid input
-      }
-      a = (a % m + m) % m
-      if (!a || m < 2) {
-        return NaN // invalid input
-      }
-      // find the gcd
-      const s = []
-      let b = m
-      while(b) {
-        [a, b] = [b, a % b]
-        s.push({a, b})
-      }
-      if (a !== 1) {
-        return NaN // inverse does not exists
-      }
-      // find the inverse
-      let x = 1
-      let y = 0
-      for(let i = s.length - 2; i >= 0; --i) {
-        [x, y] = [y,  x - y * Math.floor(s[i].a / s[i].b)]
-      }
-      return (y % m + m) % m;
-    }
   }
 
   /**
@@ -916,18 +2877,43 @@ export class Matrix {
     return matrixRows.join('\n');
   }
 
+  /**
+   * Returns the matrix's elements and size for `JSON.stringify`, leaving out
+   * its internal storage.
+   */
+  public toJSON() {
+    return { elements: this.elements, rows: this.rows, cols: this.cols };
+  }
+
+  /**
+   * Pretty-prints the matrix as an aligned grid, one line for each row.
+   * Large matrices are truncated, with `...` in place of the middle rows
+   * and columns.
+   * @example
+   * new Matrix([[1, -2.5], [30, 4]]).format({ precision: 1 });
+   * // [ 1.0  -2.5]
+   * // [30.0   4.0]
+   * @diagram Matrix.format
+   */
+  public format(options?: IFormatOptions): string {
+    return formatRows(this.elements, options);
+  }
+
+  /**
+   * Returns LaTeX source for the matrix, in a `bmatrix` or `pmatrix`
+   * environment.
+   * @diagram Matrix.toLatex
+   */
+  public toLatex(options?: ILatexOptions): string {
+    return latexRows(this.elements, options);
+  }
+
   /**
    * Returns a array representation of the matrix
    * @return {Number[]}
    */
   public toArray(): number[][] {
-    const matrixRows: number[][] = [];
-    const n = this.elements.length;
-    for (let i = 0; i < n; i++) {
-      matrixRows.push(this.elements[i].slice());
-    }
-
-    return matrixRows;
+    return this.elements.map(row => row.slice());
   }
 
   /**
@@ -1027,6 +3013,11 @@ export class Matrix {
    * @diagram Matrix.forwardSubstitute
    */
   public forwardSubstitute(b: Vector): Vector {
+    const result = getBackend().forwardSubstitute?.(this, b);
+    if (result) {
+      return result;
+    }
+
     const xa = [];
 
     for (let i = 1; i <= this.rows; i++) {
@@ -1047,6 +3038,11 @@ export class Matrix {
    * @diagram Matrix.backSubstitute
    */
   public backSubstitute(b: Vector): Vector {
+    const result = getBackend().backSubstitute?.(this, b);
+    if (result) {
+      return result;
+    }
+
     const xa = [];
 
     for (let i = this.rows; i > 0; i--) {
@@ -1062,63 +3058,305 @@ export class Matrix {
     return new Vector(xa.reverse());
   }
 
-  public svd() {
-    let V = Matrix.I(this.rows);
-    let S = this.transpose();
-    let U = Matrix.I(this.cols);
-    let err = Number.MAX_VALUE;
-    let i = 0;
-    const maxLoop = 100;
+  /**
+   * Computes the singular value decomposition of the matrix, such that
+   * `A = U.x(S).x(V.transpose())`, by Householder bidiagonalization followed
+   * by implicitly-shifted QR iteration (the Golub–Kahan algorithm). The
+   * singular values on the diagonal of `S` are sorted in descending order.
+   *
+   * For an m by n matrix, `U` is m by m, `S` is m by n and `V` is n by n. In
+   * economy mode, with k = min(m, n), `U` is only m by k, `S` is k by k and
+   * `V` is n by k.
+   *
+   * The selected backend computes this instead if it implements `svd`.
+   *
+   * @param economy - Whether to return the thin decomposition.
+   * @throws A {@link ConvergenceError} if a singular value fails to converge
+   * @see https://en.wikipedia.org/wiki/Singular_value_decomposition
+   */
+  public svd({ economy = false }: { economy?: boolean } = {}) {
+    const result = getBackend().svd?.(this, economy);
+    if (result) {
+      return result;
+    }
+
+    const transposed = this.rows < this.cols;
+    const { s, U, V } = golubKahan(transposed ? this.transpose().toArray() : this.toArray(), {
+      wantU: true,
+      fullU: !economy,
+      wantV: true,
+    });
+
+    let S = Matrix.Diagonal(s);
+    if (!economy) {
+      S = transposed
+        ? S.augment(Matrix.Zero(s.length, this.cols - s.length))
+        : S.transpose()
+            .augment(Matrix.Zero(s.length, this.rows - s.length))
+            .transpose();
+    }
+
+    return transposed
+      ? { U: new Matrix(V), S, V: new Matrix(U) }
+      : { U: new Matrix(U), S, V: new Matrix(V) };
+  }
+
+  /**
+   * Like {@link Matrix.svd}, but decomposes large matrices on a worker
+   * thread, see `Sylvester.workers`. The iteration can't be split between
+   * threads, but this keeps the main thread free, and several decompositions
+   * run in parallel. The result is identical to `svd()`. Small matrices, and
+   * matrices where worker threads are unavailable, are decomposed
+   * synchronously, as are all matrices on a backend that implements `svd`.
+   *
+   * @param economy - Whether to return the thin decomposition.
+   * @throws A {@link ConvergenceError} if a singular value fails to converge,
+   * by rejecting
+   */
+  public async svdAsync({ economy = false }: { economy?: boolean } = {}) {
+    const factors = getBackend().svd
+      ? undefined
+      : await svdParallel(this.data, this.rows, this.cols, economy);
+    if (!factors) {
+      return this.svd({ economy });
+    }
+
+    const { U, S, V } = factors;
+    return {
+      U: new Matrix(U.data, U.rows, U.cols),
+      S: new Matrix(S.data, S.rows, S.cols),
+      V: new Matrix(V.data, V.rows, V.cols),
+    };
+  }
 
-    while (err > 2.2737e-13 && i < maxLoop) {
-      let qr = S.transpose().qr();
-      S = qr.R;
-      V = V.x(qr.Q);
-      qr = S.transpose().qr();
-      U = U.x(qr.Q);
-      S = qr.R;
+  /**
+   * Returns the singular values of the matrix in descending order. This is
+   * cheaper than {@link Matrix.svd} since the singular vectors are not
+   * accumulated.
+   * @throws A {@link ConvergenceError} if a singular value fails to converge
+   * @diagram Matrix.singularValues
+   */
+  public singularValues() {
+    const A = this.rows < this.cols ? this.transpose().toArray() : this.toArray();
+    return new Vector(golubKahan(A, { wantU: false, fullU: false, wantV: false }).s);
+  }
 
-      const e = S.triu(1)
-        .unroll()
-        .magnitude();
-      let f = S.diagonal().magnitude();
+  /**
+   * Returns a norm of the matrix:
+   *  - `'1'`: the maximum absolute column sum
+   *  - `'inf'`: the maximum absolute row sum
+   *  - `'fro'`: the Frobenius norm, the square root of the sum of squares
+   *  - `2`: the spectral norm, the largest singular value
+   * @throws A {@link InvalidOperationError} if the norm type is unknown
+   * @throws A {@link ConvergenceError} if computing the singular values fails
+   * @see https://en.wikipedia.org/wiki/Matrix_norm
+   * @diagram Matrix.norm
+   */
+  public norm(type: '1' | 'inf' | 'fro' | 2 = 'fro'): number {
+    switch (type) {
+      case '1':
+        return oneNorm(this);
+      case 'inf':
+        return oneNorm(this.transpose());
+      case 'fro':
+        return Math.sqrt(this.elements.reduce((s, row) => row.reduce((t, x) => t + x * x, s), 0));
+      case 2:
+        return this.rows && this.cols ? this.singularValues().elements[0] : 0;
+      default:
+        throw new InvalidOperationError(`Unknown matrix norm ${type}`);
+    }
+  }
 
-      if (f === 0) {
-        f = 1;
+  /**
+   * Returns the condition number of the matrix in the given norm. This is
+   * the factor by which relative errors in `b` can be amplified in the
+   * solution of `Ax = b`; a large value means results from
+   * {@link Matrix.solve} or {@link Matrix.inverse} can't be trusted. Singular
+   * matrices give `Infinity`.
+   *
+   * The 2-norm condition number is the ratio of the largest to the smallest
+   * singular value, and is also defined for non-square matrices. The others
+   * compute the inverse; see {@link Matrix.condEstimate} for a cheaper
+   * alternative.
+   * @throws A {@link DimensionalityMismatchError} if the norm isn't 2 and
+   * the matrix is not square
+   * @see https://en.wikipedia.org/wiki/Condition_number
+   * @diagram Matrix.cond
+   */
+  public cond(type: '1' | 'inf' | 'fro' | 2 = 2) {
+    if (type === 2) {
+      const s = this.singularValues().elements;
+      if (!s.length) {
+        return 0;
       }
+      return s[s.length - 1] === 0 ? Infinity : s[0] / s[s.length - 1];
+    }
 
-      err = e / f;
-
-      i++;
+    assertSquare(this, 'condition number');
+    const factors = luFactor(this);
+    if (factors.singular) {
+      return Infinity;
     }
 
-    const ss = S.diagonal();
-    const s = [];
+    const inverse = luSolve(factors, Matrix.I(this.rows));
+    return this.norm(type) * inverse.norm(type);
+  }
 
-    for (let i = 1; i <= ss.cols(); i++) {
-      const ssn = ss.e(i)!;
-      s.push(Math.abs(ssn));
+  /**
+   * Estimates the 1-norm condition number of a square matrix from its LU
+   * factors, without computing the inverse (Hager's method, as used by
+   * LAPACK). This needs only a few triangular solves after the
+   * factorization. The estimate is a lower bound and is rarely more than a
+   * factor of 3 too small. Singular matrices give `Infinity`.
+   * @throws A {@link DimensionalityMismatchError} if the matrix is not square
+   * @see https://doi.org/10.1145/50063.214386
+   */
+  public condEstimate() {
+    assertSquare(this, 'condition number');
+    const n = this.rows;
+    const factors = luFactor(this);
+    if (factors.singular) {
+      return Infinity;
+    }
+
+    // Maximize ‖A⁻¹x‖₁ over the unit 1-norm ball by moving to the vertex
+    // with the steepest gradient until it stops increasing.
+    let x = new Array<number>(n).fill(1 / n);
+    let estimate = 0;
+    for (let iteration = 0; iteration < 5; iteration++) {
+      const y = luSolve(factors, new Matrix(x)).col(1).elements;
+      const yNorm = y.reduce((sum, v) => sum + Math.abs(v), 0);
+      if (iteration > 0 && yNorm <= estimate) {
+        break;
+      }
+      estimate = yNorm;
 
-      const els = takeOwnership(V);
-      if (ssn < 0) {
-        for (let j = 0; j < U.rows; j++) {
-          els[j][i - 1] = -els[j][i - 1];
+      const z = luSolve(factors, new Matrix(y.map(v => (v >= 0 ? 1 : -1))), true).col(1).elements;
+      let j = 0;
+      for (let i = 1; i < n; i++) {
+        if (Math.abs(z[i]) > Math.abs(z[j])) {
+          j = i;
         }
       }
+
+      if (Math.abs(z[j]) <= z.reduce((sum, v, i) => sum + v * x[i], 0)) {
+        break;
+      }
+      x = x.map((_, i) => (i === j ? 1 : 0));
     }
 
+    return oneNorm(this) * estimate;
+  }
+
+  /**
+   * Solves the linear least-squares problem, finding the x which minimizes
+   * the euclidean norm of `b - Ax`. Works for overdetermined, underdetermined
+   * and rank-deficient systems. When more than one x minimizes the norm, the
+   * one with the smallest norm is returned.
+   * @param b - Right-hand side of the system
+   * @param tolerance - Singular values at or below this are treated as zero.
+   * Defaults to `max(m, n) * eps * σ₁`, where σ₁ is the largest singular value.
+   * @throws A {@link DimensionalityMismatchError} if b is not a vector with
+   * one element for each row of the matrix
+   * @see https://en.wikipedia.org/wiki/Linear_least_squares
+   */
+  public lstsq(b: VectorOrList, tolerance?: number) {
+    const rhs = toRhs(b, this.rows);
+    const { U, S, V } = this.svd({ economy: true });
+    const singularValues = S.diagonal();
+    const cutoff = tolerance ?? defaultTolerance(this, singularValues);
+
+    let rank = 0;
+    const c = U.transpose()
+      .x(rhs)
+      .map((x, i) => {
+        const sigma = singularValues.e(i)!;
+        if (sigma <= cutoff) {
+          return 0;
+        }
+
+        rank++;
+        return x / sigma;
+      });
+
+    const x = V.x(c);
     return {
-      U,
-      S: new Vector(s).toDiagonalMatrix(),
-      V,
+      x,
+      residuals: rhs.subtract(this.x(x)),
+      rank,
+      singularValues,
     };
   }
 
   /**
-   * Runs a QR decomposition (QR facorization) on the matrix.
+   * Returns the Moore–Penrose pseudoinverse of the matrix, computed from its
+   * singular value decomposition. For invertible matrices this is equal to
+   * the {@link Matrix.inverse}.
+   * @param tolerance - Singular values at or below this are treated as zero.
+   * Defaults to `max(m, n) * eps * σ₁`, where σ₁ is the largest singular value.
+   * @see https://en.wikipedia.org/wiki/Moore%E2%80%93Penrose_inverse
+   * @diagram Matrix.pinv
+   */
+  public pinv(tolerance?: number) {
+    const { U, S, V } = this.svd({ economy: true });
+    const singularValues = S.diagonal();
+    const cutoff = tolerance ?? defaultTolerance(this, singularValues);
+    const inverted = singularValues.map(sigma => (sigma > cutoff ? 1 / sigma : 0));
+    return V.x(inverted.toDiagonalMatrix()).x(U.transpose());
+  }
+
+  /**
+   * Iteratively solves `Ax = b` for a symmetric positive-definite matrix
+   * using the (preconditioned) conjugate gradient method. Unlike
+   * {@link Matrix.solve}, this does not throw if the solver fails to
+   * converge: check `converged` in the result.
+   * @param b - Right-hand side of the system
+   * @throws A {@link DimensionalityMismatchError} if the matrix is not square
+   * or b does not have one element for each row
+   * @throws A {@link InvalidOperationError} if the preconditioner cannot be built
+   * @see https://en.wikipedia.org/wiki/Conjugate_gradient_method
+   */
+  public cg(b: VectorOrList, options?: IIterativeOptions) {
+    return conjugateGradient(compressRows(this.elements), b, options);
+  }
+
+  /**
+   * Iteratively solves `Ax = b` using restarted GMRES, with right
+   * preconditioning. Check `converged` in the result.
+   * @param b - Right-hand side of the system
+   * @throws A {@link DimensionalityMismatchError} if the matrix is not square
+   * or b does not have one element for each row
+   * @throws A {@link InvalidOperationError} if the preconditioner cannot be built
+   * @see https://en.wikipedia.org/wiki/Generalized_minimal_residual_method
+   */
+  public gmres(b: VectorOrList, options?: IIterativeOptions) {
+    return generalizedMinimalResidual(compressRows(this.elements), b, options);
+  }
+
+  /**
+   * Iteratively solves `Ax = b` using the biconjugate gradient stabilized
+   * method, with right preconditioning. Check `converged` in the result.
+   * @param b - Right-hand side of the system
+   * @throws A {@link DimensionalityMismatchError} if the matrix is not square
+   * or b does not have one element for each row
+   * @throws A {@link InvalidOperationError} if the preconditioner cannot be built
+   * @see https://en.wikipedia.org/wiki/Biconjugate_gradient_stabilized_method
+   */
+  public bicgstab(b: VectorOrList, options?: IIterativeOptions) {
+    return biconjugateGradientStabilized(compressRows(this.elements), b, options);
+  }
+
+  /**
+   * Runs a QR decomposition (QR facorization) on the matrix, using the
+   * selected backend if it implements `qr`.
    * @see https://en.wikipedia.org/wiki/QR_decomposition
    */
   qr() {
+    const result = getBackend().qr?.(this);
+    if (result) {
+      return result;
+    }
+
     const m = this.rows;
     const n = this.cols;
     let Q = Matrix.I(m);
@@ -1144,7 +3382,7 @@ export class Matrix {
               .e(1, 1)!,
           ),
       );
-      const Qk = identSize(takeOwnership(Hk), m, n, k);
+      const Qk = identSize(Hk.toArray(), m, n, k);
       A = Qk.x(A);
       // slow way to compute Q
       Q = Q.x(Qk);
@@ -1157,91 +3395,230 @@ export class Matrix {
   }
 
   /**
-   * LU factorization for the matrix.
+   * LU factorization for the matrix with partial pivoting, such that
+   * `P.x(L).x(U)` equals the matrix, using the selected backend if it
+   * implements `lu`. For an m by n matrix, L is m by m with a unit diagonal
+   * and U is m by n.
    */
   lu() {
-    const rows = this.rows;
-    const cols = this.cols;
-    const L = Matrix.I(rows).toArray();
-    const A = this.toArray();
-    const P = Matrix.I(rows).toArray();
-    const U = Matrix.Zero(rows, this.cols).toArray();
+    const result = getBackend().lu?.(this);
+    if (result) {
+      return result;
+    }
 
-    let p = 1;
+    const { rows, cols } = this;
+    const LU = new Float64Array(this.data);
+    const perm = new Int32Array(rows).map((_, i) => i);
+    luPanel(LU, rows, cols, 0, cols, perm);
+    return luMatrices(LU, perm, rows, cols);
+  }
+
+  /**
+   * Like {@link Matrix.lu}, but for large matrices updates the columns right
+   * of each block of pivots on several worker threads, see
+   * `Sylvester.workers`. The result is identical to `lu()`. Small matrices,
+   * and matrices where worker threads or `SharedArrayBuffer` are
+   * unavailable, are factored synchronously, as are all matrices on a
+   * backend that implements `lu`.
+   */
+  public async luAsync() {
+    const result = getBackend().lu?.(this);
+    if (result) {
+      return result;
+    }
 
-    /**
-     * Perform a partial pivot on the matrix. Essentially move the largest
-     * row below-or-including the pivot and replace the pivot's row with it.
-     * a pivot matrix is returned so multiplication can perform the transform.
-     */
-    const partialPivot = (k: number, j: number) => {
-      let maxIndex = 0;
-      let maxValue = 0;
+    const { rows, cols } = this;
+    const { LU, perm } = await luParallel(this.data, rows, cols);
+    return luMatrices(LU, perm, rows, cols);
+  }
 
-      for (let i = k; i <= rows; i++) {
-        if (Math.abs(A[i - 1][j - 1]) > maxValue) {
-          maxValue = Math.abs(A[k - 1][j - 1]);
-          maxIndex = i;
-        }
+  /**
+   * Cholesky factorization of a symmetric positive-definite matrix, such that
+   * `A = L.x(L.transpose())` for a lower-triangular `L`. Costs half as much as
+   * {@link Matrix.lu}, and the returned `solve` reuses the factor for any
+   * number of right-hand sides.
+   * @param epsilon - Precision used when checking for symmetry
+   * @throws A {@link DimensionalityMismatchError} if the matrix is not square
+   * @throws A {@link NotSymmetricError} if the matrix is not symmetric
+   * @throws A {@link NotPositiveDefiniteError} if the matrix is not positive-definite
+   * @see https://en.wikipedia.org/wiki/Cholesky_decomposition
+   */
+  public cholesky(epsilon = Sylvester.precision) {
+    this.assertSymmetric('Cholesky', epsilon);
+
+    const n = this.rows;
+    const A = this.elements;
+    const L = Matrix.Zero(n, n).toArray();
+    for (let j = 0; j < n; j++) {
+      let d = A[j][j];
+      for (let k = 0; k < j; k++) {
+        d -= L[j][k] * L[j][k];
       }
 
-      if (maxIndex !== k) {
-        const tmp = A[k - 1];
-        A[k - 1] = A[maxIndex - 1];
-        A[maxIndex - 1] = tmp;
+      if (!(d > 0)) {
+        throw new NotPositiveDefiniteError(
+          `Matrix is not positive-definite, pivot ${j + 1} of its Cholesky factorization is ${d}`,
+        );
+      }
 
-        P[k - 1][k - 1] = 0;
-        P[k - 1][maxIndex - 1] = 1;
-        P[maxIndex - 1][maxIndex - 1] = 0;
-        P[maxIndex - 1][k - 1] = 1;
+      const ljj = Math.sqrt(d);
+      L[j][j] = ljj;
+      for (let i = j + 1; i < n; i++) {
+        let sum = A[i][j];
+        for (let k = 0; k < j; k++) {
+          sum -= L[i][k] * L[j][k];
+        }
+        L[i][j] = sum / ljj;
       }
+    }
 
-      return P;
+    const lower = new Matrix(L);
+    const upper = lower.transpose();
+    return {
+      L: lower,
+      /**
+       * Solves `Ax = b` for x using the factorization.
+       */
+      solve: (b: VectorOrList) => upper.backSubstitute(lower.forwardSubstitute(toRhs(b, n))),
     };
+  }
 
-    for (let k = 1; k <= Math.min(cols, rows); k++) {
-      partialPivot(k, p);
-
-      for (let i = k + 1; i <= rows; i++) {
-        const l = A[i - 1][p - 1] / A[k - 1][p - 1];
-        L[i - 1][k - 1] = l;
+  /**
+   * LDLᵀ factorization of a symmetric matrix, such that
+   * `A = L.x(D).x(L.transpose())` for a unit lower-triangular `L` and a
+   * diagonal `D`. Unlike {@link Matrix.cholesky}, this avoids square roots and
+   * also works for symmetric indefinite matrices, as long as no pivot is zero.
+   * @param epsilon - Precision used when checking for symmetry
+   * @throws A {@link DimensionalityMismatchError} if the matrix is not square
+   * @throws A {@link NotSymmetricError} if the matrix is not symmetric
+   * @throws A {@link InvalidOperationError} if a zero pivot is encountered
+   * @see https://en.wikipedia.org/wiki/Cholesky_decomposition#LDL_decomposition
+   */
+  public ldl(epsilon = Sylvester.precision) {
+    this.assertSymmetric('LDLᵀ', epsilon);
 
-        for (let j = k + 1; j <= cols; j++) {
-          A[i - 1][j - 1] -= A[k - 1][j - 1] * l;
-        }
+    const n = this.rows;
+    const A = this.elements;
+    const L = Matrix.I(n).toArray();
+    const D: number[] = [];
+    for (let j = 0; j < n; j++) {
+      let d = A[j][j];
+      for (let k = 0; k < j; k++) {
+        d -= L[j][k] * L[j][k] * D[k];
       }
 
-      for (let j = k; j <= cols; j++) {
-        U[k - 1][j - 1] = A[k - 1][j - 1];
+      if (d === 0 || !isFinite(d)) {
+        throw new InvalidOperationError(
+          `Cannot take the LDLᵀ factorization of this matrix, pivot ${j + 1} is ${d}`,
+        );
       }
 
-      if (p < cols) {
-        p++;
+      D.push(d);
+      for (let i = j + 1; i < n; i++) {
+        let sum = A[i][j];
+        for (let k = 0; k < j; k++) {
+          sum -= L[i][k] * L[j][k] * D[k];
+        }
+        L[i][j] = sum / d;
       }
     }
 
+    const lower = new Matrix(L);
+    const upper = lower.transpose();
     return {
-      L: new Matrix(L),
-      U: new Matrix(U),
-      P: new Matrix(P),
+      L: lower,
+      D: Matrix.Diagonal(D),
+      /**
+       * Solves `Ax = b` for x using the factorization.
+       */
+      solve: (b: VectorOrList) =>
+        upper.backSubstitute(lower.forwardSubstitute(toRhs(b, n)).map((x, i) => x / D[i - 1])),
     };
   }
 
   /**
-   * Creates am identity matrix of the given size.
+   * Throws if the matrix cannot be used in a symmetric factorization.
    */
-  static I(size: number) {
-    const elements = [];
-    for (let y = 0; y < size; y++) {
-      const row = [];
-      for (let x = 0; x < size; x++) {
-        row.push(x === y ? 1 : 0);
-      }
+  private assertSymmetric(name: string, epsilon: number) {
+    if (!this.isSquare()) {
+      throw new DimensionalityMismatchError(
+        `Cannot take the ${name} factorization of a ${sizeStr(this)}, matrix must be square`,
+      );
+    }
 
-      elements.push(row);
+    if (!this.isSymmetric(epsilon)) {
+      throw new NotSymmetricError(
+        `Cannot take the ${name} factorization of a matrix that is not symmetric`,
+      );
     }
+  }
 
-    return new Matrix(elements);
+  /**
+   * Computes the eigendecomposition of a square matrix, such that
+   * `A.x(V) ≈ V.x(D)`.
+   *
+   * Exactly symmetric matrices are reduced to tridiagonal form and
+   * diagonalized with the implicit QL algorithm. Their eigenvalues are real and sorted in
+   * ascending order, and `V` is orthogonal.
+   *
+   * Other matrices are reduced to Hessenberg form and then to real Schur form
+   * with shifted QR. A complex conjugate pair of eigenvalues `a ± bi` shows up
+   * in `real` and `imag`, and as a 2x2 block `[[a, b], [-b, a]]` in `D`. The
+   * matching pair of columns in `V` holds the real and imaginary parts of the
+   * eigenvector.
+   *
+   * @throws A {@link DimensionalityMismatchError} if the matrix is not square
+   * @throws A {@link ConvergenceError} if an eigenvalue fails to converge
+   * @see https://en.wikipedia.org/wiki/Eigendecomposition_of_a_matrix
+   */
+  public eig() {
+    if (!this.isSquare()) {
+      throw new DimensionalityMismatchError(
+        `Can only find the eigenvalues of square matrices, got a ${sizeStr(this)}`,
+      );
+    }
+
+    const n = this.rows;
+    const d = new Array<number>(n).fill(0);
+    const e = new Array<number>(n).fill(0);
+    let V: number[][];
+
+    // Only exactly symmetric matrices, since the symmetric solver's result is
+    // off by as much as the matrix is asymmetric.
+    if (this.isSymmetric(0)) {
+      V = this.toArray();
+      tridiagonalize(V, d, e);
+      tridiagonalQL(V, d, e);
+      e.fill(0);
+    } else {
+      const H = this.toArray();
+      V = Matrix.Zero(n, n).toArray();
+      hessenberg(H, V);
+      schur(H, V, d, e);
+    }
+
+    const D = Matrix.Diagonal(d).toArray();
+    for (let i = 0; i < n; i++) {
+      if (e[i] > 0) {
+        D[i][i + 1] = e[i];
+      } else if (e[i] < 0) {
+        D[i][i - 1] = e[i];
+      }
+    }
+
+    return {
+      real: new Vector(d),
+      imag: new Vector(e),
+      V: new Matrix(V),
+      D: new Matrix(D),
+    };
+  }
+
+  /**
+   * Creates am identity matrix of the given size.
+   */
+  static I(size: number) {
+    return Matrix.Diagonal(Vector.Fill(size, 1));
   }
 
   /**
@@ -1250,17 +3627,13 @@ export class Matrix {
    */
   static Diagonal(vector: VectorOrList) {
     const elements = Vector.toElements(vector);
-    const rows = [];
-    for (let y = 0; y < elements.length; y++) {
-      const row = [];
-      for (let x = 0; x < elements.length; x++) {
-        row.push(x === y ? elements[x] : 0);
-      }
-
-      rows.push(row);
+    const n = elements.length;
+    const data = new Float64Array(n * n);
+    for (let i = 0; i < n; i++) {
+      data[i * n + i] = elements[i];
     }
 
-    return new Matrix(rows);
+    return new Matrix(data, n, n);
   }
 
   /**
@@ -1347,6 +3720,166 @@ export class Matrix {
     ]);
   }
 
+  /**
+   * Creates a three-dimensional rotation matrix from Euler angles in
+   * radians. The order names the axes the rotations are around: `'XYZ'`
+   * gives `RotationX(a) · RotationY(b) · RotationZ(c)`, which rotates around
+   * z first, then y, then x. This is the inverse of
+   * {@link Matrix.toEulerAngles}.
+   * @throws A {@link InvalidOperationError} if the order is unknown
+   * @diagram Matrix.EulerRotation
+   */
+  static EulerRotation([a, b, c]: ReadonlyArray<number>, order: EulerOrder = 'XYZ') {
+    const [i, j, k] = eulerAxes(order);
+    return eulerRotation(i, a)
+      .x(eulerRotation(j, b))
+      .x(eulerRotation(k, c));
+  }
+
+  /**
+   * Creates a homogeneous transformation matrix that translates by the
+   * given vector. A 3-element vector gives a 4x4 matrix.
+   * @diagram Matrix.Translation
+   */
+  static Translation(vector: VectorOrList) {
+    const t = Vector.toElements(vector);
+    return Matrix.I(t.length + 1).map((x, i, j) =>
+      j === t.length + 1 && i <= t.length ? t[i - 1] : x,
+    );
+  }
+
+  /**
+   * Creates a homogeneous transformation matrix that scales each axis by
+   * the given factors. A single number scales all three axes of a 4x4
+   * matrix uniformly.
+   * @diagram Matrix.Scale
+   */
+  static Scale(factors: VectorOrList | number) {
+    const s =
+      typeof factors === 'number' ? [factors, factors, factors] : Vector.toElements(factors);
+    return Matrix.Diagonal([...s, 1]);
+  }
+
+  /**
+   * Creates a 4x4 homogeneous shear matrix. Each factor is named for the
+   * axis that moves and the axis it moves in proportion to: `xy` adds
+   * `xy * y` to x, for example.
+   * @diagram Matrix.Shear
+   */
+  static Shear({
+    xy = 0,
+    xz = 0,
+    yx = 0,
+    yz = 0,
+    zx = 0,
+    zy = 0,
+  }: {
+    xy?: number;
+    xz?: number;
+    yx?: number;
+    yz?: number;
+    zx?: number;
+    zy?: number;
+  }) {
+    return new Matrix([
+      [1, xy, xz, 0],
+      [yx, 1, yz, 0],
+      [zx, zy, 1, 0],
+      [0, 0, 0, 1],
+    ]);
+  }
+
+  /**
+   * Creates a 4x4 view matrix for a camera at `eye` looking towards
+   * `target`, like `gluLookAt`. The camera looks down its negative z axis,
+   * with its y axis as close to `up` as possible.
+   * @throws A {@link InvalidOperationError} if the eye and target are the
+   * same, or `up` is parallel to the direction of view
+   * @diagram Matrix.LookAt
+   */
+  static LookAt(eye: VectorOrList, target: VectorOrList, up: VectorOrList = [0, 1, 0]) {
+    const e = new Vector(Vector.toElements(eye, 3));
+    const forward = new Vector(Vector.toElements(target, 3)).subtract(e).toUnitVector();
+    const right = forward.cross(Vector.toElements(up, 3));
+    if (forward.magnitude() === 0 || right.magnitude() < Sylvester.precision) {
+      throw new InvalidOperationError('The view direction must be non-zero and not parallel to up');
+    }
+
+    const x = right.toUnitVector();
+    const y = x.cross(forward);
+    return new Matrix([
+      [...x.elements, -x.dot(e)],
+      [...y.elements, -y.dot(e)],
+      [...forward.x(-1).elements, forward.dot(e)],
+      [0, 0, 0, 1],
+    ]);
+  }
+
+  /**
+   * Creates a 4x4 perspective projection matrix, like `gluPerspective`. It
+   * maps the view volume to clip space with z from -1 at the near plane to
+   * 1 at the far plane, which may be `Infinity`.
+   * @param fovy - vertical field of view in radians
+   * @param aspect - width divided by height
+   * @diagram Matrix.Perspective
+   */
+  static Perspective(fovy: number, aspect: number, near: number, far: number) {
+    const f = 1 / Math.tan(fovy / 2);
+    const [a, b] =
+      far === Infinity
+        ? [-1, -2 * near]
+        : [(far + near) / (near - far), (2 * far * near) / (near - far)];
+    return new Matrix([
+      [f / aspect, 0, 0, 0],
+      [0, f, 0, 0],
+      [0, 0, a, b],
+      [0, 0, -1, 0],
+    ]);
+  }
+
+  /**
+   * Creates a 4x4 orthographic projection matrix, like `glOrtho`, mapping
+   * the box between the given planes to the cube from -1 to 1.
+   * @diagram Matrix.Orthographic
+   */
+  static Orthographic(
+    left: number,
+    right: number,
+    bottom: number,
+    top: number,
+    near: number,
+    far: number,
+  ) {
+    return new Matrix([
+      [2 / (right - left), 0, 0, -(right + left) / (right - left)],
+      [0, 2 / (top - bottom), 0, -(top + bottom) / (top - bottom)],
+      [0, 0, -2 / (far - near), -(far + near) / (far - near)],
+      [0, 0, 0, 1],
+    ]);
+  }
+
+  /**
+   * Creates a 4x4 perspective projection matrix for the given frustum,
+   * like `glFrustum`. The left, right, bottom and top planes are given at
+   * the near distance.
+   * @diagram Matrix.Frustum
+   */
+  static Frustum(
+    left: number,
+    right: number,
+    bottom: number,
+    top: number,
+    near: number,
+    far: number,
+  ) {
+    return new Matrix([
+      [(2 * near) / (right - left), 0, (right + left) / (right - left), 0],
+      [0, (2 * near) / (top - bottom), (top + bottom) / (top - bottom), 0],
+      [0, 0, -(far + near) / (far - near), (-2 * far * near) / (far - near)],
+      [0, 0, -1, 0],
+    ]);
+  }
+
   /**
    * Creates an `n` by `m` matrix filled with random values between 0 and 1.
    * @param n - rows
@@ -1371,20 +3904,7 @@ export class Matrix {
       m = n;
     }
 
-    const els: number[][] = [];
-    let i = n;
-    let j;
-
-    while (i--) {
-      j = m;
-      els[i] = [];
-
-      while (j--) {
-        els[i][j] = value;
-      }
-    }
-
-    return new Matrix(els);
+    return new Matrix(new Float64Array(n * m).fill(value), n, n && m);
   }
 
   /**
@@ -1406,4 +3926,98 @@ export class Matrix {
   static One(n: number, m: number) {
     return Matrix.Fill(n, m, 1);
   }
+
+  /**
+   * Joins matrices side by side, so that their columns are concatenated.
+   * @throws A {@link DimensionalityMismatchError} if the matrices do not all
+   * have the same number of rows
+   * @diagram Matrix.hstack
+   */
+  static hstack(...matrices: MatrixLike[]) {
+    return Matrix.block([matrices]);
+  }
+
+  /**
+   * Stacks matrices on top of each other, so that their rows are
+   * concatenated.
+   * @throws A {@link DimensionalityMismatchError} if the matrices do not all
+   * have the same number of columns
+   * @diagram Matrix.vstack
+   */
+  static vstack(...matrices: MatrixLike[]) {
+    return Matrix.block(matrices.map(m => [m]));
+  }
+
+  /**
+   * Assembles a matrix from a grid of blocks, such as
+   * `Matrix.block([[A, B], [C, D]])`. Blocks in the same block row must have
+   * the same number of rows, and blocks in the same block column the same
+   * number of columns.
+   * @throws A {@link DimensionalityMismatchError} naming the offending block
+   * if the grid is ragged or the block sizes do not line up
+   * @diagram Matrix.block
+   */
+  static block(grid: ReadonlyArray<ReadonlyArray<MatrixLike>>) {
+    const blocks = grid.map(row => row.map(m => new Matrix(m)));
+    const width = blocks.length && blocks[0].length;
+    const elements: number[][] = [];
+
+    blocks.forEach((row, i) => {
+      if (row.length !== width) {
+        throw new DimensionalityMismatchError(
+          `Block row ${i + 1} has ${row.length} blocks, but block row 1 has ${width}`,
+        );
+      }
+
+      row.forEach((block, j) => {
+        if (block.rows !== row[0].rows) {
+          throw new DimensionalityMismatchError(
+            `Block (${i + 1}, ${j + 1}) is a ${sizeStr(block)}, but block row ${i + 1} has ${
+              row[0].rows
+            } rows`,
+          );
+        }
+        if (block.cols !== blocks[0][j].cols) {
+          throw new DimensionalityMismatchError(
+            `Block (${i + 1}, ${j + 1}) is a ${sizeStr(block)}, but block column ${j + 1} has ${
+              blocks[0][j].cols
+            } columns`,
+          );
+        }
+      });
+
+      for (let r = 0; r < (row.length && row[0].rows); r++) {
+        elements.push(([] as number[]).concat(...row.map(block => block.elements[r])));
+      }
+    });
+
+    return new Matrix(elements);
+  }
+
+  /**
+   * Returns the direct sum of the matrices: a block matrix with the given
+   * matrices along its diagonal, and zeros elsewhere.
+   * @see https://en.wikipedia.org/wiki/Block_matrix#Block_diagonal_matrices
+   * @diagram Matrix.blockDiagonal
+   */
+  static blockDiagonal(...matrices: MatrixLike[]) {
+    const blocks = matrices.map(m => new Matrix(m));
+    return Matrix.block(
+      blocks.map((row, i) =>
+        blocks.map((col, j) => (i === j ? row : Matrix.Zero(row.rows, col.cols))),
+      ),
+    );
+  }
+
+  /**
+   * Returns the Kronecker product of two matrices: the block matrix made by
+   * multiplying B by each element of A in turn.
+   * @see https://en.wikipedia.org/wiki/Kronecker_product
+   * @diagram Matrix.kron
+   */
+  static kron(a: MatrixLike, b: MatrixLike) {
+    const A = new Matrix(a);
+    const B = new Matrix(b);
+    return Matrix.block(A.elements.map(row => row.map(x => B.x(x))));
+  }
 }
@@ -0,0 +1,592 @@
+import { DimensionalityMismatchError, InvalidOperationError, OutOfRangeError } from './sylvester';
+import { Matrix } from './matrix';
+
+/**
+ * An integer given either as a number or a BigInt.
+ */
+export type IntegerLike = number | bigint;
+
+/**
+ * Arithmetic on residues modulo n, each represented by an integer in [0, n).
+ * @private
+ */
+interface IRing<T extends IntegerLike> {
+  readonly modulus: T;
+  readonly zero: T;
+  readonly one: T;
+  reduce(x: IntegerLike): T;
+  add(a: T, b: T): T;
+  subtract(a: T, b: T): T;
+  multiply(a: T, b: T): T;
+
+  /**
+   * Integer quotient of the representatives, used for Euclidean reduction.
+   */
+  quotient(a: T, b: T): T;
+
+  /**
+   * Returns the multiplicative inverse of a, or null if it has none.
+   */
+  inverse(a: T): T | null;
+}
+
+/**
+ * Finds the inverse of a modulo n with the extended Euclidean algorithm.
+ * @private
+ */
+function extendedEuclid<T extends IntegerLike>(ring: IRing<T>, a: T): T | null {
+  let [r0, r1] = [ring.modulus, a];
+  let [t0, t1] = [ring.zero, ring.one];
+  while (r1 !== ring.zero) {
+    const q = ring.quotient(r0, r1);
+    [r0, r1] = [r1, ring.subtract(r0, ring.multiply(q, r1))];
+    [t0, t1] = [t1, ring.subtract(t0, ring.multiply(q, t1))];
+  }
+
+  return r0 === ring.one ? t0 : null;
+}
+
+/**
+ * Residues with a number modulus. Products of two residues must be exact,
+ * which limits the modulus to about 9.4e7.
+ * @private
+ */
+const numberRing = (n: number): IRing<number> => {
+  if (!Number.isInteger(n) || n < 2 || (n - 1) * (n - 1) > Number.MAX_SAFE_INTEGER) {
+    throw new OutOfRangeError(
+      `A number modulus must be an integer between 2 and ${Math.floor(
+        Math.sqrt(Number.MAX_SAFE_INTEGER),
+      )}, got ${n}. Use a BigInt for larger moduli.`,
+    );
+  }
+
+  const ring: IRing<number> = {
+    modulus: n,
+    zero: 0,
+    one: 1 % n,
+    reduce: x => {
+      if (typeof x === 'bigint') {
+        return Number(((x % BigInt(n)) + BigInt(n)) % BigInt(n));
+      }
+      if (!Number.isInteger(x)) {
+        throw new InvalidOperationError(`Expected an integer, got ${x}`);
+      }
+      return ((x % n) + n) % n;
+    },
+    add: (a, b) => (a + b) % n,
+    subtract: (a, b) => (a - b + n) % n,
+    multiply: (a, b) => (a * b) % n,
+    quotient: (a, b) => Math.floor(a / b),
+    inverse: a => extendedEuclid(ring, a),
+  };
+
+  return ring;
+};
+
+/**
+ * Residues with a BigInt modulus.
+ * @private
+ */
+const bigintRing = (n: bigint): IRing<bigint> => {
+  if (n < BigInt(2)) {
+    throw new OutOfRangeError(`The modulus must be at least 2, got ${n}`);
+  }
+
+  const ring: IRing<bigint> = {
+    modulus: n,
+    zero: BigInt(0),
+    one: BigInt(1),
+    reduce: x => {
+      if (typeof x === 'number' && !Number.isInteger(x)) {
+        throw new InvalidOperationError(`Expected an integer, got ${x}`);
+      }
+      return ((BigInt(x) % n) + n) % n;
+    },
+    add: (a, b) => (a + b) % n,
+    subtract: (a, b) => (a - b + n) % n,
+    multiply: (a, b) => (a * b) % n,
+    quotient: (a, b) => a / b,
+    inverse: a => extendedEuclid(ring, a),
+  };
+
+  return ring;
+};
+
+/**
+ * Sets `rows[target] = rows[target] - factor * rows[source]`.
+ * @private
+ */
+function subtractRow<T extends IntegerLike>(
+  ring: IRing<T>,
+  rows: T[][],
+  target: number,
+  source: number,
+  factor: T,
+) {
+  rows[target] = rows[target].map((v, j) =>
+    ring.subtract(v, ring.multiply(factor, rows[source][j])),
+  );
+}
+
+/**
+ * Brings a non-zero pivot for column c into row r, and zeroes the column in
+ * the rows below it. A row with a unit in the column is used when there is
+ * one (always, for a prime modulus); otherwise the rows are combined with
+ * the Euclidean algorithm, leaving their gcd as the pivot.
+ *
+ * Returns the number of row swaps done, or -1 if the column is zero from
+ * row r down. Row subtractions do not change the determinant.
+ * @private
+ */
+function pivot<T extends IntegerLike>(ring: IRing<T>, rows: T[][], r: number, c: number) {
+  let swaps = 0;
+  const swap = (i: number, j: number) => {
+    if (i !== j) {
+      [rows[i], rows[j]] = [rows[j], rows[i]];
+      swaps++;
+    }
+  };
+
+  const unit = rows.findIndex((row, i) => i >= r && ring.inverse(row[c]) !== null);
+  if (unit !== -1) {
+    swap(r, unit);
+    const inverse = ring.inverse(rows[r][c])!;
+    for (let i = r + 1; i < rows.length; i++) {
+      subtractRow(ring, rows, i, r, ring.multiply(rows[i][c], inverse));
+    }
+    return swaps;
+  }
+
+  for (let i = r + 1; i < rows.length; i++) {
+    while (rows[i][c] !== ring.zero) {
+      subtractRow(ring, rows, r, i, ring.quotient(rows[r][c], rows[i][c]));
+      swap(r, i);
+    }
+  }
+
+  return rows[r][c] === ring.zero ? -1 : swaps;
+}
+
+/**
+ * Reduces the rows to reduced row echelon form, pivoting only in the first
+ * `columns` columns. Returns the pivot column of each non-zero row.
+ * @throws A {@link InvalidOperationError} if a pivot has no inverse, which
+ * can only happen for a composite modulus
+ * @private
+ */
+function reduceRows<T extends IntegerLike>(ring: IRing<T>, rows: T[][], columns: number) {
+  const pivots: number[] = [];
+  for (let c = 0; c < columns && pivots.length < rows.length; c++) {
+    const r = pivots.length;
+    if (pivot(ring, rows, r, c) === -1) {
+      continue;
+    }
+
+    const inverse = ring.inverse(rows[r][c]);
+    if (inverse === null) {
+      throw new InvalidOperationError(
+        `Cannot reduce the matrix, the pivot ${rows[r][c]} has no inverse modulo ${ring.modulus}`,
+      );
+    }
+
+    rows[r] = rows[r].map(v => ring.multiply(v, inverse));
+    for (let i = 0; i < rows.length; i++) {
+      if (i !== r && rows[i][c] !== ring.zero) {
+        subtractRow(ring, rows, i, r, rows[i][c]);
+      }
+    }
+    pivots.push(c);
+  }
+
+  return pivots;
+}
+
+/**
+ * A matrix over the integers modulo n, with all arithmetic done exactly in
+ * integers. When n is prime this is the finite field GF(p), and every
+ * operation is available; for composite moduli (such as 26 for the Hill
+ * cipher) the determinant, inverse and solving an invertible system work,
+ * but reductions which need to divide by a non-invertible element throw.
+ *
+ * The element type follows the type of the modulus: pass the modulus as a
+ * BigInt to work with moduli too large for exact number arithmetic.
+ * Like {@link Matrix}, it is immutable and `e(i, j)` indexing starts from 1.
+ */
+export class ModularMatrix<T extends IntegerLike = number> {
+  /**
+   * The modulus n.
+   */
+  public readonly modulus: T;
+
+  /**
+   * Matrix elements, each in [0, n).
+   */
+  public readonly elements: ReadonlyArray<ReadonlyArray<T>>;
+
+  /**
+   * Gets the number of rows in the matrix.
+   */
+  public readonly rows: number;
+
+  /**
+   * Gets the number of columns in the matrix.
+   */
+  public readonly cols: number;
+
+  private readonly ring: IRing<T>;
+
+  /**
+   * Creates a modular matrix, reducing each element modulo n.
+   * @param elements - Integer elements, or a {@link Matrix} with integer elements
+   * @param modulus - The modulus n, as a number or BigInt
+   * @throws A {@link InvalidOperationError} if an element is not an integer
+   * @throws A {@link OutOfRangeError} if the modulus is too small, or too
+   * large to be used as a number
+   */
+  constructor(elements: ReadonlyArray<ReadonlyArray<IntegerLike>> | Matrix, modulus: T) {
+    this.ring = ((typeof modulus === 'bigint'
+      ? bigintRing(modulus)
+      : numberRing(modulus as number)) as unknown) as IRing<T>;
+    this.modulus = modulus;
+    this.elements = (elements instanceof Matrix ? elements.elements : elements).map(row =>
+      row.map(this.ring.reduce),
+    );
+    this.rows = this.elements.length;
+    this.cols = this.rows && this.elements[0].length;
+  }
+
+  /**
+   * Returns the element at (i, j) in the matrix, or null if out of bounds.
+   */
+  public e(i: number, j: number): T | null {
+    if (i < 1 || i > this.rows || j < 1 || j > this.cols) {
+      return null;
+    }
+
+    return this.elements[i - 1][j - 1];
+  }
+
+  /**
+   * Returns whether this is a square matrix.
+   */
+  public isSquare() {
+    return this.rows === this.cols;
+  }
+
+  /**
+   * Adds the matrix to this one.
+   * @throws A {@link DimensionalityMismatchError} if the matrix is a different size than this one
+   * @throws A {@link InvalidOperationError} if the matrices have different moduli
+   */
+  public add(matrix: ModularMatrix<T> | ReadonlyArray<ReadonlyArray<IntegerLike>>) {
+    const M = this.operand(matrix);
+    if (M.rows !== this.rows || M.cols !== this.cols) {
+      throw new DimensionalityMismatchError(
+        `Cannot add a ${M.rows}x${M.cols} matrix to this ${this.rows}x${this.cols} matrix`,
+      );
+    }
+
+    return this.withElements(
+      this.elements.map((row, i) => row.map((v, j) => this.ring.add(v, M.elements[i][j]))),
+    );
+  }
+
+  /**
+   * Subtracts the matrix from this one.
+   * @throws A {@link DimensionalityMismatchError} if the matrix is a different size than this one
+   * @throws A {@link InvalidOperationError} if the matrices have different moduli
+   */
+  public subtract(matrix: ModularMatrix<T> | ReadonlyArray<ReadonlyArray<IntegerLike>>) {
+    return this.add(this.operand(matrix).multiply(this.ring.reduce(-1)));
+  }
+
+  /**
+   * Returns the result of multiplying the matrix from the right by the
+   * argument, modulo n. Multiplying by a list of integers treats it as a
+   * column vector and returns a list.
+   * @throws A {@link DimensionalityMismatchError} if the multiplicand is an
+   * inappropriately sized matrix or vector
+   * @throws A {@link InvalidOperationError} if the matrices have different moduli
+   */
+  public multiply(multiplicand: IntegerLike): ModularMatrix<T>;
+  public multiply(multiplicand: ReadonlyArray<IntegerLike>): T[];
+  public multiply(
+    multiplicand: ModularMatrix<T> | ReadonlyArray<ReadonlyArray<IntegerLike>>,
+  ): ModularMatrix<T>;
+  public multiply(
+    multiplicand:
+      | ModularMatrix<T>
+      | ReadonlyArray<ReadonlyArray<IntegerLike>>
+      | ReadonlyArray<IntegerLike>
+      | IntegerLike,
+  ): ModularMatrix<T> | T[] {
+    const { ring } = this;
+    if (typeof multiplicand === 'number' || typeof multiplicand === 'bigint') {
+      const factor = ring.reduce(multiplicand);
+      return this.withElements(this.elements.map(row => row.map(v => ring.multiply(v, factor))));
+    }
+
+    if (multiplicand instanceof Array && !(multiplicand[0] instanceof Array)) {
+      const vector = (multiplicand as ReadonlyArray<IntegerLike>).map(ring.reduce);
+      if (vector.length !== this.cols) {
+        throw new DimensionalityMismatchError(
+          `Cannot multiply a ${this.rows}x${this.cols} matrix by a vector of length ${vector.length}`,
+        );
+      }
+
+      return this.elements.map(row =>
+        row.reduce((sum, v, j) => ring.add(sum, ring.multiply(v, vector[j])), ring.zero),
+      );
+    }
+
+    const M = this.operand(multiplicand as ModularMatrix<T>);
+    if (M.rows !== this.cols) {
+      throw new DimensionalityMismatchError(
+        `Cannot multiply a ${this.rows}x${this.cols} matrix by a ${M.rows}x${M.cols} matrix, expected an ${this.cols}xN matrix`,
+      );
+    }
+
+    return this.withElements(
+      this.elements.map(row =>
+        M.elements[0].map((_, j) =>
+          row.reduce((sum, v, k) => ring.add(sum, ring.multiply(v, M.elements[k][j])), ring.zero),
+        ),
+      ),
+    );
+  }
+
+  /**
+   * Alias to {@link ModularMatrix.multiply}
+   */
+  public x(multiplicand: IntegerLike): ModularMatrix<T>;
+  public x(multiplicand: ReadonlyArray<IntegerLike>): T[];
+  public x(
+    multiplicand: ModularMatrix<T> | ReadonlyArray<ReadonlyArray<IntegerLike>>,
+  ): ModularMatrix<T>;
+  public x(
+    multiplicand:
+      | ModularMatrix<T>
+      | ReadonlyArray<ReadonlyArray<IntegerLike>>
+      | ReadonlyArray<IntegerLike>
+      | IntegerLike,
+  ): ModularMatrix<T> | T[] {
+    // Cast is needed here since TS gets confused with nested overloads like this
+    return this.multiply(multiplicand as ModularMatrix<T>);
+  }
+
+  /**
+   * Returns the transposition of the matrix.
+   */
+  public transpose() {
+    return this.withElements(
+      this.cols === 0 ? [] : this.elements[0].map((_, j) => this.elements.map(row => row[j])),
+    );
+  }
+
+  /**
+   * Returns whether the other matrix has the same modulus and elements.
+   */
+  public eql(matrix: unknown) {
+    return (
+      matrix instanceof ModularMatrix &&
+      matrix.modulus === this.modulus &&
+      matrix.rows === this.rows &&
+      matrix.cols === this.cols &&
+      this.elements.every((row, i) => row.every((v, j) => v === matrix.elements[i][j]))
+    );
+  }
+
+  /**
+   * Returns the determinant modulo n, computed exactly for any modulus.
+   * @throws A {@link DimensionalityMismatchError} if the matrix is not square
+   */
+  public determinant(): T {
+    if (!this.isSquare()) {
+      throw new DimensionalityMismatchError(
+        `A matrix must be square to have a determinant, provided a ${this.rows}x${this.cols} matrix`,
+      );
+    }
+
+    const { ring } = this;
+    const rows = this.toArray();
+    let det = ring.one;
+    for (let k = 0; k < this.rows; k++) {
+      const swaps = pivot(ring, rows, k, k);
+      if (swaps === -1) {
+        return ring.zero;
+      }
+
+      det = ring.multiply(det, rows[k][k]);
+      if (swaps % 2 === 1) {
+        det = ring.subtract(ring.zero, det);
+      }
+    }
+
+    return det;
+  }
+
+  /**
+   * Alias for {@link ModularMatrix.determinant}
+   */
+  public det() {
+    return this.determinant();
+  }
+
+  /**
+   * Returns the reduced row echelon form of the matrix.
+   * @throws A {@link InvalidOperationError} if a pivot has no inverse, which
+   * can only happen for a composite modulus
+   */
+  public rref() {
+    const rows = this.toArray();
+    reduceRows(this.ring, rows, this.cols);
+    return this.withElements(rows);
+  }
+
+  /**
+   * Returns the rank of the matrix.
+   * @throws A {@link InvalidOperationError} if a pivot has no inverse, which
+   * can only happen for a composite modulus
+   */
+  public rank() {
+    return reduceRows(this.ring, this.toArray(), this.cols).length;
+  }
+
+  /**
+   * Returns the inverse of the matrix modulo n.
+   * @throws A {@link DimensionalityMismatchError} if the matrix is not square
+   * @throws A {@link InvalidOperationError} if the determinant has no inverse
+   * modulo n, in which case neither does the matrix
+   */
+  public inverse() {
+    const det = this.determinant();
+    if (this.ring.inverse(det) === null) {
+      throw new InvalidOperationError(
+        `The matrix is not invertible modulo ${this.modulus} (determinant=${det})`,
+      );
+    }
+
+    const n = this.rows;
+    const rows = this.elements.map((row, i) =>
+      row.concat(row.map((_, j) => (i === j ? this.ring.one : this.ring.zero))),
+    );
+    reduceRows(this.ring, rows, n);
+    return this.withElements(rows.map(row => row.slice(n)));
+  }
+
+  /**
+   * Solves `Ax = b` modulo n, returning one solution. If there are many,
+   * the free variables are set to zero; see {@link ModularMatrix.nullSpace}
+   * for the others.
+   * @throws A {@link DimensionalityMismatchError} if b does not have one
+   * element for each row
+   * @throws A {@link InvalidOperationError} if the system has no solution, or
+   * a pivot has no inverse (only possible for a composite modulus)
+   */
+  public solve(b: ReadonlyArray<IntegerLike>): T[] {
+    if (b.length !== this.rows) {
+      throw new DimensionalityMismatchError(
+        `Expected a vector with ${this.rows} elements, got ${b.length}`,
+      );
+    }
+
+    const rows = this.elements.map((row, i) => row.concat(this.ring.reduce(b[i])));
+    const pivots = reduceRows(this.ring, rows, this.cols);
+    for (let i = pivots.length; i < this.rows; i++) {
+      if (rows[i][this.cols] !== this.ring.zero) {
+        throw new InvalidOperationError(`The system has no solution modulo ${this.modulus}`);
+      }
+    }
+
+    const x = new Array<T>(this.cols).fill(this.ring.zero);
+    pivots.forEach((c, i) => {
+      x[c] = rows[i][this.cols];
+    });
+
+    return x;
+  }
+
+  /**
+   * Returns a basis for the null space of the matrix: vectors x for which
+   * `Ax = 0` modulo n.
+   * @throws A {@link InvalidOperationError} if a pivot has no inverse, which
+   * can only happen for a composite modulus
+   */
+  public nullSpace(): T[][] {
+    const { ring } = this;
+    const rows = this.toArray();
+    const pivots = reduceRows(ring, rows, this.cols);
+    const basis: T[][] = [];
+    for (let free = 0; free < this.cols; free++) {
+      if (pivots.includes(free)) {
+        continue;
+      }
+
+      const x = new Array<T>(this.cols).fill(ring.zero);
+      x[free] = ring.one;
+      pivots.forEach((c, i) => {
+        x[c] = ring.subtract(ring.zero, rows[i][free]);
+      });
+      basis.push(x);
+    }
+
+    return basis;
+  }
+
+  /**
+   * Returns a copy of the elements as a nested array.
+   */
+  public toArray() {
+    return this.elements.map(row => row.slice());
+  }
+
+  /**
+   * Returns the elements as a floating-point {@link Matrix}.
+   */
+  public toMatrix() {
+    return new Matrix(this.elements.map(row => row.map(Number)));
+  }
+
+  /**
+   * Returns a string representation of the matrix.
+   */
+  public toString() {
+    const rows = [`ModularMatrix<mod ${this.modulus}`];
+    for (const row of this.elements) {
+      rows.push(`  [${row.join(', ')}]`);
+    }
+    rows.push('>');
+    return rows.join('\n');
+  }
+
+  /**
+   * Converts the argument to a matrix with the same modulus.
+   * @throws A {@link InvalidOperationError} if it has a different modulus
+   */
+  private operand(matrix: ModularMatrix<T> | ReadonlyArray<ReadonlyArray<IntegerLike>>) {
+    if (!(matrix instanceof ModularMatrix)) {
+      return new ModularMatrix(matrix, this.modulus);
+    }
+
+    if (matrix.modulus !== this.modulus) {
+      throw new InvalidOperationError(
+        `Cannot combine matrices modulo ${this.modulus} and ${matrix.modulus}`,
+      );
+    }
+
+    return matrix;
+  }
+
+  private withElements(elements: ReadonlyArray<ReadonlyArray<T>>) {
+    return new ModularMatrix(elements, this.modulus);
+  }
+
+  /**
+   * Creates an identity matrix modulo n.
+   * @param size - Number of rows and columns
+   * @param modulus - The modulus n, as a number or BigInt
+   */
+  static I<T extends IntegerLike>(size: number, modulus: T) {
+    return new ModularMatrix(Matrix.I(size), modulus);
+  }
+}
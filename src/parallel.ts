@@ -0,0 +1,383 @@
+import {
+  Sylvester,
+  SylvesterError,
+  ConvergenceError,
+  DimensionalityMismatchError,
+  InvalidOperationError,
+} from './sylvester';
+import { FloatArray } from './likeness';
+import { multiplyData, strassenSplit } from './gemm';
+import { luPanel } from './lu';
+
+/**
+ * Work sent to a worker thread, run by worker.ts. Arrays on a
+ * `SharedArrayBuffer` are written in place; everything else is copied.
+ * @private
+ */
+export type Task =
+  | {
+      op: 'blocked';
+      A: Float64Array;
+      B: Float64Array;
+      C?: Float64Array;
+      m: number;
+      k: number;
+      n: number;
+      blockSize: number;
+    }
+  | {
+      op: 'strassen';
+      A: Float64Array;
+      B: Float64Array;
+      m: number;
+      k: number;
+      n: number;
+      threshold: number;
+      blockSize: number;
+    }
+  | {
+      op: 'luPanel';
+      A: Float64Array;
+      perm: Int32Array;
+      m: number;
+      n: number;
+      start: number;
+      end: number;
+    }
+  | {
+      op: 'luUpdate';
+      A: Float64Array;
+      m: number;
+      n: number;
+      start: number;
+      end: number;
+      from: number;
+      to: number;
+    }
+  | { op: 'svd'; A: Float64Array; m: number; n: number; economy: boolean };
+
+declare const SharedArrayBuffer: (new (bytes: number) => ArrayBuffer) | undefined;
+
+/**
+ * Number of multiplications below which posting work to the threads costs
+ * more than it saves, about a 100x100 product.
+ * @private
+ */
+const PARALLEL_WORK = 1e6;
+
+/**
+ * Number of columns LU factors at a time before updating the rest of the
+ * matrix in parallel.
+ * @private
+ */
+const PANEL_WIDTH = 48;
+
+/**
+ * A pool of worker threads, each running one task at a time.
+ * @private
+ */
+interface IPool {
+  size: number;
+  run<T>(task: Task, transfer?: ArrayBuffer[]): Promise<T>;
+  terminate(): Promise<void>;
+}
+
+/**
+ * The running pool, null if worker threads are unavailable, or undefined
+ * before the first use or after {@link terminateWorkers}.
+ * @private
+ */
+let pool: IPool | null | undefined;
+
+/**
+ * Recreates errors thrown on a worker thread with their Sylvester type, so
+ * callers can tell them apart as with the synchronous methods.
+ * @private
+ */
+const reviveError = ({ type, message }: { type: string; message: string }) => {
+  const types: { [type: string]: new (message: string) => Error } = {
+    ConvergenceError,
+    DimensionalityMismatchError,
+    InvalidOperationError,
+    SylvesterError,
+  };
+  return new (types[type] || Error)(message);
+};
+
+/**
+ * Starts `size` worker threads running worker.js.
+ * @private
+ */
+const createPool = (threads: typeof import('worker_threads'), size: number): IPool => {
+  type Job = {
+    task: Task;
+    transfer: ArrayBuffer[];
+    resolve(value: any): void;
+    reject(error: Error): void;
+  };
+  const workers: import('worker_threads').Worker[] = [];
+  const idle: import('worker_threads').Worker[] = [];
+  const running = new Map<import('worker_threads').Worker, Job>();
+  const queue: Job[] = [];
+  let terminated = false;
+
+  const fail = (error: Error) => {
+    for (const job of [...running.values(), ...queue.splice(0)]) {
+      job.reject(error);
+    }
+    running.clear();
+  };
+
+  const dispatch = () => {
+    while (idle.length && queue.length) {
+      const worker = idle.pop()!;
+      const job = queue.shift()!;
+      running.set(worker, job);
+      // Busy workers keep the process alive until their task is done.
+      worker.ref();
+      worker.postMessage(job.task, job.transfer);
+    }
+  };
+
+  const self: IPool = {
+    size,
+    run: (task, transfer = []) =>
+      new Promise((resolve, reject) => {
+        queue.push({ task, transfer, resolve, reject });
+        dispatch();
+      }),
+    terminate: async () => {
+      terminated = true;
+      fail(new InvalidOperationError('The worker threads were terminated'));
+      await Promise.all(workers.map(worker => worker.terminate()));
+    },
+  };
+
+  // A worker that crashes or exits takes the pool down with it, failing
+  // every task that's waiting; the next call starts a new pool.
+  const crash = (error: Error) => {
+    if (terminated) {
+      return;
+    }
+    if (pool === self) {
+      pool = undefined;
+    }
+    fail(error);
+    self.terminate();
+  };
+
+  for (let i = 0; i < size; i++) {
+    const worker = new threads.Worker(`${__dirname}/worker.js`);
+    worker.unref();
+    worker.on('message', ({ result, error }) => {
+      const job = running.get(worker)!;
+      running.delete(worker);
+      worker.unref();
+      idle.push(worker);
+      if (error) {
+        job.reject(reviveError(error));
+      } else {
+        job.resolve(result);
+      }
+      dispatch();
+    });
+    worker.on('error', crash);
+    worker.on('exit', code =>
+      crash(new InvalidOperationError(`A worker thread exited with code ${code}`)),
+    );
+    workers.push(worker);
+    idle.push(worker);
+  }
+
+  return self;
+};
+
+/**
+ * Starts the pool on first use, with `Sylvester.workers` threads, returning
+ * null if worker threads are unavailable, as in browsers.
+ * @private
+ */
+const getPool = () => {
+  if (pool === undefined) {
+    try {
+      // Browser bundles get an empty module, since package.json maps it to false.
+      const threads: typeof import('worker_threads') = require('worker_threads');
+      pool = threads.Worker
+        ? createPool(threads, Sylvester.workers || require('os').cpus().length)
+        : null;
+    } catch {
+      pool = null;
+    }
+  }
+
+  return pool;
+};
+
+/**
+ * Stops the worker threads the async methods run on. Idle workers don't
+ * keep the process alive, so this is rarely needed; the next async call
+ * starts them again, picking up any change to `Sylvester.workers`.
+ */
+export const terminateWorkers = async () => {
+  const running = pool;
+  pool = undefined;
+  await running?.terminate();
+};
+
+/**
+ * Copies the data into a `SharedArrayBuffer` so the threads can all read
+ * and write it without copying, or returns null if that's unavailable.
+ * @private
+ */
+const share = (data: FloatArray) => {
+  if (typeof SharedArrayBuffer === 'undefined') {
+    return null;
+  }
+
+  const shared = new Float64Array(new SharedArrayBuffer(data.length * 8));
+  shared.set(data);
+  return shared;
+};
+
+/**
+ * Splits `from` to `to` into at most `parts` ranges of about the same size.
+ * @private
+ */
+const ranges = (from: number, to: number, parts: number) => {
+  const size = Math.ceil((to - from) / parts);
+  const result: [number, number][] = [];
+  for (let start = from; start < to; start += size) {
+    result.push([start, Math.min(start + size, to)]);
+  }
+  return result;
+};
+
+/**
+ * Multiplies like {@link multiplyData}, with identical results, but spreads
+ * large products over the worker threads: the seven top-level products of
+ * Strassen's algorithm, or otherwise the rows of A, since the blocked
+ * kernel computes each row the same way however they're split up.
+ * @private
+ */
+export const multiplyParallel = async (
+  A: FloatArray,
+  B: FloatArray,
+  m: number,
+  k: number,
+  n: number,
+): Promise<Float64Array> => {
+  const threads = m * k * n >= PARALLEL_WORK ? getPool() : null;
+  if (!threads) {
+    return multiplyData(A, B, m, k, n);
+  }
+
+  const { blockSize, strassenThreshold } = Sylvester;
+  const threshold = Math.max(strassenThreshold, 2);
+  if (m >= threshold && k >= threshold && n >= threshold) {
+    const { h, d, w, products, combine } = strassenSplit(A, B, m, k, n);
+    return combine(
+      await Promise.all(
+        products.map(([X, Y]) =>
+          threads.run<Float64Array>(
+            { op: 'strassen', A: X, B: Y, m: h, k: d, n: w, threshold, blockSize },
+            [X.buffer, Y.buffer],
+          ),
+        ),
+      ),
+    );
+  }
+
+  // Each thread multiplies some rows of A by B into the same rows of C,
+  // which it posts back if they can't be shared.
+  const sharedA = share(A);
+  const sharedB = share(B);
+  const C = share(new Float64Array(m * n));
+  const rows = ranges(0, m, threads.size);
+  const chunks = await Promise.all(
+    rows.map(([start, end]) =>
+      threads.run<Float64Array | undefined>({
+        op: 'blocked',
+        A: sharedA
+          ? sharedA.subarray(start * k, end * k)
+          : new Float64Array(A.subarray(start * k, end * k)),
+        B: sharedB || new Float64Array(B),
+        C: C?.subarray(start * n, end * n),
+        m: end - start,
+        k,
+        n,
+        blockSize,
+      }),
+    ),
+  );
+
+  if (C) {
+    return C.slice();
+  }
+
+  const product = new Float64Array(m * n);
+  rows.forEach(([start], i) => product.set(chunks[i]!, start * n));
+  return product;
+};
+
+/**
+ * Factors the m by n matrix like {@link luPanel} over all its columns, with
+ * identical results, but a panel of columns at a time, with the update of
+ * the columns right of each panel split between the worker threads. Returns
+ * the factors and row permutation for {@link luSplit}.
+ * @private
+ */
+export const luParallel = async (A: FloatArray, m: number, n: number) => {
+  const steps = Math.min(m, n);
+  const threads = m * n * steps >= PARALLEL_WORK ? getPool() : null;
+  const LU = threads && share(A);
+  if (!threads || !LU) {
+    const factors = new Float64Array(A);
+    const perm = new Int32Array(m).map((_, i) => i);
+    luPanel(factors, m, n, 0, n, perm);
+    return { LU: factors, perm };
+  }
+
+  const perm = new Int32Array(new SharedArrayBuffer!(m * 4));
+  for (let i = 0; i < m; i++) {
+    perm[i] = i;
+  }
+
+  for (let start = 0; start < steps; start += PANEL_WIDTH) {
+    const end = Math.min(start + PANEL_WIDTH, steps);
+    await threads.run({ op: 'luPanel', A: LU, perm, m, n, start, end });
+    await Promise.all(
+      ranges(end, n, threads.size).map(([from, to]) =>
+        threads.run({ op: 'luUpdate', A: LU, m, n, start, end, from, to }),
+      ),
+    );
+  }
+
+  return { LU: LU.slice(), perm: perm.slice() };
+};
+
+/**
+ * Flat, row-major factors of a singular value decomposition.
+ * @private
+ */
+export interface ISvdFactors {
+  U: { data: Float64Array; rows: number; cols: number };
+  S: { data: Float64Array; rows: number; cols: number };
+  V: { data: Float64Array; rows: number; cols: number };
+}
+
+/**
+ * Computes the singular value decomposition of large matrices on a worker
+ * thread. The iteration is sequential, so this doesn't split it up, but it
+ * keeps the main thread free and lets several decompositions run at once.
+ * Returns undefined for small matrices or without worker threads, to
+ * decompose them synchronously instead.
+ * @private
+ */
+export const svdParallel = async (A: FloatArray, m: number, n: number, economy: boolean) => {
+  const threads = m * n * Math.min(m, n) >= PARALLEL_WORK ? getPool() : null;
+  if (!threads) {
+    return undefined;
+  }
+
+  return threads.run<ISvdFactors>({ op: 'svd', A: new Float64Array(A), m, n, economy });
+};
@@ -0,0 +1,334 @@
+import { DimensionalityMismatchError, InvalidOperationError, OutOfRangeError } from './sylvester';
+import { Matrix } from './matrix';
+import { Vector } from './vector';
+import { MatrixLike, VectorOrList, isMatrixLike } from './likeness';
+
+/**
+ * Options for {@link PCA.fit}.
+ */
+export interface IPCAOptions {
+  /**
+   * Number of principal components to keep. Defaults to all of them.
+   */
+  components?: number;
+
+  /**
+   * Keep the fewest components whose explained variance ratios add up to at
+   * least this fraction, in (0, 1]. Cannot be combined with `components`.
+   */
+  varianceThreshold?: number;
+
+  /**
+   * Whether to divide each feature by its standard deviation after
+   * centering, so that features measured in different units are weighted
+   * equally. Defaults to false.
+   */
+  scale?: boolean;
+
+  /**
+   * Whether {@link PCA.transform} should divide each component by its
+   * standard deviation, giving outputs with unit variance. Defaults to false.
+   */
+  whiten?: boolean;
+}
+
+/**
+ * Plain-object form of a fitted {@link PCA} model, as returned from
+ * {@link PCA.toJSON}. Safe to pass through `JSON.stringify`.
+ */
+export interface IPCAModel {
+  /**
+   * Mean of each feature in the training data.
+   */
+  mean: number[];
+
+  /**
+   * Standard deviation each feature was divided by, or null if the data
+   * was not scaled.
+   */
+  scale: number[] | null;
+
+  /**
+   * Principal axes, one row for each component.
+   */
+  components: number[][];
+
+  /**
+   * Variance of the training data along each component.
+   */
+  explainedVariance: number[];
+
+  /**
+   * Total variance of the (scaled) training data, over all components.
+   */
+  totalVariance: number;
+
+  /**
+   * Whether transformed data is whitened.
+   */
+  whiten: boolean;
+}
+
+/**
+ * Flips the sign of each row so that its largest entry is positive, making
+ * the otherwise arbitrary signs from the SVD deterministic.
+ * @private
+ */
+const alignSigns = (rows: number[][]) =>
+  rows.map(row => {
+    const largest = row.reduce((a, b) => (Math.abs(b) > Math.abs(a) ? b : a), 0);
+    return largest < 0 ? row.map(x => -x) : row;
+  });
+
+/**
+ * Principal component analysis: projects data onto the orthogonal axes
+ * along which it varies the most. Unlike {@link Matrix.pcaProject}, the data
+ * is centered before the axes are found, and new data can be transformed
+ * with the same model.
+ *
+ * Data is given as a matrix with one row for each sample and one column for
+ * each feature.
+ *
+ * @example
+ * const pca = PCA.fit(X, { varianceThreshold: 0.95 });
+ * const Z = pca.transform(X);
+ * const restored = pca.inverseTransform(Z);
+ * const copy = PCA.fromJSON(JSON.parse(JSON.stringify(pca)));
+ * @see https://en.wikipedia.org/wiki/Principal_component_analysis
+ */
+export class PCA {
+  /**
+   * Mean of each feature in the training data.
+   */
+  public readonly mean: Vector;
+
+  /**
+   * Standard deviation each feature is divided by, or null if the data is
+   * not scaled.
+   */
+  public readonly scale: Vector | null;
+
+  /**
+   * Principal axes as unit vectors, one row for each component, ordered by
+   * decreasing explained variance.
+   */
+  public readonly components: Matrix;
+
+  /**
+   * Variance of the training data along each component. These are the
+   * eigenvalues of the sample covariance matrix.
+   */
+  public readonly explainedVariance: Vector;
+
+  /**
+   * Fraction of the total variance explained by each component.
+   */
+  public readonly explainedVarianceRatio: Vector;
+
+  /**
+   * Total variance of the (scaled) training data, over all components.
+   */
+  public readonly totalVariance: number;
+
+  /**
+   * Whether {@link PCA.transform} whitens its output.
+   */
+  public readonly whiten: boolean;
+
+  /**
+   * Creates a PCA from a fitted model; see {@link PCA.fit} to fit one to data.
+   * @throws A {@link DimensionalityMismatchError} if the sizes in the model
+   * are inconsistent
+   */
+  constructor(model: IPCAModel) {
+    const features = model.mean.length;
+    if (
+      (model.scale && model.scale.length !== features) ||
+      model.components.some(c => c.length !== features) ||
+      model.explainedVariance.length !== model.components.length
+    ) {
+      throw new DimensionalityMismatchError(
+        `PCA model has ${features} features, but its scale, components or explained variance do not match`,
+      );
+    }
+
+    this.mean = new Vector(model.mean);
+    this.scale = model.scale && new Vector(model.scale);
+    this.components = new Matrix(model.components);
+    this.explainedVariance = new Vector(model.explainedVariance);
+    this.explainedVarianceRatio = this.explainedVariance.map(v =>
+      model.totalVariance ? v / model.totalVariance : 0,
+    );
+    this.totalVariance = model.totalVariance;
+    this.whiten = model.whiten;
+  }
+
+  /**
+   * Gets the number of principal components kept.
+   */
+  public get k() {
+    return this.explainedVariance.elements.length;
+  }
+
+  /**
+   * Fits a PCA model to the data, with one row for each sample.
+   * @throws A {@link OutOfRangeError} if the number of components or the
+   * variance threshold is out of range
+   * @throws A {@link InvalidOperationError} if both the number of components
+   * and a variance threshold are given, or there are fewer than two samples
+   * @throws A {@link ConvergenceError} if the SVD fails to converge
+   */
+  static fit(data: MatrixLike, options: IPCAOptions = {}) {
+    const X = new Matrix(data);
+    const n = X.rows;
+    const { components, varianceThreshold, scale = false, whiten = false } = options;
+    if (components !== undefined && varianceThreshold !== undefined) {
+      throw new InvalidOperationError('Provide either components or varianceThreshold, not both');
+    }
+    if (n < 2) {
+      throw new InvalidOperationError(`Cannot fit a PCA to fewer than 2 samples, got ${n}`);
+    }
+
+    const mean = X.transpose().elements.map(col => col.reduce((a, b) => a + b, 0) / n);
+    let centered = X.map((x, _, j) => x - mean[j - 1]);
+    let std: number[] | null = null;
+    if (scale) {
+      // Constant features are left as-is rather than dividing by zero.
+      std = centered
+        .transpose()
+        .elements.map(col => Math.sqrt(col.reduce((a, b) => a + b * b, 0) / (n - 1)) || 1);
+      centered = centered.map((x, _, j) => x / std![j - 1]);
+    }
+
+    const { S, V } = centered.svd({ economy: true });
+    const variances = S.diagonal().elements.map(s => (s * s) / (n - 1));
+    const totalVariance = variances.reduce((a, b) => a + b, 0);
+
+    let k = variances.length;
+    if (components !== undefined) {
+      if (components < 1 || components > k || components % 1 !== 0) {
+        throw new OutOfRangeError(`Can only keep between 1 and ${k} components, got ${components}`);
+      }
+      k = components;
+    } else if (varianceThreshold !== undefined) {
+      if (!(varianceThreshold > 0 && varianceThreshold <= 1)) {
+        throw new OutOfRangeError(
+          `The variance threshold must be in (0, 1], got ${varianceThreshold}`,
+        );
+      }
+
+      let explained = 0;
+      k = variances.findIndex(v => (explained += v) >= varianceThreshold * totalVariance) + 1 || k;
+    }
+
+    return new PCA({
+      mean,
+      scale: std,
+      components: alignSigns(
+        V.transpose()
+          .toArray()
+          .slice(0, k),
+      ),
+      explainedVariance: variances.slice(0, k),
+      totalVariance,
+      whiten,
+    });
+  }
+
+  /**
+   * Creates a PCA from a model previously returned from {@link PCA.toJSON},
+   * or its JSON string.
+   */
+  static fromJSON(model: IPCAModel | string) {
+    return new PCA(typeof model === 'string' ? JSON.parse(model) : model);
+  }
+
+  /**
+   * Projects data onto the principal components, returning a matrix with
+   * one row for each sample and one column for each component. A single
+   * sample can be given as a vector or list, and a vector is returned.
+   * @throws A {@link DimensionalityMismatchError} if the data does not have
+   * one column for each feature
+   */
+  public transform(data: VectorOrList): Vector;
+  public transform(data: MatrixLike): Matrix;
+  public transform(data: MatrixLike | VectorOrList): Matrix | Vector {
+    if (!isMatrixLike(data)) {
+      return this.transform(new Matrix([Vector.toElements(data)])).row(1);
+    }
+
+    const X = new Matrix(data);
+    this.assertFeatures(X.cols);
+    const Z = X.map((x, _, j) => {
+      const centered = x - this.mean.elements[j - 1];
+      return this.scale ? centered / this.scale.elements[j - 1] : centered;
+    }).x(this.components.transpose());
+
+    return this.whiten ? Z.map((z, _, j) => z / this.deviation(j)) : Z;
+  }
+
+  /**
+   * Maps projected data back to the original feature space. Information in
+   * the discarded components is lost, so this is only an approximation of
+   * the original data unless all components were kept.
+   * @throws A {@link DimensionalityMismatchError} if the data does not have
+   * one column for each component
+   */
+  public inverseTransform(data: VectorOrList): Vector;
+  public inverseTransform(data: MatrixLike): Matrix;
+  public inverseTransform(data: MatrixLike | VectorOrList): Matrix | Vector {
+    if (!isMatrixLike(data)) {
+      return this.inverseTransform(new Matrix([Vector.toElements(data)])).row(1);
+    }
+
+    let Z = new Matrix(data);
+    if (Z.cols !== this.k) {
+      throw new DimensionalityMismatchError(
+        `Expected data with ${this.k} components, got ${Z.cols} columns`,
+      );
+    }
+
+    if (this.whiten) {
+      Z = Z.map((z, _, j) => z * this.deviation(j));
+    }
+
+    return Z.x(this.components).map((x, _, j) => {
+      const unscaled = this.scale ? x * this.scale.elements[j - 1] : x;
+      return unscaled + this.mean.elements[j - 1];
+    });
+  }
+
+  /**
+   * Returns the fitted model as a plain object, which can be serialized
+   * with `JSON.stringify` and restored with {@link PCA.fromJSON}.
+   */
+  public toJSON(): IPCAModel {
+    return {
+      mean: this.mean.elements.slice(),
+      scale: this.scale && this.scale.elements.slice(),
+      components: this.components.toArray(),
+      explainedVariance: this.explainedVariance.elements.slice(),
+      totalVariance: this.totalVariance,
+      whiten: this.whiten,
+    };
+  }
+
+  /**
+   * Returns the standard deviation along the (1-based) component j, used
+   * for whitening. Components with no variance are left unscaled.
+   */
+  private deviation(j: number) {
+    return Math.sqrt(this.explainedVariance.elements[j - 1]) || 1;
+  }
+
+  /**
+   * Throws if data with the given number of columns can't be transformed.
+   */
+  private assertFeatures(features: number) {
+    if (features !== this.mean.elements.length) {
+      throw new DimensionalityMismatchError(
+        `Expected data with ${this.mean.elements.length} features, got ${features} columns`,
+      );
+    }
+  }
+}
@@ -2,6 +2,7 @@ import { Line, Segment } from './line';
 import { Matrix } from './matrix';
 import { Sylvester, OutOfRangeError, InvalidOperationError } from './sylvester';
 import { Vector } from './vector';
+import { Rotation, toRotationElements } from './quaternion';
 import {
   isPlaneLike,
   isLineLike,
@@ -308,11 +309,11 @@ export class Plane {
   /**
    * Returns a copy of the plane, rotated by t radians about the given line.
    * See notes on {@link Line.rotate}.
-   * @param t - degrees in radians
+   * @param t - degrees in radians, or a rotation matrix or quaternion
    * @diagram Plane.rotate
    */
-  public rotate(t: number | Matrix, line: Line): Plane {
-    const R = t instanceof Matrix ? t.elements : Matrix.Rotation(t, line.direction).elements;
+  public rotate(t: Rotation, line: Line): Plane {
+    const R = toRotationElements(t, line.direction);
     const C = line.pointClosestTo(this.anchor).elements;
     const A = this.anchor.elements;
     const N = this.normal.elements;
@@ -1,6 +1,7 @@
 import { Line } from './line';
 import { Matrix } from './matrix';
 import { Plane } from './plane';
+import { Rotation, toRotationElements } from './quaternion';
 import { Sylvester, InvalidOperationError } from './sylvester';
 import { Vector } from './vector';
 import { VectorOrList } from './likeness';
@@ -87,11 +88,11 @@ export class Polygon {
 
   /**
    * Rotates the polygon about the given line and returns the polygon.
-   * @param t - degrees in radians
+   * @param t - degrees in radians, or a rotation matrix or quaternion
    * @diagram Polygon.rotate
    */
-  public rotate(t: number, line: Line) {
-    const R = Matrix.Rotation(t, line.direction);
+  public rotate(t: Rotation, line: Line) {
+    const R = new Matrix(toRotationElements(t, line.direction));
     return new Polygon(
       this.vertices.map(v => v.rotate3D(R, line)),
       this.plane.rotate(R, line),
@@ -0,0 +1,290 @@
+import { Sylvester, DimensionalityMismatchError, InvalidOperationError } from './sylvester';
+import { Matrix } from './matrix';
+import { Vector } from './vector';
+import { MatrixLike, VectorOrList } from './likeness';
+
+/**
+ * A rotation accepted by the `rotate` methods: an angle in radians around
+ * the given axis, a rotation matrix, or a quaternion.
+ */
+export type Rotation = number | Matrix | Quaternion;
+
+/**
+ * Gets the 3x3 rotation matrix elements for a {@link Rotation}, using the
+ * axis if it's an angle.
+ * @private
+ */
+export const toRotationElements = (t: Rotation, axis: Vector) =>
+  t instanceof Matrix
+    ? t.elements
+    : t instanceof Quaternion
+    ? t.toMatrix().elements
+    : Matrix.Rotation(t, axis).elements;
+
+/**
+ * Quaternion `w + xi + yj + zk`. Unit quaternions represent 3D rotations
+ * without the drift that builds up when chaining rotation matrices, and can
+ * be smoothly interpolated with {@link Quaternion.slerp}.
+ *
+ * Rotations follow the same convention as {@link Matrix.Rotation}, so
+ * `Quaternion.fromAxisAngle(axis, theta).toMatrix()` equals
+ * `Matrix.Rotation(theta, axis)`.
+ * @see https://en.wikipedia.org/wiki/Quaternions_and_spatial_rotation
+ */
+export class Quaternion {
+  /**
+   * The identity quaternion, which represents no rotation.
+   */
+  public static readonly I = new Quaternion(1, 0, 0, 0);
+
+  constructor(
+    public readonly w: number,
+    public readonly x: number,
+    public readonly y: number,
+    public readonly z: number,
+  ) {}
+
+  /**
+   * Creates a quaternion that rotates by the angle (in radians) around the
+   * given axis.
+   * @throws A {@link DimensionalityMismatchError} if the axis is not 3D
+   * @throws A {@link InvalidOperationError} if the axis is zero
+   * @diagram Quaternion.fromAxisAngle
+   */
+  public static fromAxisAngle(axis: VectorOrList, angle: number) {
+    const a = Vector.toElements(axis);
+    if (a.length !== 3) {
+      throw new DimensionalityMismatchError(`Expected a 3D axis, got ${a.length} elements`);
+    }
+
+    const length = Math.hypot(a[0], a[1], a[2]);
+    if (length === 0) {
+      throw new InvalidOperationError('Cannot rotate around a zero axis');
+    }
+
+    const s = Math.sin(angle / 2) / length;
+    return new Quaternion(Math.cos(angle / 2), a[0] * s, a[1] * s, a[2] * s);
+  }
+
+  /**
+   * Creates a unit quaternion from a 3x3 rotation matrix, or the rotation
+   * part of a 4x4 homogeneous matrix.
+   * @throws A {@link DimensionalityMismatchError} if the matrix is not 3x3
+   * or 4x4
+   * @see https://doi.org/10.2514/3.55767b
+   * @diagram Quaternion.fromRotationMatrix
+   */
+  public static fromRotationMatrix(matrix: MatrixLike) {
+    const M = new Matrix(matrix);
+    if (!M.isSquare() || (M.rows !== 3 && M.rows !== 4)) {
+      throw new DimensionalityMismatchError(
+        `Expected a 3x3 or 4x4 rotation matrix, got a ${M.rows}x${M.cols} matrix`,
+      );
+    }
+
+    // Shepperd's method: pick the largest of w, x, y and z to divide by,
+    // for numerical stability.
+    const [[m11, m12, m13], [m21, m22, m23], [m31, m32, m33]] = M.elements;
+    const trace = m11 + m22 + m33;
+    let q: Quaternion;
+    if (trace > 0) {
+      const s = 2 * Math.sqrt(1 + trace);
+      q = new Quaternion(s / 4, (m32 - m23) / s, (m13 - m31) / s, (m21 - m12) / s);
+    } else if (m11 > m22 && m11 > m33) {
+      const s = 2 * Math.sqrt(1 + m11 - m22 - m33);
+      q = new Quaternion((m32 - m23) / s, s / 4, (m12 + m21) / s, (m13 + m31) / s);
+    } else if (m22 > m33) {
+      const s = 2 * Math.sqrt(1 + m22 - m11 - m33);
+      q = new Quaternion((m13 - m31) / s, (m12 + m21) / s, s / 4, (m23 + m32) / s);
+    } else {
+      const s = 2 * Math.sqrt(1 + m33 - m11 - m22);
+      q = new Quaternion((m21 - m12) / s, (m13 + m31) / s, (m23 + m32) / s, s / 4);
+    }
+
+    return q.normalize();
+  }
+
+  /**
+   * Returns the Hamilton product of this quaternion and the other one. As
+   * rotations, the result applies the other rotation first, then this one.
+   * @diagram Quaternion.multiply
+   */
+  public multiply(q: Quaternion) {
+    return new Quaternion(
+      this.w * q.w - this.x * q.x - this.y * q.y - this.z * q.z,
+      this.w * q.x + this.x * q.w + this.y * q.z - this.z * q.y,
+      this.w * q.y - this.x * q.z + this.y * q.w + this.z * q.x,
+      this.w * q.z + this.x * q.y - this.y * q.x + this.z * q.w,
+    );
+  }
+
+  /**
+   * Returns the conjugate `w - xi - yj - zk`, which is the inverse rotation
+   * for unit quaternions.
+   * @diagram Quaternion.conjugate
+   */
+  public conjugate() {
+    return new Quaternion(this.w, -this.x, -this.y, -this.z);
+  }
+
+  /**
+   * Returns the multiplicative inverse of the quaternion.
+   * @throws A {@link InvalidOperationError} if the quaternion is zero
+   */
+  public inverse() {
+    const n = this.dot(this);
+    if (n === 0) {
+      throw new InvalidOperationError('Cannot invert a zero quaternion');
+    }
+
+    return new Quaternion(this.w / n, -this.x / n, -this.y / n, -this.z / n);
+  }
+
+  /**
+   * Returns the four-dimensional dot product with the other quaternion.
+   */
+  public dot(q: Quaternion) {
+    return this.w * q.w + this.x * q.x + this.y * q.y + this.z * q.z;
+  }
+
+  /**
+   * Returns the length (norm) of the quaternion.
+   */
+  public magnitude() {
+    return Math.sqrt(this.dot(this));
+  }
+
+  /**
+   * Returns the unit quaternion in the same direction. Renormalizing after
+   * chaining many rotations keeps rounding errors from building up.
+   * @throws A {@link InvalidOperationError} if the quaternion is zero
+   * @diagram Quaternion.normalize
+   */
+  public normalize() {
+    const n = this.magnitude();
+    if (n === 0) {
+      throw new InvalidOperationError('Cannot normalize a zero quaternion');
+    }
+
+    return new Quaternion(this.w / n, this.x / n, this.y / n, this.z / n);
+  }
+
+  /**
+   * Spherically interpolates between this rotation (at t = 0) and the other
+   * one (at t = 1), at a constant angular velocity along the shortest path.
+   * Both quaternions should be unit quaternions.
+   * @see https://en.wikipedia.org/wiki/Slerp
+   * @diagram Quaternion.slerp
+   */
+  public slerp(q: Quaternion, t: number) {
+    let cos = this.dot(q);
+    // q and -q are the same rotation, go the short way around
+    if (cos < 0) {
+      q = new Quaternion(-q.w, -q.x, -q.y, -q.z);
+      cos = -cos;
+    }
+
+    // Nearly parallel, where the sines below are too small to divide by.
+    if (cos > 1 - Sylvester.precision) {
+      return this.nlerp(q, t);
+    }
+
+    const theta = Math.acos(cos);
+    const a = Math.sin((1 - t) * theta) / Math.sin(theta);
+    const b = Math.sin(t * theta) / Math.sin(theta);
+    return new Quaternion(
+      a * this.w + b * q.w,
+      a * this.x + b * q.x,
+      a * this.y + b * q.y,
+      a * this.z + b * q.z,
+    );
+  }
+
+  /**
+   * Linearly interpolates between this rotation (at t = 0) and the other
+   * one (at t = 1) along the shortest path, then normalizes. This is cheaper
+   * than {@link Quaternion.slerp} but does not have a constant angular
+   * velocity.
+   * @diagram Quaternion.nlerp
+   */
+  public nlerp(q: Quaternion, t: number) {
+    const sign = this.dot(q) < 0 ? -1 : 1;
+    return new Quaternion(
+      (1 - t) * this.w + t * sign * q.w,
+      (1 - t) * this.x + t * sign * q.x,
+      (1 - t) * this.y + t * sign * q.y,
+      (1 - t) * this.z + t * sign * q.z,
+    ).normalize();
+  }
+
+  /**
+   * Returns the axis and angle (in radians, from 0 to 2π) of the rotation.
+   * The identity rotation gives an angle of 0 around the x axis.
+   * @throws A {@link InvalidOperationError} if the quaternion is zero
+   * @diagram Quaternion.toAxisAngle
+   */
+  public toAxisAngle() {
+    const q = this.normalize();
+    const s = Math.hypot(q.x, q.y, q.z);
+    return {
+      axis: s === 0 ? Vector.i : new Vector([q.x / s, q.y / s, q.z / s]),
+      angle: 2 * Math.atan2(s, q.w),
+    };
+  }
+
+  /**
+   * Returns the 3x3 rotation matrix for the quaternion. Non-unit
+   * quaternions are treated as though they were normalized.
+   * @throws A {@link InvalidOperationError} if the quaternion is zero
+   * @diagram Quaternion.toMatrix
+   */
+  public toMatrix() {
+    const n = this.dot(this);
+    if (n === 0) {
+      throw new InvalidOperationError('A zero quaternion is not a rotation');
+    }
+
+    const s = 2 / n;
+    const { w, x, y, z } = this;
+    return new Matrix([
+      [1 - s * (y * y + z * z), s * (x * y - w * z), s * (x * z + w * y)],
+      [s * (x * y + w * z), 1 - s * (x * x + z * z), s * (y * z - w * x)],
+      [s * (x * z - w * y), s * (y * z + w * x), 1 - s * (x * x + y * y)],
+    ]);
+  }
+
+  /**
+   * Rotates the 3D vector around the origin.
+   * @throws A {@link DimensionalityMismatchError} if the vector is not 3D
+   * @diagram Quaternion.rotate
+   */
+  public rotate(vector: VectorOrList) {
+    const v = Vector.toElements(vector);
+    if (v.length !== 3) {
+      throw new DimensionalityMismatchError(`Expected a 3D vector, got ${v.length} elements`);
+    }
+
+    return this.toMatrix().x(new Vector(v));
+  }
+
+  /**
+   * Returns whether the quaternion is equal to the other one, within the
+   * given precision. Note that q and -q represent the same rotation but
+   * are not equal.
+   */
+  public eql(q: Quaternion, epsilon = Sylvester.approxPrecision) {
+    return (
+      Math.abs(this.w - q.w) <= epsilon &&
+      Math.abs(this.x - q.x) <= epsilon &&
+      Math.abs(this.y - q.y) <= epsilon &&
+      Math.abs(this.z - q.z) <= epsilon
+    );
+  }
+
+  /**
+   * Returns a string representation of the quaternion.
+   */
+  public toString() {
+    return `Quaternion<${this.w}, ${this.x}, ${this.y}, ${this.z}>`;
+  }
+}
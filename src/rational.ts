@@ -0,0 +1,592 @@
+import { DimensionalityMismatchError, InvalidOperationError } from './sylvester';
+import { Matrix } from './matrix';
+import { Vector } from './vector';
+
+/**
+ * A value which can be converted to a {@link Rational}: another rational,
+ * an integer BigInt, a finite number (converted exactly) or a string such
+ * as `'-3/4'`.
+ */
+export type RationalLike = Rational | bigint | number | string;
+
+const ZERO = BigInt(0);
+const ONE = BigInt(1);
+const TWO = BigInt(2);
+
+/**
+ * @private
+ */
+const abs = (x: bigint) => (x < ZERO ? -x : x);
+
+/**
+ * @private
+ */
+function gcd(a: bigint, b: bigint) {
+  a = abs(a);
+  b = abs(b);
+  while (b !== ZERO) {
+    [a, b] = [b, a % b];
+  }
+
+  return a;
+}
+
+/**
+ * An exact rational number, stored as a BigInt numerator and denominator in
+ * lowest terms with a positive denominator. Immutable.
+ */
+export class Rational {
+  /**
+   * Numerator, carrying the sign of the number.
+   */
+  public readonly num: bigint;
+
+  /**
+   * Denominator, always positive.
+   */
+  public readonly den: bigint;
+
+  /**
+   * Creates the rational number num/den, reducing it to lowest terms.
+   * @throws A {@link InvalidOperationError} if the denominator is zero
+   */
+  constructor(num: bigint, den: bigint = ONE) {
+    if (den === ZERO) {
+      throw new InvalidOperationError('The denominator of a rational number cannot be zero');
+    }
+
+    const divisor = gcd(num, den) * (den < ZERO ? -ONE : ONE);
+    this.num = num / divisor;
+    this.den = den / divisor;
+  }
+
+  /**
+   * Adds the number to this one.
+   */
+  public add(other: RationalLike) {
+    const x = Rational.from(other);
+    return new Rational(this.num * x.den + x.num * this.den, this.den * x.den);
+  }
+
+  /**
+   * Subtracts the number from this one.
+   */
+  public subtract(other: RationalLike) {
+    return this.add(Rational.from(other).negate());
+  }
+
+  /**
+   * Multiplies this number by the other.
+   */
+  public multiply(other: RationalLike) {
+    const x = Rational.from(other);
+    return new Rational(this.num * x.num, this.den * x.den);
+  }
+
+  /**
+   * Divides this number by the other.
+   * @throws A {@link InvalidOperationError} if the other number is zero
+   */
+  public divide(other: RationalLike) {
+    const x = Rational.from(other);
+    if (x.isZero()) {
+      throw new InvalidOperationError('Cannot divide by zero');
+    }
+
+    return new Rational(this.num * x.den, this.den * x.num);
+  }
+
+  /**
+   * Returns the negation of this number.
+   */
+  public negate() {
+    return new Rational(-this.num, this.den);
+  }
+
+  /**
+   * Returns whether this number is zero.
+   */
+  public isZero() {
+    return this.num === ZERO;
+  }
+
+  /**
+   * Returns whether this number is exactly equal to the other.
+   */
+  public eql(other: RationalLike) {
+    const x = Rational.from(other);
+    return this.num === x.num && this.den === x.den;
+  }
+
+  /**
+   * Returns the nearest floating-point number.
+   */
+  public toNumber() {
+    // Both parts convert exactly below 2^1000, so shift them down to that
+    // rather than overflowing to Infinity / Infinity.
+    const bits = Math.max(abs(this.num).toString(2).length, this.den.toString(2).length);
+    const shift = BigInt(Math.max(0, bits - 1000));
+    return Number(this.num >> shift) / Number(this.den >> shift);
+  }
+
+  /**
+   * Allows using the rational in arithmetic with numbers, and with `Number()`.
+   */
+  public valueOf() {
+    return this.toNumber();
+  }
+
+  /**
+   * Returns the number as `num/den`, or just `num` if it is an integer.
+   */
+  public toString() {
+    return this.den === ONE ? `${this.num}` : `${this.num}/${this.den}`;
+  }
+
+  /**
+   * Converts the value to a rational. Numbers are converted exactly, so
+   * `Rational.from(0.1)` is not 1/10 but the nearest double to it; pass
+   * `'1/10'` to get one tenth.
+   * @throws A {@link InvalidOperationError} if the value is not finite or
+   * cannot be parsed
+   */
+  static from(value: RationalLike): Rational {
+    if (value instanceof Rational) {
+      return value;
+    }
+
+    if (typeof value === 'bigint') {
+      return new Rational(value);
+    }
+
+    if (typeof value === 'string') {
+      const match = /^\s*(-?\d+)\s*(?:\/\s*(-?\d+)\s*)?$/.exec(value);
+      if (!match) {
+        throw new InvalidOperationError(`Cannot parse '${value}' as a rational number`);
+      }
+
+      return new Rational(BigInt(match[1]), match[2] ? BigInt(match[2]) : ONE);
+    }
+
+    if (!Number.isFinite(value)) {
+      throw new InvalidOperationError(`Cannot convert ${value} to a rational number`);
+    }
+
+    // Every finite double is an integer divided by a power of two.
+    let den = ONE;
+    while (!Number.isInteger(value)) {
+      value *= 2;
+      den *= TWO;
+    }
+
+    return new Rational(BigInt(value), den);
+  }
+}
+
+/**
+ * @private
+ */
+const zero = new Rational(ZERO);
+
+/**
+ * @private
+ */
+const one = new Rational(ONE);
+
+/**
+ * Reduces the rows to reduced row echelon form, pivoting only in the first
+ * `columns` columns. Returns the pivot column of each non-zero row.
+ * @private
+ */
+function reduceRows(rows: Rational[][], columns: number) {
+  const pivots: number[] = [];
+  for (let c = 0; c < columns && pivots.length < rows.length; c++) {
+    const r = pivots.length;
+    const pivot = rows.findIndex((row, i) => i >= r && !row[c].isZero());
+    if (pivot === -1) {
+      continue;
+    }
+
+    [rows[r], rows[pivot]] = [rows[pivot], rows[r]];
+    const divisor = rows[r][c];
+    rows[r] = rows[r].map(v => v.divide(divisor));
+    for (let i = 0; i < rows.length; i++) {
+      const factor = rows[i][c];
+      if (i !== r && !factor.isZero()) {
+        rows[i] = rows[i].map((v, j) => v.subtract(factor.multiply(rows[r][j])));
+      }
+    }
+    pivots.push(c);
+  }
+
+  return pivots;
+}
+
+/**
+ * A matrix of exact {@link Rational} numbers. Operations are exact, so
+ * unlike with {@link Matrix} the determinant of a singular matrix is exactly
+ * zero and `A.x(A.inverse())` is exactly the identity.
+ * Like {@link Matrix}, it is immutable and `e(i, j)` indexing starts from 1.
+ */
+export class RationalMatrix {
+  /**
+   * Matrix elements.
+   */
+  public readonly elements: ReadonlyArray<ReadonlyArray<Rational>>;
+
+  /**
+   * Gets the number of rows in the matrix.
+   */
+  public readonly rows: number;
+
+  /**
+   * Gets the number of columns in the matrix.
+   */
+  public readonly cols: number;
+
+  /**
+   * Creates a rational matrix. Numbers in a {@link Matrix} or
+   * {@link Vector} are converted exactly (see {@link Rational.from}); a
+   * vector or list becomes a single column.
+   * @throws A {@link InvalidOperationError} if an element cannot be converted
+   */
+  constructor(
+    input:
+      | RationalMatrix
+      | Matrix
+      | Vector
+      | ReadonlyArray<ReadonlyArray<RationalLike>>
+      | ReadonlyArray<RationalLike>,
+  ) {
+    if (input instanceof RationalMatrix) {
+      this.elements = input.elements;
+    } else if (input instanceof Matrix) {
+      this.elements = input.elements.map(row => row.map(Rational.from));
+    } else if (input instanceof Vector) {
+      this.elements = input.elements.map(e => [Rational.from(e)]);
+    } else if (input[0] instanceof Array) {
+      this.elements = (input as ReadonlyArray<ReadonlyArray<RationalLike>>).map(row =>
+        row.map(Rational.from),
+      );
+    } else {
+      this.elements = (input as ReadonlyArray<RationalLike>).map(e => [Rational.from(e)]);
+    }
+
+    this.rows = this.elements.length;
+    this.cols = this.rows && this.elements[0].length;
+  }
+
+  /**
+   * Returns the element at (i, j) in the matrix, or null if out of bounds.
+   */
+  public e(i: number, j: number): Rational | null {
+    if (i < 1 || i > this.rows || j < 1 || j > this.cols) {
+      return null;
+    }
+
+    return this.elements[i - 1][j - 1];
+  }
+
+  /**
+   * Returns whether this is a square matrix.
+   */
+  public isSquare() {
+    return this.rows === this.cols;
+  }
+
+  /**
+   * Adds the matrix to this one.
+   * @throws A {@link DimensionalityMismatchError} if the matrix is a different size than this one
+   */
+  public add(matrix: RationalMatrix | Matrix | ReadonlyArray<ReadonlyArray<RationalLike>>) {
+    const M = new RationalMatrix(matrix);
+    if (M.rows !== this.rows || M.cols !== this.cols) {
+      throw new DimensionalityMismatchError(
+        `Cannot add a ${M.rows}x${M.cols} matrix to this ${this.rows}x${this.cols} matrix`,
+      );
+    }
+
+    return new RationalMatrix(
+      this.elements.map((row, i) => row.map((v, j) => v.add(M.elements[i][j]))),
+    );
+  }
+
+  /**
+   * Subtracts the matrix from this one.
+   * @throws A {@link DimensionalityMismatchError} if the matrix is a different size than this one
+   */
+  public subtract(matrix: RationalMatrix | Matrix | ReadonlyArray<ReadonlyArray<RationalLike>>) {
+    return this.add(new RationalMatrix(matrix).multiply(-1));
+  }
+
+  /**
+   * Returns the result of multiplying the matrix from the right by the
+   * argument. Multiplying by a {@link Vector} or list treats it as a
+   * column, and returns a list of rationals.
+   * @throws A {@link DimensionalityMismatchError} if the multiplicand is an
+   * inappropriately sized matrix or vector
+   */
+  public multiply(multiplicand: RationalLike): RationalMatrix;
+  public multiply(multiplicand: Vector | ReadonlyArray<RationalLike>): Rational[];
+  public multiply(
+    multiplicand: RationalMatrix | Matrix | ReadonlyArray<ReadonlyArray<RationalLike>>,
+  ): RationalMatrix;
+  public multiply(
+    multiplicand:
+      | RationalMatrix
+      | Matrix
+      | ReadonlyArray<ReadonlyArray<RationalLike>>
+      | Vector
+      | ReadonlyArray<RationalLike>
+      | RationalLike,
+  ): RationalMatrix | Rational[] {
+    if (typeof multiplicand !== 'object' || multiplicand instanceof Rational) {
+      const factor = Rational.from(multiplicand);
+      return new RationalMatrix(this.elements.map(row => row.map(v => v.multiply(factor))));
+    }
+
+    const isVector =
+      multiplicand instanceof Vector ||
+      (multiplicand instanceof Array && !(multiplicand[0] instanceof Array));
+    const M = new RationalMatrix(multiplicand as Matrix);
+    if (M.rows !== this.cols) {
+      throw new DimensionalityMismatchError(
+        `Cannot multiply a ${this.rows}x${this.cols} matrix by a ${M.rows}x${M.cols} matrix, expected an ${this.cols}xN matrix`,
+      );
+    }
+
+    const product = new RationalMatrix(
+      this.elements.map(row =>
+        M.elements[0].map((_, j) =>
+          row.reduce((sum, v, k) => sum.add(v.multiply(M.elements[k][j])), zero),
+        ),
+      ),
+    );
+
+    return isVector ? product.elements.map(row => row[0]) : product;
+  }
+
+  /**
+   * Alias to {@link RationalMatrix.multiply}
+   */
+  public x(multiplicand: RationalLike): RationalMatrix;
+  public x(multiplicand: Vector | ReadonlyArray<RationalLike>): Rational[];
+  public x(
+    multiplicand: RationalMatrix | Matrix | ReadonlyArray<ReadonlyArray<RationalLike>>,
+  ): RationalMatrix;
+  public x(
+    multiplicand:
+      | RationalMatrix
+      | Matrix
+      | ReadonlyArray<ReadonlyArray<RationalLike>>
+      | Vector
+      | ReadonlyArray<RationalLike>
+      | RationalLike,
+  ): RationalMatrix | Rational[] {
+    // Cast is needed here since TS gets confused with nested overloads like this
+    return this.multiply(multiplicand as RationalMatrix);
+  }
+
+  /**
+   * Returns the transposition of the matrix.
+   */
+  public transpose() {
+    return new RationalMatrix(
+      this.cols === 0 ? [] : this.elements[0].map((_, j) => this.elements.map(row => row[j])),
+    );
+  }
+
+  /**
+   * Returns whether the matrix is exactly equal to the other one.
+   */
+  public eql(matrix: unknown) {
+    if (
+      !(matrix instanceof RationalMatrix || matrix instanceof Matrix || matrix instanceof Array)
+    ) {
+      return false;
+    }
+
+    const M = new RationalMatrix(matrix as Matrix);
+    return (
+      M.rows === this.rows &&
+      M.cols === this.cols &&
+      this.elements.every((row, i) => row.every((v, j) => v.eql(M.elements[i][j])))
+    );
+  }
+
+  /**
+   * Make the matrix upper (right) triangular by Gaussian elimination.
+   * Like {@link Matrix.toRightTriangular}, this only adds multiples of rows
+   * to other rows, so the determinant is preserved.
+   */
+  public toRightTriangular() {
+    const m = this.elements.map(row => row.slice());
+    const n = Math.min(this.rows, this.cols);
+    for (let i = 0; i < n; i++) {
+      if (m[i][i].isZero()) {
+        const j = m.findIndex((row, k) => k > i && !row[i].isZero());
+        if (j !== -1) {
+          m[i] = m[i].map((v, p) => v.add(m[j][p]));
+        }
+      }
+
+      if (!m[i][i].isZero()) {
+        for (let j = i + 1; j < this.rows; j++) {
+          const multiplier = m[j][i].divide(m[i][i]);
+          m[j] = m[j].map((v, p) => (p <= i ? zero : v.subtract(m[i][p].multiply(multiplier))));
+        }
+      }
+    }
+
+    return new RationalMatrix(m);
+  }
+
+  /**
+   * Returns the exact determinant of a square matrix.
+   * @throws A {@link DimensionalityMismatchError} if the matrix is not square
+   */
+  public determinant() {
+    if (!this.isSquare()) {
+      throw new DimensionalityMismatchError(
+        `A matrix must be square to have a determinant, this is a ${this.rows}x${this.cols} matrix`,
+      );
+    }
+
+    return this.toRightTriangular().elements.reduce((det, row, i) => det.multiply(row[i]), one);
+  }
+
+  /**
+   * Alias for {@link RationalMatrix.determinant}
+   */
+  public det() {
+    return this.determinant();
+  }
+
+  /**
+   * Returns true if the matrix is square and exactly singular.
+   */
+  public isSingular() {
+    return this.isSquare() && this.determinant().isZero();
+  }
+
+  /**
+   * Returns the exact rank of the matrix.
+   */
+  public rank() {
+    return reduceRows(
+      this.elements.map(row => row.slice()),
+      this.cols,
+    ).length;
+  }
+
+  /**
+   * Returns the reduced row echelon form of the matrix.
+   */
+  public rref() {
+    const rows = this.elements.map(row => row.slice());
+    reduceRows(rows, this.cols);
+    return new RationalMatrix(rows);
+  }
+
+  /**
+   * Returns the exact inverse of the matrix.
+   * @throws A {@link DimensionalityMismatchError} if the matrix is not square
+   * @throws A {@link InvalidOperationError} if the matrix is singular
+   */
+  public inverse() {
+    if (!this.isSquare()) {
+      throw new DimensionalityMismatchError(
+        `A matrix must be square to be inverted, provided a ${this.rows}x${this.cols} matrix`,
+      );
+    }
+
+    const n = this.rows;
+    const rows = this.elements.map((row, i) =>
+      row.concat(row.map((_, j) => (i === j ? one : zero))),
+    );
+    if (reduceRows(rows, n).length < n) {
+      throw new InvalidOperationError('Cannot invert the current matrix (determinant=0)');
+    }
+
+    return new RationalMatrix(rows.map(row => row.slice(n)));
+  }
+
+  /**
+   * Solves `Ax = b` exactly. If the system has many solutions, one is
+   * returned with the free variables set to zero.
+   * @throws A {@link DimensionalityMismatchError} if b does not have one
+   * element for each row
+   * @throws A {@link InvalidOperationError} if the system has no solution
+   */
+  public solve(b: Vector | ReadonlyArray<RationalLike>): Rational[] {
+    const rhs = new RationalMatrix(b).elements;
+    if (rhs.length !== this.rows) {
+      throw new DimensionalityMismatchError(
+        `Expected a vector with ${this.rows} elements, got ${rhs.length}`,
+      );
+    }
+
+    const rows = this.elements.map((row, i) => row.concat(rhs[i]));
+    const pivots = reduceRows(rows, this.cols);
+    if (rows.slice(pivots.length).some(row => !row[this.cols].isZero())) {
+      throw new InvalidOperationError('The system has no solution');
+    }
+
+    const x = new Array<Rational>(this.cols).fill(zero);
+    pivots.forEach((c, i) => {
+      x[c] = rows[i][this.cols];
+    });
+
+    return x;
+  }
+
+  /**
+   * Returns a copy of the elements as a nested array.
+   */
+  public toArray() {
+    return this.elements.map(row => row.slice());
+  }
+
+  /**
+   * Returns the nearest floating-point {@link Matrix}.
+   */
+  public toMatrix() {
+    return new Matrix(this.elements.map(row => row.map(v => v.toNumber())));
+  }
+
+  /**
+   * Returns the nearest floating-point {@link Vector} for a matrix with a
+   * single column or row.
+   * @throws A {@link DimensionalityMismatchError} if the matrix has more
+   * than one column and row
+   */
+  public toVector() {
+    if (this.cols !== 1 && this.rows !== 1) {
+      throw new DimensionalityMismatchError(
+        `Cannot convert a ${this.rows}x${this.cols} matrix to a vector`,
+      );
+    }
+
+    return new Vector(([] as Rational[]).concat(...this.elements).map(v => v.toNumber()));
+  }
+
+  /**
+   * Returns a string representation of the matrix.
+   */
+  public toString() {
+    const rows = ['RationalMatrix<'];
+    for (const row of this.elements) {
+      rows.push(`  [${row.join(', ')}]`);
+    }
+    rows.push('>');
+    return rows.join('\n');
+  }
+
+  /**
+   * Creates an identity matrix.
+   * @param size - Number of rows and columns
+   */
+  static I(size: number) {
+    return new RationalMatrix(Matrix.I(size));
+  }
+}
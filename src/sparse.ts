@@ -0,0 +1,667 @@
+import { Sylvester, DimensionalityMismatchError, OutOfRangeError } from './sylvester';
+import { Matrix } from './matrix';
+import { Vector } from './vector';
+import {
+  VectorOrList,
+  isVectorOrListLike,
+  MatrixLike,
+  isSparseMatrixLike,
+  isMatrixLike,
+} from './likeness';
+import {
+  IIterativeOptions,
+  conjugateGradient,
+  generalizedMinimalResidual,
+  biconjugateGradientStabilized,
+} from './iterative';
+
+/**
+ * Checks that the lengths of the given index and value arrays line up.
+ * @private
+ */
+const assertSameLength = (...arrays: ReadonlyArray<number>[]) => {
+  for (const array of arrays) {
+    if (array.length !== arrays[0].length) {
+      throw new DimensionalityMismatchError(
+        `Expected index and value arrays of the same length, got ${arrays
+          .map(a => a.length)
+          .join(', ')}`,
+      );
+    }
+  }
+};
+
+/**
+ * Checks that all indices are within [0, max).
+ * @private
+ */
+const assertInRange = (indices: ReadonlyArray<number>, max: number, name: string) => {
+  for (const index of indices) {
+    if (index < 0 || index >= max || index % 1 !== 0) {
+      throw new OutOfRangeError(`${name} index ${index} is outside the range [0, ${max})`);
+    }
+  }
+};
+
+/**
+ * Checks that compressed sparse row arrays describe a rows by cols matrix:
+ * the row pointers start at zero and never decrease, ending at the number of
+ * values, and each row's column indices are in range and strictly increasing.
+ * @private
+ */
+const assertCompressed = (
+  rows: number,
+  cols: number,
+  rowPointers: ReadonlyArray<number>,
+  columnIndices: ReadonlyArray<number>,
+  values: ReadonlyArray<number>,
+) => {
+  assertSameLength(columnIndices, values);
+  if (
+    rowPointers.length !== rows + 1 ||
+    rowPointers[0] !== 0 ||
+    rowPointers[rows] !== values.length
+  ) {
+    throw new DimensionalityMismatchError(
+      `Expected ${rows + 1} row pointers from 0 to ${values.length}, got [${rowPointers}]`,
+    );
+  }
+
+  for (let i = 0; i < rows; i++) {
+    const start = rowPointers[i];
+    const end = rowPointers[i + 1];
+    if (!(end >= start) || end % 1 !== 0) {
+      throw new DimensionalityMismatchError(
+        `Row pointers must be non-decreasing integers, got [${rowPointers}]`,
+      );
+    }
+
+    for (let k = start; k < end; k++) {
+      const j = columnIndices[k];
+      if (!(j >= 0 && j < cols) || j % 1 !== 0) {
+        throw new DimensionalityMismatchError(
+          `Column index ${j} in row ${i} is outside the range [0, ${cols})`,
+        );
+      }
+      if (k > start && j <= columnIndices[k - 1]) {
+        throw new DimensionalityMismatchError(
+          `Column indices in row ${i} must be strictly increasing, got ${columnIndices.slice(
+            start,
+            end,
+          )}`,
+        );
+      }
+    }
+  }
+};
+
+/**
+ * Compresses coordinate (COO) entries into a compressed sparse row layout,
+ * summing duplicate entries and dropping explicit zeros.
+ * @private
+ */
+const compress = (
+  rows: number,
+  rowIndices: ReadonlyArray<number>,
+  columnIndices: ReadonlyArray<number>,
+  values: ReadonlyArray<number>,
+) => {
+  // Bucket entries by row, then sort each row by column.
+  const buckets: [number, number][][] = [];
+  for (let i = 0; i < rows; i++) {
+    buckets.push([]);
+  }
+
+  for (let k = 0; k < values.length; k++) {
+    buckets[rowIndices[k]].push([columnIndices[k], values[k]]);
+  }
+
+  const rowPointers = [0];
+  const outColumns: number[] = [];
+  const outValues: number[] = [];
+  for (const bucket of buckets) {
+    bucket.sort((a, b) => a[0] - b[0]);
+    for (let k = 0; k < bucket.length; k++) {
+      let [column, value] = bucket[k];
+      while (k + 1 < bucket.length && bucket[k + 1][0] === column) {
+        value += bucket[++k][1];
+      }
+
+      if (value !== 0) {
+        outColumns.push(column);
+        outValues.push(value);
+      }
+    }
+
+    rowPointers.push(outValues.length);
+  }
+
+  return { rowPointers, columnIndices: outColumns, values: outValues };
+};
+
+/**
+ * A sparse matrix, stored in compressed sparse row (CSR) form. Like
+ * {@link Matrix} it is immutable, and `e(i, j)` indexing starts from 1.
+ * The raw index arrays used to build and export sparse matrices (COO, CSR
+ * and CSC) start from 0, as they do in most other sparse libraries.
+ *
+ * Wherever a {@link Matrix} accepts another matrix, a sparse matrix can be
+ * passed as well and will be densified.
+ */
+export class SparseMatrix {
+  /**
+   * Gets the number of rows in the matrix.
+   */
+  public readonly rows: number;
+
+  /**
+   * Gets the number of columns in the matrix.
+   */
+  public readonly cols: number;
+
+  /**
+   * Offsets into `columnIndices` and `values` at which each row starts, with
+   * a final entry equal to the number of non-zeros.
+   */
+  public readonly rowPointers: ReadonlyArray<number>;
+
+  /**
+   * Zero-based column index of each non-zero, sorted within each row.
+   */
+  public readonly columnIndices: ReadonlyArray<number>;
+
+  /**
+   * Value of each non-zero.
+   */
+  public readonly values: ReadonlyArray<number>;
+
+  /**
+   * Creates a sparse matrix from compressed sparse row arrays. Column
+   * indices must be sorted within each row; use
+   * {@link SparseMatrix.fromCOO} to build a matrix from unordered entries.
+   * @throws A {@link DimensionalityMismatchError} if the arrays are different
+   * lengths, the row pointers decrease, or a row's column indices are out of
+   * range or out of order
+   */
+  constructor(
+    rows: number,
+    cols: number,
+    rowPointers: ReadonlyArray<number>,
+    columnIndices: ReadonlyArray<number>,
+    values: ReadonlyArray<number>,
+  ) {
+    assertCompressed(rows, cols, rowPointers, columnIndices, values);
+
+    this.rows = rows;
+    this.cols = cols;
+    this.rowPointers = rowPointers;
+    this.columnIndices = columnIndices;
+    this.values = values;
+  }
+
+  /**
+   * Gets the number of stored non-zero entries.
+   */
+  public get nnz() {
+    return this.values.length;
+  }
+
+  /**
+   * Returns the element at (i, j) in the matrix, or null if out of bounds.
+   * @diagram SparseMatrix.e
+   */
+  public e(i: number, j: number): number | null {
+    if (i < 1 || i > this.rows || j < 1 || j > this.cols) {
+      return null;
+    }
+
+    // Binary search the row for the column.
+    let low = this.rowPointers[i - 1];
+    let high = this.rowPointers[i] - 1;
+    while (low <= high) {
+      const mid = (low + high) >>> 1;
+      const column = this.columnIndices[mid];
+      if (column === j - 1) {
+        return this.values[mid];
+      } else if (column < j - 1) {
+        low = mid + 1;
+      } else {
+        high = mid - 1;
+      }
+    }
+
+    return 0;
+  }
+
+  /**
+   * Returns whether this is a square matrix.
+   */
+  public isSquare() {
+    return this.rows === this.cols;
+  }
+
+  /**
+   * Calls the function for each stored non-zero, with one-based indices.
+   */
+  public each(fn: (value: number, row: number, column: number) => void) {
+    for (let i = 0; i < this.rows; i++) {
+      for (let k = this.rowPointers[i]; k < this.rowPointers[i + 1]; k++) {
+        fn(this.values[k], i + 1, this.columnIndices[k] + 1);
+      }
+    }
+  }
+
+  /**
+   * Creates a new sparse matrix by applying the function to each stored
+   * non-zero. Zeros are not visited, so `fn(0)` should be `0`.
+   */
+  public map(fn: (value: number, row: number, column: number) => number) {
+    const values: number[] = [];
+    this.each((value, i, j) => values.push(fn(value, i, j)));
+    return new SparseMatrix(this.rows, this.cols, this.rowPointers, this.columnIndices, values);
+  }
+
+  /**
+   * If the matrix is square, returns the diagonal elements as a vector.
+   * @throws A {@link DimensionalityMismatchError} if the matrix is not square
+   * @diagram SparseMatrix.diagonal
+   */
+  public diagonal() {
+    if (!this.isSquare()) {
+      throw new DimensionalityMismatchError(
+        `Cannot get the diagonal of a ${this.rows}x${this.cols} matrix, matrix must be square`,
+      );
+    }
+
+    const els: number[] = [];
+    for (let i = 1; i <= this.rows; i++) {
+      els.push(this.e(i, i)!);
+    }
+
+    return new Vector(els);
+  }
+
+  /**
+   * Returns the transposition of the matrix.
+   * @diagram SparseMatrix.transpose
+   */
+  public transpose() {
+    const { columnPointers, rowIndices, values } = this.toCSC();
+    return new SparseMatrix(this.cols, this.rows, columnPointers, rowIndices, values);
+  }
+
+  /**
+   * Adds the sparse or dense matrix to this one. Adding two sparse matrices
+   * gives a sparse matrix; adding a dense one gives a {@link Matrix}.
+   * @throws A {@link DimensionalityMismatchError} if the matrix is a different size than this one
+   * @diagram SparseMatrix.add
+   */
+  public add(matrix: SparseMatrix): SparseMatrix;
+  public add(matrix: MatrixLike): Matrix;
+  public add(matrix: SparseMatrix | MatrixLike): SparseMatrix | Matrix {
+    if (!isSparseMatrixLike(matrix)) {
+      return new Matrix(matrix).add(this);
+    }
+
+    if (matrix.rows !== this.rows || matrix.cols !== this.cols) {
+      throw new DimensionalityMismatchError(
+        `Cannot add a ${matrix.rows}x${matrix.cols} matrix to this ${this.rows}x${this.cols} matrix`,
+      );
+    }
+
+    const a = this.toCOO();
+    const b = matrix.toCOO();
+    return SparseMatrix.fromCOO(
+      this.rows,
+      this.cols,
+      a.rowIndices.concat(b.rowIndices),
+      a.columnIndices.concat(b.columnIndices),
+      a.values.concat(b.values),
+    );
+  }
+
+  /**
+   * Subtracts the sparse or dense matrix from this one.
+   * @throws A {@link DimensionalityMismatchError} if the matrix is a different size than this one
+   * @diagram SparseMatrix.subtract
+   */
+  public subtract(matrix: SparseMatrix): SparseMatrix;
+  public subtract(matrix: MatrixLike): Matrix;
+  public subtract(matrix: SparseMatrix | MatrixLike): SparseMatrix | Matrix {
+    if (!isSparseMatrixLike(matrix)) {
+      return this.toMatrix().subtract(matrix);
+    }
+
+    return this.add(matrix.multiply(-1));
+  }
+
+  /**
+   * Returns the result of multiplying the matrix from the right by the
+   * argument. Scalars and sparse matrices give a sparse matrix, dense
+   * matrices give a {@link Matrix}, and vectors give a {@link Vector}.
+   * @throws A {@link DimensionalityMismatchError} If the multiplicand is an
+   * inappropriately sized matrix
+   * @diagram SparseMatrix.multiply
+   */
+  public multiply(multiplicand: VectorOrList): Vector;
+  public multiply(multiplicand: SparseMatrix | number): SparseMatrix;
+  public multiply(multiplicand: MatrixLike): Matrix;
+  public multiply(
+    multiplicand: SparseMatrix | MatrixLike | VectorOrList | number,
+  ): SparseMatrix | Matrix | Vector {
+    if (typeof multiplicand === 'number') {
+      return this.map(x => x * multiplicand);
+    }
+
+    if (isVectorOrListLike(multiplicand) && !isMatrixLike(multiplicand)) {
+      return this.multiplyVector(Vector.toElements(multiplicand));
+    }
+
+    if (isSparseMatrixLike(multiplicand)) {
+      return this.multiplySparse(multiplicand);
+    }
+
+    const M = new Matrix(multiplicand);
+    if (M.rows !== this.cols) {
+      throw new DimensionalityMismatchError(
+        `Cannot multiply a ${this.rows}x${this.cols} matrix by a ${M.rows}x${M.cols} matrix, expected an ${this.cols}xN matrix`,
+      );
+    }
+
+    const elements: number[][] = [];
+    for (let i = 0; i < this.rows; i++) {
+      const row = new Array<number>(M.cols).fill(0);
+      for (let k = this.rowPointers[i]; k < this.rowPointers[i + 1]; k++) {
+        const value = this.values[k];
+        const other = M.elements[this.columnIndices[k]];
+        for (let j = 0; j < M.cols; j++) {
+          row[j] += value * other[j];
+        }
+      }
+      elements.push(row);
+    }
+
+    return new Matrix(elements);
+  }
+
+  /**
+   * Alias to {@link SparseMatrix.multiply}
+   */
+  public x(multiplicand: VectorOrList): Vector;
+  public x(multiplicand: SparseMatrix | number): SparseMatrix;
+  public x(multiplicand: MatrixLike): Matrix;
+  public x(
+    multiplicand: SparseMatrix | MatrixLike | VectorOrList | number,
+  ): SparseMatrix | Matrix | Vector {
+    // Cast is needed here since TS gets confused with nested overloads like this
+    return this.multiply(multiplicand as SparseMatrix);
+  }
+
+  /**
+   * Returns whether this matrix is approximately equal to the other sparse or
+   * dense matrix, within the given precision.
+   * @param epsilon - The precision to compare each number.
+   */
+  public eql(matrix: unknown, epsilon = Sylvester.approxPrecision) {
+    if (isSparseMatrixLike(matrix)) {
+      return (
+        matrix.rows === this.rows &&
+        matrix.cols === this.cols &&
+        this.subtract(matrix).values.every(v => Math.abs(v) <= epsilon)
+      );
+    }
+
+    return isMatrixLike(matrix) && new Matrix(matrix).eql(this, epsilon);
+  }
+
+  /**
+   * Iteratively solves `Ax = b` for a symmetric positive-definite matrix
+   * using the (preconditioned) conjugate gradient method.
+   * @see {@link Matrix.cg}
+   */
+  public cg(b: VectorOrList, options?: IIterativeOptions) {
+    return conjugateGradient(this, b, options);
+  }
+
+  /**
+   * Iteratively solves `Ax = b` using restarted GMRES.
+   * @see {@link Matrix.gmres}
+   */
+  public gmres(b: VectorOrList, options?: IIterativeOptions) {
+    return generalizedMinimalResidual(this, b, options);
+  }
+
+  /**
+   * Iteratively solves `Ax = b` using the biconjugate gradient stabilized method.
+   * @see {@link Matrix.bicgstab}
+   */
+  public bicgstab(b: VectorOrList, options?: IIterativeOptions) {
+    return biconjugateGradientStabilized(this, b, options);
+  }
+
+  /**
+   * Returns a dense copy of the matrix.
+   */
+  public toMatrix() {
+    const elements = Matrix.Zero(this.rows, this.cols).toArray();
+    this.each((value, i, j) => {
+      elements[i - 1][j - 1] = value;
+    });
+
+    return new Matrix(elements);
+  }
+
+  /**
+   * Returns the matrix as zero-based coordinate (COO) arrays.
+   */
+  public toCOO() {
+    const rowIndices: number[] = [];
+    for (let i = 0; i < this.rows; i++) {
+      for (let k = this.rowPointers[i]; k < this.rowPointers[i + 1]; k++) {
+        rowIndices.push(i);
+      }
+    }
+
+    return {
+      rowIndices,
+      columnIndices: this.columnIndices.slice(),
+      values: this.values.slice(),
+    };
+  }
+
+  /**
+   * Returns the matrix as zero-based compressed sparse column (CSC) arrays.
+   */
+  public toCSC() {
+    const columnPointers = new Array<number>(this.cols + 1).fill(0);
+    for (const column of this.columnIndices) {
+      columnPointers[column + 1]++;
+    }
+    for (let j = 0; j < this.cols; j++) {
+      columnPointers[j + 1] += columnPointers[j];
+    }
+
+    const next = columnPointers.slice();
+    const rowIndices = new Array<number>(this.nnz);
+    const values = new Array<number>(this.nnz);
+    for (let i = 0; i < this.rows; i++) {
+      for (let k = this.rowPointers[i]; k < this.rowPointers[i + 1]; k++) {
+        const target = next[this.columnIndices[k]]++;
+        rowIndices[target] = i;
+        values[target] = this.values[k];
+      }
+    }
+
+    return { columnPointers, rowIndices, values };
+  }
+
+  /**
+   * Returns a string representation of the matrix.
+   */
+  public toString() {
+    const lines = [`SparseMatrix<${this.rows}x${this.cols}, ${this.nnz} non-zeros`];
+    this.each((value, i, j) => lines.push(`  (${i}, ${j}) ${value}`));
+    lines.push('>');
+    return lines.join('\n');
+  }
+
+  private multiplyVector(v: ReadonlyArray<number>) {
+    if (v.length !== this.cols) {
+      throw new DimensionalityMismatchError(
+        `Cannot multiply a ${this.rows}x${this.cols} matrix by a ${v.length}-element vector`,
+      );
+    }
+
+    const out = new Array<number>(this.rows);
+    for (let i = 0; i < this.rows; i++) {
+      let sum = 0;
+      for (let k = this.rowPointers[i]; k < this.rowPointers[i + 1]; k++) {
+        sum += this.values[k] * v[this.columnIndices[k]];
+      }
+      out[i] = sum;
+    }
+
+    return new Vector(out);
+  }
+
+  /**
+   * Gustavson's row-by-row sparse product.
+   */
+  private multiplySparse(other: SparseMatrix) {
+    if (other.rows !== this.cols) {
+      throw new DimensionalityMismatchError(
+        `Cannot multiply a ${this.rows}x${this.cols} matrix by a ${other.rows}x${other.cols} matrix, expected an ${this.cols}xN matrix`,
+      );
+    }
+
+    const rowPointers = [0];
+    const columnIndices: number[] = [];
+    const values: number[] = [];
+    const accumulator = new Array<number>(other.cols).fill(0);
+    const occupied = new Array<number>(other.cols).fill(-1);
+
+    for (let i = 0; i < this.rows; i++) {
+      const columns: number[] = [];
+      for (let k = this.rowPointers[i]; k < this.rowPointers[i + 1]; k++) {
+        const value = this.values[k];
+        const row = this.columnIndices[k];
+        for (let l = other.rowPointers[row]; l < other.rowPointers[row + 1]; l++) {
+          const column = other.columnIndices[l];
+          if (occupied[column] !== i) {
+            occupied[column] = i;
+            accumulator[column] = 0;
+            columns.push(column);
+          }
+          accumulator[column] += value * other.values[l];
+        }
+      }
+
+      columns.sort((a, b) => a - b);
+      for (const column of columns) {
+        if (accumulator[column] !== 0) {
+          columnIndices.push(column);
+          values.push(accumulator[column]);
+        }
+      }
+      rowPointers.push(values.length);
+    }
+
+    return new SparseMatrix(this.rows, other.cols, rowPointers, columnIndices, values);
+  }
+
+  /**
+   * Creates a sparse matrix from zero-based coordinate (COO) arrays. Entries
+   * may be in any order; duplicates are summed.
+   * @throws A {@link DimensionalityMismatchError} if the arrays are different lengths
+   * @throws A {@link OutOfRangeError} if an index is out of range
+   */
+  public static fromCOO(
+    rows: number,
+    cols: number,
+    rowIndices: ReadonlyArray<number>,
+    columnIndices: ReadonlyArray<number>,
+    values: ReadonlyArray<number>,
+  ) {
+    assertSameLength(rowIndices, columnIndices, values);
+    assertInRange(rowIndices, rows, 'Row');
+    assertInRange(columnIndices, cols, 'Column');
+    const csr = compress(rows, rowIndices, columnIndices, values);
+    return new SparseMatrix(rows, cols, csr.rowPointers, csr.columnIndices, csr.values);
+  }
+
+  /**
+   * Creates a sparse matrix from zero-based compressed sparse row (CSR)
+   * arrays. Equivalent to the constructor.
+   */
+  public static fromCSR(
+    rows: number,
+    cols: number,
+    rowPointers: ReadonlyArray<number>,
+    columnIndices: ReadonlyArray<number>,
+    values: ReadonlyArray<number>,
+  ) {
+    return new SparseMatrix(rows, cols, rowPointers, columnIndices, values);
+  }
+
+  /**
+   * Creates a sparse matrix from zero-based compressed sparse column (CSC)
+   * arrays, with row indices sorted within each column.
+   * @throws A {@link DimensionalityMismatchError} if the arrays are inconsistent
+   */
+  public static fromCSC(
+    rows: number,
+    cols: number,
+    columnPointers: ReadonlyArray<number>,
+    rowIndices: ReadonlyArray<number>,
+    values: ReadonlyArray<number>,
+  ) {
+    // A CSC matrix has the same layout as the CSR form of its transpose.
+    return new SparseMatrix(cols, rows, columnPointers, rowIndices, values).transpose();
+  }
+
+  /**
+   * Creates a sparse matrix from the non-zero elements of a dense one.
+   * @param epsilon - Elements with an absolute value at or below this are dropped
+   */
+  public static fromMatrix(matrix: MatrixLike, epsilon = 0) {
+    const M = new Matrix(matrix);
+    const rowPointers = [0];
+    const columnIndices: number[] = [];
+    const values: number[] = [];
+    for (let i = 0; i < M.rows; i++) {
+      for (let j = 0; j < M.cols; j++) {
+        const value = M.elements[i][j];
+        if (Math.abs(value) > epsilon) {
+          columnIndices.push(j);
+          values.push(value);
+        }
+      }
+      rowPointers.push(values.length);
+    }
+
+    return new SparseMatrix(M.rows, M.cols, rowPointers, columnIndices, values);
+  }
+
+  /**
+   * Creates a sparse identity matrix of the given size.
+   */
+  public static I(size: number) {
+    return SparseMatrix.Diagonal(Vector.One(size));
+  }
+
+  /**
+   * Creates a sparse diagonal matrix from the given elements.
+   */
+  public static Diagonal(vector: VectorOrList) {
+    const elements = Vector.toElements(vector);
+    const indices = elements.map((_, i) => i);
+    return SparseMatrix.fromCOO(elements.length, elements.length, indices, indices, elements);
+  }
+
+  /**
+   * Creates an empty `n` by `m` sparse matrix.
+   */
+  public static Zero(n: number, m: number) {
+    return new SparseMatrix(n, m, new Array<number>(n + 1).fill(0), [], []);
+  }
+}
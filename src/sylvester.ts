@@ -4,6 +4,14 @@
 export const Sylvester = {
   precision: 1e-6,
   approxPrecision: 1e-5,
+  /** Size of the square blocks matrix multiplication works on at a time. */
+  blockSize: 128,
+  /** Smallest dimension at which matrix multiplication switches to Strassen's algorithm. */
+  strassenThreshold: 512,
+  /** Name of the registered backend that decompositions, solves and products use. */
+  backend: 'js',
+  /** Number of worker threads the async methods use, or 0 for one per CPU core. */
+  workers: 0,
 };
 
 /**
@@ -26,3 +34,27 @@ export class DimensionalityMismatchError extends SylvesterError {}
  * Thrown on an invalid Sylvester operation.
  */
 export class InvalidOperationError extends SylvesterError {}
+
+/**
+ * Thrown when an iterative algorithm fails to converge within its
+ * iteration limit.
+ */
+export class ConvergenceError extends SylvesterError {}
+
+/**
+ * Thrown when an operation requires a symmetric matrix, but was given one
+ * that is not.
+ */
+export class NotSymmetricError extends SylvesterError {}
+
+/**
+ * Thrown when an operation requires a positive-definite matrix, but was
+ * given one that is not.
+ */
+export class NotPositiveDefiniteError extends SylvesterError {}
+
+/**
+ * Thrown when serialized matrix data, such as a CSV or MatrixMarket file,
+ * is malformed or uses an unsupported format.
+ */
+export class ParseError extends SylvesterError {}
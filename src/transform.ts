@@ -0,0 +1,186 @@
+import { Sylvester, DimensionalityMismatchError, InvalidOperationError } from './sylvester';
+import { Matrix } from './matrix';
+import { Vector } from './vector';
+import { MatrixLike, VectorOrList } from './likeness';
+
+/**
+ * A three-dimensional affine transformation: a linear map followed by a
+ * translation, equivalent to a 4x4 homogeneous matrix whose last row is
+ * `[0, 0, 0, 1]`. Keeping the parts separate makes composing, inverting and
+ * applying transforms cheaper than going through the full 4x4 matrix.
+ *
+ * @example
+ * const model = Transform.Translation([0, 0, -5]).compose(Transform.Rotation(Math.PI / 4, Vector.j));
+ * model.applyToPoint([1, 0, 0]); // rotated, then translated
+ * model.applyToDirection([1, 0, 0]); // only rotated
+ */
+export class Transform {
+  /**
+   * The identity transform, which does nothing.
+   */
+  public static readonly I = new Transform(Matrix.I(3));
+
+  /**
+   * The 3x3 linear part of the transform.
+   */
+  public readonly linear: Matrix;
+
+  /**
+   * The translation applied after the linear part.
+   */
+  public readonly translation: Vector;
+
+  /**
+   * Creates a transform from a 4x4 affine matrix, or from a 3x3 linear map
+   * and an optional translation.
+   * @throws A {@link DimensionalityMismatchError} if the matrix or
+   * translation is the wrong size
+   * @throws A {@link InvalidOperationError} if a 4x4 matrix is not affine
+   */
+  constructor(matrix: MatrixLike, translation?: VectorOrList) {
+    const M = new Matrix(matrix);
+    if (M.rows === 4 && M.cols === 4 && translation === undefined) {
+      const last = M.row(4);
+      if (!last.eql([0, 0, 0, 1])) {
+        throw new InvalidOperationError(
+          `The last row of an affine matrix must be [0, 0, 0, 1], got [${last.elements.join(
+            ', ',
+          )}]`,
+        );
+      }
+
+      this.linear = M.slice(1, 3, 1, 3);
+      this.translation = new Vector(M.col(4).elements.slice(0, 3));
+    } else if (M.rows === 3 && M.cols === 3) {
+      this.linear = M;
+      this.translation = new Vector(translation ? Vector.toElements(translation) : [0, 0, 0]);
+      if (this.translation.elements.length !== 3) {
+        throw new DimensionalityMismatchError(
+          `Expected a 3D translation, got ${this.translation.elements.length} elements`,
+        );
+      }
+    } else {
+      throw new DimensionalityMismatchError(
+        `Expected a 4x4 matrix, or a 3x3 matrix and a translation, got a ${M.rows}x${M.cols} matrix`,
+      );
+    }
+  }
+
+  /**
+   * Returns the combined transform that applies `other` first, then this
+   * transform. This matches multiplying their matrices, so
+   * `a.compose(b).toMatrix()` equals `a.toMatrix().x(b.toMatrix())`.
+   * @diagram Transform.compose
+   */
+  public compose(other: Transform) {
+    return new Transform(
+      this.linear.x(other.linear),
+      this.linear.x(other.translation).add(this.translation),
+    );
+  }
+
+  /**
+   * Returns the inverse transform. This only inverts the 3x3 linear part,
+   * and just transposes it for rigid transforms (rotations and
+   * translations).
+   * @throws A {@link DimensionalityMismatchError} if the linear part is
+   * singular
+   * @diagram Transform.invert
+   */
+  public invert() {
+    const inverse = this.isRigid() ? this.linear.transpose() : this.linear.inverse();
+    return new Transform(inverse, inverse.x(this.translation).x(-1));
+  }
+
+  /**
+   * Returns whether the transform only rotates and translates, preserving
+   * distances and handedness.
+   * @param epsilon - precision used when comparing the linear part against
+   * a rotation
+   */
+  public isRigid(epsilon = Sylvester.precision) {
+    return (
+      this.linear.x(this.linear.transpose()).eql(Matrix.I(3), epsilon) &&
+      Math.abs(this.linear.determinant() - 1) <= epsilon
+    );
+  }
+
+  /**
+   * Applies the transform to a point, which is affected by the translation.
+   * @throws A {@link DimensionalityMismatchError} if the point is not 3D
+   * @diagram Transform.applyToPoint
+   */
+  public applyToPoint(point: VectorOrList) {
+    return this.applyToDirection(point).add(this.translation);
+  }
+
+  /**
+   * Applies the transform to a direction, such as a velocity or the
+   * difference between two points, which is not affected by the
+   * translation. Note that surface normals should instead be transformed by
+   * the inverse transpose of the linear part.
+   * @throws A {@link DimensionalityMismatchError} if the direction is not 3D
+   * @diagram Transform.applyToDirection
+   */
+  public applyToDirection(direction: VectorOrList) {
+    const v = Vector.toElements(direction);
+    if (v.length !== 3) {
+      throw new DimensionalityMismatchError(`Expected a 3D vector, got ${v.length} elements`);
+    }
+
+    return this.linear.x(new Vector(v));
+  }
+
+  /**
+   * Returns whether the transform is equal to the other one, within the
+   * given precision.
+   */
+  public eql(other: Transform, epsilon = Sylvester.approxPrecision) {
+    return (
+      this.linear.eql(other.linear, epsilon) && this.translation.eql(other.translation, epsilon)
+    );
+  }
+
+  /**
+   * Returns the 4x4 homogeneous matrix for the transform.
+   */
+  public toMatrix() {
+    return Matrix.block([
+      [this.linear, new Matrix(this.translation)],
+      [[[0, 0, 0]], [[1]]],
+    ]);
+  }
+
+  /**
+   * Returns a string representation of the transform.
+   */
+  public toString() {
+    const rows = this.toMatrix().elements.map(row => `  [${row.join(', ')}]`);
+    return ['Transform<', ...rows, '>'].join('\n');
+  }
+
+  /**
+   * Creates a transform that translates by the given vector.
+   */
+  static Translation(vector: VectorOrList) {
+    return new Transform(Matrix.I(3), vector);
+  }
+
+  /**
+   * Creates a transform that rotates by theta radians around the given
+   * axis through the origin; see {@link Matrix.Rotation}.
+   */
+  static Rotation(theta: number, axis: Vector) {
+    return new Transform(Matrix.Rotation(theta, axis));
+  }
+
+  /**
+   * Creates a transform that scales each axis by the given factors, or all
+   * axes by the same factor.
+   */
+  static Scale(factors: VectorOrList | number) {
+    return new Transform(
+      Matrix.Diagonal(typeof factors === 'number' ? [factors, factors, factors] : factors),
+    );
+  }
+}
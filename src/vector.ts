@@ -6,10 +6,13 @@ import {
   isGeometry,
   VectorOrList,
   Geometry,
+  FloatArray,
 } from './likeness';
 import { Matrix } from './matrix';
 import { Line } from './line';
 import { Plane } from './plane';
+import { Rotation, toRotationElements } from './quaternion';
+import { IFormatOptions, ILatexOptions, formatRows, latexRows } from './format';
 
 /**
  * Returns the elements from the given vector or number array.
@@ -68,15 +71,106 @@ export class Vector {
   public static readonly k = new Vector([0, 0, 1]);
 
   /**
-   * Vector elements.
+   * Typed array the elements are read from, starting at `offset` and
+   * `stride` apart. Rows and columns of a matrix are views sharing its
+   * storage.
+   */
+  private storage: FloatArray;
+  private offset: number;
+  private stride: number;
+  private readonly size: number;
+
+  /**
+   * Array of elements, built from the data the first time `elements` is
+   * read.
+   */
+  private cachedElements?: ReadonlyArray<number>;
+
+  /**
+   * Creates a new vector, initializing it with the provided elements. A
+   * `Float64Array` or `Float32Array` is used as the vector storage directly,
+   * without copying; with a `Float32Array`, element-wise operations keep
+   * single precision. The vector can also take every `stride`th element of
+   * the typed array starting at `offset`, such as a column of a row-major
+   * matrix or one attribute of an interleaved vertex buffer.
+   * @throws A {@link DimensionalityMismatchError} if the elements would be
+   * read from outside the typed array
+   */
+  constructor(elements: VectorOrList | FloatArray, stride = 1, offset = 0, length?: number) {
+    this.cachedElements = undefined;
+    if (elements instanceof Float64Array || elements instanceof Float32Array) {
+      this.storage = elements;
+      this.stride = stride;
+      this.offset = offset;
+      this.size =
+        length === undefined ? Math.max(0, Math.ceil((elements.length - offset) / stride)) : length;
+      const last = offset + (this.size - 1) * stride;
+      if (
+        this.size > 0 &&
+        (Math.min(offset, last) < 0 || Math.max(offset, last) >= elements.length)
+      ) {
+        throw new DimensionalityMismatchError(
+          `Cannot read ${this.size} elements ${stride} apart from offset ${offset} of ${elements.length} elements`,
+        );
+      }
+    } else if (elements instanceof Vector) {
+      this.storage = elements.storage;
+      this.stride = elements.stride;
+      this.offset = elements.offset;
+      this.size = elements.size;
+    } else {
+      this.storage = new Float64Array(Vector.toElements(elements));
+      this.stride = 1;
+      this.offset = 0;
+      this.size = this.storage.length;
+    }
+  }
+
+  /**
+   * Vector elements in a contiguous typed array. This may be shared with
+   * matrices and other vectors, or with the typed array the vector was
+   * created from, so it must not be modified. Strided vectors are copied
+   * into new storage the first time this is read.
    */
-  public readonly elements: ReadonlyArray<number>;
+  public get data(): FloatArray {
+    const { storage, offset, stride, size } = this;
+    if (stride === 1 && offset === 0 && size === storage.length) {
+      return storage;
+    }
+
+    let data: FloatArray;
+    if (stride === 1) {
+      data = storage.subarray(offset, offset + size);
+    } else {
+      data = storage instanceof Float32Array ? new Float32Array(size) : new Float64Array(size);
+      for (let i = 0; i < size; i++) {
+        data[i] = storage[offset + i * stride];
+      }
+    }
+
+    this.storage = data;
+    this.offset = 0;
+    this.stride = 1;
+    return data;
+  }
 
   /**
-   * Creates a new vector, initializing it with the provided elements.
+   * Vector elements. For compatibility these are a plain array, which is
+   * copied out of the storage the first time it's read.
    */
-  constructor(elements: VectorOrList) {
-    this.elements = Vector.toElements(elements);
+  public get elements(): ReadonlyArray<number> {
+    let elements = this.cachedElements;
+    if (!elements) {
+      const { storage, offset, stride, size } = this;
+      const list: number[] = new Array(size);
+      for (let i = 0; i < size; i++) {
+        list[i] = storage[offset + i * stride];
+      }
+      elements = list;
+      this.cachedElements = elements;
+    }
+
+    return elements;
   }
 
   /**
@@ -86,9 +180,10 @@ export class Vector {
    * @diagram Vector.magnitude
    */
   public magnitude() {
+    const data = this.data;
     let sum = 0;
-    for (let i = 0; i < this.elements.length; i++) {
-      sum += this.elements[i] * this.elements[i];
+    for (let i = 0; i < data.length; i++) {
+      sum += data[i] * data[i];
     }
 
     return Math.sqrt(sum);
@@ -100,7 +195,7 @@ export class Vector {
    * @diagram Vector.e
    */
   public e(i: number) {
-    return i < 1 || i > this.elements.length ? null : this.elements[i - 1];
+    return i < 1 || i > this.size ? null : this.storage[this.offset + (i - 1) * this.stride];
   }
 
   /**
@@ -166,22 +261,23 @@ export class Vector {
    * Returns a new function created by calling the iterator on all values of this vector.
    */
   public map(fn: (value: number, index: number) => number) {
-    const n = this.elements.length;
-    const elements = new Array(n);
-    for (let i = 0; i < n; i++) {
-      elements[i] = fn(this.elements[i], i + 1);
+    const data = this.data;
+    const out =
+      data instanceof Float32Array ? new Float32Array(data.length) : new Float64Array(data.length);
+    for (let i = 0; i < data.length; i++) {
+      out[i] = fn(data[i], i + 1);
     }
 
-    return new Vector(elements);
+    return new Vector(out);
   }
 
   /**
    * Iterates through the elements of the vector
    */
   public each(fn: (value: number, index: number) => void) {
-    const n = this.elements.length;
-    for (let i = 0; i < n; i++) {
-      fn(this.elements[i], i + 1);
+    const data = this.data;
+    for (let i = 0; i < data.length; i++) {
+      fn(data[i], i + 1);
     }
   }
 
@@ -286,8 +382,8 @@ export class Vector {
       return this.map(v => operator(v, value));
     }
 
-    const values = getElements(value);
-    if (this.elements.length !== values.length) {
+    const values = value instanceof Vector ? value.data : value;
+    if (this.data.length !== values.length) {
       throw new DimensionalityMismatchError('Cannot add vectors with different dimensions.');
     }
 
@@ -403,8 +499,9 @@ export class Vector {
    * @diagram Vector.dot
    */
   public dot(vector: VectorOrList) {
-    const V = getElements(vector);
-    let n = this.elements.length;
+    const V = vector instanceof Vector ? vector.data : vector;
+    const data = this.data;
+    let n = data.length;
     if (n !== V.length) {
       throw new DimensionalityMismatchError(
         'Cannot compute the dot product of vectors with different dimensionality',
@@ -413,7 +510,7 @@ export class Vector {
 
     let product = 0;
     while (n--) {
-      product += this.elements[n] * V[n];
+      product += data[n] * V[n];
     }
     return product;
   }
@@ -579,12 +676,12 @@ export class Vector {
   /**
    * Rotates the 3D vector about the given line. Be careful
    * with line directions!
-   * @param t - Radians or rotation matrix to use
+   * @param t - Radians, rotation matrix or quaternion to use
    */
-  public rotate3D(t: number | Matrix, obj: Line) {
+  public rotate3D(t: Rotation, obj: Line) {
     const elements = this.to3D().elements;
     const pivot = obj.pointClosestTo(elements)!.elements;
-    const rotation = t instanceof Matrix ? t.elements : Matrix.Rotation(t, obj.direction).elements;
+    const rotation = toRotationElements(t, obj.direction);
     const x = elements[0] - pivot[0];
     const y = elements[1] - pivot[1];
     const z = elements[2] - pivot[2];
@@ -653,6 +750,25 @@ export class Vector {
     return new Vector(next);
   }
 
+  /**
+   * Pretty-prints the vector on a single line. Long vectors are truncated,
+   * with `...` in place of the middle elements once there are more than
+   * `maxCols` of them.
+   * @diagram Vector.format
+   */
+  public format(options?: IFormatOptions): string {
+    return formatRows([this.elements], options);
+  }
+
+  /**
+   * Returns LaTeX source for the vector as a row, in a `bmatrix` or
+   * `pmatrix` environment.
+   * @diagram Vector.toLatex
+   */
+  public toLatex(options?: ILatexOptions): string {
+    return latexRows([this.elements], options);
+  }
+
   /**
    * Returns a string representation of the vector
    */
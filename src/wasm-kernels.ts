@@ -0,0 +1,7 @@
+/**
+ * WebAssembly binary of wasm/kernels.wat, base64-encoded. Generated by
+ * `npm run build:wasm`, do not edit.
+ * @private
+ */
+export const kernels =
+  'AGFzbQEAAAABEQJgBn9/f39/fwBgBH9/f38AAwUEAAEBAQUDAQABBzsFBm1lbW9yeQIABGdlbW0AAAJsdQABEWZvcndhcmRTdWJzdGl0dXRlAAIOYmFja1N1YnN0aXR1dGUAAwrTBwTNAQIGfwF8QQAhBgJAA0AgBiADTw0BIAIgBiAFbEEDdGohCCAIIAVBA3RqIQogCCEJAkADQCAJIApPDQEgCUQAAAAAAAAAADkDACAJQQhqIQkMAAsLQQAhBwJAA0AgByAETw0BIAAgBiAEbCAHakEDdGorAwAhDCABIAcgBWxBA3RqIQsgCCEJAkADQCAJIApPDQEgCSAJKwMAIAwgCysDAKKgOQMAIAlBCGohCSALQQhqIQsMAAsLIAdBAWohBwwACwsgBkEBaiEGDAALCwvZAwQGfwN8A38BfCADQQN0IQQgAiADIAIgA0kbIQVBACEHAkADQCAHIAJPDQEgASAHQQJ0aiAHNgIAIAdBAWohBwwACwtBACEGAkADQCAGIAVPDQEgBiEJIAAgBiAEbGogBkEDdGorAwCZIQogBkEBaiEHAkADQCAHIAJPDQEgACAHIARsaiAGQQN0aisDAJkhCyALIApkBEAgCyEKIAchCQsgB0EBaiEHDAALCyAAIAYgBGxqIQ4gCSAGRwRAIAAgCSAEbGohD0EAIQgCQANAIAggBE8NASAOIAhqKwMAIQwgDiAIaiAPIAhqKwMAOQMAIA8gCGogDDkDACAIQQhqIQgMAAsLIAEgBkECdGooAgAhDSABIAZBAnRqIAEgCUECdGooAgA2AgAgASAJQQJ0aiANNgIACyAKRAAAAAAAAAAAYgRAIAZBAWohBwJAA0AgByACTw0BIAAgByAEbGohDyAPIAZBA3RqKwMAIA4gBkEDdGorAwCjIRAgDyAGQQN0aiAQOQMAIAZBAWpBA3QhCAJAA0AgCCAETw0BIA8gCGogDyAIaisDACAOIAhqKwMAIBCioTkDACAIQQhqIQgMAAsLIAdBAWohBwwACwsLIAZBAWohBgwACwsLkwECA38BfEEAIQQCQANAIAQgA08NASAAIAQgA2xBA3RqIQZEAAAAAAAAAAAhB0EAIQUCQANAIAUgBE8NASAHIAYgBUEDdGorAwAgAiAFQQN0aisDAKKgIQcgBUEBaiEFDAALCyACIARBA3RqIAEgBEEDdGorAwAgB6EgBiAEQQN0aisDAKM5AwAgBEEBaiEEDAALCwuRAQIDfwF8IAMhBAJAA0AgBEUNASAEQQFrIQQgACAEIANsQQN0aiEGRAAAAAAAAAAAIQcgAyEFAkADQCAFQQFrIQUgBSAETA0BIAcgBiAFQQN0aisDACACIAVBA3RqKwMAoqAhBwwACwsgAiAEQQN0aiABIARBA3RqKwMAIAehIAYgBEEDdGorAwCjOQMADAALCws=';
@@ -0,0 +1,182 @@
+import { registerBackend, IBackend } from './backend';
+import { Matrix } from './matrix';
+import { Vector } from './vector';
+import { kernels } from './wasm-kernels';
+import { luSplit } from './lu';
+
+/**
+ * Exports of the module compiled from wasm/kernels.wat. Pointers are byte
+ * offsets into its memory.
+ * @private
+ */
+interface IKernels {
+  memory: { buffer: ArrayBuffer; grow(pages: number): number };
+  gemm(a: number, b: number, c: number, m: number, k: number, n: number): void;
+  lu(a: number, perm: number, m: number, n: number): void;
+  forwardSubstitute(l: number, b: number, x: number, n: number): void;
+  backSubstitute(u: number, b: number, x: number, n: number): void;
+}
+
+declare const WebAssembly: {
+  Module: new (bytes: Uint8Array) => object;
+  Instance: new (module: object) => { exports: IKernels };
+};
+
+/**
+ * Number of multiplications below which copying in and out of WebAssembly
+ * memory costs more than the kernel saves.
+ * @private
+ */
+const SMALL_PRODUCT = 1000;
+
+/**
+ * @private
+ */
+const base64 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+/**
+ * Decodes base64 without relying on `Buffer` or `atob`, so it works in
+ * browsers and Node alike.
+ * @private
+ */
+const decodeBase64 = (text: string) => {
+  const bytes = new Uint8Array(Math.floor((text.replace(/=+$/, '').length * 3) / 4));
+  let value = 0;
+  let bits = 0;
+  let index = 0;
+  for (let i = 0; i < text.length && text[i] !== '='; i++) {
+    value = ((value << 6) | base64.indexOf(text[i])) & 0xffffff;
+    bits += 6;
+    if (bits >= 8) {
+      bits -= 8;
+      bytes[index++] = (value >> bits) & 0xff;
+    }
+  }
+
+  return bytes;
+};
+
+/**
+ * The compiled kernels, null if WebAssembly is unavailable or refused to
+ * compile them, or undefined before the first use.
+ * @private
+ */
+let instance: IKernels | null | undefined;
+
+/**
+ * Compiles the kernels on first use, returning null if that's not possible,
+ * in which case the backend falls back to JavaScript.
+ * @private
+ */
+export const loadKernels = () => {
+  if (instance === undefined) {
+    try {
+      const module = new WebAssembly.Module(decodeBase64(kernels));
+      instance = new WebAssembly.Instance(module).exports;
+    } catch {
+      instance = null;
+    }
+  }
+
+  return instance;
+};
+
+/**
+ * Grows the kernels' memory to hold at least the given number of bytes,
+ * returning false if it can't.
+ * @private
+ */
+const reserve = (wasm: IKernels, bytes: number) => {
+  const missing = Math.ceil((bytes - wasm.memory.buffer.byteLength) / 65536);
+  if (missing > 0) {
+    try {
+      wasm.memory.grow(missing);
+    } catch {
+      return false;
+    }
+  }
+
+  return true;
+};
+
+/**
+ * Gets the kernels with room for the given number of doubles, or null to
+ * fall back to JavaScript.
+ * @private
+ */
+const prepare = (doubles: number) => {
+  const wasm = loadKernels();
+  return wasm && reserve(wasm, doubles * 8) ? wasm : null;
+};
+
+/**
+ * Copies a square triangular matrix and right-hand side into memory and
+ * runs one of the substitution kernels on them.
+ * @private
+ */
+const substitute = (kernel: 'forwardSubstitute' | 'backSubstitute', T: Matrix, b: Vector) => {
+  const n = T.rows;
+  const wasm = T.cols === n && b.data.length === n ? prepare(n * n + 2 * n) : null;
+  if (!wasm) {
+    return undefined;
+  }
+
+  const memory = new Float64Array(wasm.memory.buffer);
+  memory.set(T.data);
+  memory.set(b.data, n * n);
+  wasm[kernel](0, n * n * 8, (n * n + n) * 8, n);
+  return new Vector(memory.slice(n * n + n, n * n + 2 * n));
+};
+
+/**
+ * Creates a backend that runs matrix products, LU factorization and
+ * triangular solves in WebAssembly. These compute in double precision in
+ * the same order as the JavaScript versions, so the results are identical
+ * except for large products, which JavaScript blocks differently. Everything
+ * else, and everything when WebAssembly is unavailable, uses JavaScript.
+ */
+export const createWasmBackend = (): IBackend => ({
+  multiply(A, B) {
+    const m = A.rows;
+    const k = A.cols;
+    const n = B.cols;
+    const wasm = m * k * n >= SMALL_PRODUCT ? prepare(m * k + k * n + m * n) : null;
+    if (!wasm) {
+      return undefined;
+    }
+
+    const memory = new Float64Array(wasm.memory.buffer);
+    memory.set(A.data);
+    memory.set(B.data, m * k);
+    wasm.gemm(0, m * k * 8, (m * k + k * n) * 8, m, k, n);
+    const product = memory.subarray(m * k + k * n, m * k + k * n + m * n);
+    return new Matrix(
+      A.data instanceof Float32Array ? new Float32Array(product) : product.slice(),
+      m,
+      n,
+    );
+  },
+
+  lu(A) {
+    const m = A.rows;
+    const n = A.cols;
+    // the permutation takes m int32s, half as many doubles
+    const wasm = prepare(m * n + Math.ceil(m / 2));
+    if (!wasm) {
+      return undefined;
+    }
+
+    const memory = new Float64Array(wasm.memory.buffer);
+    memory.set(A.data);
+    wasm.lu(0, m * n * 8, m, n);
+    const perm = new Int32Array(wasm.memory.buffer, m * n * 8, m);
+    const { L, U, P } = luSplit(memory.subarray(0, m * n), perm, m, n);
+    return { L: new Matrix(L, m, m), U: new Matrix(U, m, n), P: new Matrix(P, m, m) };
+  },
+
+  forwardSubstitute: (L, b) => substitute('forwardSubstitute', L, b),
+
+  backSubstitute: (U, b) => substitute('backSubstitute', U, b),
+});
+
+registerBackend('wasm', createWasmBackend());
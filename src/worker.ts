@@ -0,0 +1,48 @@
+import { parentPort } from 'worker_threads';
+import { blockedMultiply, strassen } from './gemm';
+import { luPanel, luUpdate } from './lu';
+import { Matrix } from './matrix';
+import { Task } from './parallel';
+
+/**
+ * Runs a task from the pool in parallel.ts, returning its result, if any,
+ * and the buffers to transfer back rather than copy.
+ * @private
+ */
+const run = (task: Task): [unknown, ArrayBuffer[]] => {
+  switch (task.op) {
+    case 'blocked': {
+      const product = blockedMultiply(task.A, task.B, task.m, task.k, task.n, task.blockSize);
+      if (task.C) {
+        task.C.set(product);
+        return [undefined, []];
+      }
+      return [product, [product.buffer]];
+    }
+    case 'strassen': {
+      const { A, B, m, k, n, threshold, blockSize } = task;
+      const product = strassen(A, B, m, k, n, threshold, blockSize);
+      return [product, [product.buffer]];
+    }
+    case 'luPanel':
+      luPanel(task.A, task.m, task.n, task.start, task.end, task.perm);
+      return [undefined, []];
+    case 'luUpdate':
+      luUpdate(task.A, task.m, task.n, task.start, task.end, task.from, task.to);
+      return [undefined, []];
+    case 'svd': {
+      const { U, S, V } = new Matrix(task.A, task.m, task.n).svd({ economy: task.economy });
+      const flat = (M: Matrix) => ({ data: M.data, rows: M.rows, cols: M.cols });
+      return [{ U: flat(U), S: flat(S), V: flat(V) }, []];
+    }
+  }
+};
+
+parentPort!.on('message', (task: Task) => {
+  try {
+    const [result, transfer] = run(task);
+    parentPort!.postMessage({ result }, transfer);
+  } catch (e) {
+    parentPort!.postMessage({ error: { type: e.constructor.name, message: e.message } });
+  }
+});
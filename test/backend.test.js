@@ -0,0 +1,149 @@
+import { expect } from 'chai';
+import {
+  Matrix,
+  Vector,
+  Sylvester,
+  registerBackend,
+  hasBackend,
+  getBackend,
+  InvalidOperationError,
+} from '../src';
+import { createLapackBackend } from '../src/lapack';
+
+describe('backends', () => {
+  const A = new Matrix([
+    [4, 3],
+    [6, 3],
+  ]);
+
+  afterEach(() => {
+    Sylvester.backend = 'js';
+  });
+
+  it('uses the built-in implementations by default', () => {
+    expect(Sylvester.backend).to.equal('js');
+    expect(getBackend()).to.deep.equal({});
+    expect(hasBackend('js')).to.be.true;
+    expect(hasBackend('nope')).to.be.false;
+  });
+
+  it('dispatches to the selected backend', () => {
+    const calls = [];
+    const marker = Matrix.I(2);
+    registerBackend('test', {
+      multiply: (X, Y) => {
+        calls.push('multiply');
+        return Matrix.Fill(X.rows, Y.cols, Y.rows);
+      },
+      lu: () => (calls.push('lu'), { L: marker, U: marker, P: marker }),
+      qr: () => (calls.push('qr'), { Q: marker, R: marker }),
+      svd: (_, economy) => (calls.push(`svd ${economy}`), { U: marker, S: marker, V: marker }),
+      solve: (_, b) => (calls.push('solve'), b),
+    });
+
+    Sylvester.backend = 'test';
+    expect(A.x(A)).to.matrix.equal([
+      [2, 2],
+      [2, 2],
+    ]);
+    expect(A.x(new Vector([1, 1]))).to.vector.equal(new Vector([2, 2]));
+    expect(A.lu().L).to.equal(marker);
+    expect(A.qr().Q).to.equal(marker);
+    expect(A.svd({ economy: true }).S).to.equal(marker);
+    expect(A.solve(new Vector([1, 2]))).to.vector.equal(new Vector([1, 2]));
+    expect(A.x(2)).to.matrix.equal(A.map(x => x * 2));
+    expect(calls).to.deep.equal(['multiply', 'multiply', 'lu', 'qr', 'svd true', 'solve']);
+  });
+
+  it('falls back to JavaScript for operations a backend leaves out', () => {
+    registerBackend('partial', { qr: () => ({ Q: A, R: A }) });
+    Sylvester.backend = 'partial';
+    expect(A.x(A)).to.matrix.equal([
+      [34, 21],
+      [42, 27],
+    ]);
+    const { P, L, U } = A.lu();
+    expect(P.x(L).x(U)).to.matrix.equal(A);
+    expect(A.qr().R).to.equal(A);
+  });
+
+  it('throws when the selected backend is not registered', () => {
+    Sylvester.backend = 'nope';
+    expect(() => A.x(A)).to.throw(InvalidOperationError);
+    expect(() => getBackend('nope')).to.throw(InvalidOperationError);
+  });
+
+  describe('LAPACK adapter', () => {
+    const received = [];
+    const lapack = {
+      lu: a => (received.push(a), { L: [[1]], U: [[2]], P: [[1]] }),
+      qr: a => (received.push(a), { Q: [[1]], R: [[3]] }),
+      // Shaped like lapack@0.1.0: S is n by n with the singular values in its
+      // first column, and U is m by m even when only k columns are computed.
+      sgesvd: (jobu, jobvt, a) => (
+        received.push([jobu, jobvt, a]),
+        {
+          U: [
+            [0, 1, 0],
+            [1, 0, 0],
+            [0, 0, jobu === 'A' ? 1 : 0],
+          ],
+          S: [
+            [3, 0],
+            [2, 0],
+          ],
+          VT: [
+            [1, 0],
+            [0, 1],
+          ],
+        }
+      ),
+      sgesv: (a, b) => (received.push(b), { X: [[5], [6]] }),
+    };
+    const backend = createLapackBackend(lapack);
+    const B = new Matrix([
+      [0, 2],
+      [3, 0],
+      [0, 0],
+    ]);
+
+    it('converts matrices to and from arrays of rows', () => {
+      expect(backend.lu(A).U).to.matrix.equal([[2]]);
+      expect(backend.qr(A).R).to.matrix.equal([[3]]);
+      expect(backend.solve(A, new Vector([7, 8]))).to.vector.equal(new Vector([5, 6]));
+      expect(received).to.deep.equal([A.elements, A.elements, [[7], [8]]]);
+      expect(backend.multiply).to.be.undefined;
+    });
+
+    it('pads the singular values to the shape of the matrix', () => {
+      const { U, S, V } = backend.svd(B, false);
+      expect(U.x(S).x(V.transpose())).to.matrix.equal(B);
+      expect(S).to.matrix.equal([
+        [3, 0],
+        [0, 2],
+        [0, 0],
+      ]);
+      expect(U.rows).to.equal(3);
+      expect(U.cols).to.equal(3);
+
+      const economy = backend.svd(B, true);
+      expect(economy.S).to.matrix.equal([
+        [3, 0],
+        [0, 2],
+      ]);
+      expect(economy.U).to.matrix.equal([
+        [0, 1],
+        [1, 0],
+        [0, 0],
+      ]);
+      expect(economy.V.rows).to.equal(2);
+      expect(economy.V.cols).to.equal(2);
+      expect(
+        economy.U.x(economy.S)
+          .x(economy.V.transpose())
+          .eql(B),
+      ).to.be.true;
+      expect(received.slice(-2).map(([jobu]) => jobu)).to.deep.equal(['A', 'S']);
+    });
+  });
+});
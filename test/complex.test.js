@@ -0,0 +1,207 @@
+import { expect } from 'chai';
+import {
+  Complex,
+  ComplexVector,
+  ComplexMatrix,
+  Matrix,
+  Vector,
+  DimensionalityMismatchError,
+  InvalidOperationError,
+} from '../src';
+
+const c = (re, im) => new Complex(re, im);
+
+describe('complex', () => {
+  describe('Complex', () => {
+    it('does arithmetic', () => {
+      const z = c(1, 2);
+      expect(z.add(c(3, -1)).eql(c(4, 1))).to.be.true;
+      expect(z.subtract(1).eql(c(0, 2))).to.be.true;
+      expect(z.multiply(c(3, 4)).eql(c(-5, 10))).to.be.true;
+      expect(
+        c(-5, 10)
+          .divide(c(3, 4))
+          .eql(z),
+      ).to.be.true;
+      expect(
+        c(-5, 10)
+          .divide(c(1e-300, 1))
+          .eql(c(10, 5)),
+      ).to.be.true;
+      expect(z.conjugate().eql(c(1, -2))).to.be.true;
+      expect(z.negate().eql(c(-1, -2))).to.be.true;
+      expect(c(3, 4).abs()).to.equal(5);
+      expect(Complex.i.arg()).to.approx.equal(Math.PI / 2);
+      expect(Complex.fromPolar(2, Math.PI).eql(-2)).to.be.true;
+    });
+
+    it('toString', () => {
+      expect(c(1, -2).toString()).to.equal('1 - 2i');
+      expect(c(1, 2).toString()).to.equal('1 + 2i');
+      expect(c(0, 2).toString()).to.equal('2i');
+      expect(c(3, 0).toString()).to.equal('3');
+    });
+  });
+
+  describe('ComplexVector', () => {
+    const v = new ComplexVector([c(1, 1), c(0, -2), 3]);
+
+    it('converts from real vectors', () => {
+      const real = new ComplexVector(new Vector([1, 2]));
+      expect(real.eql([1, 2])).to.be.true;
+      expect(new ComplexVector([1, 2], [3, 4]).eql([c(1, 3), c(2, 4)])).to.be.true;
+      expect(v.real()).to.vector.equal([1, 0, 3]);
+      expect(v.imag()).to.vector.equal([1, -2, 0]);
+      expect(v.e(2).eql(c(0, -2))).to.be.true;
+      expect(v.e(4)).to.be.null;
+      expect(v.dimensions()).to.deep.equal({ rows: 1, cols: 3 });
+      expect(() => new ComplexVector([1, 2], [3])).to.throw(DimensionalityMismatchError);
+    });
+
+    it('conjugates in the dot product', () => {
+      expect(v.dot(v).eql(15)).to.be.true;
+      expect(v.magnitude()).to.approx.equal(Math.sqrt(15));
+      const w = new ComplexVector([c(0, 1), 1, 1]);
+      expect(v.dot(w).eql(c(4, 3))).to.be.true;
+      expect(w.dot(v).eql(c(4, -3))).to.be.true;
+      expect(v.dot(new Vector([1, 1, 1])).eql(c(4, 1))).to.be.true;
+      expect(() => v.dot([1])).to.throw(DimensionalityMismatchError);
+    });
+
+    it('does element-wise arithmetic', () => {
+      expect(v.add(v).eql(v.x(2))).to.be.true;
+      expect(v.subtract(v).eql([0, 0, 0])).to.be.true;
+      expect(v.x(Complex.i).eql([c(-1, 1), 2, c(0, 3)])).to.be.true;
+      expect(v.conjugate().eql([c(1, -1), c(0, 2), 3])).to.be.true;
+      expect(() => v.add([1])).to.throw(DimensionalityMismatchError);
+    });
+
+    it('toString', () => {
+      expect(v.toString()).to.equal('ComplexVector<[1 + 1i, -2i, 3]>');
+    });
+  });
+
+  describe('ComplexMatrix', () => {
+    const A = new ComplexMatrix([
+      [c(1, 1), c(2, 0)],
+      [c(0, -1), c(3, 2)],
+    ]);
+
+    const H = new ComplexMatrix(
+      [
+        [2, 1],
+        [1, 3],
+      ],
+      [
+        [0, -1],
+        [1, 0],
+      ],
+    );
+
+    it('converts from real matrices', () => {
+      const M = new Matrix([
+        [1, 2],
+        [3, 4],
+      ]);
+      const Z = new ComplexMatrix(M);
+      expect(Z.eql(M)).to.be.true;
+      expect(Z.real()).to.matrix.equal(M);
+      expect(Z.imag()).to.matrix.equal(Matrix.Zero(2, 2));
+      expect(H.e(1, 2).eql(c(1, -1))).to.be.true;
+      expect(H.e(3, 1)).to.be.null;
+      expect(() => new ComplexMatrix(M, [[1]])).to.throw(DimensionalityMismatchError);
+    });
+
+    it('computes the conjugate transpose', () => {
+      expect(
+        A.conjugateTranspose().eql([
+          [c(1, -1), c(0, 1)],
+          [2, c(3, -2)],
+        ]),
+      ).to.be.true;
+      expect(
+        A.transpose()
+          .e(1, 2)
+          .eql(c(0, -1)),
+      ).to.be.true;
+    });
+
+    it('checks whether matrices are Hermitian', () => {
+      expect(H.isHermitian()).to.be.true;
+      expect(A.isHermitian()).to.be.false;
+      expect(new ComplexMatrix([[c(1, 1)]]).isHermitian()).to.be.false;
+      expect(new ComplexMatrix([[1, 2]]).isHermitian()).to.be.false;
+    });
+
+    it('multiplies', () => {
+      expect(
+        A.x(H).eql([
+          [c(4, 4), 8],
+          [c(1, 3), c(8, 5)],
+        ]),
+      ).to.be.true;
+      expect(A.x([1, Complex.i]).eql([c(1, 3), c(-2, 2)])).to.be.true;
+      expect(A.x(new Vector([1, 0]))).to.be.instanceOf(ComplexVector);
+      expect(A.x(Matrix.I(2)).eql(A)).to.be.true;
+      expect(
+        A.x(Complex.i)
+          .e(1, 1)
+          .eql(c(-1, 1)),
+      ).to.be.true;
+      expect(A.add(A).eql(A.x(2))).to.be.true;
+      expect(A.subtract(A).eql(ComplexMatrix.Zero(2, 2))).to.be.true;
+      expect(() => A.x([1, 2, 3])).to.throw(DimensionalityMismatchError);
+      expect(() => A.add([[1]])).to.throw(DimensionalityMismatchError);
+    });
+
+    it('computes the LU decomposition', () => {
+      const { L, U, P } = A.lu();
+      expect(P.x(A).eql(L.x(U))).to.be.true;
+      expect(L.e(1, 2).eql(0)).to.be.true;
+      expect(U.e(2, 1).eql(0)).to.be.true;
+      expect(() => new ComplexMatrix([[1, 2]]).lu()).to.throw(DimensionalityMismatchError);
+    });
+
+    it('computes determinants', () => {
+      expect(A.det().eql(c(1, 7))).to.be.true;
+      expect(H.determinant().eql(4)).to.be.true;
+      expect(
+        new ComplexMatrix([
+          [0, 1],
+          [1, 0],
+        ]).det(),
+      ).to.satisfy(d => d.eql(-1));
+      expect(
+        new ComplexMatrix([
+          [1, Complex.i],
+          [Complex.i, -1],
+        ]).isSingular(),
+      ).to.be.true;
+    });
+
+    it('computes inverses', () => {
+      expect(A.x(A.inverse()).eql(ComplexMatrix.I(2))).to.be.true;
+      expect(
+        A.inverse()
+          .x(A)
+          .eql(ComplexMatrix.I(2)),
+      ).to.be.true;
+      const B = new ComplexMatrix([
+        [0, Complex.i, 1],
+        [2, 0, c(1, 1)],
+        [c(0, -1), 1, 0],
+      ]);
+      expect(B.x(B.inverse()).eql(ComplexMatrix.I(3))).to.be.true;
+      expect(() =>
+        new ComplexMatrix([
+          [1, 2],
+          [2, 4],
+        ]).inverse(),
+      ).to.throw(InvalidOperationError);
+    });
+
+    it('toString', () => {
+      expect(A.toString()).to.equal('ComplexMatrix<\n  [1 + 1i, 2]\n  [-1i, 3 + 2i]\n>');
+    });
+  });
+});
@@ -5,7 +5,7 @@ import { Matrix } from '../../src/matrix';
 import { Line, Segment } from '../../src/line';
 import { Polygon } from '../../src/polygon';
 import { Geometry } from '../../src/likeness';
-import { Plane } from '../../src';
+import { Plane, SparseMatrix } from '../../src';
 import { Suite } from 'benchmark';
 import Benchmark = require('benchmark');
 import { readJson, writeJson } from 'fs-extra';
@@ -94,6 +94,8 @@ const toCode = (value: unknown): string => {
     )})`;
   } else if (value instanceof Matrix) {
     return `new Matrix(${JSON.stringify(value.elements)})`;
+  } else if (value instanceof SparseMatrix) {
+    return `SparseMatrix.fromMatrix(${JSON.stringify(value.toMatrix().elements)})`;
   } else if (value instanceof Line) {
     return `new Line(${JSON.stringify(value.anchor.elements)}, ${JSON.stringify(
       value.direction.elements,
@@ -122,6 +124,8 @@ const toRecordedValue = (value: unknown): RecordedValue => {
     return { type: 'Plane', anchor: value.anchor.elements, norm: value.normal.elements };
   } else if (value instanceof Matrix) {
     return { type: 'Matrix', elements: value.elements };
+  } else if (value instanceof SparseMatrix) {
+    return { type: 'Matrix', elements: value.toMatrix().elements };
   } else if (value instanceof Line) {
     return { type: 'Line', anchor: value.anchor.elements, direction: value.direction.elements };
   } else if (value instanceof Segment) {
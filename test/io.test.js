@@ -0,0 +1,237 @@
+import { expect } from 'chai';
+import {
+  Matrix,
+  SparseMatrix,
+  parseCSV,
+  toCSV,
+  parseMatrixMarket,
+  toMatrixMarket,
+  parseNpy,
+  toNpy,
+  DimensionalityMismatchError,
+  ParseError,
+} from '../src';
+
+describe('io', () => {
+  const A = new Matrix([
+    [1, -2.5, 0],
+    [0, 4, 1e-10],
+  ]);
+
+  describe('CSV', () => {
+    it('parses delimited text', () => {
+      const { header, matrix } = parseCSV('1,-2.5,0\r\n0, 4 ,1e-10\n\n');
+      expect(header).to.be.null;
+      expect(matrix.elements).to.deep.equal(A.elements);
+      expect(parseCSV('1\t2\n3\t4', { delimiter: '\t' }).matrix.elements).to.deep.equal([
+        [1, 2],
+        [3, 4],
+      ]);
+      expect(parseCSV('').matrix.rows).to.equal(0);
+    });
+
+    it('reads headers', () => {
+      const { header, matrix } = parseCSV('x,"y, in m","say ""hi"""\n1,2,3\n', { header: true });
+      expect(header).to.deep.equal(['x', 'y, in m', 'say "hi"']);
+      expect(matrix.elements).to.deep.equal([[1, 2, 3]]);
+    });
+
+    it('reports bad input', () => {
+      expect(() => parseCSV('1,2\n3,x')).to.throw(ParseError, /line 2, column 2/);
+      expect(() => parseCSV('1,2\n3,')).to.throw(ParseError);
+      expect(() => parseCSV('a,b\n1,2\n3', { header: true })).to.throw(
+        DimensionalityMismatchError,
+        /line 3/,
+      );
+    });
+
+    it('writes delimited text', () => {
+      expect(toCSV(A)).to.equal('1,-2.5,0\n0,4,1e-10\n');
+      expect(toCSV(A, { delimiter: '\t', header: ['a', 'b\tc', '"d"'] })).to.equal(
+        'a\t"b\tc"\t"""d"""\n1\t-2.5\t0\n0\t4\t1e-10\n',
+      );
+      expect(() => toCSV(A, { header: ['a'] })).to.throw(DimensionalityMismatchError);
+    });
+
+    it('round-trips', () => {
+      const header = ['first', 'second, really', 'third'];
+      const parsed = parseCSV(toCSV(A, { header }), { header: true });
+      expect(parsed.header).to.deep.equal(header);
+      expect(parsed.matrix.elements).to.deep.equal(A.elements);
+    });
+  });
+
+  describe('MatrixMarket', () => {
+    it('parses coordinate matrices', () => {
+      const S = parseMatrixMarket(
+        [
+          '%%MatrixMarket matrix coordinate real general',
+          '% a comment',
+          '  2 3 3',
+          '1 1 1',
+          '1 2 -2.5',
+          '2 2 4',
+          '',
+        ].join('\n'),
+      );
+      expect(S).to.be.instanceOf(SparseMatrix);
+      expect(S.toMatrix()).to.matrix.equal([
+        [1, -2.5, 0],
+        [0, 4, 0],
+      ]);
+    });
+
+    it('parses array matrices in column-major order', () => {
+      const M = parseMatrixMarket('%%MatrixMarket matrix array integer general\n2 2\n1\n2\n3\n4\n');
+      expect(M).to.be.instanceOf(Matrix);
+      expect(M.elements).to.deep.equal([
+        [1, 3],
+        [2, 4],
+      ]);
+    });
+
+    it('expands symmetric storage', () => {
+      expect(
+        parseMatrixMarket(
+          '%%MatrixMarket matrix coordinate real symmetric\n2 2 2\n1 1 5\n2 1 7\n',
+        ).toMatrix(),
+      ).to.matrix.equal([
+        [5, 7],
+        [7, 0],
+      ]);
+      expect(
+        parseMatrixMarket('%%MatrixMarket matrix array real symmetric\n2 2\n1\n2\n3\n').elements,
+      ).to.deep.equal([
+        [1, 2],
+        [2, 3],
+      ]);
+      expect(
+        parseMatrixMarket('%%MatrixMarket matrix array real skew-symmetric\n2 2\n4\n').elements,
+      ).to.deep.equal([
+        [0, -4],
+        [4, 0],
+      ]);
+      expect(
+        parseMatrixMarket(
+          '%%MatrixMarket matrix coordinate pattern general\n2 2 1\n1 2\n',
+        ).toMatrix(),
+      ).to.matrix.equal([
+        [0, 1],
+        [0, 0],
+      ]);
+    });
+
+    it('reports bad input', () => {
+      expect(() => parseMatrixMarket('1 2\n')).to.throw(ParseError, /header/);
+      expect(() =>
+        parseMatrixMarket('%%MatrixMarket matrix coordinate complex general\n'),
+      ).to.throw(ParseError, /complex/);
+      expect(() =>
+        parseMatrixMarket('%%MatrixMarket matrix coordinate real general\n2 2 2\n1 1 1\n'),
+      ).to.throw(ParseError, /Expected 2 entries/);
+      expect(() =>
+        parseMatrixMarket('%%MatrixMarket matrix coordinate real general\n2 2 1\n3 1 1\n'),
+      ).to.throw(ParseError, /outside/);
+      expect(() =>
+        parseMatrixMarket('%%MatrixMarket matrix array real general\n2 2\n1\n'),
+      ).to.throw(ParseError);
+    });
+
+    it('writes matrices', () => {
+      expect(toMatrixMarket(A, { comments: [' from sylvester'] })).to.equal(
+        '%%MatrixMarket matrix array real general\n% from sylvester\n2 3\n1\n0\n-2.5\n4\n0\n1e-10\n',
+      );
+      expect(toMatrixMarket(SparseMatrix.fromMatrix(A))).to.equal(
+        '%%MatrixMarket matrix coordinate real general\n2 3 4\n1 1 1\n1 2 -2.5\n2 2 4\n2 3 1e-10\n',
+      );
+    });
+
+    it('round-trips', () => {
+      expect(parseMatrixMarket(toMatrixMarket(A)).elements).to.deep.equal(A.elements);
+      expect(
+        parseMatrixMarket(toMatrixMarket(A, { format: 'coordinate' }))
+          .toMatrix()
+          .eql(A, 0),
+      ).to.be.true;
+    });
+  });
+
+  describe('npy', () => {
+    // Builds a version 1.0 .npy file the way numpy.save lays it out.
+    const npy = (header, values, littleEndian = true) => {
+      header += ' '.repeat(63 - ((10 + header.length) % 64)) + '\n';
+      const buffer = Buffer.alloc(10 + header.length + values.length * 8);
+      buffer.write('\x93NUMPY\x01\x00', 0, 'latin1');
+      buffer.writeUInt16LE(header.length, 8);
+      buffer.write(header, 10, 'latin1');
+      values.forEach((v, i) =>
+        littleEndian
+          ? buffer.writeDoubleLE(v, 10 + header.length + i * 8)
+          : buffer.writeDoubleBE(v, 10 + header.length + i * 8),
+      );
+      return buffer;
+    };
+
+    it('parses float64 arrays', () => {
+      const data = npy("{'descr': '<f8', 'fortran_order': False, 'shape': (2, 3), }", [
+        1,
+        -2.5,
+        0,
+        0,
+        4,
+        1e-10,
+      ]);
+      expect(parseNpy(data).elements).to.deep.equal(A.elements);
+      expect(parseNpy(new Uint8Array(data).buffer).elements).to.deep.equal(A.elements);
+    });
+
+    it('handles Fortran order, big endian and 1D arrays', () => {
+      expect(
+        parseNpy(npy("{'descr': '<f8', 'fortran_order': True, 'shape': (2, 2), }", [1, 2, 3, 4]))
+          .elements,
+      ).to.deep.equal([
+        [1, 3],
+        [2, 4],
+      ]);
+      expect(
+        parseNpy(npy("{'descr': '>f8', 'fortran_order': False, 'shape': (1, 2), }", [1, 2], false))
+          .elements,
+      ).to.deep.equal([[1, 2]]);
+      expect(
+        parseNpy(npy("{'descr': '<f8', 'fortran_order': False, 'shape': (3,), }", [1, 2, 3]))
+          .elements,
+      ).to.deep.equal([[1], [2], [3]]);
+    });
+
+    it('reports bad input', () => {
+      expect(() => parseNpy(Buffer.from('not a numpy file'))).to.throw(ParseError, /magic/);
+      expect(() =>
+        parseNpy(npy("{'descr': '<i4', 'fortran_order': False, 'shape': (1, 1), }", [])),
+      ).to.throw(ParseError, /float64/);
+      expect(() =>
+        parseNpy(npy("{'descr': '<f8', 'fortran_order': False, 'shape': (1, 1, 1), }", [1])),
+      ).to.throw(ParseError, /dimensional/);
+      expect(() =>
+        parseNpy(npy("{'descr': '<f8', 'fortran_order': False, 'shape': (2, 2), }", [1])),
+      ).to.throw(ParseError, /truncated/);
+    });
+
+    it('writes float64 arrays', () => {
+      const bytes = toNpy(A);
+      expect(bytes).to.be.instanceOf(Uint8Array);
+      expect(
+        Buffer.from(bytes).equals(
+          npy("{'descr': '<f8', 'fortran_order': False, 'shape': (2, 3), }", [
+            1,
+            -2.5,
+            0,
+            0,
+            4,
+            1e-10,
+          ]),
+        ),
+      ).to.be.true;
+      expect(parseNpy(bytes).elements).to.deep.equal(A.elements);
+    });
+  });
+});
@@ -0,0 +1,119 @@
+import { expect } from 'chai';
+import { Matrix, SparseMatrix, DimensionalityMismatchError, InvalidOperationError } from '../src';
+
+describe('iterative solvers', () => {
+  const n = 20;
+
+  // 1D Poisson matrix: symmetric positive-definite and tridiagonal
+  const poissonEntries = () => {
+    const rows = [];
+    const cols = [];
+    const values = [];
+    for (let i = 0; i < n; i++) {
+      rows.push(i);
+      cols.push(i);
+      values.push(2);
+      if (i > 0) {
+        rows.push(i, i - 1);
+        cols.push(i - 1, i);
+        values.push(-1, -1);
+      }
+    }
+    return [rows, cols, values];
+  };
+
+  const poisson = SparseMatrix.fromCOO(n, n, ...poissonEntries());
+
+  // Non-symmetric convection-diffusion matrix
+  const convection = poisson.add(
+    SparseMatrix.fromCOO(
+      n,
+      n,
+      Array.from({ length: n - 1 }, (_, i) => i),
+      Array.from({ length: n - 1 }, (_, i) => i + 1),
+      new Array(n - 1).fill(0.5),
+    ),
+  );
+
+  const expected = Array.from({ length: n }, (_, i) => Math.sin(i + 1));
+  const solvers = ['cg', 'gmres', 'bicgstab'];
+  const preconditioners = ['none', 'jacobi', 'ilu0'];
+
+  for (const solver of solvers) {
+    describe(solver, () => {
+      const A = solver === 'cg' ? poisson : convection;
+      const b = A.x(expected);
+
+      for (const preconditioner of preconditioners) {
+        it(`solves sparse systems with ${preconditioner} preconditioning`, () => {
+          const result = A[solver](b, { preconditioner, tolerance: 1e-10 });
+          expect(result.converged).to.be.true;
+          expect(result.x).to.vector.equal(expected);
+          expect(result.residuals).to.have.lengthOf(result.iterations + 1);
+          expect(result.residuals[result.iterations]).to.be.at.most(1e-10);
+        });
+      }
+
+      it('solves dense systems', () => {
+        const result = A.toMatrix()[solver](b);
+        expect(result.converged).to.be.true;
+        expect(result.x).to.vector.equal(expected);
+      });
+
+      it('uses the initial guess', () => {
+        const result = A[solver](b, { x0: expected });
+        expect(result.iterations).to.equal(0);
+        expect(result.converged).to.be.true;
+      });
+
+      it('reports failure to converge', () => {
+        const result = A[solver](b, { maxIterations: 2 });
+        expect(result.converged).to.be.false;
+        expect(result.iterations).to.equal(2);
+        expect(result.x.dimensions().cols).to.equal(n);
+      });
+
+      it('validates input', () => {
+        expect(() => A[solver]([1, 2])).to.throw(DimensionalityMismatchError);
+        expect(() => Matrix.Zero(2, 3)[solver]([1, 2])).to.throw(DimensionalityMismatchError);
+        expect(() => Matrix.Zero(2, 2)[solver]([1, 2], { preconditioner: 'jacobi' })).to.throw(
+          InvalidOperationError,
+        );
+        expect(() =>
+          new Matrix([
+            [0, 1],
+            [1, 0],
+          ])[solver]([1, 2], { preconditioner: 'ilu0' }),
+        ).to.throw(InvalidOperationError);
+      });
+    });
+  }
+
+  it('restarts GMRES', () => {
+    const b = convection.x(expected);
+    const result = convection.gmres(b, { restart: 5, tolerance: 1e-10 });
+    expect(result.converged).to.be.true;
+    expect(result.iterations).to.be.above(5);
+    expect(result.x).to.vector.equal(expected);
+  });
+
+  it('stops GMRES on singular matrices', () => {
+    const zero = Matrix.Zero(2, 2).gmres([1, 1]);
+    expect(zero.converged).to.be.false;
+    expect(zero.x).to.vector.equal([0, 0]);
+    expect(zero.residuals).to.deep.equal([1]);
+
+    const singular = new Matrix([
+      [1, 0],
+      [0, 0],
+    ]).gmres([1, 1]);
+    expect(singular.converged).to.be.false;
+    expect(singular.residuals[singular.residuals.length - 1]).to.be.above(0.5);
+  });
+
+  it('returns zero for a zero right-hand side', () => {
+    const result = poisson.cg(new Array(n).fill(0));
+    expect(result.converged).to.be.true;
+    expect(result.x).to.vector.equal(new Array(n).fill(0));
+  });
+});
@@ -1,73 +1,199 @@
 import { expect } from 'chai';
-import { Matrix } from '../src';
-
-describe.skip('matrix', () => {
-  describe('LU decomp', () => {
-    it('should perform LU decomp on rectangular matrices', () => {
-      const D = new Matrix([
-        [3, 6],
-        [2, 3],
-        [4, 3],
-        [2, 120],
-      ]);
+import { Matrix, Vector, Sylvester, hasBackend, registerBackend } from '../src';
+import { createLapackBackend } from '../src/lapack';
+
+/**
+ * Runs the function with the given backend selected.
+ */
+const using = (backend, fn) => {
+  const previous = Sylvester.backend;
+  Sylvester.backend = backend;
+  try {
+    return fn();
+  } finally {
+    Sylvester.backend = previous;
+  }
+};
+
+/**
+ * Rounds arrays of rows to single precision, as LAPACK's s routines do.
+ */
+const single = rows => rows.map(row => row.map(Math.fround));
+
+/**
+ * Stands in for the lapack package, so the adapter runs without it: it
+ * decomposes in JavaScript and returns single-precision results in the
+ * shapes lapack@0.1.0 does. `sgesvd` returns S as n by n with the singular
+ * values in its first column, and U as m by m and VT as n by n even when
+ * only the leading vectors are asked for.
+ */
+const fakeLapack = {
+  lu: a =>
+    using('js', () => {
+      const { L, U, P } = new Matrix(single(a)).lu();
+      return { L: single(L.toArray()), U: single(U.toArray()), P: P.toArray() };
+    }),
+  qr: a =>
+    using('js', () => {
+      const { Q, R } = new Matrix(single(a)).qr();
+      return { Q: single(Q.toArray()), R: single(R.toArray()) };
+    }),
+  sgesvd: (jobu, jobvt, a) =>
+    using('js', () => {
+      const A = new Matrix(single(a));
+      const { U, S, V } = A.svd();
+      const k = Math.min(A.rows, A.cols);
+      return {
+        U: single(U.map((x, i, j) => (jobu === 'A' || j <= k ? x : 0)).toArray()),
+        S: single(
+          Matrix.Zero(A.cols, A.cols)
+            .map((_, i, j) => (j === 1 && i <= k ? S.e(i, i) : 0))
+            .toArray(),
+        ),
+        VT: single(
+          V.transpose()
+            .map((x, i) => (jobvt === 'A' || i <= k ? x : 0))
+            .toArray(),
+        ),
+      };
+    }),
+  sgesv: (a, b) =>
+    using('js', () => {
+      const x = new Matrix(single(a)).solve(new Vector(b.map(row => row[0])));
+      return { X: single(x.elements.map(v => [v])) };
+    }),
+};
+
+registerBackend('fake lapack', createLapackBackend(fakeLapack));
+
+/**
+ * Flips the signs of the expected columns to match the actual ones, since
+ * singular vectors are only unique up to sign.
+ */
+const alignSigns = (actual, expected) => {
+  expected = new Matrix(expected);
+  return expected.map((x, i, j) => (actual.col(j).dot(expected.col(j)) < 0 ? -x : x));
+};
+
+/**
+ * Asserts the matrices agree to single precision, relative to the largest
+ * expected element.
+ */
+const expectClose = (actual, expected) => {
+  expected = new Matrix(expected);
+  const scale = Math.max(1, ...expected.data.map(Math.abs));
+  expect(actual.eql(expected, 1e-4 * scale), `${actual} should be close to ${expected}`).to.be.true;
+};
+
+/**
+ * Returns the first k columns of the matrix.
+ */
+const leading = (M, k) => M.slice(1, 0, 1, k);
+
+// The real package is optional, so it's tested only when it's installed.
+for (const backend of hasBackend('lapack') ? ['fake lapack', 'lapack'] : ['fake lapack']) {
+  describe(`matrix (${backend} backend)`, () => {
+    describe('LU decomp', () => {
+      it('should perform LU decomp on rectangular matrices', () => {
+        const D = new Matrix([
+          [3, 6],
+          [2, 3],
+          [4, 3],
+          [2, 120],
+        ]);
+
+        const lu = using(backend, () => D.lu());
+        expectClose(lu.P.x(lu.L.x(lu.U)), D);
+      });
+
+      it('should match LU JS to LAPACK', () => {
+        const A = new Matrix([
+          [4, 2, 1, 4],
+          [-9, 4, 3, 9],
+          [11, 3, 11, 3],
+          [-4, 5, 3, 1],
+        ]);
 
-      const lu = D.luPack();
-      expect(lu.P.x(lu.L.x(lu.U)).eql(D)).to.be.true;
+        const lu = using(backend, () => A.lu());
+        expectClose(lu.U, A.lu().U);
+        expectClose(lu.L, A.lu().L);
+        expect(lu.P).to.matrix.equal(A.lu().P);
+      });
     });
 
-    it('should match LU JS to LAPACK', () => {
-      const A = new Matrix([
-        [4, 2, 1, 4],
-        [-9, 4, 3, 9],
-        [11, 3, 11, 3],
-        [-4, 5, 3, 1],
-      ]);
+    const ASVD = new Matrix([
+      [1, -1, 2, 2],
+      [-1, 2, 1, -1],
+      [2, 1, 3, 2],
+      [2, -1, 2, 1],
+    ]);
+
+    it('should have matching svds for js and lapack', () => {
+      for (const A of [ASVD, ASVD.slice(1, 0, 1, 2), ASVD.slice(1, 2, 1, 0)]) {
+        const k = Math.min(A.rows, A.cols);
+        for (const economy of [false, true]) {
+          const svdJs = A.svd({ economy });
+          const svdPack = using(backend, () => A.svd({ economy }));
 
-      expect(A.lu().U.approxEql(A.luPack().U)).to.be.true;
-      expect(A.lu().L.approxEql(A.luPack().L)).to.be.true;
+          for (const factor of ['U', 'S', 'V']) {
+            expect(svdPack[factor].rows).to.equal(svdJs[factor].rows);
+            expect(svdPack[factor].cols).to.equal(svdJs[factor].cols);
+          }
+          expectClose(svdPack.S, svdJs.S);
+          // Vectors past the kth span the null space, so only their span is unique.
+          expectClose(
+            leading(svdPack.U, k),
+            alignSigns(leading(svdPack.U, k), leading(svdJs.U, k)),
+          );
+          expectClose(
+            leading(svdPack.V, k),
+            alignSigns(leading(svdPack.V, k), leading(svdJs.V, k)),
+          );
+          expectClose(svdPack.U.x(svdPack.S).x(svdPack.V.transpose()), A);
+        }
+      }
     });
-  });
 
-  const ASVD = new Matrix([
-    [1, -1, 2, 2],
-    [-1, 2, 1, -1],
-    [2, 1, 3, 2],
-    [2, -1, 2, 1],
-  ]);
+    const QRin = new Matrix([
+      [1, -1, 2, 2],
+      [-1, 2, 1, -1],
+      [2, 1, 3, 2],
+      [2, -1, 2, 1],
+    ]);
 
-  it('should have matching svds for js and lapack', () => {
-    const svdJs = ASVD.svdJs();
-    const svdPack = ASVD.svdPack();
+    const Qout = new Matrix([
+      [-0.316227766016838, 0.28342171556262064, 0.8226876614429064, -0.3779644730092273],
+      [0.31622776601683794, -0.6883098806520787, 0.5323273103454103, 0.3779644730092272],
+      [-0.6324555320336759, -0.6478210641431328, -0.19357356739833098, -0.37796447300922714],
+      [-0.6324555320336759, 0.16195526603578317, 0.048393391849582745, 0.7559289460184544],
+    ]);
 
-    expect(svdJs.U.eql(svdPack.U)).to.be.true;
-    expect(svdJs.S.eql(svdPack.S)).to.be.true;
-    expect(svdJs.V.eql(svdPack.V)).to.be.true;
-  });
+    const Rout = new Matrix([
+      [-3.1622776601683795, 0.9486832980505139, -3.478505426185217, -2.8460498941515415],
+      [1.91055907392895e-17, -2.4698178070456938, -1.7410191098846692, 0.1214664495268375],
+      [-2.254600901479451e-16, 2.0686390257580927e-16, 1.6937687147353957, 0.7742942695933234],
+      [3.446764628337833e-17, 8.098938594673387e-17, 2.220446049250313e-16, -1.1338934190276815],
+    ]);
 
-  const QRin = new Matrix([
-    [1, -1, 2, 2],
-    [-1, 2, 1, -1],
-    [2, 1, 3, 2],
-    [2, -1, 2, 1],
-  ]);
-
-  const Qout = new Matrix([
-    [-0.316227766016838, 0.28342171556262064, 0.8226876614429064, -0.3779644730092273],
-    [0.31622776601683794, -0.6883098806520787, 0.5323273103454103, 0.3779644730092272],
-    [-0.6324555320336759, -0.6478210641431328, -0.19357356739833098, -0.37796447300922714],
-    [-0.6324555320336759, 0.16195526603578317, 0.048393391849582745, 0.7559289460184544],
-  ]);
-
-  const Rout = new Matrix([
-    [-3.1622776601683795, 0.9486832980505139, -3.478505426185217, -2.8460498941515415],
-    [1.91055907392895e-17, -2.4698178070456938, -1.7410191098846692, 0.1214664495268375],
-    [-2.254600901479451e-16, 2.0686390257580927e-16, 1.6937687147353957, 0.7742942695933234],
-    [3.446764628337833e-17, 8.098938594673387e-17, 2.220446049250313e-16, -1.1338934190276815],
-  ]);
-
-  it('should qr from lapack', () => {
-    const qr = QRin.qrPack();
-    expect(qr.Q).to.matrix.equal(Qout);
-    expect(qr.R).to.matrix.equal(Rout);
+    it('should qr from lapack', () => {
+      const qr = using(backend, () => QRin.qr());
+      // Each column of Q, and the matching row of R, is only unique up to sign.
+      expectClose(qr.Q, alignSigns(qr.Q, Qout));
+      expectClose(qr.R.transpose(), alignSigns(qr.R.transpose(), Rout.transpose()));
+      expectClose(qr.Q.x(qr.R), QRin);
+    });
+
+    it('should solve like JS', () => {
+      const A = new Matrix([
+        [4, 2, 1],
+        [-9, 4, 3],
+        [11, 3, 11],
+      ]);
+      const b = new Vector([1, 2, 3]);
+
+      const x = using(backend, () => A.solve(b));
+      expect(x).to.be.instanceOf(Vector);
+      expectClose(new Matrix(x), new Matrix(A.solve(b)));
+    });
   });
-});
+}
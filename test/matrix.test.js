@@ -1,5 +1,15 @@
 import { expect } from 'chai';
-import { OutOfRangeError, Matrix, Vector, DimensionalityMismatchError } from '../src';
+import {
+  OutOfRangeError,
+  Matrix,
+  Vector,
+  DimensionalityMismatchError,
+  InvalidOperationError,
+  NotSymmetricError,
+  NotPositiveDefiniteError,
+  ConvergenceError,
+  Sylvester,
+} from '../src';
 import { record } from './docs/record';
 
 const A = new Matrix([
@@ -7,6 +17,15 @@ const A = new Matrix([
   [4, 5, 6],
 ]);
 
+/**
+ * Singular and eigen- vectors are only unique up to their sign. Returns the
+ * expected matrix with its columns flipped to line up with the actual one.
+ */
+const alignSigns = (actual, expected) => {
+  expected = new Matrix(expected);
+  return expected.map((x, i, j) => (actual.col(j).dot(expected.col(j)) < 0 ? -x : x));
+};
+
 describe('matrix', () => {
   it('Matrix.forwardSubstitute', () => {
     const L = new Matrix([
@@ -48,7 +67,20 @@ describe('matrix', () => {
     ]);
 
     const b = new Vector([2, 1]);
-    expect(M.solve(b)).to.vector.equal(new Vector([1.5, -1.25]));
+    expect(M.solve(b)).to.vector.equal(new Vector([-1.25, 1.5]));
+  });
+
+  it('solves systems that need row exchanges', () => {
+    const M = new Matrix([
+      [1, 2, 3],
+      [4, 5, 6],
+      [7, 8, 10],
+    ]);
+    const { P } = M.lu();
+    expect(P.x(P)).to.not.matrix.equal(Matrix.I(3));
+
+    const b = M.x(new Vector([1, 2, 3]));
+    expect(M.solve(b)).to.vector.equal([1, 2, 3]);
   });
 
   describe('lu', () => {
@@ -112,11 +144,15 @@ describe('matrix', () => {
         [5, 7],
       ]).pcaProject(1);
 
-      expect(pca.Z).to.matrix.equal([[-2.2120098720461616], [-8.601913944732665]]);
-      expect(pca.U).to.matrix.equal([
-        [-0.5732529283807336, -0.819378471832714],
-        [-0.819378471832714, 0.5732529283807336],
-      ]);
+      expect(pca.Z).to.matrix.equal(
+        alignSigns(pca.Z, [[-2.2120098720461616], [-8.601913944732665]]),
+      );
+      expect(pca.U).to.matrix.equal(
+        alignSigns(pca.U, [
+          [-0.5732529283807336, -0.819378471832714],
+          [-0.819378471832714, 0.5732529283807336],
+        ]),
+      );
     });
 
     it('should recover', () => {
@@ -212,11 +248,166 @@ describe('matrix', () => {
     [2, -1, 2, 1],
   ]);
 
-  it('should svd', () => {
-    const svd = ASVD.svd();
-    expect(svd.U).to.matrix.equal(U);
-    expect(svd.S).to.matrix.equal(S);
-    expect(svd.V).to.matrix.equal(V);
+  describe('svd', () => {
+    const expectDecomposes = (M, { U, S, V }) => expect(U.x(S).x(V.transpose())).to.matrix.equal(M);
+
+    it('should svd', () => {
+      const svd = ASVD.svd();
+      expect(svd.U).to.matrix.equal(alignSigns(svd.U, U));
+      expect(svd.S).to.matrix.equal(S);
+      expect(svd.V).to.matrix.equal(alignSigns(svd.V, V));
+      expectDecomposes(ASVD, svd);
+    });
+
+    it('decomposes tall and wide matrices', () => {
+      const tall = new Matrix([
+        [1, 2],
+        [3, 4],
+        [5, 6],
+      ]);
+
+      for (const M of [tall, tall.transpose()]) {
+        const svd = M.svd();
+        expect(svd.U.rows).to.equal(M.rows);
+        expect(svd.U.cols).to.equal(M.rows);
+        expect(svd.V.rows).to.equal(M.cols);
+        expect(svd.V.cols).to.equal(M.cols);
+        expect(svd.U.transpose().x(svd.U)).to.matrix.equal(Matrix.I(M.rows));
+        expect(svd.V.transpose().x(svd.V)).to.matrix.equal(Matrix.I(M.cols));
+        expectDecomposes(M, svd);
+      }
+    });
+
+    it('supports economy mode', () => {
+      const tall = new Matrix([
+        [1, 2],
+        [3, 4],
+        [5, 6],
+      ]);
+
+      for (const M of [tall, tall.transpose()]) {
+        const svd = M.svd({ economy: true });
+        expect(svd.U.cols).to.equal(2);
+        expect(svd.S.rows).to.equal(2);
+        expect(svd.V.cols).to.equal(2);
+        expect(svd.S.diagonal()).to.vector.equal([9.525518091565107, 0.514300580658644]);
+        expectDecomposes(M, svd);
+      }
+    });
+
+    it('handles rank-deficient matrices', () => {
+      const M = new Matrix([
+        [1, 2, 3],
+        [2, 4, 6],
+        [1, 1, 1],
+      ]);
+      const svd = M.svd();
+      expect(svd.S.e(3, 3)).to.approx.equal(0);
+      expectDecomposes(M, svd);
+    });
+  });
+
+  it('Matrix.singularValues', () => {
+    record(ASVD)
+      .singularValues()
+      .to.vector.equal(S.diagonal());
+    record(
+      new Matrix([
+        [3, 0, 0],
+        [0, 4, 0],
+      ]),
+    )
+      .singularValues()
+      .to.vector.equal([4, 3]);
+  });
+
+  describe('lstsq', () => {
+    it('fits overdetermined systems', () => {
+      // y = 1 + 2x, with noise
+      const X = new Matrix([
+        [1, 0],
+        [1, 1],
+        [1, 2],
+        [1, 3],
+      ]);
+      const y = [1.1, 2.9, 5.1, 6.9];
+      const fit = X.lstsq(y);
+
+      expect(fit.x).to.vector.equal([1.06, 1.96]);
+      expect(fit.rank).to.equal(2);
+      expect(fit.singularValues).to.vector.equal(X.singularValues());
+      expect(fit.residuals).to.vector.equal([0.04, -0.12, 0.12, -0.04]);
+      expect(X.transpose().x(fit.residuals)).to.vector.equal([0, 0]);
+    });
+
+    it('returns the minimum-norm solution of underdetermined systems', () => {
+      const fit = new Matrix([[1, 1]]).lstsq([2]);
+      expect(fit.x).to.vector.equal([1, 1]);
+      expect(fit.rank).to.equal(1);
+      expect(fit.residuals).to.vector.equal([0]);
+    });
+
+    it('handles rank-deficient systems', () => {
+      const fit = new Matrix([
+        [1, 2],
+        [2, 4],
+        [3, 6],
+      ]).lstsq([1, 2, 3]);
+      expect(fit.x).to.vector.equal([0.2, 0.4]);
+      expect(fit.rank).to.equal(1);
+    });
+
+    it('throws if b is the wrong size', () => {
+      expect(() => A.lstsq([1, 2, 3])).to.throw(DimensionalityMismatchError);
+    });
+
+    it('throws if b is not a vector', () => {
+      const X = Matrix.Random(4, 2);
+      expect(() => X.lstsq(Matrix.Random(4, 2))).to.throw(DimensionalityMismatchError);
+      expect(() => X.lstsq([[1], [2], [3], [4]])).to.throw(DimensionalityMismatchError);
+    });
+  });
+
+  it('Matrix.pinv', () => {
+    record(
+      new Matrix([
+        [1, 2],
+        [3, 4],
+      ]),
+    )
+      .pinv()
+      .to.matrix.equal([
+        [-2, 1],
+        [1.5, -0.5],
+      ]);
+    record(
+      new Matrix([
+        [1, 2],
+        [2, 4],
+      ]),
+    )
+      .pinv()
+      .to.matrix.equal([
+        [0.04, 0.08],
+        [0.08, 0.16],
+      ]);
+    record(A)
+      .pinv()
+      .to.matrix.equal([
+        [-17 / 18, 8 / 18],
+        [-2 / 18, 2 / 18],
+        [13 / 18, -4 / 18],
+      ]);
+
+    const P = A.pinv();
+    expect(A.x(P).x(A)).to.matrix.equal(A);
+    expect(P.x(A).x(P)).to.matrix.equal(P);
+    expect(
+      new Matrix([
+        [1e-20, 0],
+        [0, 1],
+      ]).pinv(1e-10),
+    ).to.matrix.equal(Matrix.Diagonal([0, 1]));
   });
 
   const QRin = new Matrix([
@@ -245,6 +436,151 @@ describe('matrix', () => {
     expect(qr.R).to.matrix.equal(Rout);
   });
 
+  const SPD = new Matrix([
+    [4, 12, -16],
+    [12, 37, -43],
+    [-16, -43, 98],
+  ]);
+
+  describe('cholesky', () => {
+    it('factors symmetric positive-definite matrices', () => {
+      const { L } = SPD.cholesky();
+      expect(L).to.matrix.equal([
+        [2, 0, 0],
+        [6, 1, 0],
+        [-8, 5, 3],
+      ]);
+      expect(L.x(L.transpose())).to.matrix.equal(SPD);
+    });
+
+    it('solves systems', () => {
+      const { solve } = SPD.cholesky();
+      expect(solve(new Vector([1, 2, 3]))).to.vector.equal([343 / 12, -23 / 3, 4 / 3]);
+      expect(SPD.x(solve([4, 5, 6]))).to.vector.equal([4, 5, 6]);
+      expect(() => solve([1, 2])).to.throw(DimensionalityMismatchError);
+    });
+
+    it('throws on invalid matrices', () => {
+      expect(() => A.cholesky()).to.throw(DimensionalityMismatchError);
+      expect(() =>
+        new Matrix([
+          [1, 2],
+          [3, 4],
+        ]).cholesky(),
+      ).to.throw(NotSymmetricError);
+      expect(() =>
+        new Matrix([
+          [1, 2],
+          [2, 1],
+        ]).cholesky(),
+      ).to.throw(NotPositiveDefiniteError, /pivot 2/);
+    });
+  });
+
+  describe('ldl', () => {
+    it('factors symmetric positive-definite matrices', () => {
+      const { L, D } = SPD.ldl();
+      expect(L).to.matrix.equal([
+        [1, 0, 0],
+        [3, 1, 0],
+        [-4, 5, 1],
+      ]);
+      expect(D).to.matrix.equal(Matrix.Diagonal([4, 1, 9]));
+      expect(L.x(D).x(L.transpose())).to.matrix.equal(SPD);
+    });
+
+    it('factors symmetric indefinite matrices', () => {
+      const M = new Matrix([
+        [1, 2],
+        [2, 1],
+      ]);
+      const { L, D, solve } = M.ldl();
+      expect(D).to.matrix.equal(Matrix.Diagonal([1, -3]));
+      expect(L.x(D).x(L.transpose())).to.matrix.equal(M);
+      expect(M.x(solve([3, 4]))).to.vector.equal([3, 4]);
+    });
+
+    it('throws on invalid matrices', () => {
+      expect(() => A.ldl()).to.throw(DimensionalityMismatchError);
+      expect(() =>
+        new Matrix([
+          [1, 2],
+          [3, 4],
+        ]).ldl(),
+      ).to.throw(NotSymmetricError);
+      expect(() =>
+        new Matrix([
+          [0, 1],
+          [1, 0],
+        ]).ldl(),
+      ).to.throw(InvalidOperationError, /pivot 1/);
+    });
+  });
+
+  describe('eig', () => {
+    const expectDecomposes = (M, { V, D }) => {
+      expect(M.x(V)).to.matrix.equal(V.x(D));
+      expect(V.determinant()).to.not.approx.equal(0);
+    };
+
+    it('decomposes symmetric matrices', () => {
+      const M = new Matrix([
+        [2, -1, 0],
+        [-1, 2, -1],
+        [0, -1, 2],
+      ]);
+      const eig = M.eig();
+
+      expect(eig.real).to.vector.equal([2 - Math.SQRT2, 2, 2 + Math.SQRT2]);
+      expect(eig.imag).to.vector.equal([0, 0, 0]);
+      expect(eig.V.transpose().x(eig.V)).to.matrix.equal(Matrix.I(3));
+      expectDecomposes(M, eig);
+    });
+
+    it('decomposes nearly symmetric matrices to machine precision', () => {
+      const M = new Matrix([
+        [2, -1, 0],
+        [-1 + 1e-7, 2, -1],
+        [0, -1, 2],
+      ]);
+      const { V, D } = M.eig();
+      const residual = M.x(V)
+        .subtract(V.x(D))
+        .map(Math.abs)
+        .max();
+      expect(residual).to.be.below(1e-14);
+    });
+
+    it('decomposes general matrices', () => {
+      const M = new Matrix([
+        [4, 1, 2],
+        [0, 3, 1],
+        [1, 0, 2],
+      ]);
+      const eig = M.eig();
+
+      expect(eig.imag).to.vector.equal([0, 0, 0]);
+      expect(eig.real.sum()).to.approx.equal(M.trace());
+      expectDecomposes(M, eig);
+    });
+
+    it('returns complex conjugate pairs', () => {
+      const eig = Matrix.RotationZ(Math.PI / 3).eig();
+      expect(eig.real).to.vector.equal([0.5, 0.5, 1]);
+      expect(eig.imag).to.vector.equal([Math.sqrt(3) / 2, -Math.sqrt(3) / 2, 0]);
+      expect(eig.D).to.matrix.equal([
+        [0.5, Math.sqrt(3) / 2, 0],
+        [-Math.sqrt(3) / 2, 0.5, 0],
+        [0, 0, 1],
+      ]);
+      expectDecomposes(Matrix.RotationZ(Math.PI / 3), eig);
+    });
+
+    it('throws on non-square matrices', () => {
+      expect(() => A.eig()).to.throw(DimensionalityMismatchError);
+    });
+  });
+
   it("should create a 1's matrix", () => {
     const Ones = Matrix.One(2, 3);
     expect(Ones).to.matrix.equal([
@@ -278,6 +614,332 @@ describe('matrix', () => {
       ]);
   });
 
+  describe('bases', () => {
+    const A = new Matrix([
+      [1, 2, 3],
+      [4, 5, 6],
+      [7, 8, 9],
+    ]);
+
+    it('Matrix.rref', () => {
+      record(A)
+        .rref()
+        .to.matrix.equal([
+          [1, 0, -1],
+          [0, 1, 2],
+          [0, 0, 0],
+        ]);
+      record(
+        new Matrix([
+          [0, 2, 4, 2],
+          [1, 1, 1, 1],
+        ]),
+      )
+        .rref()
+        .to.matrix.equal([
+          [1, 0, -1, 0],
+          [0, 1, 2, 1],
+        ]);
+      expect(Matrix.I(3).rref()).to.matrix.equal(Matrix.I(3));
+    });
+
+    it('Matrix.nullSpace', () => {
+      record(A)
+        .nullSpace()
+        .to.satisfy(basis => basis.length === 1 && basis[0].eql([1, -2, 1]));
+      record(new Matrix([[1, 2, 3]]))
+        .nullSpace()
+        .to.satisfy(
+          basis => basis.length === 2 && basis[0].eql([-2, 1, 0]) && basis[1].eql([-3, 0, 1]),
+        );
+      expect(Matrix.I(3).nullSpace()).to.be.empty;
+    });
+
+    it('finds null spaces of rank-deficient matrices', () => {
+      const B = new Matrix([
+        [2, 4, 1, 3],
+        [1, 2, 0, 1],
+        [3, 6, 1, 4],
+      ]);
+      const basis = B.nullSpace();
+      expect(basis).to.have.lengthOf(2);
+      basis.forEach(x => expect(B.x(x)).to.vector.equal([0, 0, 0]));
+      expect(new Matrix(basis.map(x => x.elements)).rank()).to.equal(2);
+    });
+
+    it('uses the tolerance to decide what is zero', () => {
+      const nearlySingular = new Matrix([
+        [1, 1],
+        [1, 1 + 1e-10],
+      ]);
+      expect(nearlySingular.nullSpace()).to.be.empty;
+      expect(nearlySingular.nullSpace(1e-8)).to.have.lengthOf(1);
+      expect(nearlySingular.rref(1e-8)).to.matrix.equal([
+        [1, 1],
+        [0, 0],
+      ]);
+    });
+
+    it('Matrix.columnSpace', () => {
+      record(A)
+        .columnSpace()
+        .to.satisfy(
+          basis => basis.length === 2 && basis[0].eql([1, 4, 7]) && basis[1].eql([2, 5, 8]),
+        );
+      expect(Matrix.Zero(2, 2).columnSpace()).to.be.empty;
+    });
+
+    it('Matrix.rowSpace', () => {
+      record(A)
+        .rowSpace()
+        .to.satisfy(
+          basis => basis.length === 2 && basis[0].eql([1, 0, -1]) && basis[1].eql([0, 1, 2]),
+        );
+    });
+  });
+
+  describe('norms and conditioning', () => {
+    const A = new Matrix([
+      [1, -2],
+      [3, 4],
+    ]);
+    const hilbert = n => Matrix.Zero(n, n).map((x, i, j) => 1 / (i + j - 1));
+
+    it('Matrix.norm', () => {
+      record(A)
+        .norm('1')
+        .to.equal(6);
+      record(A)
+        .norm('inf')
+        .to.equal(7);
+      record(A)
+        .norm('fro')
+        .to.approx.equal(Math.sqrt(30));
+      record(Matrix.Diagonal([3, -5, 2]))
+        .norm(2)
+        .to.approx.equal(5);
+      expect(A.norm()).to.equal(A.norm('fro'));
+      expect(() => A.norm('max')).to.throw(InvalidOperationError);
+    });
+
+    it('Matrix.cond', () => {
+      record(Matrix.Diagonal([1, 1e-3]))
+        .cond()
+        .to.approx.equal(1000);
+      record(
+        new Matrix([
+          [1, 2],
+          [3, 4],
+        ]),
+      )
+        .cond('1')
+        .to.approx.equal(21);
+      expect(A.cond('inf')).to.approx.equal(A.norm('inf') * A.inverse().norm('inf'));
+      expect(
+        new Matrix([
+          [1, 0],
+          [0, 0],
+          [0, 2],
+        ]).cond(),
+      ).to.approx.equal(2);
+      expect(() => new Matrix([[1, 2, 3]]).cond('1')).to.throw(DimensionalityMismatchError);
+    });
+
+    it('returns Infinity for singular matrices', () => {
+      const S = new Matrix([
+        [1, 2],
+        [2, 4],
+      ]);
+      expect(S.cond('1')).to.equal(Infinity);
+      expect(S.cond()).to.be.greaterThan(1e15);
+      expect(S.condEstimate()).to.equal(Infinity);
+
+      const Z = Matrix.Zero(3, 3);
+      expect(Z.cond()).to.equal(Infinity);
+      expect(Z.cond('1')).to.equal(Infinity);
+      expect(Matrix.Diagonal([2, 0]).cond(2)).to.equal(Infinity);
+    });
+
+    it('estimates the 1-norm condition number', () => {
+      expect(
+        new Matrix([
+          [1, 2],
+          [3, 4],
+        ]).condEstimate(),
+      ).to.approx.equal(21);
+      expect(Matrix.I(4).condEstimate()).to.equal(1);
+
+      const H = hilbert(6);
+      const exact = H.cond('1');
+      expect(exact).to.be.greaterThan(1e7);
+      expect(H.condEstimate()).to.be.within(exact / 3, exact * (1 + 1e-6));
+    });
+
+    it('agrees with the inverse on random matrices', () => {
+      for (let trial = 0; trial < 50; trial++) {
+        const n = 2 + (trial % 5);
+        const M = Matrix.Random(n, n).map(x => x - 0.5);
+        const inverse = M.inverse();
+        for (const type of ['1', 'inf', 'fro']) {
+          const exact = M.norm(type) * inverse.norm(type);
+          expect(Math.abs(M.cond(type) - exact)).to.be.below(exact * 1e-8);
+        }
+
+        const exact = M.cond('1');
+        expect(M.condEstimate()).to.be.within(exact / 10, exact * (1 + 1e-8));
+      }
+    });
+  });
+
+  describe('matrix functions', () => {
+    const rotation = t =>
+      new Matrix([
+        [Math.cos(t), Math.sin(t)],
+        [-Math.sin(t), Math.cos(t)],
+      ]);
+
+    const G = new Matrix([
+      [4, 1, 0],
+      [1, 3, 1],
+      [0, 2, 5],
+    ]);
+
+    it('Matrix.expm', () => {
+      record(
+        new Matrix([
+          [0, 1],
+          [0, 0],
+        ]),
+      )
+        .expm()
+        .to.matrix.equal([
+          [1, 1],
+          [0, 1],
+        ]);
+      record(
+        new Matrix([
+          [0, 1],
+          [-1, 0],
+        ]),
+      )
+        .expm()
+        .to.matrix.equal(rotation(1));
+    });
+
+    it('computes the exponential with scaling and squaring', () => {
+      expect(Matrix.Zero(3, 3).expm()).to.matrix.equal(Matrix.I(3));
+      expect(Matrix.Diagonal([10, -5, 0.001]).expm()).to.matrix.equal(
+        Matrix.Diagonal([Math.exp(10), Math.exp(-5), Math.exp(0.001)]),
+      );
+      expect(
+        new Matrix([
+          [0, 30],
+          [-30, 0],
+        ]).expm(),
+      ).to.matrix.equal(rotation(30));
+      expect(() => A.expm()).to.throw(DimensionalityMismatchError);
+    });
+
+    it('Matrix.sqrtm', () => {
+      record(
+        new Matrix([
+          [33, 24],
+          [48, 57],
+        ]),
+      )
+        .sqrtm()
+        .to.matrix.equal([
+          [5, 2],
+          [4, 7],
+        ]);
+    });
+
+    it('computes square roots of general matrices', () => {
+      const X = G.sqrtm();
+      expect(X.x(X)).to.matrix.equal(G);
+      expect(Matrix.Diagonal([4, 9]).sqrtm()).to.matrix.equal(Matrix.Diagonal([2, 3]));
+      expect(() => Matrix.Zero(2, 2).sqrtm()).to.throw(InvalidOperationError);
+      expect(() => Matrix.Diagonal([-2, 1]).sqrtm()).to.throw(ConvergenceError);
+    });
+
+    it('explains why a square root does not exist', () => {
+      expect(() =>
+        new Matrix([
+          [0, 1],
+          [0, 0],
+        ]).sqrtm(),
+      ).to.throw(InvalidOperationError, 'Cannot take the square root of a singular 2x2 matrix');
+      expect(() => Matrix.Diagonal([-1, 2]).sqrtm()).to.throw(
+        ConvergenceError,
+        'has no real principal square root',
+      );
+    });
+
+    it('Matrix.logm', () => {
+      record(Matrix.Diagonal([1, Math.E]))
+        .logm()
+        .to.matrix.equal([
+          [0, 0],
+          [0, 1],
+        ]);
+    });
+
+    it('inverts expm with logm', () => {
+      expect(G.logm().expm()).to.matrix.equal(G);
+      expect(rotation(1).logm()).to.matrix.equal([
+        [0, 1],
+        [-1, 0],
+      ]);
+      expect(Matrix.Diagonal([1e6, 1e-3]).logm()).to.matrix.equal(
+        Matrix.Diagonal([Math.log(1e6), Math.log(1e-3)]),
+      );
+      expect(Matrix.I(3).logm()).to.matrix.equal(Matrix.Zero(3, 3));
+    });
+
+    it('explains why a logarithm does not exist', () => {
+      expect(() => Matrix.Diagonal([-1, 2]).logm()).to.throw(
+        ConvergenceError,
+        'The 2x2 matrix has no real logarithm',
+      );
+      expect(() =>
+        new Matrix([
+          [0, 1],
+          [0, 0],
+        ]).logm(),
+      ).to.throw(InvalidOperationError, 'Cannot take the logarithm of a singular 2x2 matrix');
+    });
+
+    it('Matrix.pow', () => {
+      record(
+        new Matrix([
+          [1, 1],
+          [1, 0],
+        ]),
+      )
+        .pow(10)
+        .to.matrix.equal([
+          [89, 55],
+          [55, 34],
+        ]);
+    });
+
+    it('computes integer and real powers', () => {
+      expect(G.pow(0)).to.matrix.equal(Matrix.I(3));
+      expect(G.pow(1)).to.matrix.equal(G);
+      expect(G.pow(5)).to.matrix.equal(
+        G.x(G)
+          .x(G)
+          .x(G)
+          .x(G),
+      );
+      expect(G.pow(-2).x(G.x(G))).to.matrix.equal(Matrix.I(3));
+      expect(G.pow(0.5)).to.matrix.equal(G.sqrtm());
+      expect(G.pow(1.5)).to.matrix.equal(G.x(G.sqrtm()));
+      expect(() => Matrix.Zero(2, 2).pow(-1)).to.throw(InvalidOperationError);
+      expect(() => A.pow(2)).to.throw(DimensionalityMismatchError);
+    });
+  });
+
   it('Matrix.sum', () => {
     record(A)
       .sum()
@@ -323,6 +985,40 @@ describe('matrix', () => {
     ).to.throw(DimensionalityMismatchError);
   });
 
+  it('multiplies with Strassen recursion', () => {
+    const { strassenThreshold, blockSize } = Sylvester;
+    const L = Matrix.Zero(45, 37).map((_, i, j) => Math.sin(i * j + i));
+    const R = Matrix.Zero(37, 51).map((_, i, j) => Math.cos(i - 2 * j));
+    const expected = L.mulOp(R, (x, y) => x * y);
+    try {
+      Sylvester.strassenThreshold = 4;
+      Sylvester.blockSize = 8;
+      expect(L.x(R)).to.matrix.equal(expected);
+      expect(L.x(new Vector(R.col(3).elements))).to.vector.equal(expected.col(3));
+    } finally {
+      Object.assign(Sylvester, { strassenThreshold, blockSize });
+    }
+  });
+
+  it('multiplies large matrices with the blocked kernel', () => {
+    const L = Matrix.Zero(256, 256).map((_, i, j) => Math.sin(i * j));
+    const R = Matrix.Zero(256, 256).map((_, i, j) => Math.cos(i + j));
+    expect(L.multiply(R)).to.matrix.equal(L.mulOp(R, (x, y) => x * y));
+  });
+
+  it('multiplies faster than mulOp', () => {
+    // Compares the blocked kernel against the generic mulOp in benchmarks.
+    const L = Matrix.Zero(64, 64).map((_, i, j) => Math.sin(i * j));
+    const R = Matrix.Zero(64, 64).map((_, i, j) => Math.cos(i + j));
+    const product = L.multiply(R);
+    record(L, { name: 'Matrix.mulOp (64x64)' })
+      .mulOp(R, (x, y) => x * y)
+      .to.matrix.equal(product);
+    record(L, { name: 'Matrix.multiply (64x64)' })
+      .multiply(R)
+      .to.matrix.equal(product);
+  });
+
   describe('equal', () => {
     it('should evaluate equal matrices', () => {
       const A = new Matrix([
@@ -624,6 +1320,22 @@ describe('matrix', () => {
     record(new Matrix([[1, 2]])).isSquare().to.be.false;
   });
 
+  it('Matrix.isSymmetric', () => {
+    record(
+      new Matrix([
+        [1, 2],
+        [2, 4],
+      ]),
+    ).isSymmetric().to.be.true;
+    record(
+      new Matrix([
+        [1, 2],
+        [3, 4],
+      ]),
+    ).isSymmetric().to.be.false;
+    expect(A.isSymmetric()).to.be.false;
+  });
+
   it('Matrix.max', () => {
     record(A)
       .max()
@@ -801,6 +1513,60 @@ describe('matrix', () => {
     expect(A.toString()).to.equal('Matrix<\n  [1, 2, 3]\n  [4, 5, 6]\n>');
   });
 
+  it('Matrix.format', () => {
+    const B = new Matrix([
+      [1, -2.5],
+      [30, 4],
+    ]);
+    record(B)
+      .format()
+      .to.equal('[ 1  -2.5]\n[30     4]');
+    record(B)
+      .format({ precision: 1 })
+      .to.equal('[ 1.0  -2.5]\n[30.0   4.0]');
+    record(B)
+      .format({ align: 'decimal' })
+      .to.equal('[ 1  -2.5]\n[30   4  ]');
+    expect(B.format({ align: 'left' })).to.equal('[1   -2.5]\n[30  4   ]');
+  });
+
+  it('truncates large matrices when formatting', () => {
+    const B = Matrix.Zero(6, 6).map((x, i, j) => i * 10 + j);
+    expect(B.format({ maxRows: 4, maxCols: 3 })).to.equal(
+      [
+        '[ 11   12  ...   16]',
+        '[ 21   22  ...   26]',
+        '[...  ...  ...  ...]',
+        '[ 51   52  ...   56]',
+        '[ 61   62  ...   66]',
+      ].join('\n'),
+    );
+    expect(
+      Matrix.Zero(30, 1)
+        .format()
+        .split('\n'),
+    ).to.have.lengthOf(21);
+  });
+
+  it('Matrix.toLatex', () => {
+    record(A)
+      .toLatex()
+      .to.equal('\\begin{bmatrix}\n1 & 2 & 3 \\\\\n4 & 5 & 6\n\\end{bmatrix}');
+    record(new Matrix([[Math.PI, 1e-10]]))
+      .toLatex({ environment: 'pmatrix', precision: 2 })
+      .to.equal('\\begin{pmatrix}\n3.14 & 0.00\n\\end{pmatrix}');
+    expect(new Matrix([[1e-10, Infinity, NaN]]).toLatex()).to.equal(
+      '\\begin{bmatrix}\n1 \\times 10^{-10} & \\infty & \\text{NaN}\n\\end{bmatrix}',
+    );
+    expect(
+      Matrix.Zero(6, 6)
+        .map((x, i, j) => i * 10 + j)
+        .toLatex({ maxRows: 2, maxCols: 2 }),
+    ).to.equal(
+      '\\begin{bmatrix}\n11 & \\cdots & 16 \\\\\n\\vdots & \\ddots & \\vdots \\\\\n61 & \\cdots & 66\n\\end{bmatrix}',
+    );
+  });
+
   it('Matrix.toArray', () => {
     expect(A.toArray()).to.deep.equal([
       [1, 2, 3],
@@ -927,4 +1693,468 @@ describe('matrix', () => {
         [0, 0, 3],
       ]);
   });
+
+  describe('block matrices', () => {
+    const A = new Matrix([
+      [1, 2],
+      [3, 4],
+    ]);
+    const B = new Matrix([[5], [6]]);
+    const C = new Matrix([[7, 8]]);
+    const D = new Matrix([[9]]);
+
+    it('Matrix.hstack', () => {
+      record(Matrix)
+        .hstack(A, B)
+        .to.matrix.equal([
+          [1, 2, 5],
+          [3, 4, 6],
+        ]);
+      expect(Matrix.hstack(A, B, [[0], [0]]).cols).to.equal(4);
+      expect(() => Matrix.hstack(A, C)).to.throw(DimensionalityMismatchError);
+    });
+
+    it('Matrix.vstack', () => {
+      record(Matrix)
+        .vstack(A, C)
+        .to.matrix.equal([
+          [1, 2],
+          [3, 4],
+          [7, 8],
+        ]);
+      expect(() => Matrix.vstack(A, B)).to.throw(DimensionalityMismatchError);
+    });
+
+    it('Matrix.block', () => {
+      record(Matrix)
+        .block([
+          [A, B],
+          [C, D],
+        ])
+        .to.matrix.equal([
+          [1, 2, 5],
+          [3, 4, 6],
+          [7, 8, 9],
+        ]);
+    });
+
+    it('names the offending block', () => {
+      expect(() =>
+        Matrix.block([
+          [A, B],
+          [D, D],
+        ]),
+      ).to.throw(DimensionalityMismatchError, /Block \(2, 1\) is a 1x1 matrix, but block column 1/);
+      expect(() =>
+        Matrix.block([
+          [A, D],
+          [C, D],
+        ]),
+      ).to.throw(DimensionalityMismatchError, /Block \(1, 2\) is a 1x1 matrix, but block row 1/);
+      expect(() => Matrix.block([[A, B], [C]])).to.throw(
+        DimensionalityMismatchError,
+        /Block row 2 has 1 blocks/,
+      );
+    });
+
+    it('Matrix.blockDiagonal', () => {
+      record(Matrix)
+        .blockDiagonal(A, D, C)
+        .to.matrix.equal([
+          [1, 2, 0, 0, 0],
+          [3, 4, 0, 0, 0],
+          [0, 0, 9, 0, 0],
+          [0, 0, 0, 7, 8],
+        ]);
+    });
+
+    it('Matrix.kron', () => {
+      record(Matrix)
+        .kron(A, Matrix.I(2))
+        .to.matrix.equal([
+          [1, 0, 2, 0],
+          [0, 1, 0, 2],
+          [3, 0, 4, 0],
+          [0, 3, 0, 4],
+        ]);
+      expect(Matrix.kron(B, C)).to.matrix.equal([
+        [35, 40],
+        [42, 48],
+      ]);
+
+      // (A ⊗ B)(C ⊗ D) = AC ⊗ BD
+      const E = new Matrix([
+        [0, 1],
+        [1, 1],
+      ]);
+      expect(Matrix.kron(A, E).x(Matrix.kron(E, A))).to.matrix.equal(Matrix.kron(A.x(E), E.x(A)));
+    });
+  });
+
+  describe('homogeneous transforms', () => {
+    const apply = (M, p) => {
+      const [x, y, z, w] = M.x(new Vector([...p, 1])).elements;
+      return new Vector([x / w, y / w, z / w]);
+    };
+
+    it('Matrix.Translation', () => {
+      record(Matrix)
+        .Translation([1, 2, 3])
+        .to.matrix.equal([
+          [1, 0, 0, 1],
+          [0, 1, 0, 2],
+          [0, 0, 1, 3],
+          [0, 0, 0, 1],
+        ]);
+      expect(Matrix.Translation([5, 6]).x(new Vector([1, 1, 1]))).to.vector.equal([6, 7, 1]);
+    });
+
+    it('Matrix.Scale', () => {
+      record(Matrix)
+        .Scale([2, 3, 4])
+        .to.matrix.equal(Matrix.Diagonal([2, 3, 4, 1]));
+      expect(Matrix.Scale(2)).to.matrix.equal(Matrix.Diagonal([2, 2, 2, 1]));
+    });
+
+    it('Matrix.Shear', () => {
+      record(Matrix)
+        .Shear({ xy: 2, zx: -1 })
+        .to.matrix.equal([
+          [1, 2, 0, 0],
+          [0, 1, 0, 0],
+          [-1, 0, 1, 0],
+          [0, 0, 0, 1],
+        ]);
+      expect(apply(Matrix.Shear({ xy: 2 }), [0, 1, 0])).to.vector.equal([2, 1, 0]);
+    });
+
+    it('Matrix.LookAt', () => {
+      record(Matrix)
+        .LookAt([0, 0, 5], [0, 0, 0])
+        .to.matrix.equal(Matrix.Translation([0, 0, -5]));
+
+      const view = Matrix.LookAt([1, 2, 3], [4, 6, 3], [0, 0, 1]);
+      expect(apply(view, [4, 6, 3])).to.vector.equal([0, 0, -5]);
+      expect(apply(view, [1, 2, 4])).to.vector.equal([0, 1, 0]);
+      expect(view.slice(1, 3, 1, 3).determinant()).to.approx.equal(1);
+      expect(() => Matrix.LookAt([0, 0, 0], [0, 1, 0])).to.throw(InvalidOperationError);
+      expect(() => Matrix.LookAt([0, 0, 0], [0, 0, 0])).to.throw(InvalidOperationError);
+    });
+
+    it('Matrix.Perspective', () => {
+      record(Matrix)
+        .Perspective(Math.PI / 2, 2, 1, 3)
+        .to.matrix.equal([
+          [0.5, 0, 0, 0],
+          [0, 1, 0, 0],
+          [0, 0, -2, -3],
+          [0, 0, -1, 0],
+        ]);
+
+      const P = Matrix.Perspective(Math.PI / 3, 1.5, 0.1, 100);
+      expect(apply(P, [0, 0, -0.1]).e(3)).to.approx.equal(-1);
+      expect(apply(P, [0, 0, -100]).e(3)).to.approx.equal(1);
+      expect(
+        apply(Matrix.Perspective(Math.PI / 2, 1, 1, Infinity), [0, 0, -1]).e(3),
+      ).to.approx.equal(-1);
+    });
+
+    it('Matrix.Orthographic', () => {
+      record(Matrix)
+        .Orthographic(-2, 2, -1, 1, 1, 11)
+        .to.matrix.equal([
+          [0.5, 0, 0, 0],
+          [0, 1, 0, 0],
+          [0, 0, -0.2, -1.2],
+          [0, 0, 0, 1],
+        ]);
+      expect(apply(Matrix.Orthographic(0, 4, 0, 2, 1, 11), [4, 2, -11])).to.vector.equal([1, 1, 1]);
+    });
+
+    it('Matrix.Frustum', () => {
+      record(Matrix)
+        .Frustum(-1, 1, -1, 1, 1, 3)
+        .to.matrix.equal(Matrix.Perspective(Math.PI / 2, 1, 1, 3));
+      const F = Matrix.Frustum(0, 2, 0, 1, 1, 10);
+      expect(apply(F, [2, 1, -1])).to.vector.equal([1, 1, -1]);
+      expect(apply(F, [0, 0, -10]).e(3)).to.approx.equal(1);
+    });
+  });
+
+  describe('typed storage', () => {
+    it('stores elements row-major in a Float64Array', () => {
+      expect(A.data).to.be.instanceOf(Float64Array);
+      expect(Array.from(A.data)).to.deep.equal([1, 2, 3, 4, 5, 6]);
+      expect(A.elements).to.deep.equal([
+        [1, 2, 3],
+        [4, 5, 6],
+      ]);
+      expect(A.toArray()).to.deep.equal(A.elements);
+      expect(A.toArray()).to.not.equal(A.elements);
+      expect(Array.from(new Matrix([7, 8]).data)).to.deep.equal([7, 8]);
+    });
+
+    it('uses typed arrays without copying', () => {
+      const data = new Float64Array([1, 2, 3, 4, 5, 6]);
+      const M = new Matrix(data, 2, 3);
+      expect(M.data).to.equal(data);
+      expect(M).to.matrix.equal(A);
+      expect(M.e(2, 1)).to.equal(4);
+
+      const column = new Matrix(data);
+      expect(column.rows).to.equal(6);
+      expect(column.cols).to.equal(1);
+      expect(new Matrix(new Vector(data)).data).to.equal(data);
+      expect(() => new Matrix(data, 4, 2)).to.throw(DimensionalityMismatchError);
+    });
+
+    it('copies the rows it is given', () => {
+      const rows = [
+        [1, 2],
+        [3, 4],
+      ];
+      const M = new Matrix(rows);
+      rows[0][0] = 99;
+      expect(M.e(1, 1)).to.equal(1);
+      expect(M.elements[0][0]).to.equal(1);
+      expect(JSON.parse(JSON.stringify(M)).elements[0][0]).to.equal(1);
+    });
+
+    it('rejects ragged rows', () => {
+      expect(
+        () =>
+          new Matrix([
+            [1, 2],
+            [3, 4, 5],
+          ]),
+      ).to.throw(DimensionalityMismatchError);
+      expect(() => new Matrix([[1, 2], [3]])).to.throw(DimensionalityMismatchError);
+    });
+
+    it('serializes to JSON as elements and size', () => {
+      const json = JSON.stringify(A.transpose());
+      expect(json).to.equal('{"elements":[[1,4],[2,5],[3,6]],"rows":3,"cols":2}');
+      expect(new Matrix(JSON.parse(json).elements)).to.matrix.equal(A.transpose());
+    });
+
+    it('keeps single precision', () => {
+      const M = new Matrix(new Float32Array([1, 2, 3, 4]), 2, 2);
+      expect(M.x(M).data).to.be.instanceOf(Float32Array);
+      expect(M.x(M)).to.matrix.equal([
+        [7, 10],
+        [15, 22],
+      ]);
+      expect(M.add(M).data).to.be.instanceOf(Float32Array);
+      expect(M.transpose().data).to.be.instanceOf(Float32Array);
+      expect(M.map(x => x / 3).e(1, 1)).to.equal(Math.fround(1 / 3));
+      expect(M.row(2).data).to.be.instanceOf(Float32Array);
+      expect(M.inverse()).to.matrix.equal([
+        [-2, 1],
+        [1.5, -0.5],
+      ]);
+    });
+  });
+
+  describe('views', () => {
+    const data = new Float64Array([1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12]);
+    const M = new Matrix(data, 3, 4);
+
+    it('shares storage with slices, transpositions, rows and columns', () => {
+      const views = [M.slice(2, 3, 2, 4), M.minor(1, 2, 2, 2), M.transpose(), M.row(2), M.col(3)];
+      data[6] = 100;
+      const after = views.map(v => (v instanceof Vector ? v.elements : v.toArray()));
+      data[6] = 7;
+
+      expect(after[0]).to.deep.equal([
+        [6, 100, 8],
+        [10, 11, 12],
+      ]);
+      expect(after[1]).to.deep.equal([
+        [2, 3],
+        [6, 100],
+      ]);
+      expect(after[2][2][1]).to.equal(100);
+      expect(after[3]).to.deep.equal([5, 6, 100, 8]);
+      expect(after[4]).to.deep.equal([3, 100, 11]);
+    });
+
+    it('behaves like a copy', () => {
+      const T = M.transpose().slice(2, 4, 1, 2);
+      expect(T).to.matrix.equal([
+        [2, 6],
+        [3, 7],
+        [4, 8],
+      ]);
+      expect(
+        T.eql([
+          [2, 6],
+          [3, 7],
+          [4, 8],
+        ]),
+      ).to.be.true;
+      expect(T.transpose()).to.matrix.equal(M.slice(1, 2, 2, 4));
+      expect(T.row(3)).to.vector.equal(new Vector([4, 8]));
+      expect(T.col(2)).to.vector.equal(new Vector([6, 7, 8]));
+      expect(T.x(new Vector([1, 1]))).to.vector.equal(new Vector([8, 10, 12]));
+      expect(T.add(T).e(3, 2)).to.equal(16);
+      expect(T.map((x, i, j) => x * i + j).toArray()).to.deep.equal([
+        [3, 8],
+        [7, 16],
+        [13, 26],
+      ]);
+      expect(Array.from(T.data)).to.deep.equal([2, 6, 3, 7, 4, 8]);
+      expect(M.slice(2, 2, 1, 0).data).to.deep.equal(new Float64Array([5, 6, 7, 8]));
+      expect(M.slice(3, 2, 1, 4).rows).to.equal(0);
+      expect(M.minor(2, 3, 3, 3)).to.matrix.equal([
+        [7, 8, 5],
+        [11, 12, 9],
+        [3, 4, 1],
+      ]);
+      expect(M.slice(2, 4, 3, 4).toArray()).to.deep.equal([
+        [7, 8],
+        [11, 12],
+        [0, 0],
+      ]);
+      expect(new Matrix(new Float32Array(4), 2, 2).transpose().data).to.be.instanceOf(Float32Array);
+    });
+
+    it('reads typed arrays with strides', () => {
+      const columnMajor = new Matrix(data, 4, 3, 1, 4);
+      expect(columnMajor).to.matrix.equal(M.transpose());
+      expect(new Matrix(data, 2, 2, 4, 1, 5)).to.matrix.equal([
+        [6, 7],
+        [10, 11],
+      ]);
+      expect(() => new Matrix(data, 2, 2, 4, 1, 9)).to.throw(DimensionalityMismatchError);
+      expect(() => new Matrix(data, 2, 2, -4, 1, 2)).to.throw(DimensionalityMismatchError);
+    });
+  });
+
+  describe('rotations', () => {
+    const orders = [
+      'XYZ',
+      'XZY',
+      'YXZ',
+      'YZX',
+      'ZXY',
+      'ZYX',
+      'XYX',
+      'XZX',
+      'YXY',
+      'YZY',
+      'ZXZ',
+      'ZYZ',
+    ];
+    const axis = new Vector([1, -2, 3]).toUnitVector();
+    const R = Matrix.Rotation(1.2, axis);
+
+    it('Matrix.EulerRotation', () => {
+      record(Matrix)
+        .EulerRotation([0.1, 0.2, 0.3], 'ZYX')
+        .to.matrix.equal(Matrix.RotationZ(0.1).x(Matrix.RotationY(0.2).x(Matrix.RotationX(0.3))));
+      expect(Matrix.EulerRotation([0.1, 0.2, 0.3])).to.matrix.equal(
+        Matrix.RotationX(0.1).x(Matrix.RotationY(0.2).x(Matrix.RotationZ(0.3))),
+      );
+      expect(() => Matrix.EulerRotation([0, 0, 0], 'XXY')).to.throw(InvalidOperationError);
+    });
+
+    it('Matrix.toEulerAngles', () => {
+      record(Matrix.RotationZ(0.1).x(Matrix.RotationY(0.2).x(Matrix.RotationX(0.3))))
+        .toEulerAngles('ZYX')
+        .to.satisfy(angles => new Vector(angles).eql([0.1, 0.2, 0.3]));
+
+      for (const order of orders) {
+        const angles = R.toEulerAngles(order);
+        expect(Matrix.EulerRotation(angles, order)).to.matrix.equal(R);
+      }
+
+      const tait = Matrix.EulerRotation([-2.5, -0.7, 3], 'YXZ').toEulerAngles('YXZ');
+      expect(new Vector(tait)).to.vector.equal([-2.5, -0.7, 3]);
+      const proper = Matrix.EulerRotation([-2.5, 2.9, 3], 'ZXZ').toEulerAngles('ZXZ');
+      expect(new Vector(proper)).to.vector.equal([-2.5, 2.9, 3]);
+
+      const homogeneous = Matrix.block([
+        [R, [[1], [2], [3]]],
+        [[[0, 0, 0]], [[1]]],
+      ]);
+      expect(new Vector(homogeneous.toEulerAngles('ZYX'))).to.vector.equal(R.toEulerAngles('ZYX'));
+    });
+
+    it('handles gimbal lock', () => {
+      for (const order of orders) {
+        const middle = order[0] === order[2] ? [0, Math.PI] : [Math.PI / 2, -Math.PI / 2];
+        for (const b of middle) {
+          const locked = Matrix.EulerRotation([0.4, b, 0.9], order);
+          const angles = locked.toEulerAngles(order);
+          expect(angles[1]).to.approx.equal(b);
+          expect(angles[2]).to.equal(0);
+          expect(Matrix.EulerRotation(angles, order)).to.matrix.equal(locked);
+        }
+      }
+      expect(new Vector(Matrix.I(3).toEulerAngles('ZXZ'))).to.vector.equal([0, 0, 0]);
+    });
+
+    it('rejects matrices that are not rotations', () => {
+      expect(() => Matrix.I(2).toEulerAngles()).to.throw(DimensionalityMismatchError);
+      expect(() => Matrix.Diagonal([1, 1, -1]).toEulerAngles()).to.throw(InvalidOperationError);
+      expect(() => R.x(2).toAxisAngle()).to.throw(InvalidOperationError);
+      expect(() => R.toEulerAngles('XY')).to.throw(InvalidOperationError);
+    });
+
+    it('Matrix.toAxisAngle', () => {
+      record(Matrix.RotationZ(Math.PI / 2))
+        .toAxisAngle()
+        .to.satisfy(
+          ({ axis, angle }) => axis.eql(Vector.k) && Math.abs(angle - Math.PI / 2) < 1e-9,
+        );
+
+      const { axis: a, angle } = R.toAxisAngle();
+      expect(a).to.vector.equal(axis);
+      expect(angle).to.approx.equal(1.2);
+
+      const reversed = Matrix.Rotation(-1.2, axis).toAxisAngle();
+      expect(reversed.axis).to.vector.equal(axis.x(-1));
+      expect(reversed.angle).to.approx.equal(1.2);
+
+      const half = Matrix.Rotation(Math.PI, axis).toAxisAngle();
+      expect(Matrix.Rotation(half.angle, half.axis)).to.matrix.equal(
+        Matrix.Rotation(Math.PI, axis),
+      );
+      expect(Matrix.I(3).toAxisAngle().angle).to.equal(0);
+    });
+
+    it('Matrix.isRotation', () => {
+      record(Matrix.RotationX(0.5)).isRotation().to.be.true;
+      expect(R.isRotation()).to.be.true;
+      expect(Matrix.Rotation(0.5).isRotation()).to.be.true;
+      expect(Matrix.Diagonal([1, -1, 1]).isRotation()).to.be.false;
+      expect(Matrix.Diagonal([1, 2, 1]).isRotation()).to.be.false;
+      expect(Matrix.Shear({ xy: 1 }).isRotation()).to.be.false;
+      expect(A.isRotation()).to.be.false;
+    });
+
+    it('Matrix.orthonormalize', () => {
+      record(
+        new Matrix([
+          [1.01, 0.02],
+          [-0.02, 0.99],
+        ]),
+      )
+        .orthonormalize()
+        .to.satisfy(Q => Q.isRotation());
+
+      let drifted = Matrix.I(3);
+      const step = Matrix.Rotation(0.001, axis).map(x => x * (1 + 1e-4));
+      for (let i = 0; i < 1200; i++) {
+        drifted = step.x(drifted);
+      }
+      expect(drifted.isRotation(Sylvester.approxPrecision)).to.be.false;
+      const fixed = drifted.orthonormalize();
+      expect(fixed.isRotation()).to.be.true;
+      expect(fixed).to.matrix.equal(R);
+
+      expect(R.orthonormalize()).to.matrix.equal(R);
+      expect(() => A.orthonormalize()).to.throw(DimensionalityMismatchError);
+    });
+  });
 });
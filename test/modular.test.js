@@ -0,0 +1,279 @@
+import { expect } from 'chai';
+import {
+  ModularMatrix,
+  Matrix,
+  DimensionalityMismatchError,
+  InvalidOperationError,
+  OutOfRangeError,
+} from '../src';
+
+describe('modular matrix', () => {
+  // Hill cipher key
+  const K = new ModularMatrix(
+    [
+      [3, 3],
+      [2, 5],
+    ],
+    26,
+  );
+
+  const G = new ModularMatrix(
+    [
+      [1, 2, 3, 4],
+      [2, 4, 6, 2],
+      [3, 6, 3, 5],
+    ],
+    7,
+  );
+
+  describe('construction', () => {
+    it('reduces elements modulo n', () => {
+      const M = new ModularMatrix([[-1, 27, BigInt(53)]], 26);
+      expect(M.elements).to.deep.equal([[25, 1, 1]]);
+      expect(M.e(1, 1)).to.equal(25);
+      expect(M.e(2, 1)).to.be.null;
+    });
+
+    it('converts from and to Matrix', () => {
+      const M = new ModularMatrix(Matrix.I(2).x(-1), 5);
+      expect(M.elements).to.deep.equal([
+        [4, 0],
+        [0, 4],
+      ]);
+      expect(M.toMatrix()).to.matrix.equal([
+        [4, 0],
+        [0, 4],
+      ]);
+    });
+
+    it('validates the elements and modulus', () => {
+      expect(() => new ModularMatrix([[0.5]], 7)).to.throw(InvalidOperationError);
+      expect(() => new ModularMatrix([[1]], 1)).to.throw(OutOfRangeError);
+      expect(() => new ModularMatrix([[1]], 7.5)).to.throw(OutOfRangeError);
+      expect(() => new ModularMatrix([[1]], Math.pow(2, 61) - 1)).to.throw(
+        OutOfRangeError,
+        /BigInt/,
+      );
+    });
+  });
+
+  describe('arithmetic', () => {
+    it('adds and subtracts', () => {
+      expect(
+        K.add([
+          [23, 23],
+          [24, 21],
+        ]).eql(
+          new ModularMatrix(
+            [
+              [0, 0],
+              [0, 0],
+            ],
+            26,
+          ),
+        ),
+      ).to.be.true;
+      expect(K.subtract(K).elements).to.deep.equal([
+        [0, 0],
+        [0, 0],
+      ]);
+      expect(() => K.add(G)).to.throw(InvalidOperationError, /modulo 26 and 7/);
+      expect(() => K.add([[1, 2]])).to.throw(DimensionalityMismatchError);
+    });
+
+    it('multiplies', () => {
+      expect(K.x(K).elements).to.deep.equal([
+        [15, 24],
+        [16, 5],
+      ]);
+      expect(K.x(10).elements).to.deep.equal([
+        [4, 4],
+        [20, 24],
+      ]);
+      // "HI" encrypts to "TC"
+      expect(K.x([7, 8])).to.deep.equal([19, 2]);
+      expect(() => K.x([1, 2, 3])).to.throw(DimensionalityMismatchError);
+      expect(() => K.x(G)).to.throw(InvalidOperationError);
+    });
+
+    it('transposes', () => {
+      expect(K.transpose().elements).to.deep.equal([
+        [3, 2],
+        [3, 5],
+      ]);
+    });
+  });
+
+  describe('determinant', () => {
+    it('computes the determinant', () => {
+      expect(K.determinant()).to.equal(9);
+      expect(K.det()).to.equal(9);
+      expect(
+        new ModularMatrix(
+          [
+            [0, 1],
+            [1, 0],
+          ],
+          26,
+        ).det(),
+      ).to.equal(25);
+      expect(ModularMatrix.I(4, 11).det()).to.equal(1);
+      expect(() => G.det()).to.throw(DimensionalityMismatchError);
+    });
+
+    it('handles columns without invertible elements', () => {
+      expect(
+        new ModularMatrix(
+          [
+            [2, 1],
+            [13, 1],
+          ],
+          26,
+        ).det(),
+      ).to.equal(15);
+      expect(
+        new ModularMatrix(
+          [
+            [2, 4],
+            [13, 0],
+          ],
+          26,
+        ).det(),
+      ).to.equal(0);
+    });
+  });
+
+  describe('inverse', () => {
+    it('inverts a Hill cipher key', () => {
+      const inverse = K.inverse();
+      expect(inverse.elements).to.deep.equal([
+        [15, 17],
+        [20, 9],
+      ]);
+      expect(inverse.x([19, 2])).to.deep.equal([7, 8]);
+    });
+
+    it('inverts over composite moduli', () => {
+      const M = new ModularMatrix(
+        [
+          [2, 1],
+          [13, 1],
+        ],
+        26,
+      );
+      expect(M.inverse().elements).to.deep.equal([
+        [7, 19],
+        [13, 14],
+      ]);
+    });
+
+    it('throws when the determinant is not invertible', () => {
+      expect(() =>
+        new ModularMatrix(
+          [
+            [2, 0],
+            [0, 1],
+          ],
+          26,
+        ).inverse(),
+      ).to.throw(InvalidOperationError, /determinant=2/);
+      expect(() => G.inverse()).to.throw(DimensionalityMismatchError);
+    });
+  });
+
+  describe('reduction', () => {
+    it('computes the reduced row echelon form', () => {
+      expect(G.rref().elements).to.deep.equal([
+        [1, 2, 0, 0],
+        [0, 0, 1, 0],
+        [0, 0, 0, 1],
+      ]);
+      expect(G.rank()).to.equal(3);
+      expect(
+        new ModularMatrix(
+          [
+            [1, 2],
+            [2, 4],
+          ],
+          7,
+        ).rank(),
+      ).to.equal(1);
+    });
+
+    it('finds the null space', () => {
+      const basis = G.nullSpace();
+      expect(basis).to.deep.equal([[5, 1, 0, 0]]);
+      expect(G.x(basis[0])).to.deep.equal([0, 0, 0]);
+      expect(K.nullSpace()).to.deep.equal([]);
+    });
+
+    it('solves systems', () => {
+      const x = G.solve([1, 2, 3]);
+      expect(G.x(x)).to.deep.equal([1, 2, 3]);
+      expect(K.solve([19, 2])).to.deep.equal([7, 8]);
+      expect(() =>
+        new ModularMatrix(
+          [
+            [1, 2],
+            [2, 4],
+          ],
+          7,
+        ).solve([1, 1]),
+      ).to.throw(InvalidOperationError, /no solution/);
+      expect(() => K.solve([1])).to.throw(DimensionalityMismatchError);
+    });
+
+    it('throws for non-invertible pivots over composite moduli', () => {
+      expect(() =>
+        new ModularMatrix(
+          [
+            [2, 4],
+            [4, 8],
+          ],
+          26,
+        ).rref(),
+      ).to.throw(InvalidOperationError, /no inverse modulo 26/);
+    });
+  });
+
+  describe('BigInt', () => {
+    const p = BigInt('2305843009213693951'); // 2^61 - 1
+    const M = new ModularMatrix(
+      [
+        [BigInt('1152921504606846976'), 3, 5],
+        [7, p - BigInt(1), 11],
+        [13, 17, 19],
+      ],
+      p,
+    );
+
+    it('computes exactly with large primes', () => {
+      expect(M.e(2, 2)).to.equal(p - BigInt(1));
+      expect(M.x(M.inverse()).eql(ModularMatrix.I(3, p))).to.be.true;
+      expect(
+        M.inverse()
+          .x(M)
+          .eql(ModularMatrix.I(3, p)),
+      ).to.be.true;
+      expect(M.rank()).to.equal(3);
+
+      const x = M.solve([1, 2, 3]);
+      expect(M.x(x)).to.deep.equal([BigInt(1), BigInt(2), BigInt(3)]);
+    });
+
+    it('computes the determinant', () => {
+      const small = new ModularMatrix(
+        [
+          [2, 3],
+          [5, 7],
+        ],
+        p,
+      );
+      expect(small.det()).to.equal(p - BigInt(1));
+    });
+  });
+
+  it('toString', () => {
+    expect(K.toString()).to.equal('ModularMatrix<mod 26\n  [3, 3]\n  [2, 5]\n>');
+  });
+});
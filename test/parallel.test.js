@@ -0,0 +1,159 @@
+import { expect } from 'chai';
+import {
+  Matrix,
+  Vector,
+  Sylvester,
+  registerBackend,
+  terminateWorkers,
+  DimensionalityMismatchError,
+  InvalidOperationError,
+} from '../src';
+
+/**
+ * Returns whether two arrays hold exactly the same numbers.
+ */
+const identical = (a, b) => a.length === b.length && a.every((x, i) => Object.is(x, b[i]));
+
+describe('async operations', () => {
+  before(() => {
+    Sylvester.workers = 3;
+  });
+
+  afterEach(() => {
+    Sylvester.backend = 'js';
+    Sylvester.strassenThreshold = 512;
+  });
+
+  after(async () => {
+    await terminateWorkers();
+    Sylvester.workers = 0;
+  });
+
+  it('multiplies like multiply()', async () => {
+    for (const [m, k, n] of [
+      [150, 120, 130],
+      [301, 40, 77],
+    ]) {
+      const A = Matrix.Random(m, k);
+      const B = Matrix.Random(k, n);
+      const P = await A.multiplyAsync(B);
+      expect(P.rows).to.equal(m);
+      expect(P.cols).to.equal(n);
+      expect(identical(P.data, A.x(B).data)).to.be.true;
+    }
+
+    Sylvester.strassenThreshold = 64;
+    const A = Matrix.Random(200, 150);
+    const B = Matrix.Random(150, 181);
+    expect(identical((await A.multiplyAsync(B)).data, A.x(B).data)).to.be.true;
+  });
+
+  it('returns vectors for vector multiplicands', async () => {
+    const A = Matrix.Random(1000, 1200);
+    const v = Vector.Random(1200);
+    const product = await A.multiplyAsync(v);
+    expect(product).to.be.instanceOf(Vector);
+    expect(identical(product.data, A.x(v).data)).to.be.true;
+
+    expect(await Matrix.I(2).multiplyAsync(3)).to.matrix.equal([
+      [3, 0],
+      [0, 3],
+    ]);
+  });
+
+  it('rejects mismatched products', async () => {
+    const error = await Matrix.Random(2, 3)
+      .multiplyAsync(Matrix.Random(2, 3))
+      .catch(e => e);
+    expect(error).to.be.instanceOf(DimensionalityMismatchError);
+  });
+
+  it('factors like lu()', async () => {
+    for (const [m, n] of [
+      [200, 200],
+      [300, 130],
+      [130, 300],
+      [4, 4],
+    ]) {
+      const M = Matrix.Random(m, n);
+      const sync = M.lu();
+      const { L, U, P } = await M.luAsync();
+      expect(identical(L.data, sync.L.data)).to.be.true;
+      expect(identical(U.data, sync.U.data)).to.be.true;
+      expect(identical(P.data, sync.P.data)).to.be.true;
+    }
+  });
+
+  it('decomposes like svd()', async () => {
+    const M = Matrix.Random(120, 90);
+    for (const economy of [false, true]) {
+      const sync = M.svd({ economy });
+      const result = await M.svdAsync({ economy });
+      for (const factor of ['U', 'S', 'V']) {
+        expect(result[factor].rows).to.equal(sync[factor].rows);
+        expect(result[factor].cols).to.equal(sync[factor].cols);
+        expect(identical(result[factor].data, sync[factor].data)).to.be.true;
+      }
+    }
+  });
+
+  it('copies when SharedArrayBuffer is unavailable', async () => {
+    const { SharedArrayBuffer } = global;
+    delete global.SharedArrayBuffer;
+    try {
+      const A = Matrix.Random(150, 120);
+      const B = Matrix.Random(120, 130);
+      expect(identical((await A.multiplyAsync(B)).data, A.x(B).data)).to.be.true;
+
+      const M = Matrix.Random(150, 150);
+      expect(identical((await M.luAsync()).U.data, M.lu().U.data)).to.be.true;
+    } finally {
+      global.SharedArrayBuffer = SharedArrayBuffer;
+    }
+  });
+
+  it('uses a backend that implements the operation', async () => {
+    const marker = Matrix.I(2);
+    registerBackend('async test', {
+      multiply: () => marker,
+      lu: () => ({ L: marker, U: marker, P: marker }),
+      svd: () => ({ U: marker, S: marker, V: marker }),
+    });
+    Sylvester.backend = 'async test';
+
+    const A = Matrix.Random(200, 200);
+    expect(await A.multiplyAsync(A)).to.equal(marker);
+    expect((await A.luAsync()).L).to.equal(marker);
+    expect((await A.svdAsync()).S).to.equal(marker);
+  });
+
+  it('rejects running tasks when a worker exits', async () => {
+    await terminateWorkers();
+    const threads = require('worker_threads');
+    const { Worker } = threads;
+    const workers = [];
+    threads.Worker = class extends Worker {
+      constructor(...args) {
+        super(...args);
+        workers.push(this);
+      }
+    };
+
+    const A = Matrix.Random(150, 150);
+    try {
+      const error = A.multiplyAsync(A).catch(e => e);
+      await Promise.all(workers.map(worker => worker.terminate()));
+      expect(await error).to.be.instanceOf(InvalidOperationError);
+    } finally {
+      threads.Worker = Worker;
+    }
+
+    expect(identical((await A.multiplyAsync(A)).data, A.x(A).data)).to.be.true;
+  });
+
+  it('starts the workers again after terminating them', async () => {
+    await terminateWorkers();
+    const A = Matrix.Random(150, 150);
+    expect(identical((await A.multiplyAsync(A)).data, A.x(A).data)).to.be.true;
+  });
+});
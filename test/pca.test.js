@@ -0,0 +1,152 @@
+import { expect } from 'chai';
+import {
+  PCA,
+  Matrix,
+  Vector,
+  DimensionalityMismatchError,
+  InvalidOperationError,
+  OutOfRangeError,
+} from '../src';
+
+describe('PCA', () => {
+  const X = new Matrix([
+    [-1, -1],
+    [-2, -1],
+    [-3, -2],
+    [1, 1],
+    [2, 1],
+    [3, 2],
+  ]);
+
+  describe('fit', () => {
+    it('finds the principal axes and their variance', () => {
+      const pca = PCA.fit(X);
+      expect(pca.k).to.equal(2);
+      expect(pca.mean).to.vector.equal([0, 0]);
+      expect(pca.scale).to.be.null;
+      expect(pca.components).to.matrix.equal([
+        [0.8384922379048739, 0.5449135408239331],
+        [-0.5449135408239331, 0.8384922379048739],
+      ]);
+      expect(pca.explainedVariance).to.vector.equal([7.939543120718442, 0.06045687928155809]);
+      expect(pca.explainedVarianceRatio).to.vector.equal([
+        0.9924428900898052,
+        0.007557109910194761,
+      ]);
+      expect(pca.totalVariance).to.approx.equal(8);
+    });
+
+    it('centers the data', () => {
+      const shifted = PCA.fit(X.map(x => x + 10));
+      expect(shifted.mean).to.vector.equal([10, 10]);
+      expect(shifted.components).to.matrix.equal(PCA.fit(X).components);
+    });
+
+    it('optionally scales each feature', () => {
+      const pca = PCA.fit(
+        [
+          [1, 100],
+          [2, 300],
+          [3, 200],
+          [4, 4],
+        ],
+        { scale: true },
+      );
+      expect(pca.totalVariance).to.approx.equal(2);
+      expect(pca.scale.e(1)).to.approx.equal(Math.sqrt(5 / 3));
+
+      const constant = PCA.fit(
+        [
+          [1, 5],
+          [2, 5],
+        ],
+        { scale: true },
+      );
+      expect(constant.scale).to.vector.equal([Math.SQRT1_2, 1]);
+    });
+
+    it('keeps the requested number of components', () => {
+      const pca = PCA.fit(X, { components: 1 });
+      expect(pca.k).to.equal(1);
+      expect(pca.components.rows).to.equal(1);
+      expect(pca.explainedVarianceRatio).to.vector.equal([0.9924428900898052]);
+    });
+
+    it('chooses the number of components by a variance threshold', () => {
+      expect(PCA.fit(X, { varianceThreshold: 0.99 }).k).to.equal(1);
+      expect(PCA.fit(X, { varianceThreshold: 0.995 }).k).to.equal(2);
+      expect(PCA.fit(X, { varianceThreshold: 1 }).k).to.equal(2);
+    });
+
+    it('validates its options', () => {
+      expect(() => PCA.fit(X, { components: 3 })).to.throw(OutOfRangeError);
+      expect(() => PCA.fit(X, { components: 0 })).to.throw(OutOfRangeError);
+      expect(() => PCA.fit(X, { varianceThreshold: 0 })).to.throw(OutOfRangeError);
+      expect(() => PCA.fit(X, { varianceThreshold: 1.5 })).to.throw(OutOfRangeError);
+      expect(() => PCA.fit(X, { components: 1, varianceThreshold: 0.5 })).to.throw(
+        InvalidOperationError,
+      );
+      expect(() => PCA.fit([[1, 2]])).to.throw(InvalidOperationError);
+    });
+  });
+
+  describe('transform', () => {
+    it('projects data onto the components', () => {
+      const pca = PCA.fit(X, { components: 1 });
+      expect(pca.transform(X)).to.matrix.equal([
+        [-1.383405778728807],
+        [-2.221898016633681],
+        [-3.605303795362488],
+        [1.383405778728807],
+        [2.221898016633681],
+        [3.605303795362488],
+      ]);
+      expect(pca.transform([3, 2])).to.vector.equal([3.605303795362488]);
+      expect(pca.transform(new Vector([3, 2]))).to.be.instanceOf(Vector);
+      expect(() => pca.transform([[1, 2, 3]])).to.throw(DimensionalityMismatchError);
+    });
+
+    it('whitens the output', () => {
+      const Z = PCA.fit(X, { whiten: true }).transform(X);
+      expect(
+        Z.transpose()
+          .x(Z)
+          .x(1 / 5),
+      ).to.matrix.equal(Matrix.I(2));
+    });
+
+    it('inverts the transform', () => {
+      for (const options of [{}, { whiten: true }, { scale: true }]) {
+        const pca = PCA.fit(X, options);
+        expect(pca.inverseTransform(pca.transform(X))).to.matrix.equal(X);
+      }
+
+      const reduced = PCA.fit(X, { components: 1 });
+      expect(reduced.inverseTransform([1])).to.vector.equal([
+        0.8384922379048739,
+        0.5449135408239331,
+      ]);
+      expect(() => reduced.inverseTransform([[1, 2]])).to.throw(DimensionalityMismatchError);
+    });
+  });
+
+  describe('serialization', () => {
+    it('round-trips through JSON', () => {
+      const pca = PCA.fit(X, { components: 1, scale: true, whiten: true });
+      const copy = PCA.fromJSON(JSON.stringify(pca));
+      expect(copy.toJSON()).to.deep.equal(pca.toJSON());
+      expect(copy.transform(X)).to.matrix.equal(pca.transform(X));
+      expect(PCA.fromJSON(pca.toJSON()).explainedVarianceRatio).to.vector.equal(
+        pca.explainedVarianceRatio,
+      );
+    });
+
+    it('validates models', () => {
+      const model = PCA.fit(X).toJSON();
+      expect(() => new PCA({ ...model, mean: [0] })).to.throw(DimensionalityMismatchError);
+      expect(() => new PCA({ ...model, explainedVariance: [1] })).to.throw(
+        DimensionalityMismatchError,
+      );
+    });
+  });
+});
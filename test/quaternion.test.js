@@ -0,0 +1,174 @@
+import { expect } from 'chai';
+import {
+  Quaternion,
+  Matrix,
+  Vector,
+  Line,
+  Plane,
+  DimensionalityMismatchError,
+  InvalidOperationError,
+} from '../src';
+import { Polygon } from '../src/polygon';
+import { record } from './docs/record';
+
+describe('Quaternion', () => {
+  const axis = new Vector([1, 2, 3]).toUnitVector();
+  const q = Quaternion.fromAxisAngle(axis, 1.2);
+  const quarterZ = Quaternion.fromAxisAngle(Vector.k, Math.PI / 2);
+
+  it('Quaternion.fromAxisAngle', () => {
+    record(Quaternion)
+      .fromAxisAngle([0, 0, 2], Math.PI / 2)
+      .to.satisfy(r => r.eql(new Quaternion(Math.SQRT1_2, 0, 0, Math.SQRT1_2)));
+    expect(q.magnitude()).to.approx.equal(1);
+    expect(() => Quaternion.fromAxisAngle([0, 0, 0], 1)).to.throw(InvalidOperationError);
+    expect(() => Quaternion.fromAxisAngle([0, 1], 1)).to.throw(DimensionalityMismatchError);
+  });
+
+  it('Quaternion.toMatrix', () => {
+    record(quarterZ)
+      .toMatrix()
+      .to.matrix.equal(Matrix.RotationZ(Math.PI / 2));
+    expect(q.toMatrix()).to.matrix.equal(Matrix.Rotation(1.2, axis));
+    expect(new Quaternion(2, 0, 0, 0).toMatrix()).to.matrix.equal(Matrix.I(3));
+    expect(() => new Quaternion(0, 0, 0, 0).toMatrix()).to.throw(InvalidOperationError);
+  });
+
+  it('Quaternion.fromRotationMatrix', () => {
+    record(Quaternion)
+      .fromRotationMatrix(Matrix.RotationZ(Math.PI / 2))
+      .to.satisfy(r => r.eql(quarterZ));
+
+    // exercise each branch of Shepperd's method
+    for (const [a, theta] of [
+      [axis, 1.2],
+      [Vector.i, 3],
+      [Vector.j, 3],
+      [Vector.k, 3],
+      [axis, Math.PI],
+    ]) {
+      const R = Matrix.Rotation(theta, a);
+      expect(Quaternion.fromRotationMatrix(R).toMatrix()).to.matrix.equal(R);
+    }
+
+    const homogeneous = Matrix.block([
+      [q.toMatrix(), [[1], [2], [3]]],
+      [[[0, 0, 0]], [[1]]],
+    ]);
+    expect(Quaternion.fromRotationMatrix(homogeneous).eql(q)).to.be.true;
+    expect(() => Quaternion.fromRotationMatrix(Matrix.I(2))).to.throw(DimensionalityMismatchError);
+  });
+
+  it('Quaternion.toAxisAngle', () => {
+    record(quarterZ)
+      .toAxisAngle()
+      .to.satisfy(({ axis, angle }) => axis.eql(Vector.k) && Math.abs(angle - Math.PI / 2) < 1e-9);
+    const { axis: a, angle } = q.toAxisAngle();
+    expect(a).to.vector.equal(axis);
+    expect(angle).to.approx.equal(1.2);
+    expect(Quaternion.I.toAxisAngle().angle).to.equal(0);
+  });
+
+  it('Quaternion.multiply', () => {
+    record(new Quaternion(1, 2, 3, 4))
+      .multiply(new Quaternion(5, 6, 7, 8))
+      .to.satisfy(r => r.eql(new Quaternion(-60, 12, 30, 24)));
+
+    const p = Quaternion.fromAxisAngle(Vector.i, 0.7);
+    expect(q.multiply(p).toMatrix()).to.matrix.equal(q.toMatrix().x(p.toMatrix()));
+  });
+
+  it('Quaternion.conjugate', () => {
+    record(new Quaternion(1, 2, 3, 4))
+      .conjugate()
+      .to.satisfy(r => r.eql(new Quaternion(1, -2, -3, -4)));
+    expect(q.multiply(q.conjugate()).eql(Quaternion.I)).to.be.true;
+    expect(
+      new Quaternion(1, 2, 3, 4)
+        .inverse()
+        .multiply(new Quaternion(1, 2, 3, 4))
+        .eql(Quaternion.I),
+    ).to.be.true;
+  });
+
+  it('Quaternion.normalize', () => {
+    record(new Quaternion(0, 3, 0, 4))
+      .normalize()
+      .to.satisfy(r => r.eql(new Quaternion(0, 0.6, 0, 0.8)));
+    expect(() => new Quaternion(0, 0, 0, 0).normalize()).to.throw(InvalidOperationError);
+  });
+
+  it('Quaternion.slerp', () => {
+    record(Quaternion.I)
+      .slerp(quarterZ, 0.5)
+      .to.satisfy(r => r.eql(Quaternion.fromAxisAngle(Vector.k, Math.PI / 4)));
+
+    // constant angular velocity
+    for (const t of [0, 0.25, 0.8, 1]) {
+      expect(Quaternion.I.slerp(q, t).eql(Quaternion.fromAxisAngle(axis, 1.2 * t))).to.be.true;
+    }
+
+    // takes the shortest path when given the negated quaternion
+    const negated = new Quaternion(-quarterZ.w, -quarterZ.x, -quarterZ.y, -quarterZ.z);
+    expect(Quaternion.I.slerp(negated, 0.5).toMatrix()).to.matrix.equal(
+      Matrix.RotationZ(Math.PI / 4),
+    );
+    expect(q.slerp(q, 0.3).eql(q)).to.be.true;
+  });
+
+  it('Quaternion.nlerp', () => {
+    record(Quaternion.I)
+      .nlerp(quarterZ, 0.5)
+      .to.satisfy(r => r.eql(Quaternion.fromAxisAngle(Vector.k, Math.PI / 4)));
+    const halfway = Quaternion.I.nlerp(q, 0.3);
+    expect(halfway.magnitude()).to.approx.equal(1);
+    expect(halfway.toAxisAngle().axis).to.vector.equal(axis);
+  });
+
+  it('Quaternion.rotate', () => {
+    record(quarterZ)
+      .rotate([1, 0, 0])
+      .to.vector.equal([0, 1, 0]);
+    expect(q.rotate([4, 5, 6])).to.vector.equal(
+      Matrix.Rotation(1.2, axis).x(new Vector([4, 5, 6])),
+    );
+    expect(() => q.rotate([1, 2])).to.throw(DimensionalityMismatchError);
+  });
+
+  it('does not drift when chaining rotations', () => {
+    const step = Quaternion.fromAxisAngle(axis, 0.001);
+    let r = Quaternion.I;
+    for (let i = 0; i < 1200; i++) {
+      r = step.multiply(r).normalize();
+    }
+    expect(r.eql(q)).to.be.true;
+    expect(r.toMatrix().x(r.toMatrix().transpose())).to.matrix.equal(Matrix.I(3));
+  });
+
+  it('is accepted by rotate methods', () => {
+    const line = new Line([1, 0, 0], Vector.k);
+    const R = Matrix.Rotation(Math.PI / 2, Vector.k);
+    const point = new Vector([2, 0, 5]);
+    expect(point.rotate3D(quarterZ, line)).to.vector.equal(point.rotate3D(R, line));
+    expect(point.rotate3D(quarterZ, line)).to.vector.equal([1, 1, 5]);
+
+    const other = new Line([3, 0, 0], [1, 1, 0]);
+    expect(other.rotate(quarterZ, line).eql(other.rotate(Math.PI / 2, line))).to.be.true;
+
+    const plane = new Plane([3, 0, 0], [1, 0, 1]);
+    expect(plane.rotate(quarterZ, line).eql(plane.rotate(R, line))).to.be.true;
+
+    const polygon = new Polygon([
+      [2, 0, 0],
+      [3, 0, 0],
+      [3, 1, 0],
+    ]);
+    expect(polygon.rotate(quarterZ, line).vertices[2]).to.vector.equal(
+      polygon.rotate(Math.PI / 2, line).vertices[2],
+    );
+  });
+
+  it('toString', () => {
+    expect(new Quaternion(1, 2, 3, 4).toString()).to.equal('Quaternion<1, 2, 3, 4>');
+  });
+});
@@ -0,0 +1,156 @@
+import { expect } from 'chai';
+import {
+  Rational,
+  RationalMatrix,
+  Matrix,
+  Vector,
+  DimensionalityMismatchError,
+  InvalidOperationError,
+} from '../src';
+
+describe('rational', () => {
+  describe('Rational', () => {
+    it('reduces to lowest terms', () => {
+      const r = new Rational(BigInt(6), BigInt(-8));
+      expect(r.num).to.equal(BigInt(-3));
+      expect(r.den).to.equal(BigInt(4));
+      expect(r.toString()).to.equal('-3/4');
+      expect(new Rational(BigInt(0), BigInt(-5)).toString()).to.equal('0');
+      expect(() => new Rational(BigInt(1), BigInt(0))).to.throw(InvalidOperationError);
+    });
+
+    it('converts from other values', () => {
+      expect(Rational.from(0.75).toString()).to.equal('3/4');
+      expect(Rational.from(-3).toString()).to.equal('-3');
+      expect(Rational.from(BigInt(7)).toString()).to.equal('7');
+      expect(Rational.from(' 2 / -6 ').toString()).to.equal('-1/3');
+      expect(Rational.from(0.1).eql('1/10')).to.be.false;
+      expect(Rational.from(0.1).toNumber()).to.equal(0.1);
+      expect(() => Rational.from(Infinity)).to.throw(InvalidOperationError);
+      expect(() => Rational.from('1.5')).to.throw(InvalidOperationError);
+    });
+
+    it('does exact arithmetic', () => {
+      const third = Rational.from('1/3');
+      expect(third.add('1/6').toString()).to.equal('1/2');
+      expect(third.subtract(1).toString()).to.equal('-2/3');
+      expect(third.multiply('3/5').toString()).to.equal('1/5');
+      expect(third.divide('-2/3').toString()).to.equal('-1/2');
+      expect(third.negate().toString()).to.equal('-1/3');
+      expect(() => third.divide(0)).to.throw(InvalidOperationError);
+    });
+
+    it('converts to numbers', () => {
+      expect(Rational.from('1/3').toNumber()).to.approx.equal(1 / 3);
+      expect(Number(Rational.from('-5/2'))).to.equal(-2.5);
+      const huge = BigInt('1' + '0'.repeat(400));
+      expect(new Rational(huge + BigInt(1), huge * BigInt(2)).toNumber()).to.equal(0.5);
+    });
+  });
+
+  describe('RationalMatrix', () => {
+    const A = new RationalMatrix([
+      [2, 1, 1],
+      [1, 3, 2],
+      [1, 0, 0],
+    ]);
+
+    // Singular, but with a tiny non-zero floating-point determinant
+    const S = new RationalMatrix([
+      ['1/10', '2/10', '3/10'],
+      ['4/10', '5/10', '6/10'],
+      ['7/10', '8/10', '9/10'],
+    ]);
+
+    it('converts from and to Matrix and Vector', () => {
+      const M = new Matrix([
+        [0.5, 2],
+        [-0.25, 1],
+      ]);
+      const R = new RationalMatrix(M);
+      expect(R.e(2, 1).toString()).to.equal('-1/4');
+      expect(R.e(3, 1)).to.be.null;
+      expect(R.toMatrix()).to.matrix.equal(M);
+      expect(new RationalMatrix(new Vector([1, 0.5])).toVector()).to.vector.equal([1, 0.5]);
+      expect(new RationalMatrix([[1, 2]]).toVector()).to.vector.equal([1, 2]);
+      expect(() => A.toVector()).to.throw(DimensionalityMismatchError);
+    });
+
+    it('does exact arithmetic', () => {
+      expect(A.add(A).eql(A.x(2))).to.be.true;
+      expect(A.subtract(A).eql(RationalMatrix.I(3).subtract(RationalMatrix.I(3)))).to.be.true;
+      expect(A.x(RationalMatrix.I(3)).eql(A)).to.be.true;
+      expect(A.x([1, 1, 1]).map(String)).to.deep.equal(['4', '6', '1']);
+      expect(A.x(new Vector([1, 0, 0])).map(String)).to.deep.equal(['2', '1', '1']);
+      expect(
+        A.transpose()
+          .e(1, 3)
+          .toString(),
+      ).to.equal('1');
+      expect(() => A.add([[1]])).to.throw(DimensionalityMismatchError);
+      expect(() => A.x([1, 2])).to.throw(DimensionalityMismatchError);
+    });
+
+    it('computes exact determinants', () => {
+      expect(A.determinant().toString()).to.equal('-1');
+      expect(S.det().isZero()).to.be.true;
+      expect(S.isSingular()).to.be.true;
+      expect(A.isSingular()).to.be.false;
+      expect(() => new RationalMatrix([[1, 2]]).det()).to.throw(DimensionalityMismatchError);
+    });
+
+    it('makes matrices right triangular', () => {
+      const T = new RationalMatrix([
+        [0, 1],
+        [2, 3],
+      ]).toRightTriangular();
+      expect(T.elements.map(row => row.map(String))).to.deep.equal([
+        ['2', '4'],
+        ['0', '-1'],
+      ]);
+    });
+
+    it('computes exact inverses', () => {
+      const inverse = new RationalMatrix([
+        [3, 1],
+        [1, 2],
+      ]).inverse();
+      expect(inverse.elements.map(row => row.map(String))).to.deep.equal([
+        ['2/5', '-1/5'],
+        ['-1/5', '3/5'],
+      ]);
+      expect(A.x(A.inverse()).eql(RationalMatrix.I(3))).to.be.true;
+      expect(() => S.inverse()).to.throw(InvalidOperationError);
+      expect(() => new RationalMatrix([[1, 2]]).inverse()).to.throw(DimensionalityMismatchError);
+    });
+
+    it('computes exact ranks', () => {
+      expect(A.rank()).to.equal(3);
+      expect(S.rank()).to.equal(2);
+      expect(
+        new RationalMatrix([
+          [0, 1],
+          [0, 1],
+        ]).rank(),
+      ).to.equal(1);
+      expect(S.rref().elements.map(row => row.map(String))).to.deep.equal([
+        ['1', '0', '-1'],
+        ['0', '1', '2'],
+        ['0', '0', '0'],
+      ]);
+    });
+
+    it('solves systems exactly', () => {
+      expect(A.solve([1, 2, 3]).map(String)).to.deep.equal(['3', '9', '-14']);
+      expect(S.solve(new Vector([1, 4, 7])).map(String)).to.deep.equal(['10', '0', '0']);
+      expect(() => S.solve([1, 0, 0])).to.throw(InvalidOperationError, /no solution/);
+      expect(() => A.solve([1, 2])).to.throw(DimensionalityMismatchError);
+    });
+
+    it('toString', () => {
+      expect(new RationalMatrix([['1/2', 3]]).toString()).to.equal(
+        'RationalMatrix<\n  [1/2, 3]\n>',
+      );
+    });
+  });
+});
@@ -0,0 +1,221 @@
+import { expect } from 'chai';
+import { SparseMatrix, Matrix, Vector, DimensionalityMismatchError, OutOfRangeError } from '../src';
+import { record } from './docs/record';
+
+describe('sparse matrix', () => {
+  // [[4, 0, 1],
+  //  [0, 0, 2],
+  //  [3, 0, 0]]
+  const dense = new Matrix([
+    [4, 0, 1],
+    [0, 0, 2],
+    [3, 0, 0],
+  ]);
+  const S = SparseMatrix.fromCOO(3, 3, [2, 0, 1, 0], [0, 2, 2, 0], [3, 1, 2, 4]);
+
+  describe('construction', () => {
+    it('compresses COO entries', () => {
+      expect(S.rowPointers).to.deep.equal([0, 2, 3, 4]);
+      expect(S.columnIndices).to.deep.equal([0, 2, 2, 0]);
+      expect(S.values).to.deep.equal([4, 1, 2, 3]);
+      expect(S.nnz).to.equal(4);
+    });
+
+    it('sums duplicates and drops zeros', () => {
+      const M = SparseMatrix.fromCOO(2, 2, [0, 0, 1, 1], [1, 1, 0, 0], [1, 2, 5, -5]);
+      expect(M.nnz).to.equal(1);
+      expect(M.toMatrix()).to.matrix.equal([
+        [0, 3],
+        [0, 0],
+      ]);
+    });
+
+    it('builds from CSR and CSC', () => {
+      expect(SparseMatrix.fromCSR(3, 3, [0, 2, 3, 4], [0, 2, 2, 0], [4, 1, 2, 3]).eql(S)).to.be
+        .true;
+      expect(SparseMatrix.fromCSC(3, 3, [0, 2, 2, 4], [0, 2, 0, 1], [4, 3, 1, 2]).eql(S)).to.be
+        .true;
+    });
+
+    it('converts to and from dense matrices', () => {
+      expect(SparseMatrix.fromMatrix(dense).eql(S)).to.be.true;
+      expect(S.toMatrix()).to.matrix.equal(dense);
+      expect(new Matrix(S)).to.matrix.equal(dense);
+      expect(SparseMatrix.fromMatrix([[1e-9, 1]], 1e-6).nnz).to.equal(1);
+    });
+
+    it('exports COO and CSC', () => {
+      expect(S.toCOO()).to.deep.equal({
+        rowIndices: [0, 0, 1, 2],
+        columnIndices: [0, 2, 2, 0],
+        values: [4, 1, 2, 3],
+      });
+      expect(S.toCSC()).to.deep.equal({
+        columnPointers: [0, 2, 2, 4],
+        rowIndices: [0, 2, 0, 1],
+        values: [4, 3, 1, 2],
+      });
+    });
+
+    it('validates input', () => {
+      expect(() => SparseMatrix.fromCOO(2, 2, [0, 2], [0, 0], [1, 1])).to.throw(OutOfRangeError);
+      expect(() => SparseMatrix.fromCOO(2, 2, [0], [0, 1], [1, 1])).to.throw(
+        DimensionalityMismatchError,
+      );
+      expect(() => new SparseMatrix(2, 2, [0, 1], [0], [1])).to.throw(DimensionalityMismatchError);
+    });
+
+    it('validates compressed arrays', () => {
+      for (const [rowPointers, columnIndices, values] of [
+        [
+          [0, 2, 1, 3],
+          [0, 1, 1],
+          [1, 2, 3],
+        ],
+        [
+          [1, 1, 2, 3],
+          [0, 1, 1],
+          [1, 2, 3],
+        ],
+        [
+          [0, 1, 2],
+          [0, 1],
+          [1, 2],
+        ],
+        [
+          [0, 1, 2, 3],
+          [0, 3, 1],
+          [1, 2, 3],
+        ],
+        [
+          [0, 1, 2, 3],
+          [0, -1, 1],
+          [1, 2, 3],
+        ],
+        [
+          [0, 2, 2, 3],
+          [1, 0, 1],
+          [1, 2, 3],
+        ],
+        [
+          [0, 2, 2, 3],
+          [1, 1, 1],
+          [1, 2, 3],
+        ],
+        [
+          [0, 1, 2, 3],
+          [0, 1, 1],
+          [1, 2],
+        ],
+        [
+          [0, 1, 2, 2],
+          [0, 1, 1],
+          [1, 2],
+        ],
+      ]) {
+        expect(() => new SparseMatrix(3, 3, rowPointers, columnIndices, values)).to.throw(
+          DimensionalityMismatchError,
+        );
+        expect(() => SparseMatrix.fromCSC(3, 3, rowPointers, columnIndices, values)).to.throw(
+          DimensionalityMismatchError,
+        );
+      }
+      expect(new SparseMatrix(3, 3, [0, 2, 2, 3], [0, 1, 1], [1, 2, 3]).nnz).to.equal(3);
+    });
+
+    it('creates identity and diagonal matrices', () => {
+      expect(SparseMatrix.I(3).toMatrix()).to.matrix.equal(Matrix.I(3));
+      expect(SparseMatrix.Diagonal([1, 2]).toMatrix()).to.matrix.equal(Matrix.Diagonal([1, 2]));
+      expect(SparseMatrix.Zero(2, 3).toMatrix()).to.matrix.equal(Matrix.Zero(2, 3));
+    });
+  });
+
+  it('SparseMatrix.e', () => {
+    record(S)
+      .e(1, 3)
+      .to.equal(1);
+    record(S)
+      .e(2, 1)
+      .to.equal(0);
+    record(S).e(4, 1).to.be.null;
+  });
+
+  it('SparseMatrix.diagonal', () => {
+    record(S)
+      .diagonal()
+      .to.vector.equal([4, 0, 0]);
+    expect(() => SparseMatrix.Zero(2, 3).diagonal()).to.throw(DimensionalityMismatchError);
+  });
+
+  it('SparseMatrix.transpose', () => {
+    record(S)
+      .transpose()
+      .to.satisfy(T => T.toMatrix().eql(dense.transpose()));
+    const wide = SparseMatrix.fromMatrix([[0, 1, 2]]);
+    expect(wide.transpose().toMatrix()).to.matrix.equal([[0], [1], [2]]);
+  });
+
+  it('SparseMatrix.add', () => {
+    record(S)
+      .add(SparseMatrix.I(3))
+      .to.satisfy(sum => sum.eql(dense.add(Matrix.I(3))));
+    expect(S.add(S.multiply(-1)).nnz).to.equal(0);
+    expect(S.add(Matrix.I(3))).to.matrix.equal(dense.add(Matrix.I(3)));
+    expect(() => S.add(SparseMatrix.I(2))).to.throw(DimensionalityMismatchError);
+  });
+
+  it('SparseMatrix.subtract', () => {
+    record(S)
+      .subtract(SparseMatrix.I(3))
+      .to.satisfy(diff => diff.eql(dense.subtract(Matrix.I(3))));
+    expect(S.subtract(dense)).to.matrix.equal(Matrix.Zero(3, 3));
+  });
+
+  it('SparseMatrix.multiply', () => {
+    record(S)
+      .multiply(new Vector([1, 2, 3]))
+      .to.vector.equal([7, 6, 3]);
+  });
+
+  describe('multiply', () => {
+    it('multiplies by vectors', () => {
+      expect(S.x([1, 2, 3])).to.vector.equal(dense.x([1, 2, 3]));
+      expect(() => S.x([1, 2])).to.throw(DimensionalityMismatchError);
+    });
+
+    it('multiplies by sparse matrices', () => {
+      const product = S.multiply(S.transpose());
+      expect(product).to.be.instanceOf(SparseMatrix);
+      expect(product.toMatrix()).to.matrix.equal(dense.x(dense.transpose()));
+      expect(() => S.x(SparseMatrix.I(2))).to.throw(DimensionalityMismatchError);
+    });
+
+    it('multiplies by dense matrices', () => {
+      const B = new Matrix([
+        [1, 2],
+        [3, 4],
+        [5, 6],
+      ]);
+      expect(S.x(B)).to.matrix.equal(dense.x(B));
+      expect(dense.x(S)).to.matrix.equal(dense.x(dense));
+      expect(() => S.x(Matrix.I(2))).to.throw(DimensionalityMismatchError);
+    });
+
+    it('multiplies by scalars', () => {
+      expect(S.x(2).toMatrix()).to.matrix.equal(dense.x(2));
+    });
+  });
+
+  it('is accepted by Matrix methods', () => {
+    expect(dense.add(S)).to.matrix.equal(dense.x(2));
+    expect(dense.eql(S)).to.be.true;
+    expect(dense.augment(S).cols).to.equal(6);
+    expect(() => Matrix.I(2).add(S)).to.throw(DimensionalityMismatchError, /sparse matrix/);
+  });
+
+  it('toString', () => {
+    expect(SparseMatrix.I(2).toString()).to.equal(
+      'SparseMatrix<2x2, 2 non-zeros\n  (1, 1) 1\n  (2, 2) 1\n>',
+    );
+  });
+});
@@ -0,0 +1,88 @@
+import { expect } from 'chai';
+import {
+  Transform,
+  Matrix,
+  Vector,
+  DimensionalityMismatchError,
+  InvalidOperationError,
+} from '../src';
+import { record } from './docs/record';
+
+describe('Transform', () => {
+  const T = Transform.Translation([1, 2, 3]);
+  const R = Transform.Rotation(Math.PI / 2, Vector.k);
+  const S = Transform.Scale([2, 1, 0.5]);
+
+  describe('construction', () => {
+    it('builds from a 4x4 affine matrix', () => {
+      const M = Matrix.Translation([1, 2, 3]).x(Matrix.Scale(2));
+      const transform = new Transform(M);
+      expect(transform.linear).to.matrix.equal(Matrix.Diagonal([2, 2, 2]));
+      expect(transform.translation).to.vector.equal([1, 2, 3]);
+      expect(transform.toMatrix()).to.matrix.equal(M);
+    });
+
+    it('builds from a linear map and translation', () => {
+      expect(new Transform(Matrix.I(3), [1, 2, 3]).eql(T)).to.be.true;
+      expect(new Transform(Matrix.I(3)).translation).to.vector.equal([0, 0, 0]);
+      expect(Transform.I.toMatrix()).to.matrix.equal(Matrix.I(4));
+    });
+
+    it('validates its input', () => {
+      expect(() => new Transform(Matrix.Perspective(1, 1, 1, 2))).to.throw(InvalidOperationError);
+      expect(() => new Transform(Matrix.I(2))).to.throw(DimensionalityMismatchError);
+      expect(() => new Transform(Matrix.I(3), [1, 2])).to.throw(DimensionalityMismatchError);
+    });
+  });
+
+  it('Transform.compose', () => {
+    record(T)
+      .compose(R)
+      .to.satisfy(t => t.toMatrix().eql(T.toMatrix().x(R.toMatrix())));
+    expect(T.compose(R).applyToPoint([1, 0, 0])).to.vector.equal([1, 3, 3]);
+    expect(R.compose(T).applyToPoint([1, 0, 0])).to.vector.equal([-2, 2, 3]);
+  });
+
+  it('Transform.invert', () => {
+    record(T.compose(R))
+      .invert()
+      .to.satisfy(t => t.compose(T.compose(R)).eql(Transform.I));
+
+    const affine = T.compose(S).compose(new Transform(Matrix.Shear({ xy: 1 })));
+    expect(affine.isRigid()).to.be.false;
+    expect(
+      affine
+        .invert()
+        .compose(affine)
+        .eql(Transform.I),
+    ).to.be.true;
+    expect(affine.invert().toMatrix()).to.matrix.equal(affine.toMatrix().inverse());
+    expect(() => Transform.Scale([1, 0, 1]).invert()).to.throw(DimensionalityMismatchError);
+  });
+
+  it('detects rigid transforms', () => {
+    expect(T.compose(R).isRigid()).to.be.true;
+    expect(S.isRigid()).to.be.false;
+    expect(Transform.Scale([-1, 1, 1]).isRigid()).to.be.false;
+  });
+
+  it('Transform.applyToPoint', () => {
+    record(T.compose(S))
+      .applyToPoint([1, 1, 1])
+      .to.vector.equal([3, 3, 3.5]);
+    expect(() => T.applyToPoint([1, 2])).to.throw(DimensionalityMismatchError);
+  });
+
+  it('Transform.applyToDirection', () => {
+    record(T.compose(S))
+      .applyToDirection([1, 1, 1])
+      .to.vector.equal([2, 1, 0.5]);
+    expect(R.applyToDirection(Vector.i)).to.vector.equal([0, 1, 0]);
+  });
+
+  it('toString', () => {
+    expect(T.toString()).to.equal(
+      'Transform<\n  [1, 0, 0, 1]\n  [0, 1, 0, 2]\n  [0, 0, 1, 3]\n  [0, 0, 0, 1]\n>',
+    );
+  });
+});
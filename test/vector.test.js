@@ -286,6 +286,22 @@ describe('vector', () => {
     expect(x.toString()).to.equal('Vector<[3, 4]>');
   });
 
+  it('Vector.format', () => {
+    record(new Vector([1, -2.5, 30]))
+      .format({ precision: 2 })
+      .to.equal('[1.00  -2.50  30.00]');
+    expect(new Vector([1, 2, 3, 4, 5]).format({ maxCols: 2 })).to.equal('[1  ...  5]');
+  });
+
+  it('Vector.toLatex', () => {
+    record(x)
+      .toLatex()
+      .to.equal('\\begin{bmatrix}\n3 & 4\n\\end{bmatrix}');
+    record(x)
+      .toLatex({ environment: 'pmatrix' })
+      .to.equal('\\begin{pmatrix}\n3 & 4\n\\end{pmatrix}');
+  });
+
   it('random', () => {
     const v = Vector.Random(3);
     expect(v.elements.length).to.equal(3);
@@ -299,4 +315,38 @@ describe('vector', () => {
     expect(Vector.One(3).to3D()).to.vector.equal([1, 1, 1]);
     expect(() => Vector.One(4).to3D()).to.throw(DimensionalityMismatchError);
   });
+
+  it('uses typed arrays without copying', () => {
+    const data = new Float32Array([1, 2, 3]);
+    const v = new Vector(data);
+    expect(v.data).to.equal(data);
+    expect(v.elements).to.deep.equal([1, 2, 3]);
+    expect(v.x(2).data).to.be.instanceOf(Float32Array);
+    expect(v.add([1, 1, 1])).to.vector.equal([2, 3, 4]);
+    expect(new Vector(v).data).to.equal(data);
+
+    expect(x.data).to.be.instanceOf(Float64Array);
+    expect(new Vector([0.1]).data[0]).to.equal(0.1);
+  });
+
+  it('copies the array it is given', () => {
+    const elements = [1, 2, 3];
+    const v = new Vector(elements);
+    elements[0] = 99;
+    expect(v.e(1)).to.equal(1);
+    expect(v.elements[0]).to.equal(1);
+  });
+
+  it('reads typed arrays with a stride', () => {
+    const data = new Float32Array([1, 2, 3, 4, 5, 6, 7]);
+    const v = new Vector(data, 3, 1);
+    expect(v.elements).to.deep.equal([2, 5]);
+    expect(v.e(2)).to.equal(5);
+    expect(v.dimensions().cols).to.equal(2);
+    expect(v.dot([1, 1])).to.equal(7);
+    expect(v.data).to.be.instanceOf(Float32Array);
+    expect(new Vector(data, 1, 2, 3).data.buffer).to.equal(data.buffer);
+    expect(new Vector(data, 2, 6, 1)).to.vector.equal([7]);
+    expect(() => new Vector(data, 2, 0, 5)).to.throw(DimensionalityMismatchError);
+  });
 });
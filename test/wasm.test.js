@@ -0,0 +1,131 @@
+import { expect } from 'chai';
+import { Matrix, Vector, Sylvester, hasBackend } from '../src';
+import { loadKernels } from '../src/wasm';
+
+/**
+ * Returns the result of the function with the JavaScript and WebAssembly
+ * backends.
+ */
+const compare = fn => {
+  const js = fn();
+  Sylvester.backend = 'wasm';
+  try {
+    return { js, wasm: fn() };
+  } finally {
+    Sylvester.backend = 'js';
+  }
+};
+
+describe('wasm backend', () => {
+  const A = new Matrix([
+    [4, 2, 1, 4],
+    [-9, 4, 3, 9],
+    [11, 3, 11, 3],
+    [-4, 5, 3, 1],
+  ]);
+
+  it('compiles under Node', () => {
+    expect(loadKernels()).to.have.property('gemm');
+    expect(hasBackend('wasm')).to.be.true;
+  });
+
+  it('multiplies like JavaScript', () => {
+    for (const [m, k, n] of [
+      [30, 40, 50],
+      [1, 2000, 1],
+      [120, 7, 90],
+    ]) {
+      const X = Matrix.Random(m, k);
+      const Y = Matrix.Random(k, n);
+      const { js, wasm } = compare(() => X.x(Y));
+      expect(wasm.eql(js, Sylvester.precision)).to.be.true;
+    }
+
+    const big = Matrix.Random(20, 20);
+    const v = Vector.Random(20);
+    const { js, wasm } = compare(() => big.x(v));
+    expect(wasm).to.be.instanceOf(Vector);
+    expect(wasm.eql(js, Sylvester.precision)).to.be.true;
+
+    const single = new Matrix(new Float32Array(400).fill(0.5), 20, 20);
+    expect(compare(() => single.x(single)).wasm.data).to.be.instanceOf(Float32Array);
+  });
+
+  it('factors like JavaScript', () => {
+    const { js, wasm } = compare(() => A.lu());
+    expect(wasm.L).to.matrix.equal(js.L);
+    expect(wasm.U).to.matrix.equal(js.U);
+    expect(wasm.P).to.matrix.equal(js.P);
+
+    for (const [m, n] of [
+      [30, 30],
+      [6, 3],
+      [3, 6],
+    ]) {
+      const M = Matrix.Random(m, n);
+      const { P, L, U } = compare(() => M.lu()).wasm;
+      expect(
+        P.x(L)
+          .x(U)
+          .eql(M, Sylvester.precision),
+      ).to.be.true;
+      expect(L.triu(1).max()).to.equal(0);
+      expect(U).to.matrix.equal(U.triu());
+    }
+  });
+
+  it('factors random matrices identically to JavaScript', () => {
+    const inputs = [];
+    for (let i = 0; i < 20; i++) {
+      const n = 2 + Math.floor(Math.random() * 20);
+      const m = 1 + Math.floor(Math.random() * 20);
+      inputs.push(
+        Matrix.Random(n, n).map(x => x - 0.5),
+        Matrix.Random(m, n),
+      );
+    }
+    // singular: a repeated row, a zero column, and a rank-one product
+    const S = Matrix.Random(8, 8).toArray();
+    S[5] = S[2];
+    inputs.push(
+      new Matrix(S),
+      Matrix.Random(6, 6).map((x, _, j) => (j === 3 ? 0 : x)),
+      Matrix.Random(7, 1).x(Matrix.Random(1, 7)),
+    );
+
+    for (const M of inputs) {
+      const { js, wasm } = compare(() => M.lu());
+      expect(Array.from(wasm.L.data)).to.deep.equal(Array.from(js.L.data));
+      expect(Array.from(wasm.U.data)).to.deep.equal(Array.from(js.U.data));
+      expect(Array.from(wasm.P.data)).to.deep.equal(Array.from(js.P.data));
+      expect(
+        js.P.x(js.L)
+          .x(js.U)
+          .eql(M, Sylvester.precision),
+      ).to.be.true;
+    }
+  });
+
+  it('substitutes like JavaScript', () => {
+    const L = Matrix.Random(40, 40).map((x, i, j) => (j > i ? 0 : i === j ? x + 1 : x));
+    const b = Vector.Random(40);
+    const forward = compare(() => L.forwardSubstitute(b));
+    expect(forward.wasm.eql(forward.js, Sylvester.precision)).to.be.true;
+    expect(L.x(forward.wasm).eql(b, Sylvester.precision)).to.be.true;
+
+    const back = compare(() => L.transpose().backSubstitute(b));
+    expect(back.wasm.eql(back.js, Sylvester.precision)).to.be.true;
+  });
+
+  it('falls back to JavaScript for everything else', () => {
+    const small = compare(() => A.x(A));
+    expect(small.wasm).to.matrix.equal(small.js);
+
+    const qr = compare(() => A.qr());
+    expect(qr.wasm.R).to.matrix.equal(qr.js.R);
+
+    const wide = new Matrix([[2, 1, 3]]);
+    const back = compare(() => wide.backSubstitute(new Vector([4])));
+    expect(back.wasm).to.vector.equal(back.js);
+  });
+});
@@ -0,0 +1,22 @@
+// Compiles kernels.wat into src/wasm-kernels.ts, which embeds the binary so
+// it can be bundled without loading a separate file.
+const fs = require('fs');
+const path = require('path');
+
+require('wabt')().then(wabt => {
+  const source = fs.readFileSync(path.join(__dirname, 'kernels.wat'), 'utf8');
+  const { buffer } = wabt.parseWat('kernels.wat', source).toBinary({});
+  fs.writeFileSync(
+    path.join(__dirname, '../src/wasm-kernels.ts'),
+    [
+      '/**',
+      ' * WebAssembly binary of wasm/kernels.wat, base64-encoded. Generated by',
+      ' * `npm run build:wasm`, do not edit.',
+      ' * @private',
+      ' */',
+      'export const kernels =',
+      `  '${Buffer.from(buffer).toString('base64')}';`,
+      '',
+    ].join('\n'),
+  );
+});
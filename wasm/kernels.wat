@@ -0,0 +1,251 @@
+;; Matrix kernels for the 'wasm' backend. Matrices are row-major arrays of
+;; f64 in linear memory, and every pointer is a byte offset. Run
+;; `npm run build:wasm` after changing this file to regenerate
+;; src/wasm-kernels.ts.
+(module
+  (memory (export "memory") 1)
+
+  ;; Sets C to A times B, where A is m by k, B is k by n and C is m by n.
+  ;; Each element is summed in the same order as the JavaScript kernel.
+  (func (export "gemm")
+    (param $a i32) (param $b i32) (param $c i32)
+    (param $m i32) (param $k i32) (param $n i32)
+    (local $i i32) (local $p i32) (local $ci i32) (local $cj i32)
+    (local $cend i32) (local $bj i32) (local $x f64)
+
+    (local.set $i (i32.const 0))
+    (block $rows_done
+      (loop $rows
+        (br_if $rows_done (i32.ge_u (local.get $i) (local.get $m)))
+        (local.set $ci
+          (i32.add (local.get $c) (i32.shl (i32.mul (local.get $i) (local.get $n)) (i32.const 3))))
+        (local.set $cend (i32.add (local.get $ci) (i32.shl (local.get $n) (i32.const 3))))
+
+        ;; clear row i of C
+        (local.set $cj (local.get $ci))
+        (block $zero_done
+          (loop $zero
+            (br_if $zero_done (i32.ge_u (local.get $cj) (local.get $cend)))
+            (f64.store (local.get $cj) (f64.const 0))
+            (local.set $cj (i32.add (local.get $cj) (i32.const 8)))
+            (br $zero)))
+
+        ;; add A[i][p] times row p of B, for each p
+        (local.set $p (i32.const 0))
+        (block $inner_done
+          (loop $inner
+            (br_if $inner_done (i32.ge_u (local.get $p) (local.get $k)))
+            (local.set $x
+              (f64.load
+                (i32.add
+                  (local.get $a)
+                  (i32.shl
+                    (i32.add (i32.mul (local.get $i) (local.get $k)) (local.get $p))
+                    (i32.const 3)))))
+            (local.set $bj
+              (i32.add (local.get $b) (i32.shl (i32.mul (local.get $p) (local.get $n)) (i32.const 3))))
+            (local.set $cj (local.get $ci))
+            (block $cols_done
+              (loop $cols
+                (br_if $cols_done (i32.ge_u (local.get $cj) (local.get $cend)))
+                (f64.store
+                  (local.get $cj)
+                  (f64.add (f64.load (local.get $cj)) (f64.mul (local.get $x) (f64.load (local.get $bj)))))
+                (local.set $cj (i32.add (local.get $cj) (i32.const 8)))
+                (local.set $bj (i32.add (local.get $bj) (i32.const 8)))
+                (br $cols)))
+            (local.set $p (i32.add (local.get $p) (i32.const 1)))
+            (br $inner)))
+
+        (local.set $i (i32.add (local.get $i) (i32.const 1)))
+        (br $rows)))
+  )
+
+  ;; Factors the m by n matrix A in place with partial pivoting, leaving U
+  ;; on and above the diagonal and the multipliers of L below it. perm
+  ;; receives m i32s, where row i of LU is row perm[i] of A. Columns with no
+  ;; nonzero pivot are skipped.
+  (func (export "lu")
+    (param $a i32) (param $perm i32) (param $m i32) (param $n i32)
+    (local $stride i32) (local $steps i32) (local $k i32) (local $i i32) (local $j i32)
+    (local $pivot i32) (local $max f64) (local $v f64) (local $t f64) (local $ti i32)
+    (local $rowk i32) (local $rowi i32) (local $l f64)
+
+    (local.set $stride (i32.shl (local.get $n) (i32.const 3)))
+    (local.set $steps
+      (select (local.get $m) (local.get $n) (i32.lt_u (local.get $m) (local.get $n))))
+
+    (local.set $i (i32.const 0))
+    (block $perm_done
+      (loop $perm_init
+        (br_if $perm_done (i32.ge_u (local.get $i) (local.get $m)))
+        (i32.store
+          (i32.add (local.get $perm) (i32.shl (local.get $i) (i32.const 2)))
+          (local.get $i))
+        (local.set $i (i32.add (local.get $i) (i32.const 1)))
+        (br $perm_init)))
+
+    (local.set $k (i32.const 0))
+    (block $steps_done
+      (loop $step
+        (br_if $steps_done (i32.ge_u (local.get $k) (local.get $steps)))
+
+        ;; find the largest element in column k, on or below the diagonal
+        (local.set $pivot (local.get $k))
+        (local.set $max
+          (f64.abs
+            (f64.load
+              (i32.add
+                (i32.add (local.get $a) (i32.mul (local.get $k) (local.get $stride)))
+                (i32.shl (local.get $k) (i32.const 3))))))
+        (local.set $i (i32.add (local.get $k) (i32.const 1)))
+        (block $search_done
+          (loop $search
+            (br_if $search_done (i32.ge_u (local.get $i) (local.get $m)))
+            (local.set $v
+              (f64.abs
+                (f64.load
+                  (i32.add
+                    (i32.add (local.get $a) (i32.mul (local.get $i) (local.get $stride)))
+                    (i32.shl (local.get $k) (i32.const 3))))))
+            (if (f64.gt (local.get $v) (local.get $max))
+              (then
+                (local.set $max (local.get $v))
+                (local.set $pivot (local.get $i))))
+            (local.set $i (i32.add (local.get $i) (i32.const 1)))
+            (br $search)))
+
+        (local.set $rowk (i32.add (local.get $a) (i32.mul (local.get $k) (local.get $stride))))
+
+        ;; swap it into row k
+        (if (i32.ne (local.get $pivot) (local.get $k))
+          (then
+            (local.set $rowi
+              (i32.add (local.get $a) (i32.mul (local.get $pivot) (local.get $stride))))
+            (local.set $j (i32.const 0))
+            (block $swap_done
+              (loop $swap
+                (br_if $swap_done (i32.ge_u (local.get $j) (local.get $stride)))
+                (local.set $t (f64.load (i32.add (local.get $rowk) (local.get $j))))
+                (f64.store
+                  (i32.add (local.get $rowk) (local.get $j))
+                  (f64.load (i32.add (local.get $rowi) (local.get $j))))
+                (f64.store (i32.add (local.get $rowi) (local.get $j)) (local.get $t))
+                (local.set $j (i32.add (local.get $j) (i32.const 8)))
+                (br $swap)))
+            (local.set $ti
+              (i32.load (i32.add (local.get $perm) (i32.shl (local.get $k) (i32.const 2)))))
+            (i32.store
+              (i32.add (local.get $perm) (i32.shl (local.get $k) (i32.const 2)))
+              (i32.load (i32.add (local.get $perm) (i32.shl (local.get $pivot) (i32.const 2)))))
+            (i32.store
+              (i32.add (local.get $perm) (i32.shl (local.get $pivot) (i32.const 2)))
+              (local.get $ti))))
+
+        ;; eliminate below the pivot
+        (if (f64.ne (local.get $max) (f64.const 0))
+          (then
+            (local.set $i (i32.add (local.get $k) (i32.const 1)))
+            (block $elim_done
+              (loop $elim
+                (br_if $elim_done (i32.ge_u (local.get $i) (local.get $m)))
+                (local.set $rowi
+                  (i32.add (local.get $a) (i32.mul (local.get $i) (local.get $stride))))
+                (local.set $l
+                  (f64.div
+                    (f64.load (i32.add (local.get $rowi) (i32.shl (local.get $k) (i32.const 3))))
+                    (f64.load (i32.add (local.get $rowk) (i32.shl (local.get $k) (i32.const 3))))))
+                (f64.store
+                  (i32.add (local.get $rowi) (i32.shl (local.get $k) (i32.const 3)))
+                  (local.get $l))
+                (local.set $j (i32.shl (i32.add (local.get $k) (i32.const 1)) (i32.const 3)))
+                (block $row_done
+                  (loop $row
+                    (br_if $row_done (i32.ge_u (local.get $j) (local.get $stride)))
+                    (f64.store
+                      (i32.add (local.get $rowi) (local.get $j))
+                      (f64.sub
+                        (f64.load (i32.add (local.get $rowi) (local.get $j)))
+                        (f64.mul
+                          (f64.load (i32.add (local.get $rowk) (local.get $j)))
+                          (local.get $l))))
+                    (local.set $j (i32.add (local.get $j) (i32.const 8)))
+                    (br $row)))
+                (local.set $i (i32.add (local.get $i) (i32.const 1)))
+                (br $elim)))))
+
+        (local.set $k (i32.add (local.get $k) (i32.const 1)))
+        (br $step)))
+  )
+
+  ;; Solves Lx = b for the n by n lower-triangular L.
+  (func (export "forwardSubstitute")
+    (param $l i32) (param $b i32) (param $x i32) (param $n i32)
+    (local $i i32) (local $j i32) (local $row i32) (local $w f64)
+
+    (local.set $i (i32.const 0))
+    (block $rows_done
+      (loop $rows
+        (br_if $rows_done (i32.ge_u (local.get $i) (local.get $n)))
+        (local.set $row
+          (i32.add (local.get $l) (i32.shl (i32.mul (local.get $i) (local.get $n)) (i32.const 3))))
+        (local.set $w (f64.const 0))
+        (local.set $j (i32.const 0))
+        (block $sum_done
+          (loop $sum
+            (br_if $sum_done (i32.ge_u (local.get $j) (local.get $i)))
+            (local.set $w
+              (f64.add
+                (local.get $w)
+                (f64.mul
+                  (f64.load (i32.add (local.get $row) (i32.shl (local.get $j) (i32.const 3))))
+                  (f64.load (i32.add (local.get $x) (i32.shl (local.get $j) (i32.const 3)))))))
+            (local.set $j (i32.add (local.get $j) (i32.const 1)))
+            (br $sum)))
+        (f64.store
+          (i32.add (local.get $x) (i32.shl (local.get $i) (i32.const 3)))
+          (f64.div
+            (f64.sub
+              (f64.load (i32.add (local.get $b) (i32.shl (local.get $i) (i32.const 3))))
+              (local.get $w))
+            (f64.load (i32.add (local.get $row) (i32.shl (local.get $i) (i32.const 3))))))
+        (local.set $i (i32.add (local.get $i) (i32.const 1)))
+        (br $rows)))
+  )
+
+  ;; Solves Ux = b for the n by n upper-triangular U, summing each row from
+  ;; the right like the JavaScript version.
+  (func (export "backSubstitute")
+    (param $u i32) (param $b i32) (param $x i32) (param $n i32)
+    (local $i i32) (local $j i32) (local $row i32) (local $w f64)
+
+    (local.set $i (local.get $n))
+    (block $rows_done
+      (loop $rows
+        (br_if $rows_done (i32.eqz (local.get $i)))
+        (local.set $i (i32.sub (local.get $i) (i32.const 1)))
+        (local.set $row
+          (i32.add (local.get $u) (i32.shl (i32.mul (local.get $i) (local.get $n)) (i32.const 3))))
+        (local.set $w (f64.const 0))
+        (local.set $j (local.get $n))
+        (block $sum_done
+          (loop $sum
+            (local.set $j (i32.sub (local.get $j) (i32.const 1)))
+            (br_if $sum_done (i32.le_s (local.get $j) (local.get $i)))
+            (local.set $w
+              (f64.add
+                (local.get $w)
+                (f64.mul
+                  (f64.load (i32.add (local.get $row) (i32.shl (local.get $j) (i32.const 3))))
+                  (f64.load (i32.add (local.get $x) (i32.shl (local.get $j) (i32.const 3)))))))
+            (br $sum)))
+        (f64.store
+          (i32.add (local.get $x) (i32.shl (local.get $i) (i32.const 3)))
+          (f64.div
+            (f64.sub
+              (f64.load (i32.add (local.get $b) (i32.shl (local.get $i) (i32.const 3))))
+              (local.get $w))
+            (f64.load (i32.add (local.get $row) (i32.shl (local.get $i) (i32.const 3))))))
+        (br $rows)))
+  )
+)